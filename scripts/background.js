@@ -1,4 +1,19 @@
-// Background service worker
+// Background service worker (ES module - "type": "module" in manifest.json)
+
+import {
+  QUALITY_RULES_STORAGE_KEY,
+  QUALITY_METRICS,
+  QUALITY_LEVEL_RANK,
+  ALERT_SETTINGS_STORAGE_KEY,
+  ALERT_METRICS,
+  resolveQualityRules,
+  resolveAlertSettings,
+  evaluateQuality,
+  formatQualityValue,
+  getOriginFromUrl
+} from './modules/quality-rules.js';
+
+import { deriveEncodingTarget } from './modules/renderers.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SINGLE SOURCE OF TRUTH: Storage keys for collected data
@@ -6,9 +21,9 @@
 // This eliminates DRY violation across 3 files
 // ═══════════════════════════════════════════════════════════════════════════════
 const DATA_STORAGE_KEYS = [
-  'rtc_stats', 'user_media', 'audio_contexts',
+  'rtc_stats', 'rtc_history', 'user_media', 'audio_contexts',
   'audio_worklet', 'media_recorder', 'detected_encoder',  // Renamed from wasm_encoder
-  'audio_connections'
+  'audio_connections', 'quality_alerts', 'media_devices', 'loudness_stats'
   // NOTE: recording_active intentionally excluded - it's read by updateUI() but
   // should NOT trigger storage.onChanged re-renders (causes flickering)
 ];
@@ -349,8 +364,273 @@ async function stopInspector(reason) {
   console.log(`[Background] stopInspector called: reason=${reason || 'manual'}`);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUALITY RULES (badge colour while monitoring)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Evaluate rtc_stats against origin-resolved thresholds
+ * @param {Object|null} rtcStats - rtc_stats storage value
+ * @param {Object|null} storedRules - qualityRules storage value
+ * @param {string|null} origin - Locked tab origin
+ * @returns {{level: string, levels: Object, values: Object, thresholds: Object}}
+ */
+function evaluateRtcQuality(rtcStats, storedRules, origin) {
+  return evaluateQuality(rtcStats, resolveQualityRules(storedRules, origin));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUALITY ALERTS (sustained breach → quality_alerts + log + badge + notification)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ALERTS_STORAGE_KEY = 'quality_alerts';
+const ALERT_HISTORY_LIMIT = 50;
+
+// metric → { since, alertId } of alertTrackerTabId (in-memory; SW restart only delays the next alert)
+const alertTracker = new Map();
+// Locked tab the tracker belongs to - a different lockedTab starts a fresh tracker
+let alertTrackerTabId = null;
+
+function formatAlertValue(metric, value) {
+  return formatQualityValue(QUALITY_METRICS[metric].unit, value);
+}
+
+/**
+ * Read-modify-write quality_alerts for the locked tab
+ * @param {number} tabId - Locked tab id (sourceTabId of the alert list)
+ * @param {function(Array<Object>): Array<Object>} update - Receives current alerts, returns new list
+ */
+async function updateStoredAlerts(tabId, update) {
+  const result = await chrome.storage.local.get([ALERTS_STORAGE_KEY]);
+  const current = result[ALERTS_STORAGE_KEY]?.sourceTabId === tabId ? result[ALERTS_STORAGE_KEY].alerts : [];
+  const alerts = update([...current]).slice(-ALERT_HISTORY_LIMIT);
+  await chrome.storage.local.set({
+    [ALERTS_STORAGE_KEY]: { sourceTabId: tabId, alerts, timestamp: Date.now() }
+  });
+}
+
+async function raiseAlert(metric, evaluation, settings, lockedTab, since) {
+  const { label, unit } = QUALITY_METRICS[metric];
+  const threshold = evaluation.thresholds[metric][settings.level];
+  const now = Date.now();
+  const alert = {
+    id: `${metric}_${since}`,
+    metric,
+    label,
+    level: evaluation.levels[metric],
+    value: evaluation.values[metric],
+    threshold,
+    unit,
+    startedAt: since,
+    raisedAt: now,
+    resolvedAt: null
+  };
+
+  await updateStoredAlerts(lockedTab.id, alerts => [...alerts, alert]);
+
+  const durationSec = Math.round((now - since) / 1000);
+  const message = `${label} ${formatAlertValue(metric, alert.value)} (limit ${formatAlertValue(metric, threshold)}) for ${durationSec}s`;
+  addLog({ timestamp: now, level: 'warn', prefix: 'Alert', message: `🚨 ${message}` });
+  console.log(`[Background] Quality alert raised: ${message}`);
+
+  if (settings.notifications) {
+    chrome.notifications.create(`alert-${lockedTab.id}-${alert.id}`, {
+      type: 'basic',
+      iconUrl: 'images/icon128.png',
+      title: 'AudioInspector - call quality alert',
+      message,
+      contextMessage: lockedTab.title || lockedTab.url || '',
+      priority: 2
+    });
+  }
+
+  return alert.id;
+}
+
+async function resolveAlert(metric, alertId, lockedTabId, value) {
+  const now = Date.now();
+  await updateStoredAlerts(lockedTabId, alerts => alerts.map(a =>
+    a.id === alertId && !a.resolvedAt ? { ...a, resolvedAt: now } : a
+  ));
+
+  const recovered = typeof value === 'number' ? ` (${formatAlertValue(metric, value)})` : '';
+  addLog({ timestamp: now, level: 'info', prefix: 'Alert', message: `✅ ${QUALITY_METRICS[metric].label} recovered${recovered}` });
+}
+
+/**
+ * Track sustained breaches per alert metric and raise/resolve alerts
+ * @returns {Promise<boolean>} true if any alert is active after this check
+ */
+async function processQualityAlerts(evaluation, settings, lockedTab) {
+  // Breaches of the previously locked tab must not carry over (since / alertId)
+  if (alertTrackerTabId !== lockedTab.id) {
+    await resolveAllAlerts();
+    alertTrackerTabId = lockedTab.id;
+  }
+
+  if (!settings.enabled) {
+    alertTracker.clear();
+    return false;
+  }
+
+  const now = Date.now();
+  const sustainMs = Math.max(0, settings.sustainSec) * 1000;
+
+  for (const metric of ALERT_METRICS) {
+    const breached = QUALITY_LEVEL_RANK[evaluation.levels[metric] || ''] >= QUALITY_LEVEL_RANK[settings.level];
+    const tracked = alertTracker.get(metric);
+
+    if (breached) {
+      if (!tracked) {
+        alertTracker.set(metric, { since: now, alertId: null });
+      } else if (!tracked.alertId && now - tracked.since >= sustainMs) {
+        tracked.alertId = await raiseAlert(metric, evaluation, settings, lockedTab, tracked.since);
+      }
+    } else if (tracked) {
+      alertTracker.delete(metric);
+      if (tracked.alertId) {
+        await resolveAlert(metric, tracked.alertId, lockedTab.id, evaluation.values[metric]);
+      }
+    }
+  }
+
+  return [...alertTracker.values()].some(t => t.alertId);
+}
+
+/**
+ * Close all active alerts (inspector stopped - breach can no longer be observed)
+ */
+async function resolveAllAlerts() {
+  const active = [...alertTracker.values()].filter(t => t.alertId).map(t => t.alertId);
+  alertTracker.clear();
+  alertTrackerTabId = null;
+  if (active.length === 0) return;
+
+  const now = Date.now();
+  const result = await chrome.storage.local.get([ALERTS_STORAGE_KEY]);
+  const stored = result[ALERTS_STORAGE_KEY];
+  if (!stored) return;
+  await updateStoredAlerts(stored.sourceTabId, alerts => alerts.map(a =>
+    active.includes(a.id) && !a.resolvedAt ? { ...a, resolvedAt: now } : a
+  ));
+}
+
+// Bildirime tıklanınca inspect edilen tab'a geç
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const match = /^alert-(\d+)-/.exec(notificationId);
+  if (!match) return;
+  const tabId = parseInt(match[1]);
+  chrome.tabs.update(tabId, { active: true }, (tab) => {
+    if (chrome.runtime.lastError || !tab) return;
+    chrome.windows.update(tab.windowId, { focused: true });
+  });
+  chrome.notifications.clear(notificationId);
+});
+
+// Son uygulanan quality badge - her stats poll'da badge'i yeniden set etmemek için
+let lastQualityBadge = null;
+// Overlapping storage events: skip (next rtc_stats poll re-evaluates)
+let qualityCheckRunning = false;
+
+/**
+ * Re-evaluate alerts + quality badge from storage (rtc_stats / settings change)
+ * Only while monitoring and only for the locked tab's data.
+ */
+async function refreshQualityBadge() {
+  if (qualityCheckRunning) return;
+  qualityCheckRunning = true;
+
+  try {
+    const result = await chrome.storage.local.get([
+      'inspectorEnabled', 'lockedTab', 'rtc_stats', QUALITY_RULES_STORAGE_KEY, ALERT_SETTINGS_STORAGE_KEY
+    ]);
+    if (result.inspectorEnabled !== true || !result.lockedTab) return;
+
+    const rtcStats = result.rtc_stats?.sourceTabId === result.lockedTab.id ? result.rtc_stats : null;
+    const origin = getOriginFromUrl(result.lockedTab.url);
+    const evaluation = evaluateRtcQuality(rtcStats, result[QUALITY_RULES_STORAGE_KEY], origin);
+    const settings = resolveAlertSettings(result[ALERT_SETTINGS_STORAGE_KEY]);
+    const alertActive = await processQualityAlerts(evaluation, settings, result.lockedTab);
+
+    const state = alertActive ? 'alert'
+      : evaluation.level === 'error' ? 'quality-error'
+      : evaluation.level === 'warning' ? 'quality-warning'
+      : 'monitoring';
+    if (state !== lastQualityBadge) {
+      lastQualityBadge = state;
+      updateBadge(state);
+    }
+  } catch (e) {
+    console.error('[Background] Quality check error:', e);
+  } finally {
+    qualityCheckRunning = false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOUDNESS TAP TARGET
+// Encoder input for LoudnessCollector - derived here from stored graph data so it
+// does not depend on the side panel rendering the Audio Path
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Storage keys the tap target is derived from
+const TAP_TARGET_SOURCE_KEYS = [
+  'audio_contexts', 'audio_connections', 'detected_encoder', 'media_recorder', 'recording_active'
+];
+let tapTargetRunning = false;
+// Change arrived while deriving → run once more (graph updates do not repeat like rtc_stats polls)
+let tapTargetRerun = false;
+
+/**
+ * Re-derive loudnessTapTarget from the locked tab's graph data
+ * Written only when loudness analysis is enabled and the target actually changed.
+ * No target found (graph mid-rebuild) → previous target is kept.
+ */
+async function refreshLoudnessTapTarget() {
+  if (tapTargetRunning) {
+    tapTargetRerun = true;
+    return;
+  }
+  tapTargetRunning = true;
+
+  try {
+    const result = await chrome.storage.local.get([
+      'lockedTab', 'loudnessSettings', 'loudnessTapTarget', ...TAP_TARGET_SOURCE_KEYS
+    ]);
+    if (!result.loudnessSettings?.enabled || !result.lockedTab) return;
+
+    const tabId = result.lockedTab.id;
+    const forTab = (data) => data?.sourceTabId === tabId ? data : null;
+    const target = deriveEncodingTarget(
+      result.audio_contexts?.filter(ctx => ctx.sourceTabId === tabId),
+      {
+        audioConnections: forTab(result.audio_connections),
+        detectedEncoder: forTab(result.detected_encoder),
+        mediaRecorder: forTab(result.media_recorder),
+        recordingActive: forTab(result.recording_active)
+      }
+    );
+    if (!target) return;
+
+    // Node ids are per document - content.js only forwards the target to this tab
+    const tabTarget = { ...target, tabId };
+    if (JSON.stringify(tabTarget) === JSON.stringify(result.loudnessTapTarget)) return;
+
+    await chrome.storage.local.set({ loudnessTapTarget: tabTarget });
+    console.log(`[Background] 📏 Loudness tap target: ${target.nodeId} (${target.sourceIds.join(', ')})`);
+  } catch (e) {
+    console.error('[Background] Loudness tap target error:', e);
+  } finally {
+    tapTargetRunning = false;
+    if (tapTargetRerun) {
+      tapTargetRerun = false;
+      refreshLoudnessTapTarget();
+    }
+  }
+}
+
 // Update badge based on inspector state (simpler than icon switching)
-// Supports three states: monitoring, notification, none
+// Supports states: monitoring (+ quality-warning / quality-error / alert), notification, none
 // Also supports legacy boolean calls (true → monitoring, false → none)
 function updateBadge(state) {
   // Legacy boolean support for existing calls
@@ -364,6 +644,24 @@ function updateBadge(state) {
       chrome.action.setBadgeBackgroundColor({ color: '#007aff' });
       console.log('[Background] ✅ Badge set to monitoring');
       break;
+    case 'quality-warning':
+      // Orange dot - monitoring, a metric crossed its warning threshold
+      chrome.action.setBadgeText({ text: '●' });
+      chrome.action.setBadgeBackgroundColor({ color: '#ff9500' });
+      console.log('[Background] ✅ Badge set to quality-warning');
+      break;
+    case 'quality-error':
+      // Red dot - monitoring, a metric crossed its error threshold
+      chrome.action.setBadgeText({ text: '●' });
+      chrome.action.setBadgeBackgroundColor({ color: '#ff3b30' });
+      console.log('[Background] ✅ Badge set to quality-error');
+      break;
+    case 'alert':
+      // Red exclamation - monitoring, sustained breach raised an alert
+      chrome.action.setBadgeText({ text: '!' });
+      chrome.action.setBadgeBackgroundColor({ color: '#ff3b30' });
+      console.log('[Background] ✅ Badge set to alert');
+      break;
     case 'notification':
       // Orange exclamation - inspector stopped but has notification
       chrome.action.setBadgeText({ text: '!' });
@@ -386,6 +684,8 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     if (changes.inspectorEnabled) {
       const isEnabled = changes.inspectorEnabled.newValue === true;
       console.log('[Background] Inspector state changed:', isEnabled);
+      lastQualityBadge = isEnabled ? 'monitoring' : null;
+      if (!isEnabled) resolveAllAlerts();
       if (isEnabled) {
         updateBadge('monitoring');
       } else if (!changes.autoStoppedReason) {
@@ -406,6 +706,22 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
         if (!r.inspectorEnabled) updateBadge('none');
       });
     }
+
+    // Lock moved to another tab (or released) → close the old tab's open alerts
+    if (changes.lockedTab && changes.lockedTab.newValue?.id !== alertTrackerTabId) {
+      resolveAllAlerts();
+    }
+
+    // New stats or edited thresholds → alerts + quality badge colour (monitoring only)
+    if (changes.rtc_stats || changes[QUALITY_RULES_STORAGE_KEY] || changes[ALERT_SETTINGS_STORAGE_KEY]) {
+      refreshQualityBadge();
+    }
+
+    // Graph / encoder data, lock or loudness setting changed → re-derive the tap target
+    if (changes.loudnessSettings || changes.lockedTab ||
+        TAP_TARGET_SOURCE_KEYS.some(key => changes[key])) {
+      refreshLoudnessTapTarget();
+    }
   }
 });
 
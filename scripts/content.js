@@ -80,7 +80,7 @@ async function injectPageScript(attempt = 1) {
 // DRY: Storage keys fetched from background.js (single source of truth)
 // Fallback array used until background.js responds (prevents race condition)
 // ═══════════════════════════════════════════════════════════════════════════════
-let DATA_STORAGE_KEYS = ['rtc_stats', 'user_media', 'audio_contexts', 'audio_worklet', 'media_recorder', 'detected_encoder', 'audio_connections'];
+let DATA_STORAGE_KEYS = ['rtc_stats', 'rtc_history', 'user_media', 'audio_contexts', 'audio_worklet', 'media_recorder', 'detected_encoder', 'audio_connections', 'quality_alerts', 'media_devices', 'loudness_stats'];
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // DRY HELPER: Detected Encoder data merge with null-safe field preservation
@@ -90,7 +90,10 @@ const ENCODER_MERGE_FIELDS = [
   'encoder', 'library', 'bitRate', 'channels', 'sampleRate', 'application',
   'applicationName', 'frameSize', 'processorName', 'originalSampleRate',
   'wavBitDepth', 'container', 'encoderPath', 'sessionId',
-  'recordingDuration', 'calculatedBitRate', 'isLiveEstimate', 'mimeType', 'blobSize', 'status'
+  'recordingDuration', 'calculatedBitRate', 'isLiveEstimate', 'mimeType', 'blobSize', 'status',
+  'bitstream', // container-sniffer.js header result - later Blob/Worker payloads carry null
+  'output',    // Encoder Worker measured output - only present after encoded frames arrive
+  'libraryVersion', 'wasmModule'  // WebAssembly module fingerprint (AudioContextCollector)
 ];
 
 function mergeEncoderData(existing, payload) {
@@ -101,7 +104,7 @@ function mergeEncoderData(existing, payload) {
   const codecCandidate = payload.codec ?? payload.type;
   if (typeof codecCandidate === 'string') {
     const lc = codecCandidate.toLowerCase();
-    const allowed = ['opus', 'mp3', 'aac', 'vorbis', 'flac', 'pcm', 'unknown'];
+    const allowed = ['opus', 'mp3', 'aac', 'vorbis', 'flac', 'speex', 'pcm', 'unknown'];
     merged.codec = allowed.includes(lc) ? lc : existing.codec;
   } else {
     merged.codec = existing.codec;
@@ -144,6 +147,10 @@ function clearSessionData(callback) {
 let audioContextQueue = [];
 let isProcessingAudioContext = false;
 
+// SOURCE: src/core/constants.js - MAX_OFFLINE_CONTEXTS
+// Render-per-chunk pages create many OfflineAudioContexts - storage keeps the newest
+const MAX_OFFLINE_CONTEXTS = 10;
+
 // ═══════════════════════════════════════════════════════════════════
 // IN-MEMORY INSPECTOR STATE FLAG (sync control for race condition prevention)
 // This flag is updated SYNCHRONOUSLY when STOP command arrives
@@ -258,7 +265,8 @@ function processAudioContextQueueInternal() {
       }
     } else {
       // Standard audioContext update
-      const payload = queueItem;
+      // renderUpdate: render-monitor payload (contextId + static.state + render only)
+      const { renderUpdate, ...payload } = queueItem;
       const existingIndex = contexts.findIndex(c => c.contextId === payload.contextId);
 
       if (existingIndex >= 0) {
@@ -281,9 +289,23 @@ function processAudioContextQueueInternal() {
           // detectedEncoder root level'da kalır
           detectedEncoder: payload.detectedEncoder || existing.detectedEncoder
         };
+      } else if (renderUpdate) {
+        // Context not stored (cleared / not emitted yet) - partial payload is not a context
+        isProcessingAudioContext = false;
+        processAudioContextQueue();
+        return;
       } else {
         // New context
         contexts.push(payload);
+
+        // OfflineAudioContext: drop the oldest beyond MAX_OFFLINE_CONTEXTS (array order = creation order)
+        if (payload.static?.isOffline) {
+          const offlineIds = contexts.filter(c => c.static?.isOffline).map(c => c.contextId);
+          const droppedIds = new Set(offlineIds.slice(0, Math.max(0, offlineIds.length - MAX_OFFLINE_CONTEXTS)));
+          if (droppedIds.size > 0) {
+            contexts = contexts.filter(c => !droppedIds.has(c.contextId));
+          }
+        }
       }
     }
 
@@ -304,7 +326,7 @@ function processAudioContextQueueInternal() {
 
       if (chrome.runtime.lastError) {
         persistLogs(createLog('Content', `❌ audioContext SET error: ${chrome.runtime.lastError.message}`, 'error'));
-      } else if (!queueItem._isWorkletUpdate) {
+      } else if (!queueItem._isWorkletUpdate && !queueItem.renderUpdate) {
         persistLogs(createLog('Content', `✅ audioContext SET: ${contexts.length} context(s)`));
       }
 
@@ -323,7 +345,10 @@ const storageHandler = (key, emoji, label) => (payload) => ({
 
 const MESSAGE_HANDLERS = {
   rtc_stats: storageHandler('rtc_stats', '📡', 'WebRTC stats'),
+  rtc_history: storageHandler('rtc_history', '∿', 'WebRTC history'),
   user_media: storageHandler('user_media', '🎤', 'getUserMedia'),
+  media_devices: storageHandler('media_devices', '🎧', 'media devices'),
+  loudness_stats: storageHandler('loudness_stats', '📏', 'loudness stats'),
 
   // Special handler for audio_contexts - uses queue to prevent race conditions
   audio_contexts: (payload) => {
@@ -513,10 +538,15 @@ const MESSAGE_HANDLERS = {
     chrome.storage.local.get(['audio_connections'], (result) => {
       // Store all connections array directly from payload
       const connections = payload.allConnections || [];
+      const previousCount = result.audio_connections?.connections?.length ?? 0;
 
       chrome.storage.local.set({
         audio_connections: {
           connections,
+          // AudioParam automation timelines (setValueAtTime, ramps, value setter)
+          paramAutomation: payload.paramAutomation || [],
+          // AudioWorkletNode port traffic (node ⇄ processor message stats + sampled log)
+          portTraffic: payload.portTraffic || [],
           lastUpdate: Date.now(),
           sourceTabId: currentTabId
         }
@@ -528,7 +558,8 @@ const MESSAGE_HANDLERS = {
           const conn = payload.connection;
           if (conn) {
             persistLogs(createLog('Content', `🔗 Connection: ${conn.sourceType} → ${conn.destType}`));
-          } else {
+          } else if (connections.length !== previousCount) {
+            // Automation-only updates (~4/s while params animate) are not logged
             persistLogs(createLog('Content', `🔗 Connections synced: ${connections.length} total`));
           }
         }
@@ -570,6 +601,17 @@ window.addEventListener('message', (event) => {
   if (event.data.type === 'INSPECTOR_READY') {
       logContent('📡 INSPECTOR_READY - delegating to background.js');
 
+      // Options page settings are independent of start/stop - forward once page is ready
+      // Loudness tap target of this tab points at the previous document's node ids → drop it
+      // (removal triggers storage.onChanged → sendPageSettings; background.js derives the new target)
+      chrome.storage.local.get(['loudnessTapTarget'], (result) => {
+        if (result.loudnessTapTarget && result.loudnessTapTarget.tabId === currentTabId) {
+          chrome.storage.local.remove('loudnessTapTarget');
+        } else {
+          sendPageSettings();
+        }
+      });
+
       // Send page info to background.js for centralized decision making
       chrome.runtime.sendMessage({
           type: 'PAGE_READY',
@@ -782,6 +824,33 @@ window.addEventListener('message', (event) => {
 });
 
 
+// Storage keys forwarded to the page with APPLY_SETTINGS
+const PAGE_SETTINGS_KEYS = ['levelMeterEnabled', 'loudnessSettings', 'loudnessTapTarget'];
+
+/**
+ * Forward options page settings to page script (APPLY_SETTINGS → collector.applySettings)
+ * - levelMeterEnabled: opt-in mic level meter in GetUserMediaCollector
+ * - loudnessSettings + loudnessTapTarget: opt-in LoudnessCollector, target node picked by background.js
+ */
+function sendPageSettings() {
+  chrome.storage.local.get(PAGE_SETTINGS_KEYS, (result) => {
+    // Target node ids belong to one tab's document - other tabs get no target
+    const tapTarget = result.loudnessTapTarget?.tabId === currentTabId ? result.loudnessTapTarget : null;
+    window.postMessage({
+      __audioPipelineInspector: true,
+      type: 'APPLY_SETTINGS',
+      payload: {
+        levelMeter: !!result.levelMeterEnabled,
+        loudness: {
+          enabled: !!result.loudnessSettings?.enabled,
+          targetLufs: result.loudnessSettings?.targetLufs,
+          target: tapTarget
+        }
+      }
+    }, '*');
+  });
+}
+
 /**
  * Async handler for SET_ENABLED messages
  * Ensures storage operations complete before forwarding to page script
@@ -910,4 +979,11 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
       logContent('🔓 Tab lock released - capture enabled');
     }
   }
+
+  // Options page / popup changed page settings - apply without restarting the inspector
+  const changedSettings = PAGE_SETTINGS_KEYS.filter(key => changes[key]);
+  if (changedSettings.length > 0 && window.self === window.top) {
+    sendPageSettings();
+    logContent(`⚙️ Page settings changed: ${changedSettings.join(', ')}`);
+  }
 });
@@ -195,6 +195,7 @@
 
     // SET_ENABLED: Normal inspector start/stop
     if (event.data.type === 'SET_ENABLED') {
+      const wasEnabled = window.__audioInspectorEnabled === true;
       window.__audioInspectorEnabled = event.data.enabled === true;
       forwardConsoleEnabled = event.data.enabled === true;
 
@@ -203,6 +204,16 @@
       }
 
       debugLog(`Inspector state: ${window.__audioInspectorEnabled ? 'ENABLED' : 'DISABLED'}`);
+
+      // Encoder worker script scans deferred while idle (declared with the Worker hooks)
+      if (window.__audioInspectorEnabled) {
+        flushPendingWorkerScans();
+      }
+
+      // onaudioprocess profiles restart per session - idle gap would count as missed callbacks
+      if (window.__audioInspectorEnabled && !wasEnabled) {
+        window.__audioInspectorAudioProcessProfiles = null;
+      }
     }
   });
 
@@ -210,11 +221,17 @@
   // NOTE: Use clearEarlyCaptures() to reset on stop (prevents memory leak)
   window.__earlyCaptures = {
     getUserMedia: [],      // { stream, constraints, timestamp }
+    constraintCalls: [],   // { trackRef (WeakRef), trackId, requested, settings, rejected, error, timestamp } (newest MAX_CONSTRAINT_CALLS)
+    sinkCalls: [],         // { targetRef (WeakRef), kind, sinkId, rejected, error, timestamp } (newest MAX_SINK_CALLS)
     audioContexts: [],     // { instance, timestamp, sampleRate, state }
+    offlineAudioContexts: [], // { instance, timestamp, sampleRate, state, length, numberOfChannels } (newest MAX_OFFLINE_CONTEXTS)
     rtcPeerConnections: [], // { instance, timestamp }
     mediaRecorders: [],    // { instance, timestamp }
     workers: [],           // { instance, url, timestamp, isEncoder }
-    connections: []        // { sourceType, sourceId, destType, destId, timestamp }
+    connections: [],       // { sourceType, sourceId, destType, destId, destParam, timestamp }
+    paramAutomation: [],   // { ownerId, ownerType, param, contextId, events, updatedAt }
+    portTraffic: [],       // { nodeId, processorName, contextId, toProcessor, fromProcessor, log, updatedAt }
+    wasmModules: []        // { url, via, byteSize, exports, imports, library, codec, version, matchedNames } (newest WASM_MODULE_LIMIT)
   };
 
   // ═══════════════════════════════════════════════════════════════════
@@ -452,6 +469,38 @@
     return id;
   };
 
+  // Dead WeakRef'ler bu boyutun katlarında süpürülür
+  const NODE_REF_SWEEP_SIZE = 1000;
+
+  // Shared nodeId → WeakRef(node) map - reverse lookup for analysis taps
+  // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+  const registerNodeRef = (id, node) => {
+    if (typeof WeakRef === 'undefined') return;
+    if (!(window.__audioInspectorNodeRefs instanceof Map)) {
+      window.__audioInspectorNodeRefs = new Map();
+    }
+    const refs = window.__audioInspectorNodeRefs;
+    refs.set(id, new WeakRef(node));
+    if (refs.size % NODE_REF_SWEEP_SIZE === 0) {
+      refs.forEach((ref, key) => {
+        if (!ref.deref()) refs.delete(key);
+      });
+    }
+  };
+
+  // Inspector-owned nodes (LoudnessCollector tap) - connect/disconnect/analyser hooks skip them
+  // WeakSet is created by EarlyHook.js getInternalNodes()
+  const isInternalNode = (node) => !!window.__audioInspectorInternalNodes?.has(node);
+
+  // AudioParam → automation timeline (paramAutomation entry), reset with the captures
+  let paramTimelines = new WeakMap();
+
+  // AudioWorkletNode → port traffic record (portTraffic entry), reset with the captures
+  let portTrafficRecords = new WeakMap();
+
+  // Encoder Worker → encoded output record (per recording session), reset with the captures
+  let workerOutputRecords = new WeakMap();
+
   /**
    * Clear early captures registry to prevent memory leak
    * Called by PageInspector.stop() via global handler
@@ -459,12 +508,21 @@
    */
   window.__clearEarlyCaptures = function() {
     window.__earlyCaptures.getUserMedia = [];
+    window.__earlyCaptures.constraintCalls = [];
+    window.__earlyCaptures.sinkCalls = [];
     window.__earlyCaptures.audioContexts = [];
+    window.__earlyCaptures.offlineAudioContexts = [];
     window.__earlyCaptures.rtcPeerConnections = [];
     window.__earlyCaptures.mediaRecorders = [];
     window.__earlyCaptures.workers = [];
     window.__earlyCaptures.connections = [];
     window.__earlyCaptures.audioWorkletNodes = [];
+    window.__earlyCaptures.paramAutomation = [];
+    paramTimelines = new WeakMap();
+    window.__earlyCaptures.portTraffic = [];
+    portTrafficRecords = new WeakMap();
+    workerOutputRecords = new WeakMap();
+    window.__earlyCaptures.wasmModules = [];
 
     // Preserve previous signature for technology change detection across sessions
     // Only clear current - previous is needed to detect tech changes after restart
@@ -741,42 +799,363 @@
     console.log('[AudioInspector] Early: Hooked navigator.mediaDevices.getUserMedia');
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // MediaStreamTrack.applyConstraints Hook - post-GUM DSP flag changes
+  // Apps flip echoCancellation/autoGainControl/noiseSuppression after
+  // getUserMedia; record requested vs resulting getSettings() (+ rejects)
+  // ⚠️ SYNC with EarlyHook.js hookApplyConstraints (fallback path)
+  // ═══════════════════════════════════════════════════════════════════
+  const originalApplyConstraints = window.MediaStreamTrack?.prototype?.applyConstraints;
+  if (originalApplyConstraints) {
+    // SOURCE: src/core/constants.js - MAX_CONSTRAINT_CALLS
+    const MAX_CONSTRAINT_CALLS = 20;
+
+    const recordConstraintCall = (track, constraints, error) => {
+      const record = {
+        trackRef: new WeakRef(track),  // Record must not keep an ended track alive
+        trackId: track.id,
+        requested: constraints ?? null,
+        settings: track.getSettings(),
+        rejected: !!error,
+        error: error ? `${error.name}: ${error.message}` : null,
+        timestamp: Date.now()
+      };
+      const constraintCalls = window.__earlyCaptures.constraintCalls;
+      constraintCalls.push(record);
+      if (constraintCalls.length > MAX_CONSTRAINT_CALLS) {
+        constraintCalls.shift();
+      }
+
+      // Notify collector handler if already registered (late page.js load)
+      if (window.__applyConstraintsHandler) {
+        window.__applyConstraintsHandler(record);
+      }
+
+      debugLog('applyConstraints', {
+        trackId: track.id,
+        requested: constraints,
+        rejected: record.rejected,
+        error: record.error
+      });
+    };
+
+    MediaStreamTrack.prototype.applyConstraints = async function(constraints) {
+      // Only audio tracks, and not while another tab is locked
+      if (this.kind !== 'audio' || window.__otherTabLocked) {
+        return originalApplyConstraints.apply(this, arguments);
+      }
+
+      try {
+        const result = await originalApplyConstraints.apply(this, arguments);
+        recordConstraintCall(this, constraints, null);
+        return result;
+      } catch (err) {
+        recordConstraintCall(this, constraints, err);
+        throw err;
+      }
+    };
+
+    window.__audioInspectorApplyConstraintsHooked = true;
+    console.log('[AudioInspector] Early: Hooked MediaStreamTrack.prototype.applyConstraints');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // setSinkId Hook - output device selection (HTMLMediaElement + AudioContext)
+  // Calls store the target reference; MediaDevicesCollector resolves
+  // contextId / element description and the device label later
+  // ⚠️ SYNC with EarlyHook.js hookSetSinkId (fallback path)
+  // ═══════════════════════════════════════════════════════════════════
+  // SOURCE: src/core/constants.js - MAX_SINK_CALLS
+  const MAX_SINK_CALLS = 20;
+
+  const hookSetSinkId = (proto, kind) => {
+    const originalSetSinkId = proto?.setSinkId;
+    if (!originalSetSinkId) return;
+
+    proto.setSinkId = async function(sinkId) {
+      if (window.__otherTabLocked) {
+        return originalSetSinkId.apply(this, arguments);
+      }
+
+      const recordSinkCall = (error) => {
+        const record = {
+          targetRef: new WeakRef(this),  // Record must not keep a removed element / context alive
+          kind,
+          sinkId,
+          rejected: !!error,
+          error: error ? `${error.name}: ${error.message}` : null,
+          timestamp: Date.now()
+        };
+        const sinkCalls = window.__earlyCaptures.sinkCalls;
+        sinkCalls.push(record);
+        if (sinkCalls.length > MAX_SINK_CALLS) {
+          sinkCalls.shift();
+        }
+
+        if (window.__setSinkIdHandler) {
+          window.__setSinkIdHandler(record);
+        }
+
+        debugLog('setSinkId', { kind, sinkId, rejected: record.rejected, error: record.error });
+      };
+
+      try {
+        const result = await originalSetSinkId.apply(this, arguments);
+        recordSinkCall(null);
+        return result;
+      } catch (err) {
+        recordSinkCall(err);
+        throw err;
+      }
+    };
+
+    console.log(`[AudioInspector] Early: Hooked ${kind} setSinkId`);
+  };
+
+  hookSetSinkId(window.HTMLMediaElement?.prototype, 'media-element');
+  hookSetSinkId(window.AudioContext?.prototype, 'audio-context');
+  window.__audioInspectorSetSinkIdHooked = true;
+
   // ═══════════════════════════════════════════════════════════════════
   // AudioContext Hook
   // ═══════════════════════════════════════════════════════════════════
 
   /**
-   * Extract minimal args for method call recording
-   * @param {string} methodName
-   * @param {any[]} args
-   * @returns {Object}
+   * AudioNode types captured at creation - factory method + constructor per type
+   * extract(node, factoryArgs, ctorOptions): initial parameters read from the created
+   * node, so ctx.createGain() and new GainNode(ctx, options) record the same fields.
+   *
+   * ⚠️ SYNC: Keys must match METHOD_CALL_SYNC_HANDLERS (processor-handlers.js),
+   * fields must match EarlyHook.js METHOD_HOOK_CONFIGS
    */
-  const extractMethodArgs = (methodName, args) => {
-    switch (methodName) {
-      case 'createMediaStreamSource':
-        return { streamId: args[0]?.id || null };
-      case 'createScriptProcessor':
-        // args: [bufferSize, numberOfInputChannels, numberOfOutputChannels]
-        return {
-          bufferSize: args[0] || 4096,
-          inputChannels: args[1] || 2,
-          outputChannels: args[2] || 2
-        };
-      case 'createMediaStreamDestination':
-      case 'createAnalyser':
-      default:
-        return {};
+  const NODE_TYPE_CONFIGS = {
+    mediaStreamSource: {
+      factory: 'createMediaStreamSource',
+      ctor: 'MediaStreamAudioSourceNode',
+      extract: (node) => ({ streamId: node.mediaStream?.id || null })
+    },
+    mediaElementSource: {
+      factory: 'createMediaElementSource',
+      ctor: 'MediaElementAudioSourceNode',
+      extract: (node) => ({ mediaType: node.mediaElement?.tagName?.toLowerCase() || null })
+    },
+    mediaStreamDestination: {
+      factory: 'createMediaStreamDestination',
+      ctor: 'MediaStreamAudioDestinationNode',
+      extract: () => ({})
+    },
+    scriptProcessor: {
+      factory: 'createScriptProcessor',  // Constructor yok
+      // args: [bufferSize, numberOfInputChannels, numberOfOutputChannels]
+      extract: (node, args = []) => ({
+        bufferSize: node.bufferSize || args[0] || 4096,
+        inputChannels: args[1] || 2,
+        outputChannels: args[2] || 2
+      })
+    },
+    analyser: {
+      factory: 'createAnalyser',
+      ctor: 'AnalyserNode',
+      extract: (node) => ({ fftSize: node.fftSize ?? 2048 })
+    },
+    gain: {
+      factory: 'createGain',
+      ctor: 'GainNode',
+      extract: (node) => ({ gainValue: node.gain?.value ?? 1 })
+    },
+    biquadFilter: {
+      factory: 'createBiquadFilter',
+      ctor: 'BiquadFilterNode',
+      extract: (node) => ({ filterType: node.type || 'lowpass', frequency: node.frequency?.value ?? 350 })
+    },
+    iirFilter: {
+      factory: 'createIIRFilter',
+      ctor: 'IIRFilterNode',
+      // Katsayılar node'dan okunamaz → feedback dizisinin uzunluğu (filter order)
+      extract: (node, args = [], options = {}) => {
+        const feedback = args[1] || options?.feedback;
+        return { order: feedback?.length ? feedback.length - 1 : null };
+      }
+    },
+    dynamicsCompressor: {
+      factory: 'createDynamicsCompressor',
+      ctor: 'DynamicsCompressorNode',
+      extract: (node) => ({ threshold: node.threshold?.value ?? -24, ratio: node.ratio?.value ?? 12 })
+    },
+    oscillator: {
+      factory: 'createOscillator',
+      ctor: 'OscillatorNode',
+      extract: (node) => ({ oscillatorType: node.type || 'sine', frequency: node.frequency?.value ?? 440 })
+    },
+    bufferSource: {
+      factory: 'createBufferSource',
+      ctor: 'AudioBufferSourceNode',
+      extract: (node) => ({ loop: !!node.loop })
+    },
+    constantSource: {
+      factory: 'createConstantSource',
+      ctor: 'ConstantSourceNode',
+      extract: (node) => ({ offset: node.offset?.value ?? 1 })
+    },
+    delay: {
+      factory: 'createDelay',
+      ctor: 'DelayNode',
+      // maxDelayTime = delayTime.maxValue; delayTime sadece 0'dan farklıysa (getParam fallback'i max)
+      extract: (node) => ({ maxDelayTime: node.delayTime?.maxValue ?? 1, delayTime: node.delayTime?.value || null })
+    },
+    convolver: {
+      factory: 'createConvolver',
+      ctor: 'ConvolverNode',
+      extract: (node) => ({ normalize: node.normalize !== false })
+    },
+    waveShaper: {
+      factory: 'createWaveShaper',
+      ctor: 'WaveShaperNode',
+      extract: (node) => ({ oversample: node.oversample || 'none' })
+    },
+    panner: {
+      factory: 'createPanner',
+      ctor: 'PannerNode',
+      extract: (node) => ({ panningModel: node.panningModel || 'equalpower' })
+    },
+    stereoPanner: {
+      factory: 'createStereoPanner',
+      ctor: 'StereoPannerNode',
+      extract: (node) => ({ pan: node.pan?.value ?? 0 })
+    },
+    channelSplitter: {
+      factory: 'createChannelSplitter',
+      ctor: 'ChannelSplitterNode',
+      extract: (node) => ({ numberOfOutputs: node.numberOfOutputs ?? 6 })
+    },
+    channelMerger: {
+      factory: 'createChannelMerger',
+      ctor: 'ChannelMergerNode',
+      extract: (node) => ({ numberOfInputs: node.numberOfInputs ?? 6 })
     }
   };
 
   /**
    * Map method names to registry type keys (must match METHOD_CALL_SYNC_HANDLERS)
+   * Derived from NODE_TYPE_CONFIGS
+   */
+  const METHOD_TYPE_MAP = Object.fromEntries(
+    Object.entries(NODE_TYPE_CONFIGS).map(([type, config]) => [config.factory, type])
+  );
+
+  // Inspector-owned node being created (EarlyHook.js createInternalNode) - creation hooks skip it
+  // isInternalNode() henüz çalışmaz: node WeakSet'e constructor döndükten sonra eklenir
+  const isCreatingInternalNode = () => !!window.__audioInspectorCreatingInternalNode;
+
+  // SOURCE: src/core/constants.js - MAX_OFFLINE_CONTEXTS, MAX_OFFLINE_RENDERINGS, MAX_NODE_RECORDS_PER_TYPE
+  const MAX_OFFLINE_CONTEXTS = 10;
+  const MAX_OFFLINE_RENDERINGS = 5;
+  const MAX_NODE_RECORDS_PER_TYPE = 20;
+
+  const OriginalOfflineAudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const isOfflineContext = (ctx) => !!OriginalOfflineAudioContext && ctx instanceof OriginalOfflineAudioContext;
+
+  /**
+   * Create and register the early capture of a context
+   * Offline contexts go to their own list (newest MAX_OFFLINE_CONTEXTS) so signature
+   * checks and sampleRate fallbacks keep looking at realtime contexts only
+   * @param {BaseAudioContext} ctx
+   * @returns {Object} capture
+   */
+  const createContextCapture = (ctx) => {
+    const capture = {
+      instance: ctx,
+      contextId: getOrAssignContextId(ctx),
+      timestamp: Date.now(),
+      sampleRate: ctx.sampleRate,
+      state: ctx.state,
+      methodCalls: []
+    };
+    if (!isOfflineContext(ctx)) {
+      window.__earlyCaptures.audioContexts.push(capture);
+      return capture;
+    }
+
+    capture.length = ctx.length;
+    capture.numberOfChannels = ctx.destination.channelCount;
+    const offlineCaptures = window.__earlyCaptures.offlineAudioContexts;
+    offlineCaptures.push(capture);
+    if (offlineCaptures.length > MAX_OFFLINE_CONTEXTS) {
+      offlineCaptures.shift();
+    }
+    return capture;
+  };
+
+  /**
+   * Find the early capture of an AudioContext, or register a late-discovered one
+   * (context created before our Proxy was installed)
+   * @param {BaseAudioContext} ctx
+   * @param {string} logTag - Log prefix ('(proto)', '(constructor)')
+   * @returns {Object} capture
+   */
+  const getOrCreateContextCapture = (ctx, logTag) => {
+    const captures = isOfflineContext(ctx)
+      ? window.__earlyCaptures.offlineAudioContexts
+      : window.__earlyCaptures.audioContexts;
+    let capture = captures.find(c => c.instance === ctx);
+    if (!capture) {
+      capture = createContextCapture(ctx);
+      const kind = isOfflineContext(ctx) ? 'OfflineAudioContext' : 'AudioContext';
+      console.log('[AudioInspector] Early: ' + logTag + ' Late-discovered ' + kind + ' (' + ctx.sampleRate + 'Hz)');
+
+      // Notify collector handler if already registered
+      if (window.__audioContextCollectorHandler) {
+        window.__audioContextCollectorHandler(ctx, []);
+      }
+    }
+    return capture;
+  };
+
+  /**
+   * Append a node record to methodCalls, keeping the newest MAX_NODE_RECORDS_PER_TYPE of its type
+   * ⚠️ SYNC: Duplicate in src/core/utils/EarlyHook.js (pushNodeRecord) - keep both in sync
+   * @param {Array<Object>} methodCalls
+   * @param {Object} record - { type, nodeId, ... }
+   */
+  const pushNodeRecord = (methodCalls, record) => {
+    if (methodCalls.filter(call => call.type === record.type).length >= MAX_NODE_RECORDS_PER_TYPE) {
+      methodCalls.splice(methodCalls.findIndex(call => call.type === record.type), 1);
+    }
+    methodCalls.push(record);
+  };
+
+  /**
+   * Record an AudioNode creation (factory method or constructor) on the context capture
+   * @param {Object} capture - Early AudioContext capture
+   * @param {string} methodType - NODE_TYPE_CONFIGS key
+   * @param {AudioNode} node - Created node
+   * @param {any[]} factoryArgs - Factory method args ([] for constructors)
+   * @param {Object} [ctorOptions] - Constructor options (2nd constructor arg)
+   * @returns {Object} Recorded method call data
    */
-  const METHOD_TYPE_MAP = {
-    'createMediaStreamSource': 'mediaStreamSource',
-    'createMediaStreamDestination': 'mediaStreamDestination',
-    'createScriptProcessor': 'scriptProcessor',
-    'createAnalyser': 'analyser'
+  const recordNodeCreation = (capture, methodType, node, factoryArgs, ctorOptions) => {
+    const methodCallData = {
+      type: methodType,
+      nodeId: getNodeId(node),
+      ...NODE_TYPE_CONFIGS[methodType].extract(node, factoryArgs, ctorOptions),
+      timestamp: Date.now()
+    };
+    pushNodeRecord(capture.methodCalls, methodCallData);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // SIGNATURE CHECK: ScriptProcessor or MediaStreamDestination creation
+    // Early detection of AudioWorklet → ScriptProcessor or output path change
+    // ═══════════════════════════════════════════════════════════════════
+    if (methodType === 'scriptProcessor' || methodType === 'mediaStreamDestination') {
+      checkSignatureChange(NODE_TYPE_CONFIGS[methodType].factory);
+    }
+
+    // PCM/WAV recording start signal (DRY: uses helper)
+    if (methodType === 'mediaStreamSource') {
+      tryBroadcastPcmRecordingStart(node.mediaStream, 'Early');
+    }
+
+    return methodCallData;
   };
 
   // ═══════════════════════════════════════════════════════════════════
@@ -826,29 +1205,10 @@
           if (typeof original === 'function') {
             instance[methodName] = function(...methodArgs) {
               const result = original.apply(this, methodArgs);
+              if (isCreatingInternalNode()) return result;
 
-              // Record method call with normalized type
-              const methodType = METHOD_TYPE_MAP[methodName];
-              capture.methodCalls.push({
-                type: methodType,
-                ...extractMethodArgs(methodName, methodArgs),
-                timestamp: Date.now()
-              });
-
-              // ═══════════════════════════════════════════════════════════════════
-              // SIGNATURE CHECK: ScriptProcessor or MediaStreamDestination creation
-              // Early detection of AudioWorklet → ScriptProcessor or output path change
-              // ═══════════════════════════════════════════════════════════════════
-              if (methodType === 'scriptProcessor' || methodType === 'mediaStreamDestination') {
-                checkSignatureChange(methodName);
-              }
-
-              // PCM/WAV recording start signal (DRY: uses helper)
-              if (methodName === 'createMediaStreamSource') {
-                tryBroadcastPcmRecordingStart(methodArgs[0], 'Early');
-              }
-
-              console.log('[AudioInspector] Early: ' + methodName + '() captured');
+              // Record method call with normalized type + initial parameters
+              recordNodeCreation(capture, METHOD_TYPE_MAP[methodName], result, methodArgs);
               return result;
             };
           }
@@ -885,52 +1245,13 @@
       if (typeof original === 'function') {
         AudioContextProto[methodName] = function(...args) {
           const result = original.apply(this, args);
+          if (isCreatingInternalNode()) return result;
 
           // Find existing capture for this context, or create new one
-          let capture = window.__earlyCaptures.audioContexts.find(
-            c => c.instance === this
-          );
-          if (!capture) {
-            // Context was created before our Proxy - register it now
-            capture = {
-              instance: this,
-              contextId: getOrAssignContextId(this),
-              timestamp: Date.now(),
-              sampleRate: this.sampleRate,
-              state: this.state,
-              methodCalls: []
-            };
-            window.__earlyCaptures.audioContexts.push(capture);
-            console.log('[AudioInspector] Early: (proto) Late-discovered AudioContext (' + this.sampleRate + 'Hz)');
-
-            // Notify collector handler if already registered
-            if (window.__audioContextCollectorHandler) {
-              window.__audioContextCollectorHandler(this, []);
-            }
-          }
+          const capture = getOrCreateContextCapture(this, '(proto)');
 
           // Record method call
-          const methodType = METHOD_TYPE_MAP[methodName];
-          capture.methodCalls.push({
-            type: methodType,
-            ...extractMethodArgs(methodName, args),
-            timestamp: Date.now()
-          });
-
-          // ═══════════════════════════════════════════════════════════════════
-          // SIGNATURE CHECK: ScriptProcessor or MediaStreamDestination creation
-          // Early detection of AudioWorklet → ScriptProcessor or output path change
-          // ═══════════════════════════════════════════════════════════════════
-          if (methodType === 'scriptProcessor' || methodType === 'mediaStreamDestination') {
-            checkSignatureChange(methodName);
-          }
-
-          // PCM/WAV recording start signal (DRY: uses helper)
-          if (methodName === 'createMediaStreamSource') {
-            tryBroadcastPcmRecordingStart(args[0], 'Early (proto)');
-          }
-
-          console.log('[AudioInspector] Early: (proto) ' + methodName + '() captured');
+          recordNodeCreation(capture, METHOD_TYPE_MAP[methodName], result, args);
           return result;
         };
       }
@@ -950,6 +1271,330 @@
 
     console.log('[AudioInspector] Early: Hooked AudioContext prototype methods');
 
+    // ═══════════════════════════════════════════════════════════════════
+    // OFFLINEAUDIOCONTEXT HOOKS - render/resample graphs (no audible output)
+    // Constructor: length, sampleRate, channel count
+    // Factory methods: same wrappers as AudioContext.prototype
+    // startRendering(): wall-clock duration of each render run
+    // ═══════════════════════════════════════════════════════════════════
+    if (OriginalOfflineAudioContext) {
+      window.OfflineAudioContext = new Proxy(OriginalOfflineAudioContext, {
+        construct(target, args, newTarget) {
+          const instance = Reflect.construct(target, args, newTarget);
+          if (window.__otherTabLocked) {
+            return instance;
+          }
+
+          createContextCapture(instance);
+
+          // Notify collector handler if already registered
+          if (window.__audioContextCollectorHandler) {
+            window.__audioContextCollectorHandler(instance, args);
+          }
+
+          console.log('[AudioInspector] Early: OfflineAudioContext created (' + instance.length + ' frames, ' +
+            instance.sampleRate + 'Hz, ' + instance.destination.channelCount + 'ch)');
+          return instance;
+        }
+      });
+
+      if (window.webkitOfflineAudioContext) {
+        window.webkitOfflineAudioContext = window.OfflineAudioContext;
+      }
+
+      // BaseAudioContext factory'leri - AudioContext-only metodlar (createMediaStreamSource vb.) offline'da yok
+      const OfflineContextProto = OriginalOfflineAudioContext.prototype;
+      METHODS_TO_HOOK.forEach(methodName => {
+        if (typeof OfflineContextProto[methodName] === 'function' && typeof AudioContextProto[methodName] === 'function') {
+          OfflineContextProto[methodName] = AudioContextProto[methodName];
+        }
+      });
+
+      // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+      const getOfflineRenderingMap = () => {
+        const existing = window.__audioInspectorOfflineRenderings;
+        if (existing && typeof existing.get === 'function' && typeof existing.set === 'function') {
+          return existing;
+        }
+        const map = new WeakMap();
+        window.__audioInspectorOfflineRenderings = map;
+        return map;
+      };
+
+      // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+      const recordOfflineRendering = (ctx, rendering) => {
+        const map = getOfflineRenderingMap();
+        const renderings = map.get(ctx) || [];
+        renderings.push(rendering);
+        if (renderings.length > MAX_OFFLINE_RENDERINGS) {
+          renderings.shift();
+        }
+        map.set(ctx, renderings);
+
+        if (window.__offlineRenderingHandler) {
+          window.__offlineRenderingHandler(ctx);
+        }
+      };
+
+      // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+      const finishOfflineRendering = (ctx, rendering, startTime, error) => {
+        rendering.durationMs = Math.round((performance.now() - startTime) * 10) / 10;
+        rendering.status = error ? 'error' : 'complete';
+        rendering.error = error ? `${error.name}: ${error.message}` : null;
+
+        if (window.__offlineRenderingHandler) {
+          window.__offlineRenderingHandler(ctx);
+        }
+        console.log('[AudioInspector] Early: startRendering() ' + rendering.status + ' in ' + rendering.durationMs + 'ms (' +
+          rendering.renderedSec.toFixed(2) + 's of audio)');
+      };
+
+      if (typeof OfflineContextProto.startRendering === 'function') {
+        const originalStartRendering = OfflineContextProto.startRendering;
+        OfflineContextProto.startRendering = function(...args) {
+          const startTime = performance.now();
+          const result = originalStartRendering.apply(this, args);
+          if (window.__otherTabLocked) {
+            return result;
+          }
+
+          const rendering = {
+            startedAt: Date.now(),
+            durationMs: null,
+            renderedSec: this.length / this.sampleRate,
+            status: 'rendering',
+            error: null
+          };
+          recordOfflineRendering(this, rendering);
+
+          // Legacy webkit: startRendering() returns undefined, result arrives via 'complete' event
+          if (result && typeof result.then === 'function') {
+            result.then(
+              () => finishOfflineRendering(this, rendering, startTime, null),
+              (err) => finishOfflineRendering(this, rendering, startTime, err)
+            );
+          } else {
+            this.addEventListener('complete', () => finishOfflineRendering(this, rendering, startTime, null), { once: true });
+          }
+          return result;
+        };
+        window.__audioInspectorStartRenderingHooked = true;
+      }
+
+      console.log('[AudioInspector] Early: Hooked OfflineAudioContext constructor, factory methods and startRendering');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // SCRIPTPROCESSORNODE onaudioprocess PROFILING (main-thread callbacks)
+    // Property + addEventListener forms are wrapped; page code still sees
+    // its own handler. Profile: handler time vs bufferSize / sampleRate
+    // budget, interval jitter, missed callbacks.
+    // ═══════════════════════════════════════════════════════════════════
+    const ScriptProcessorProto = window.ScriptProcessorNode?.prototype;
+    if (ScriptProcessorProto) {
+      // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+      const getAudioProcessProfileMap = () => {
+        const existing = window.__audioInspectorAudioProcessProfiles;
+        if (existing && typeof existing.get === 'function' && typeof existing.set === 'function') {
+          return existing;
+        }
+        const map = new WeakMap();
+        window.__audioInspectorAudioProcessProfiles = map;
+        return map;
+      };
+
+      // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+      const recordAudioProcess = (node, event, startTime, execMs) => {
+        const map = getAudioProcessProfileMap();
+        let profile = map.get(node);
+        if (!profile) {
+          profile = {
+            budgetMs: (node.bufferSize / node.context.sampleRate) * 1000,
+            callbacks: 0,
+            totalExecMs: 0,
+            maxExecMs: 0,
+            overBudgetCount: 0,
+            lastOverBudgetAt: null,
+            missedCallbacks: 0,
+            totalJitterMs: 0,
+            maxJitterMs: 0,
+            jitterSamples: 0,
+            lastStart: null,
+            currentKey: null,
+            currentExecMs: 0,
+            currentOverBudget: false
+          };
+          map.set(node, profile);
+        }
+
+        // playbackTime her callback'te farklı - aynı event'in diğer handler'ları aynı callback'e yazılır
+        const callbackKey = event?.playbackTime ?? event;
+        if (callbackKey !== profile.currentKey) {
+          if (profile.lastStart !== null) {
+            const interval = startTime - profile.lastStart;
+            const missed = Math.max(0, Math.round(interval / profile.budgetMs) - 1);
+            if (missed > 0) {
+              profile.missedCallbacks += missed;
+            } else {
+              const jitter = Math.abs(interval - profile.budgetMs);
+              profile.totalJitterMs += jitter;
+              profile.jitterSamples++;
+              if (jitter > profile.maxJitterMs) profile.maxJitterMs = jitter;
+            }
+          }
+          profile.callbacks++;
+          profile.lastStart = startTime;
+          profile.currentKey = callbackKey;
+          profile.currentExecMs = 0;
+          profile.currentOverBudget = false;
+        }
+
+        profile.currentExecMs += execMs;
+        profile.totalExecMs += execMs;
+        if (profile.currentExecMs > profile.maxExecMs) profile.maxExecMs = profile.currentExecMs;
+        if (!profile.currentOverBudget && profile.currentExecMs > profile.budgetMs) {
+          profile.currentOverBudget = true;
+          profile.overBudgetCount++;
+          profile.lastOverBudgetAt = Date.now();
+        }
+      };
+
+      // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+      const isAudioProcessProfilingActive = () => window.__audioInspectorEnabled && !window.__otherTabLocked;
+
+      // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+      // Inspector kapalıyken orijinal handler doğrudan çağrılır (timing yok)
+      const wrapAudioProcessHandler = (node, handler) => function(event) {
+        if (!isAudioProcessProfilingActive()) {
+          return typeof handler === 'function' ? handler.call(this, event) : handler.handleEvent(event);
+        }
+        const startTime = performance.now();
+        try {
+          return typeof handler === 'function' ? handler.call(this, event) : handler.handleEvent(event);
+        } finally {
+          recordAudioProcess(node, event, startTime, performance.now() - startTime);
+        }
+      };
+
+      const handlerDescriptor = Object.getOwnPropertyDescriptor(ScriptProcessorProto, 'onaudioprocess');
+      if (handlerDescriptor?.get && handlerDescriptor?.set) {
+        const originalGet = handlerDescriptor.get;
+        const originalSet = handlerDescriptor.set;
+        const originalHandlers = new WeakMap();
+
+        Object.defineProperty(ScriptProcessorProto, 'onaudioprocess', {
+          configurable: true,
+          enumerable: handlerDescriptor.enumerable,
+          get() {
+            return originalHandlers.get(this) ?? originalGet.call(this);
+          },
+          set(handler) {
+            if (typeof handler !== 'function' || window.__otherTabLocked) {
+              originalHandlers.delete(this);
+              originalSet.call(this, handler);
+              return;
+            }
+            originalHandlers.set(this, handler);
+            originalSet.call(this, wrapAudioProcessHandler(this, handler));
+          }
+        });
+      }
+
+      const originalSPAddEventListener = ScriptProcessorProto.addEventListener;
+      const originalSPRemoveEventListener = ScriptProcessorProto.removeEventListener;
+      const wrappedListeners = new WeakMap();
+
+      // Aynı listener → aynı wrapper (EventTarget duplicate kontrolü korunur)
+      ScriptProcessorProto.addEventListener = function(type, listener, options) {
+        if (type !== 'audioprocess' || !listener || window.__otherTabLocked) {
+          return originalSPAddEventListener.call(this, type, listener, options);
+        }
+        let wrappers = wrappedListeners.get(this);
+        if (!wrappers) {
+          wrappers = new Map();
+          wrappedListeners.set(this, wrappers);
+        }
+        let wrapped = wrappers.get(listener);
+        if (!wrapped) {
+          wrapped = wrapAudioProcessHandler(this, listener);
+          wrappers.set(listener, wrapped);
+        }
+        return originalSPAddEventListener.call(this, type, wrapped, options);
+      };
+
+      ScriptProcessorProto.removeEventListener = function(type, listener, options) {
+        const wrapped = type === 'audioprocess' ? wrappedListeners.get(this)?.get(listener) : undefined;
+        return originalSPRemoveEventListener.call(this, type, wrapped || listener, options);
+      };
+
+      window.__audioInspectorAudioProcessHooked = true;
+      console.log('[AudioInspector] Early: Hooked ScriptProcessorNode onaudioprocess');
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // AUDIONODE CONSTRUCTOR HOOKS - new GainNode(ctx, options), ...
+    // Factory method'lar constructor'dan geçmez → çift kayıt yok.
+    // EarlyHook.js constructor'ları hook'lamaz → collector'a burada bildirilir.
+    // ═══════════════════════════════════════════════════════════════════
+    let hookedConstructorCount = 0;
+    for (const [methodType, config] of Object.entries(NODE_TYPE_CONFIGS)) {
+      const OriginalNode = config.ctor && window[config.ctor];
+      if (!OriginalNode) continue;
+
+      window[config.ctor] = new Proxy(OriginalNode, {
+        construct(target, args, newTarget) {
+          const instance = Reflect.construct(target, args, newTarget);
+          if (window.__otherTabLocked || isCreatingInternalNode()) {
+            return instance;
+          }
+
+          // Realtime + offline context'ler (factory hook'larıyla aynı kapsam)
+          const ctx = instance.context;
+          if (!(ctx instanceof OriginalAudioContext) && !isOfflineContext(ctx)) {
+            return instance;
+          }
+
+          const capture = getOrCreateContextCapture(ctx, '(constructor)');
+          const methodCallData = recordNodeCreation(capture, methodType, instance, [], args[1]);
+
+          if (window.__audioContextMethodCallHandler) {
+            window.__audioContextMethodCallHandler(ctx, methodCallData);
+          }
+          return instance;
+        }
+      });
+      hookedConstructorCount++;
+    }
+
+    console.log(`[AudioInspector] Early: Hooked ${hookedConstructorCount} AudioNode constructors`);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // AudioRenderCapacity Hook - did the page call start()?
+    // start() reconfigures a running instance instead of throwing, so
+    // render-monitor.js only starts it when the page has not (keeps the
+    // page's updateInterval). Our own start() sets the internal flag.
+    // ═══════════════════════════════════════════════════════════════════
+    const RenderCapacityProto = window.AudioRenderCapacity?.prototype;
+    if (RenderCapacityProto && typeof RenderCapacityProto.start === 'function') {
+      const pageStartedCapacities = new WeakSet();
+      const originalCapacityStart = RenderCapacityProto.start;
+      const originalCapacityStop = RenderCapacityProto.stop;
+
+      RenderCapacityProto.start = function(...args) {
+        if (!window.__audioInspectorStartingRenderCapacity) {
+          pageStartedCapacities.add(this);
+        }
+        return originalCapacityStart.apply(this, args);
+      };
+      RenderCapacityProto.stop = function(...args) {
+        pageStartedCapacities.delete(this);
+        return originalCapacityStop.apply(this, args);
+      };
+
+      window.__isRenderCapacityStartedByPage = (capacity) => pageStartedCapacities.has(capacity);
+      console.log('[AudioInspector] Early: Hooked AudioRenderCapacity start/stop');
+    }
+
     // ═══════════════════════════════════════════════════════════════════
     // AnalyserNode Usage Detection Hooks
     // Determines if analyser is used for spectrum visualization or waveform/VU meter
@@ -968,7 +1613,7 @@
 
     // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
     const markAnalyserUsage = (node, usageType) => {
-      if (!node) return;
+      if (!node || isInternalNode(node)) return;
       const map = getAnalyserUsageMap();
       // First call wins - don't overwrite existing usage type
       if (!map.has(node)) {
@@ -1066,10 +1711,100 @@
     if (!id) {
       id = getNextNodeId();
       map.set(node, id);
+      registerNodeRef(id, node);
     }
     return id;
   };
 
+  // ═══════════════════════════════════════════════════════════════════
+  // AudioParam Owner Registry
+  // AudioParam kendi node'unu bilmez → node'un param getter'ları (gain.gain,
+  // filter.frequency, ...) okunduğunda param → { node, name } kaydedilir.
+  // Sayfa bir param'a bağlanmak / otomasyon yapmak için getter'ı okumak zorunda,
+  // bu yüzden document_start'ta kurulan getter hook'ları tüm param'ları görür.
+  // ═══════════════════════════════════════════════════════════════════
+
+  /**
+   * AudioParam properties per AudioNode class (AudioWorkletNode → parameters map)
+   */
+  const AUDIO_PARAM_PROPERTIES = {
+    GainNode: ['gain'],
+    BiquadFilterNode: ['frequency', 'detune', 'Q', 'gain'],
+    DelayNode: ['delayTime'],
+    OscillatorNode: ['frequency', 'detune'],
+    StereoPannerNode: ['pan'],
+    DynamicsCompressorNode: ['threshold', 'knee', 'ratio', 'attack', 'release'],
+    ConstantSourceNode: ['offset'],
+    AudioBufferSourceNode: ['playbackRate', 'detune'],
+    PannerNode: ['positionX', 'positionY', 'positionZ', 'orientationX', 'orientationY', 'orientationZ']
+  };
+
+  /** @type {WeakMap<AudioParam, {node: AudioNode, name: string}>} */
+  const paramOwners = new WeakMap();
+
+  const registerParamOwner = (param, node, name) => {
+    if (param && !paramOwners.has(param)) {
+      paramOwners.set(param, { node, name });
+    }
+  };
+
+  const hookParamGetter = (proto, name) => {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+    if (!descriptor?.get) return;
+    const originalGet = descriptor.get;
+    Object.defineProperty(proto, name, {
+      ...descriptor,
+      get() {
+        const param = originalGet.call(this);
+        registerParamOwner(param, this, name);
+        return param;
+      }
+    });
+  };
+
+  if (typeof AudioParam !== 'undefined') {
+    for (const [className, names] of Object.entries(AUDIO_PARAM_PROPERTIES)) {
+      const proto = window[className]?.prototype;
+      if (proto) names.forEach(name => hookParamGetter(proto, name));
+    }
+
+    // AudioWorkletNode.parameters → AudioParamMap (custom param isimleri)
+    const workletProto = window.AudioWorkletNode?.prototype;
+    const parametersDescriptor = workletProto && Object.getOwnPropertyDescriptor(workletProto, 'parameters');
+    if (parametersDescriptor?.get) {
+      const originalGet = parametersDescriptor.get;
+      Object.defineProperty(workletProto, 'parameters', {
+        ...parametersDescriptor,
+        get() {
+          const map = originalGet.call(this);
+          map?.forEach((param, name) => registerParamOwner(param, this, `parameters.${name}`));
+          return map;
+        }
+      });
+    }
+
+    console.log('[AudioInspector] Early: Hooked AudioParam getters (owner registry)');
+  }
+
+  /**
+   * Describe an AudioParam connection target
+   * Owner bilinmiyorsa eski format korunur (destId 'param')
+   * @param {AudioParam} param
+   * @returns {{destType: string, destId: string, destParam: string|null, destOwnerType: string|null}}
+   */
+  const describeAudioParam = (param) => {
+    const owner = paramOwners.get(param);
+    if (!owner) {
+      return { destType: 'AudioParam(unknown)', destId: 'param', destParam: null, destOwnerType: null };
+    }
+    return {
+      destType: `AudioParam(${owner.name})`,
+      destId: getNodeId(owner.node),
+      destParam: owner.name,
+      destOwnerType: getNodeTypeName(owner.node)
+    };
+  };
+
   // Hook AudioNode.prototype.connect
   if (typeof AudioNode !== 'undefined' && AudioNode.prototype.connect) {
     const originalConnect = AudioNode.prototype.connect;
@@ -1086,16 +1821,20 @@
         return result;
       }
 
+      // Inspector's own analysis tap (LoudnessCollector) - not part of the page graph
+      if (isInternalNode(this) || isInternalNode(destination)) {
+        return result;
+      }
+
       // Capture connection info
       const sourceType = getNodeTypeName(this);
       const sourceId = getNodeId(this);
 
-      // Destination can be AudioNode or AudioParam
+      // Destination can be AudioNode or AudioParam (modulation: owner node + param name)
       const isAudioParam = destination instanceof AudioParam;
-      const destType = isAudioParam
-        ? `AudioParam(${destination.constructor?.name || 'param'})`
-        : getNodeTypeName(destination);
-      const destId = isAudioParam ? 'param' : getNodeId(destination);
+      const paramTarget = isAudioParam ? describeAudioParam(destination) : null;
+      const destType = paramTarget ? paramTarget.destType : getNodeTypeName(destination);
+      const destId = paramTarget ? paramTarget.destId : getNodeId(destination);
       const contextId = getOrAssignContextId(this.context);
 
       const connection = {
@@ -1104,6 +1843,8 @@
         sourceId,
         destType,
         destId,
+        destParam: paramTarget?.destParam ?? null,
+        destOwnerType: paramTarget?.destOwnerType ?? null,
         outputIndex: outputIndex ?? 0,
         inputIndex: inputIndex ?? 0,
         timestamp: Date.now(),
@@ -1173,6 +1914,11 @@
         return result;
       }
 
+      // Inspector's own analysis tap (LoudnessCollector) - not part of the page graph
+      if (isInternalNode(this) || isInternalNode(args[0])) {
+        return result;
+      }
+
       const sourceType = getNodeTypeName(this);
       const sourceId = getNodeId(this);
       const contextId = getOrAssignContextId(this.context);
@@ -1199,13 +1945,12 @@
       }
 
       const isAudioParam = destination instanceof AudioParam;
+      const paramTarget = isAudioParam ? describeAudioParam(destination) : null;
       const destType = destination
-        ? (isAudioParam
-          ? `AudioParam(${destination.constructor?.name || 'param'})`
-          : getNodeTypeName(destination))
+        ? (paramTarget ? paramTarget.destType : getNodeTypeName(destination))
         : null;
       const destId = destination
-        ? (isAudioParam ? 'param' : getNodeId(destination))
+        ? (paramTarget ? paramTarget.destId : getNodeId(destination))
         : null;
 
       const disconnection = {
@@ -1214,6 +1959,7 @@
         sourceId,
         destType,
         destId,
+        destParam: paramTarget?.destParam ?? null,
         outputIndex: outputIdx,
         inputIndex: inputIdx,
         timestamp: Date.now(),
@@ -1233,20 +1979,344 @@
   }
 
   // ═══════════════════════════════════════════════════════════════════
-  // AudioWorkletNode Constructor Hook - Early Capture for VU Meters
-  // Captures AudioWorkletNode instances (e.g., peak-worklet-processor)
-  // BEFORE inspector starts, ensuring UI consistency on refresh vs initial start
+  // AudioParam Automation Hooks
+  // setValueAtTime / ramps / setTargetAtTime / curves / cancel + value setter
+  // Param başına timeline: owner node + son AUTOMATION_EVENT_LIMIT event.
+  // Timeline'da AudioContext tutulmaz (postMessage ile klonlanamaz).
   // ═══════════════════════════════════════════════════════════════════
-  const OriginalAudioWorkletNode = window.AudioWorkletNode;
-  if (OriginalAudioWorkletNode) {
-    window.AudioWorkletNode = new Proxy(OriginalAudioWorkletNode, {
-      construct(target, args, newTarget) {
-        const instance = Reflect.construct(target, args, newTarget);
+  const AUTOMATION_EVENT_LIMIT = 20;
+  const AUTOMATION_TIMELINE_LIMIT = 200;
+  const AUTOMATION_NOTIFY_MS = 250;       // Handler en fazla bu aralıkla çağrılır (per-frame setter'lar)
 
-        // ═══════════════════════════════════════════════════════════════════
-        // EARLY RETURN: Skip capture if another tab is locked
-        // Prevents memory waste from capturing data in inactive tabs
-        // ═══════════════════════════════════════════════════════════════════
+  // Timeline'lar referansla tutulur → bekleyen set flush anında güncel veriyi taşır
+  const pendingAutomationTimelines = new Set();
+  let automationNotifyTimer = null;
+
+  /**
+   * @param {AudioParam} param
+   * @returns {Object|null} Timeline (null → owner bilinmiyor veya internal node)
+   */
+  const getParamTimeline = (param) => {
+    const existing = paramTimelines.get(param);
+    if (existing) return existing;
+
+    const owner = paramOwners.get(param);
+    if (!owner || isInternalNode(owner.node)) return null;
+
+    const timeline = {
+      ownerId: getNodeId(owner.node),
+      ownerType: getNodeTypeName(owner.node),
+      param: owner.name,
+      contextId: getOrAssignContextId(owner.node.context),
+      defaultValue: param.defaultValue,
+      minValue: param.minValue,
+      maxValue: param.maxValue,
+      events: [],
+      updatedAt: Date.now()
+    };
+    paramTimelines.set(param, timeline);
+
+    const timelines = window.__earlyCaptures.paramAutomation;
+    timelines.push(timeline);
+    if (timelines.length > AUTOMATION_TIMELINE_LIMIT) timelines.shift();
+    return timeline;
+  };
+
+  /**
+   * Notify the collector about changed timelines (trailing throttle)
+   * @param {Object} timeline
+   */
+  const notifyParamAutomation = (timeline) => {
+    pendingAutomationTimelines.add(timeline);
+    if (automationNotifyTimer !== null) return;
+
+    automationNotifyTimer = setTimeout(() => {
+      automationNotifyTimer = null;
+      const handler = window.__audioParamAutomationHandler;
+      if (handler) pendingAutomationTimelines.forEach(pending => handler(pending));
+      pendingAutomationTimelines.clear();
+    }, AUTOMATION_NOTIFY_MS);
+  };
+
+  /**
+   * Append an automation event and notify the collector
+   * Only while inspecting this tab - pages set params every frame, idle pages pay nothing.
+   * @param {AudioParam} param
+   * @param {Object} event - { method, value?, time?, ... }
+   */
+  const recordParamAutomation = (param, event) => {
+    if (!window.__audioInspectorEnabled || window.__otherTabLocked) return;
+    const timeline = getParamTimeline(param);
+    if (!timeline) return;
+
+    const owner = paramOwners.get(param);
+    const now = Date.now();
+    const events = timeline.events;
+    const last = events[events.length - 1];
+
+    // Art arda value setter (ör. her frame'de gain.value = x) → tek event + count
+    if (event.method === 'value' && last?.method === 'value') {
+      last.value = event.value;
+      last.count = (last.count || 1) + 1;
+      last.contextTime = owner?.node.context?.currentTime ?? null;
+      last.timestamp = now;
+    } else {
+      events.push({
+        ...event,
+        contextTime: owner?.node.context?.currentTime ?? null,
+        timestamp: now
+      });
+      if (events.length > AUTOMATION_EVENT_LIMIT) events.shift();
+    }
+    timeline.updatedAt = now;
+
+    notifyParamAutomation(timeline);
+  };
+
+  if (typeof AudioParam !== 'undefined') {
+    const automationMethods = {
+      setValueAtTime: (value, time) => ({ value, time }),
+      linearRampToValueAtTime: (value, endTime) => ({ value, time: endTime }),
+      exponentialRampToValueAtTime: (value, endTime) => ({ value, time: endTime }),
+      setTargetAtTime: (target, startTime, timeConstant) => ({ value: target, time: startTime, timeConstant }),
+      setValueCurveAtTime: (values, startTime, duration) => ({
+        value: values?.length ? values[values.length - 1] : null,
+        time: startTime,
+        duration,
+        curveLength: values?.length ?? 0
+      }),
+      cancelScheduledValues: (cancelTime) => ({ time: cancelTime }),
+      cancelAndHoldAtTime: (cancelTime) => ({ time: cancelTime })
+    };
+
+    for (const [method, describe] of Object.entries(automationMethods)) {
+      const original = AudioParam.prototype[method];
+      if (typeof original !== 'function') continue;
+
+      AudioParam.prototype[method] = function(...args) {
+        // Önce orijinal - geçersiz argümanlar (RangeError) kaydedilmez
+        const result = original.apply(this, args);
+        recordParamAutomation(this, { method, ...describe(...args) });
+        return result;
+      };
+    }
+
+    const valueDescriptor = Object.getOwnPropertyDescriptor(AudioParam.prototype, 'value');
+    if (valueDescriptor?.set) {
+      const originalSet = valueDescriptor.set;
+      Object.defineProperty(AudioParam.prototype, 'value', {
+        ...valueDescriptor,
+        set(value) {
+          originalSet.call(this, value);
+          recordParamAutomation(this, { method: 'value', value });
+        }
+      });
+    }
+
+    console.log('[AudioInspector] Early: Hooked AudioParam automation methods');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // AudioWorkletNode Port Traffic - node ⇄ processor messages
+  // toProcessor: node.port.postMessage() / fromProcessor: port.onmessage +
+  // 'message' listeners. Per direction: count, bytes, msg/s, bytes/s,
+  // transferables; plus a sampled log (payload shape, not the payload).
+  // ═══════════════════════════════════════════════════════════════════
+  // ⚠️ SYNC: Same limits in EarlyHook.js
+  const PORT_LOG_LIMIT = 20;              // Sampled log entries per node
+  const PORT_LOG_SAMPLE_MS = 500;         // Same shape → at most one entry per direction per interval
+  const PORT_RATE_WINDOW_MS = 1000;
+  const PORT_SHAPE_KEY_LIMIT = 12;        // Object keys / array items inspected per level
+  const PORT_TRAFFIC_NODE_LIMIT = 50;
+
+  // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+  const describePortValue = (value, depth) => {
+    if (value === null || value === undefined) return { shape: String(value), bytes: 0 };
+    if (ArrayBuffer.isView(value)) {
+      return { shape: `${value.constructor.name}(${value.length ?? value.byteLength})`, bytes: value.byteLength };
+    }
+    if (value instanceof ArrayBuffer) return { shape: `ArrayBuffer(${value.byteLength})`, bytes: value.byteLength };
+    if (typeof value === 'string') {
+      return { shape: value.length <= 24 ? JSON.stringify(value) : `string(${value.length})`, bytes: value.length * 2 };
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') return { shape: String(value), bytes: 8 };
+    if (typeof value !== 'object') return { shape: typeof value, bytes: 0 };
+    if (typeof MessagePort !== 'undefined' && value instanceof MessagePort) return { shape: 'MessagePort', bytes: 0 };
+
+    // Derin nesnelerde shape kısalır, bytes ilk PORT_SHAPE_KEY_LIMIT öğeden tahmin edilir
+    if (Array.isArray(value)) {
+      const items = value.slice(0, PORT_SHAPE_KEY_LIMIT).map(item => describePortValue(item, depth + 1));
+      const sampleBytes = items.reduce((sum, item) => sum + item.bytes, 0);
+      const bytes = items.length > 0 ? Math.round(sampleBytes * (value.length / items.length)) : 0;
+      const itemShape = items.length > 0 && depth === 0 ? `<${items[0].shape}>` : '';
+      return { shape: `Array${itemShape}(${value.length})`, bytes };
+    }
+    const keys = Object.keys(value);
+    let bytes = 0;
+    const fields = keys.slice(0, PORT_SHAPE_KEY_LIMIT).map(key => {
+      const field = depth < 3 ? describePortValue(value[key], depth + 1) : { shape: '…', bytes: 0 };
+      bytes += field.bytes + key.length * 2;
+      return `${key}: ${field.shape}`;
+    });
+    if (depth > 0) return { shape: `{${keys.length} key${keys.length === 1 ? '' : 's'}}`, bytes };
+    if (keys.length > fields.length) fields.push(`+${keys.length - fields.length}`);
+    return { shape: `{${fields.join(', ')}}`, bytes };
+  };
+
+  // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+  const createPortDirectionStats = () => ({
+    count: 0,
+    bytes: 0,
+    transferables: 0,
+    rate: 0,            // msg/s over the last completed window
+    bytesPerSec: 0,
+    lastAt: null,
+    windowStart: 0,
+    windowCount: 0,
+    windowBytes: 0,
+    lastShape: null,
+    lastLoggedAt: 0
+  });
+
+  const getPortTrafficRecord = (node, processorName) => {
+    let record = portTrafficRecords.get(node);
+    if (record) return record;
+
+    record = {
+      nodeId: getNodeId(node),
+      processorName: processorName || null,
+      contextId: getOrAssignContextId(node.context),
+      toProcessor: createPortDirectionStats(),
+      fromProcessor: createPortDirectionStats(),
+      log: [],
+      updatedAt: Date.now()
+    };
+    portTrafficRecords.set(node, record);
+
+    const records = window.__earlyCaptures.portTraffic;
+    records.push(record);
+    if (records.length > PORT_TRAFFIC_NODE_LIMIT) records.shift();
+    return record;
+  };
+
+  // Port'lar render hızında buffer taşıyabilir → describePortValue walk sadece inspect edilirken
+  // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+  const isPortTrafficActive = () => window.__audioInspectorEnabled && !window.__otherTabLocked;
+
+  // ⚠️ SYNC: Duplicate in EarlyHook.js - keep both in sync
+  const recordPortMessage = (record, direction, message, transferables) => {
+    const now = Date.now();
+    const { shape, bytes } = describePortValue(message, 0);
+    const stats = record[direction];
+
+    stats.count++;
+    stats.bytes += bytes;
+    stats.transferables += transferables;
+    stats.lastAt = now;
+    if (now - stats.windowStart >= PORT_RATE_WINDOW_MS) {
+      if (stats.windowStart > 0) {
+        const elapsed = now - stats.windowStart;
+        stats.rate = Math.round((stats.windowCount * 1000 / elapsed) * 10) / 10;
+        stats.bytesPerSec = Math.round(stats.windowBytes * 1000 / elapsed);
+      }
+      stats.windowStart = now;
+      stats.windowCount = 0;
+      stats.windowBytes = 0;
+    }
+    stats.windowCount++;
+    stats.windowBytes += bytes;
+
+    // Yeni shape her zaman loglanır, tekrarlar PORT_LOG_SAMPLE_MS'de bir
+    if (shape !== stats.lastShape || now - stats.lastLoggedAt >= PORT_LOG_SAMPLE_MS) {
+      record.log.push({ direction, timestamp: now, shape, bytes, transferables });
+      if (record.log.length > PORT_LOG_LIMIT) record.log.shift();
+      stats.lastShape = shape;
+      stats.lastLoggedAt = now;
+    }
+    record.updatedAt = now;
+
+    if (window.__audioWorkletPortTrafficHandler) {
+      window.__audioWorkletPortTrafficHandler(record);
+    }
+  };
+
+  /**
+   * Instrument node.port in both directions (instance-level, page sees its own handlers)
+   * @param {AudioWorkletNode} node
+   * @param {string} processorName
+   */
+  const hookWorkletPortTraffic = (node, processorName) => {
+    const port = node.port;
+    if (!port || typeof port.postMessage !== 'function') return;
+
+    const originalPostMessage = port.postMessage;
+    port.postMessage = function(message, transfer) {
+      if (isPortTrafficActive()) {
+        const transferList = Array.isArray(transfer) ? transfer : transfer?.transfer;
+        recordPortMessage(getPortTrafficRecord(node, processorName), 'toProcessor', message,
+          Array.isArray(transferList) ? transferList.length : 0);
+      }
+      return originalPostMessage.apply(this, arguments);
+    };
+
+    // onmessage + listener'lar aynı event'i alır → event başına bir kayıt
+    let lastEvent = null;
+    const wrapListener = (listener) => function(event) {
+      if (event !== lastEvent && isPortTrafficActive()) {
+        lastEvent = event;
+        recordPortMessage(getPortTrafficRecord(node, processorName), 'fromProcessor', event?.data, event?.ports?.length || 0);
+      }
+      return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+    };
+
+    const handlerDescriptor = Object.getOwnPropertyDescriptor(MessagePort.prototype, 'onmessage');
+    if (handlerDescriptor?.get && handlerDescriptor?.set) {
+      let pageHandler = null;
+      Object.defineProperty(port, 'onmessage', {
+        configurable: true,
+        enumerable: true,
+        get() {
+          return pageHandler ?? handlerDescriptor.get.call(this);
+        },
+        set(handler) {
+          pageHandler = typeof handler === 'function' ? handler : null;
+          handlerDescriptor.set.call(this, pageHandler ? wrapListener(pageHandler) : handler);
+        }
+      });
+    }
+
+    const originalAddEventListener = port.addEventListener;
+    const originalRemoveEventListener = port.removeEventListener;
+    const wrappedListeners = new Map();
+    port.addEventListener = function(type, listener, options) {
+      if (type !== 'message' || !listener) {
+        return originalAddEventListener.call(this, type, listener, options);
+      }
+      if (!wrappedListeners.has(listener)) wrappedListeners.set(listener, wrapListener(listener));
+      return originalAddEventListener.call(this, type, wrappedListeners.get(listener), options);
+    };
+    port.removeEventListener = function(type, listener, options) {
+      const wrapped = type === 'message' ? wrappedListeners.get(listener) : undefined;
+      return originalRemoveEventListener.call(this, type, wrapped || listener, options);
+    };
+  };
+  window.__audioInspectorPortTrafficHooked = true;
+
+  // ═══════════════════════════════════════════════════════════════════
+  // AudioWorkletNode Constructor Hook - Early Capture for VU Meters
+  // Captures AudioWorkletNode instances (e.g., peak-worklet-processor)
+  // BEFORE inspector starts, ensuring UI consistency on refresh vs initial start
+  // ═══════════════════════════════════════════════════════════════════
+  const OriginalAudioWorkletNode = window.AudioWorkletNode;
+  if (OriginalAudioWorkletNode) {
+    window.AudioWorkletNode = new Proxy(OriginalAudioWorkletNode, {
+      construct(target, args, newTarget) {
+        const instance = Reflect.construct(target, args, newTarget);
+
+        // ═══════════════════════════════════════════════════════════════════
+        // EARLY RETURN: Skip capture if another tab is locked
+        // Prevents memory waste from capturing data in inactive tabs
+        // ═══════════════════════════════════════════════════════════════════
         if (window.__otherTabLocked) {
           return instance;
         }
@@ -1268,6 +2338,7 @@
         };
 
         window.__earlyCaptures.audioWorkletNodes.push(capture);
+        hookWorkletPortTraffic(instance, processorName);
 
         // Notify collector handler if already registered (real-time capture)
         if (window.__audioWorkletNodeHandler) {
@@ -1471,6 +2542,28 @@
     });
 
     console.log('[AudioInspector] Early: Hooked MediaRecorder constructor');
+
+    // ═══════════════════════════════════════════════════════════════════
+    // MediaRecorder.start(timeslice) - chunk cadence for MediaRecorderCollector
+    // Shared WeakMap: recorder → { timeslice, startedAt } (collector reads it on
+    // 'start' event; also covers recorders started before the inspector was enabled)
+    // ⚠️ SYNC with EarlyHook.js hookMediaRecorderStart (fallback path)
+    // ═══════════════════════════════════════════════════════════════════
+    if (!window.__audioInspectorRecorderStarts) {
+      window.__audioInspectorRecorderStarts = new WeakMap();
+    }
+    const originalRecorderStart = OriginalMediaRecorder.prototype.start;
+    OriginalMediaRecorder.prototype.start = function(timeslice) {
+      if (!window.__otherTabLocked) {
+        const startInfo = {
+          timeslice: typeof timeslice === 'number' ? timeslice : null,
+          startedAt: Date.now()
+        };
+        window.__audioInspectorRecorderStarts.set(this, startInfo);
+      }
+      return originalRecorderStart.apply(this, arguments);
+    };
+    window.__audioInspectorMediaRecorderStartHooked = true;
   }
 
   // ═══════════════════════════════════════════════════════════════════
@@ -1482,47 +2575,62 @@
   // WeakMap to store Worker metadata (filename, isEncoder) for postMessage hook
   const workerMetadataMap = new WeakMap();
 
-  if (OriginalWorker) {
-    // Keywords that indicate an encoder/audio worker
-    // ⚠️ SYNC: Keep in sync with src/core/constants.js → ENCODER_KEYWORDS
-    const ENCODER_KEYWORDS = [
-      'encoder', 'opus', 'ogg', 'mp3', 'aac', 'vorbis', 'flac',
-      'lame', 'audio', 'media', 'wasm', 'codec', 'voice', 'recorder'
-    ];
+  // Keywords that indicate an encoder/audio worker
+  // ⚠️ SYNC: Keep in sync with src/core/constants.js → ENCODER_KEYWORDS
+  const ENCODER_KEYWORDS = [
+    'encoder', 'opus', 'ogg', 'mp3', 'aac', 'vorbis', 'flac',
+    'lame', 'audio', 'media', 'wasm', 'codec', 'voice', 'recorder'
+  ];
 
-    /**
-     * Extract useful info from Worker URL
-     * @param {string|URL} url
-     * @returns {{url: string, filename: string, isEncoder: boolean, domain: string|null}}
-     */
-    const analyzeWorkerUrl = (url) => {
-      const urlStr = url instanceof URL ? url.href : String(url);
-      const urlLower = urlStr.toLowerCase();
+  /**
+   * Extract useful info from Worker URL
+   * @param {string|URL} url
+   * @returns {{url: string, filename: string, isEncoder: boolean, domain: string|null}}
+   */
+  const analyzeWorkerUrl = (url) => {
+    const urlStr = url instanceof URL ? url.href : String(url);
+    const urlLower = urlStr.toLowerCase();
 
-      // Extract filename from URL
-      let filename = '';
-      try {
-        const urlObj = new URL(urlStr, window.location.href);
-        filename = urlObj.pathname.split('/').pop() || '';
-      } catch {
-        filename = urlStr.split('/').pop() || '';
-      }
+    // Extract filename from URL
+    let filename = '';
+    try {
+      const urlObj = new URL(urlStr, window.location.href);
+      filename = urlObj.pathname.split('/').pop() || '';
+    } catch {
+      filename = urlStr.split('/').pop() || '';
+    }
 
-      // Extract domain
-      let domain = null;
-      try {
-        const urlObj = new URL(urlStr, window.location.href);
-        domain = urlObj.hostname;
-      } catch {
-        // Blob or data URL
-      }
+    // Extract domain
+    let domain = null;
+    try {
+      const urlObj = new URL(urlStr, window.location.href);
+      domain = urlObj.hostname;
+    } catch {
+      // Blob or data URL
+    }
 
-      // Check if it looks like an encoder worker
-      const isEncoder = ENCODER_KEYWORDS.some(kw => urlLower.includes(kw));
+    // Check if it looks like an encoder worker
+    const isEncoder = ENCODER_KEYWORDS.some(kw => urlLower.includes(kw));
 
-      return { url: urlStr, filename, isEncoder, domain };
-    };
+    return { url: urlStr, filename, isEncoder, domain };
+  };
 
+  // Blob URL UUIDs are meaningless as a filename (e.g., "8c4648b1-a60e-4760-96dd-cbe779af630e")
+  // UUID v4 format: 8-4-4-4-12 hex chars = exactly 36 chars with hyphens
+  const BLOB_UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  /**
+   * workerMetadataMap entry for a Worker / SharedWorker port
+   * @param {{url: string, filename: string, isEncoder: boolean}} analysis - analyzeWorkerUrl() result
+   * @returns {{filename: string|null, url: string, isEncoder: boolean}}
+   */
+  const createWorkerMeta = (analysis) => ({
+    filename: analysis.filename && BLOB_UUID_PATTERN.test(analysis.filename) ? null : analysis.filename,
+    url: analysis.url,
+    isEncoder: analysis.isEncoder
+  });
+
+  if (OriginalWorker) {
     window.Worker = new Proxy(OriginalWorker, {
       construct(target, args, newTarget) {
         const instance = Reflect.construct(target, args, newTarget);
@@ -1541,15 +2649,8 @@
           const analysis = analyzeWorkerUrl(workerUrl);
 
           // Store metadata in WeakMap for postMessage hook to access
-          // Skip Blob URL UUIDs - they're meaningless (e.g., "8c4648b1-a60e-4760-96dd-cbe779af630e")
-          // UUID v4 format: 8-4-4-4-12 hex chars = exactly 36 chars with hyphens
-          const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-          const isBlobUUID = analysis.filename && UUID_PATTERN.test(analysis.filename);
-          workerMetadataMap.set(instance, {
-            filename: isBlobUUID ? null : analysis.filename,
-            url: analysis.url,
-            isEncoder: analysis.isEncoder
-          });
+          const workerMeta = createWorkerMeta(analysis);
+          workerMetadataMap.set(instance, workerMeta);
 
           const capture = {
             instance,
@@ -1560,6 +2661,9 @@
             timestamp: Date.now()
           };
           window.__earlyCaptures.workers.push(capture);
+          hookWorkerEncodedOutput(instance);
+          workerMeta.capture = capture;
+          requestWorkerScan(workerMeta);
 
           // Note: Worker collector handler not implemented yet
           // Worker data is captured in __earlyCaptures.workers for later use
@@ -1582,6 +2686,228 @@
     console.log('[AudioInspector] Early: Hooked Worker constructor');
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // Worker encoder message analysis - shared by the Worker.postMessage and
+  // SharedWorker port.postMessage hooks (same init patterns, same handler)
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Detect codec type from message fields AND Worker URL
+  // Worker URL is more reliable for audio-worker-init pattern where message has no codec info
+  // ⚠️ SYNC: Similar logic in EarlyHook.js:detectCodecType() - keep patterns consistent
+  const detectCodec = (msg, isExplicitEncoder, workerMeta) => {
+    // 1. Explicit codec field in message (highest priority)
+    if (msg.codec) return msg.codec.toLowerCase();
+
+    // 2. Codec-specific message fields
+    if (msg.mp3BitRate !== undefined || msg.mp3Mode !== undefined || msg.lameConfig !== undefined || msg.vbrQuality !== undefined) return 'mp3';
+    if (msg.encoderApplication !== undefined) return 'opus';
+    if (msg.aacProfile !== undefined || msg.aacObjectType !== undefined || msg.afterburner !== undefined) return 'aac';
+    if (msg.vorbisQuality !== undefined || msg.vorbisMode !== undefined) return 'vorbis';
+    if (msg.flacCompression !== undefined || msg.flacBlockSize !== undefined) return 'flac';
+
+    // 3. Worker URL/filename detection (critical for audio-worker-init pattern)
+    // Many sites use generic init messages but encoder-specific worker files
+    if (workerMeta) {
+      const filename = (workerMeta.filename || '').toLowerCase();
+      const url = (workerMeta.url || '').toLowerCase();
+
+      // Check for codec keywords in worker filename/URL
+      if (filename.includes('lame') || filename.includes('mp3') || url.includes('lame') || url.includes('mp3')) return 'mp3';
+      if (filename.includes('opus') || url.includes('opus')) return 'opus';
+      if (filename.includes('aac') || filename.includes('fdk') || url.includes('aac')) return 'aac';
+      if (filename.includes('vorbis') || filename.includes('ogg') || url.includes('vorbis')) return 'vorbis';
+      if (filename.includes('flac') || url.includes('flac')) return 'flac';
+      // WAV container → PCM codec
+      if (filename.includes('wav') || url.includes('wav')) return 'pcm';
+    }
+
+    // 4. Library signatures found in the worker script (blob: URLs carry no keywords)
+    if (workerMeta?.scan?.codec) return workerMeta.scan.codec;
+
+    // 5. Fallback: explicit encoder patterns default to mp3, otherwise unknown
+    return isExplicitEncoder ? 'mp3' : 'unknown';
+  };
+
+  // Detect encoder library from Worker URL or message fields
+  const detectLibrary = (codec, workerMeta, msg) => {
+    // From Worker filename/URL (most reliable)
+    const filename = (workerMeta?.filename || '').toLowerCase();
+    const url = (workerMeta?.url || '').toLowerCase();
+    const path = msg.encoderPath?.toLowerCase() || '';
+
+    if (filename.includes('lame') || url.includes('lame') || path.includes('lame')) return 'LAME';
+    if (filename.includes('opus') || url.includes('opus') || path.includes('opus')) return 'libopus';
+    if (filename.includes('fdk') || url.includes('fdk') || filename.includes('aac') || path.includes('aac')) return 'FDK AAC';
+    if (filename.includes('vorbis') || url.includes('vorbis') || path.includes('vorbis')) return 'libvorbis';
+    if (filename.includes('flac') || url.includes('flac') || path.includes('flac')) return 'libFLAC';
+
+    // From worker script signatures (scanWorkerScript)
+    if (workerMeta?.scan?.library) return workerMeta.scan.library;
+
+    // Default by codec
+    const defaultLibraries = {
+      mp3: 'LAME',
+      opus: 'libopus',
+      aac: 'FDK AAC',
+      vorbis: 'libvorbis',
+      flac: 'libFLAC'
+    };
+    return defaultLibraries[codec] || null;
+  };
+
+  // Get generic encoder type from codec (process type, not library)
+  const getEncoderType = (codec) => {
+    const encoderTypes = {
+      mp3: 'mp3-wasm',
+      opus: 'opus-wasm',
+      aac: 'aac-wasm',
+      vorbis: 'vorbis-wasm',
+      flac: 'flac-wasm',
+      speex: 'speex-wasm',
+      pcm: 'pcm'
+    };
+    return encoderTypes[codec] || null;
+  };
+
+  /**
+   * Per-buffer commands (encode/data/chunk/process) - fire every ~85ms with audio buffers
+   * @param {*} message
+   * @returns {boolean}
+   */
+  const isEncodeCommand = (message) => {
+    const cmd = message?.cmd || message?.command || message?.type;
+    return cmd === 'encode' || cmd === 'data' || cmd === 'chunk' || cmd === 'process';
+  };
+
+  /**
+   * Detect encoder init config in a message posted to a worker
+   * @param {Object} message - Object message (binary payloads are skipped by the caller)
+   * @param {Object|undefined} workerMeta - workerMetadataMap entry ({filename, url, isEncoder, shared?, scan?})
+   * @returns {Object|null} encoderInfo
+   */
+  const analyzeWorkerMessage = (message, workerMeta) => {
+    let encoderInfo = null;
+
+    // ─────────────────────────────────────────────────────────────────
+    // DEBUG: Log audio-related Worker.postMessage calls
+    // ─────────────────────────────────────────────────────────────────
+    const msgKeys = Object.keys(message);
+    const msgCmd = message.cmd || message.command || message.type;
+    const isLikelyAudio = msgKeys.some(k =>
+      ['sample', 'rate', 'bit', 'channel', 'encode', 'init', 'config', 'audio', 'buffer'].some(
+        term => k.toLowerCase().includes(term)
+      )
+    );
+    if (isLikelyAudio) {
+      debugLog('Worker.postMessage AUDIO', JSON.stringify(message, null, 2).substring(0, 300));
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Encoder init patterns (lamejs, opus-recorder, online-voice-recorder, etc.)
+    // ─────────────────────────────────────────────────────────────────
+    // Pattern A: { cmd: 'init', config: { sampleRate, bitRate, ... } }
+    // Pattern B: { command: 'init', sampleRate, bitRate, ... }
+    // Pattern C: { type: 'init', sampleRate, bufferSize } (online-voice-recorder.com)
+    // Pattern D: { config: { sampleRate, ... } } (no explicit command)
+
+    const cmd = message.cmd || message.command || message.type;
+    const config = message.config || message;
+
+    // Check for init-like commands
+    const isInitCommand = cmd === 'init' || cmd === 'initialize' || message.init === true;
+
+    // Check for encoder-related fields
+    // Pattern 1: Explicit encoder config (bitRate, kbps, mode)
+    const hasExplicitEncoderFields = (
+      config.bitRate !== undefined ||
+      config.kbps !== undefined ||
+      config.mp3BitRate !== undefined ||
+      config.encoderSampleRate !== undefined ||
+      config.encoderBitRate !== undefined ||
+      config.mode !== undefined  // lamejs mode (CBR/VBR)
+    );
+
+    // Pattern 2: Audio worker init (sampleRate + bufferSize) - online-voice-recorder.com pattern
+    // This is a heuristic: init message with audio processing params suggests encoder
+    const hasAudioWorkerInit = (
+      isInitCommand &&
+      config.sampleRate !== undefined &&
+      config.bufferSize !== undefined
+    );
+
+    const hasEncoderFields = hasExplicitEncoderFields || hasAudioWorkerInit;
+
+    if (isInitCommand && hasEncoderFields) {
+      // Detect codec from message fields AND Worker URL
+      const codec = detectCodec(config, hasExplicitEncoderFields, workerMeta);
+
+      // Determine bitRate: explicit > calculated > default
+      let bitRate = config.bitRate || config.kbps * 1000 || config.mp3BitRate || config.encoderBitRate;
+      if (!bitRate && hasAudioWorkerInit) {
+        // Default MP3 bitrate for voice recorders (most use 128-256kbps)
+        // We mark as 0 to indicate "unknown" and let Blob detection confirm later
+        bitRate = 0;
+      }
+
+      // Detect library from worker metadata and message fields
+      const library = detectLibrary(codec, workerMeta, config);
+      const encoder = getEncoderType(codec);
+
+      encoderInfo = {
+        type: codec,
+        codec: codec,
+        encoder: encoder,  // opus-wasm, mp3-wasm, aac-wasm, vorbis-wasm, flac-wasm, pcm
+        library: library,  // libopus, LAME, FDK AAC, libvorbis, libFLAC
+        // Container: keep separate from codec (PCM → WAV container)
+        container: codec === 'unknown' ? null : (codec === 'pcm' ? 'wav' : codec),
+        sampleRate: config.sampleRate || config.encoderSampleRate || 44100,
+        bitRate: bitRate || 0,
+        bufferSize: config.bufferSize,  // Capture bufferSize for audio worker pattern
+        channels: config.channels || config.numChannels || config.numberOfChannels || 1,
+        mode: config.mode,  // CBR/VBR for lamejs
+        timestamp: Date.now(),
+        source: workerMeta?.shared ? 'sharedworker-port' : 'worker-postmessage',
+        pattern: hasExplicitEncoderFields ? 'worker-init' : 'worker-audio-init',
+        workerFilename: workerMeta?.filename || null,  // Worker JS filename for UI
+        workerUrl: workerMeta?.url || null
+      };
+
+      const libraryInfo = library ? ` [${library}]` : '';
+      debugLog(`Encoder init detected (${encoderInfo.pattern})`, `${codec.toUpperCase()}${libraryInfo}, ${encoderInfo.sampleRate}Hz, buffer=${encoderInfo.bufferSize}, worker=${workerMeta?.filename || 'unknown'}`);
+
+      // Also log to browser console for DevTools debugging
+      console.log(`[AudioInspector] Early: Encoder init detected (${encoderInfo.pattern}): ${codec.toUpperCase()}${libraryInfo}, ${encoderInfo.sampleRate}Hz, buffer=${encoderInfo.bufferSize}, worker=${workerMeta?.filename || 'unknown'}`);
+      console.log(`[AudioInspector] Early: Full encoderInfo:`, JSON.stringify(encoderInfo, null, 2));
+    }
+
+    return encoderInfo;
+  };
+
+  /**
+   * Attach the recording session and notify the collector
+   * @param {Object} encoderInfo
+   * @param {Object|undefined} workerMeta
+   */
+  const notifyWorkerEncoder = (encoderInfo, workerMeta) => {
+    // Attach current recording session id to prevent stale overwrites/reset races
+    // sessionCount is incremented on MediaRecorder start or BlobTracking start
+    encoderInfo.sessionId = window.__recordingState?.sessionCount || 0;
+
+    // Worker artık encoder olarak biliniyor → çıktısı ölçülür (blob: URL'lerde keyword yok)
+    if (workerMeta && encoderInfo.pattern !== 'worker-script') {
+      workerMeta.encoderInit = true;
+      workerMeta.configuredBitRate = encoderInfo.bitRate || null;
+      requestWorkerScan(workerMeta);
+    }
+
+    console.log(`[AudioInspector] Early: Notifying handler, registered: ${!!window.__detectedEncoderHandler}`);
+    if (window.__detectedEncoderHandler) {
+      window.__detectedEncoderHandler(encoderInfo);
+    } else {
+      console.log(`[AudioInspector] Early: WARNING: Handler not registered, encoderInfo will be lost!`);
+    }
+  };
+
   // ═══════════════════════════════════════════════════════════════════
   // Worker.postMessage Hook - Detect encoder init (WASM: lamejs, opus-recorder, etc.)
   // Captures encoder configuration BEFORE recording starts (real-time detection)
@@ -1604,8 +2930,7 @@
     // These fire every ~85ms with huge audio buffers - no analysis needed
     // Only "init" commands contain encoder configuration we need to capture
     // ═══════════════════════════════════════════════════════════════════
-    const cmd = message?.cmd || message?.command || message?.type;
-    if (cmd === 'encode' || cmd === 'data' || cmd === 'chunk' || cmd === 'process') {
+    if (isEncodeCommand(message)) {
       return originalWorkerPostMessage.apply(this, [message, ...args]);
     }
 
@@ -1640,193 +2965,651 @@
     }
 
     if (message && typeof message === 'object' && !ArrayBuffer.isView(message) && !(message instanceof ArrayBuffer)) {
-      let encoderInfo = null;
-
-      // ─────────────────────────────────────────────────────────────────
-      // DEBUG: Log audio-related Worker.postMessage calls
-      // ─────────────────────────────────────────────────────────────────
-      const msgKeys = Object.keys(message);
-      const msgCmd = message.cmd || message.command || message.type;
-      const isLikelyAudio = msgKeys.some(k =>
-        ['sample', 'rate', 'bit', 'channel', 'encode', 'init', 'config', 'audio', 'buffer'].some(
-          term => k.toLowerCase().includes(term)
-        )
-      );
-      if (isLikelyAudio) {
-        debugLog('Worker.postMessage AUDIO', JSON.stringify(message, null, 2).substring(0, 300));
+      const workerMeta = workerMetadataMap.get(this);
+      const encoderInfo = analyzeWorkerMessage(message, workerMeta);
+      if (encoderInfo) notifyWorkerEncoder(encoderInfo, workerMeta);
+    }
+
+    return originalWorkerPostMessage.apply(this, [message, ...args]);
+  };
+  console.log('[AudioInspector] Early: Hooked Worker.prototype.postMessage');
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Worker → main thread: encoded output of encoder Workers
+  // lamejs / opus-recorder / libflac style workers post encoded frames back
+  // (ArrayBuffer / Uint8Array, bare or inside {cmd, buf} / {command, page}).
+  // Measured: output bytes, live + average bitrate, frame cadence.
+  // Only workers with an encoder URL or an encoder init message are counted.
+  // ═══════════════════════════════════════════════════════════════════
+  const ENCODER_OUTPUT_WINDOW_MS = 2000;  // Live bitrate window - encoders flush pages in bursts
+  const ENCODED_FIELD_LIMIT = 12;         // Object keys / array items inspected per level
+
+  /**
+   * Encoded byte count of a worker message
+   * Only byte containers count - Float32Array / Int16Array are PCM, not encoder output
+   * @param {*} value
+   * @param {number} depth
+   * @returns {number}
+   */
+  const getEncodedBytes = (value, depth) => {
+    if (!value || typeof value !== 'object') return 0;
+    if (value instanceof ArrayBuffer) return value.byteLength;
+    if (value instanceof Uint8Array || value instanceof Int8Array || value instanceof DataView) return value.byteLength;
+    if (ArrayBuffer.isView(value) || depth >= 2) return 0;
+
+    const items = Array.isArray(value)
+      ? value.slice(0, ENCODED_FIELD_LIMIT)
+      : Object.keys(value).slice(0, ENCODED_FIELD_LIMIT).map(key => value[key]);
+    return items.reduce((sum, item) => sum + getEncodedBytes(item, depth + 1), 0);
+  };
+
+  const createWorkerOutputRecord = (meta, sessionId) => ({
+    workerUrl: meta.url,
+    workerFilename: meta.filename,
+    configuredBitRate: meta.configuredBitRate || null,
+    sessionId,
+    frames: 0,
+    bytes: 0,
+    firstAt: null,
+    lastAt: null,
+    firstFrameBytes: 0,
+    bitRate: null,          // bps over the last completed window
+    frameRate: null,        // frames/s over the last completed window
+    averageBitRate: null,   // bps since the first frame
+    frameIntervalMs: null,  // Average time between frames
+    maxFrameIntervalMs: null,
+    windowStart: 0,
+    windowFrames: 0,
+    windowBytes: 0
+  });
+
+  const recordEncodedOutput = (worker, data) => {
+    const meta = workerMetadataMap.get(worker);
+    if (!meta || !(meta.isEncoder || meta.encoderInit)) return;
+
+    const bytes = getEncodedBytes(data, 0);
+    if (bytes === 0) return;
+
+    // Yeni kayıt oturumu → sayaçlar sıfırdan (önceki kaydın çıktısı karışmasın)
+    const sessionId = window.__recordingState?.sessionCount || 0;
+    let record = workerOutputRecords.get(worker);
+    if (!record || record.sessionId !== sessionId) {
+      record = createWorkerOutputRecord(meta, sessionId);
+      workerOutputRecords.set(worker, record);
+    }
+
+    const now = Date.now();
+    record.frames++;
+    record.bytes += bytes;
+    record.configuredBitRate = meta.configuredBitRate || record.configuredBitRate;
+    if (record.firstAt === null) {
+      record.firstAt = now;
+      record.firstFrameBytes = bytes;
+    } else {
+      const interval = now - record.lastAt;
+      const span = now - record.firstAt;
+      record.maxFrameIntervalMs = Math.max(record.maxFrameIntervalMs ?? 0, interval);
+      record.frameIntervalMs = Math.round((span / (record.frames - 1)) * 10) / 10;
+      // İlk frame'in byte'ları span başlamadan üretildi - ortalamaya katılmaz
+      if (span > 0) record.averageBitRate = Math.round(((record.bytes - record.firstFrameBytes) * 8 * 1000) / span);
+    }
+    record.lastAt = now;
+
+    if (now - record.windowStart >= ENCODER_OUTPUT_WINDOW_MS) {
+      if (record.windowStart > 0) {
+        const elapsed = now - record.windowStart;
+        record.bitRate = Math.round((record.windowBytes * 8 * 1000) / elapsed);
+        record.frameRate = Math.round((record.windowFrames * 1000 / elapsed) * 10) / 10;
       }
+      record.windowStart = now;
+      record.windowFrames = 0;
+      record.windowBytes = 0;
+    }
+    record.windowFrames++;
+    record.windowBytes += bytes;
 
-      // ─────────────────────────────────────────────────────────────────
-      // Encoder init patterns (lamejs, opus-recorder, online-voice-recorder, etc.)
-      // ─────────────────────────────────────────────────────────────────
-      // Pattern A: { cmd: 'init', config: { sampleRate, bitRate, ... } }
-      // Pattern B: { command: 'init', sampleRate, bitRate, ... }
-      // Pattern C: { type: 'init', sampleRate, bufferSize } (online-voice-recorder.com)
-      // Pattern D: { config: { sampleRate, ... } } (no explicit command)
-
-      const cmd = message.cmd || message.command || message.type;
-      const config = message.config || message;
-
-      // Check for init-like commands
-      const isInitCommand = cmd === 'init' || cmd === 'initialize' || message.init === true;
-
-      // Check for encoder-related fields
-      // Pattern 1: Explicit encoder config (bitRate, kbps, mode)
-      const hasExplicitEncoderFields = (
-        config.bitRate !== undefined ||
-        config.kbps !== undefined ||
-        config.mp3BitRate !== undefined ||
-        config.encoderSampleRate !== undefined ||
-        config.encoderBitRate !== undefined ||
-        config.mode !== undefined  // lamejs mode (CBR/VBR)
-      );
+    if (window.__encoderOutputHandler) {
+      window.__encoderOutputHandler(record);
+    }
+  };
 
-      // Pattern 2: Audio worker init (sampleRate + bufferSize) - online-voice-recorder.com pattern
-      // This is a heuristic: init message with audio processing params suggests encoder
-      const hasAudioWorkerInit = (
-        isInitCommand &&
-        config.sampleRate !== undefined &&
-        config.bufferSize !== undefined
-      );
+  /**
+   * Instrument worker → main thread messages (instance-level, page sees its own handlers)
+   * Every Worker is instrumented - encoder status may only be known after the init message
+   * @param {Worker|MessagePort} worker - Worker, or the port of a SharedWorker
+   * @param {Object} proto - Prototype owning the native onmessage accessor
+   */
+  const hookWorkerEncodedOutput = (worker, proto = OriginalWorker.prototype) => {
+    // onmessage + listener'lar aynı event'i alır → event başına bir kayıt
+    let lastEvent = null;
+    const wrapListener = (listener) => function(event) {
+      if (event !== lastEvent && !window.__otherTabLocked) {
+        lastEvent = event;
+        recordEncodedOutput(worker, event?.data);
+      }
+      return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+    };
 
-      const hasEncoderFields = hasExplicitEncoderFields || hasAudioWorkerInit;
-
-      // Detect codec type from message fields AND Worker URL
-      // Worker URL is more reliable for audio-worker-init pattern where message has no codec info
-      // ⚠️ SYNC: Similar logic in EarlyHook.js:detectCodecType() - keep patterns consistent
-      const detectCodec = (msg, isExplicitEncoder, workerMeta) => {
-        // 1. Explicit codec field in message (highest priority)
-        if (msg.codec) return msg.codec.toLowerCase();
-
-        // 2. Codec-specific message fields
-        if (msg.mp3BitRate !== undefined || msg.mp3Mode !== undefined || msg.lameConfig !== undefined || msg.vbrQuality !== undefined) return 'mp3';
-        if (msg.encoderApplication !== undefined) return 'opus';
-        if (msg.aacProfile !== undefined || msg.aacObjectType !== undefined || msg.afterburner !== undefined) return 'aac';
-        if (msg.vorbisQuality !== undefined || msg.vorbisMode !== undefined) return 'vorbis';
-        if (msg.flacCompression !== undefined || msg.flacBlockSize !== undefined) return 'flac';
-
-        // 3. Worker URL/filename detection (critical for audio-worker-init pattern)
-        // Many sites use generic init messages but encoder-specific worker files
-        if (workerMeta) {
-          const filename = (workerMeta.filename || '').toLowerCase();
-          const url = (workerMeta.url || '').toLowerCase();
-
-          // Check for codec keywords in worker filename/URL
-          if (filename.includes('lame') || filename.includes('mp3') || url.includes('lame') || url.includes('mp3')) return 'mp3';
-          if (filename.includes('opus') || url.includes('opus')) return 'opus';
-          if (filename.includes('aac') || filename.includes('fdk') || url.includes('aac')) return 'aac';
-          if (filename.includes('vorbis') || filename.includes('ogg') || url.includes('vorbis')) return 'vorbis';
-          if (filename.includes('flac') || url.includes('flac')) return 'flac';
-          // WAV container → PCM codec
-          if (filename.includes('wav') || url.includes('wav')) return 'pcm';
+    const handlerDescriptor = Object.getOwnPropertyDescriptor(proto, 'onmessage');
+    if (handlerDescriptor?.get && handlerDescriptor?.set) {
+      let pageHandler = null;
+      Object.defineProperty(worker, 'onmessage', {
+        configurable: true,
+        enumerable: true,
+        get() {
+          return pageHandler ?? handlerDescriptor.get.call(this);
+        },
+        set(handler) {
+          pageHandler = typeof handler === 'function' ? handler : null;
+          handlerDescriptor.set.call(this, pageHandler ? wrapListener(pageHandler) : handler);
         }
+      });
+    }
 
-        // 4. Fallback: explicit encoder patterns default to mp3, otherwise unknown
-        return isExplicitEncoder ? 'mp3' : 'unknown';
-      };
+    const originalAddEventListener = worker.addEventListener;
+    const originalRemoveEventListener = worker.removeEventListener;
+    const wrappedListeners = new Map();
+    worker.addEventListener = function(type, listener, options) {
+      if (type !== 'message' || !listener) {
+        return originalAddEventListener.call(this, type, listener, options);
+      }
+      if (!wrappedListeners.has(listener)) wrappedListeners.set(listener, wrapListener(listener));
+      return originalAddEventListener.call(this, type, wrappedListeners.get(listener), options);
+    };
+    worker.removeEventListener = function(type, listener, options) {
+      const wrapped = type === 'message' ? wrappedListeners.get(listener) : undefined;
+      return originalRemoveEventListener.call(this, type, wrapped || listener, options);
+    };
+  };
 
-      // Detect encoder library from Worker URL or message fields
-      const detectLibrary = (codec, workerMeta, msg) => {
-        // From Worker filename/URL (most reliable)
-        const filename = (workerMeta?.filename || '').toLowerCase();
-        const url = (workerMeta?.url || '').toLowerCase();
-        const path = msg.encoderPath?.toLowerCase() || '';
-
-        if (filename.includes('lame') || url.includes('lame') || path.includes('lame')) return 'LAME';
-        if (filename.includes('opus') || url.includes('opus') || path.includes('opus')) return 'libopus';
-        if (filename.includes('fdk') || url.includes('fdk') || filename.includes('aac') || path.includes('aac')) return 'FDK AAC';
-        if (filename.includes('vorbis') || url.includes('vorbis') || path.includes('vorbis')) return 'libvorbis';
-        if (filename.includes('flac') || url.includes('flac') || path.includes('flac')) return 'libFLAC';
-
-        // Default by codec
-        const defaultLibraries = {
-          mp3: 'LAME',
-          opus: 'libopus',
-          aac: 'FDK AAC',
-          vorbis: 'libvorbis',
-          flac: 'libFLAC'
-        };
-        return defaultLibraries[codec] || null;
-      };
+  // ═══════════════════════════════════════════════════════════════════
+  // Worker Script Scan - encoder library signatures in the worker source
+  // blob:/data: workers carry no keywords in the URL - the source does.
+  // Nested workers: new Worker()/importScripts() URLs found in the source
+  // are scanned too - sub-workers spawned inside a worker never reach the
+  // main-frame hooks, but their libraries show up here.
+  // Best effort: cross-origin without CORS / CSP connect-src → skipped.
+  // Only suspected encoder workers (URL keyword / encoder init message) and
+  // only while the inspector runs for this tab - earlier ones wait in a queue.
+  // ═══════════════════════════════════════════════════════════════════
+  const WORKER_SCAN_MAX_SCRIPTS = 6;                // Per worker: own script + nested/imported
+  const WORKER_SCAN_MAX_BYTES = 4 * 1024 * 1024;    // Hard cap while streaming the body
+  const WORKER_SCAN_CACHE_LIMIT = 50;               // Script URLs kept (blob: URLs are one-off)
+  const WORKER_SCAN_PENDING_LIMIT = 10;             // Suspected workers waiting for the inspector
+
+  // Exported C symbols / class names survive minification and Emscripten builds
+  const ENCODER_LIBRARY_SIGNATURES = [
+    { library: 'LAME', codec: 'mp3', pattern: /lame_init|lame_encode_buffer|Mp3Encoder|lamejs/ },
+    { library: 'libopus', codec: 'opus', pattern: /opus_encoder_create|opus_encode_float|OpusEncoder/ },
+    { library: 'libvorbis', codec: 'vorbis', pattern: /vorbis_analysis_init|vorbis_encode_init/ },
+    { library: 'libFLAC', codec: 'flac', pattern: /FLAC__stream_encoder_new|FLAC__stream_encoder_init/ },
+    { library: 'FDK AAC', codec: 'aac', pattern: /aacEncOpen|aacEncEncode/ }
+  ];
+
+  // new Worker('x.js') / new SharedWorker(new URL('x.js', import.meta.url)) / importScripts('a.js', 'b.js')
+  const NESTED_WORKER_PATTERN = /new\s+(?:Shared)?Worker\s*\(\s*(?:new\s+URL\s*\(\s*)?(['"])([^'"]+)\1/g;
+  const IMPORT_SCRIPTS_PATTERN = /importScripts\s*\(([^)]*)\)/g;
+  const STRING_LITERAL_PATTERN = /(['"])([^'"]+)\1/g;
+  // 'encoder.wasm' / Emscripten SINGLE_FILE: "data:application/octet-stream;base64,AGFzbQ..." (\0asm)
+  const WASM_REF_PATTERN = /(['"])([^'"\s]+\.wasm|data:application\/(?:octet-stream|wasm);base64,AGFzbQ[A-Za-z0-9+/=]*)\1/g;
+
+  const originalFetch = window.fetch;
+  const workerScriptScans = new Map();  // url → Promise<{libraries, wasm, workerRefs, imports, wasmRefs}|null>
+  const pendingWorkerScans = [];        // workerMeta entries created before the inspector started
 
-      // Get generic encoder type from codec (process type, not library)
-      const getEncoderType = (codec) => {
-        const encoderTypes = {
-          mp3: 'mp3-wasm',
-          opus: 'opus-wasm',
-          aac: 'aac-wasm',
-          vorbis: 'vorbis-wasm',
-          flac: 'flac-wasm',
-          pcm: 'pcm'
-        };
-        return encoderTypes[codec] || null;
+  /**
+   * Read a response body up to maxBytes
+   * Streamed: Content-Length is hidden cross-origin and absent when chunked
+   * @param {Response} response
+   * @param {number} maxBytes
+   * @returns {Promise<Uint8Array|null>} null if the body is larger than maxBytes
+   */
+  const readBodyCapped = async (response, maxBytes) => {
+    if (Number(response.headers.get('content-length')) > maxBytes || !response.body) return null;
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let total = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      total += value.byteLength;
+      if (total > maxBytes) {
+        reader.cancel().catch(() => {});
+        return null;
+      }
+      chunks.push(value);
+    }
+
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    return bytes;
+  };
+
+  /**
+   * Fetch + scan one script (cached per URL, concurrent workers share the request)
+   * @param {string} url
+   * @returns {Promise<{libraries: Array<{library: string, codec: string}>, wasm: boolean, workerRefs: string[], imports: string[], wasmRefs: string[]}|null>}
+   */
+  const scanScript = (url) => {
+    if (workerScriptScans.has(url)) return workerScriptScans.get(url);
+
+    const scan = (async () => {
+      const response = await originalFetch.call(window, url, { cache: 'force-cache' });
+      if (!response.ok) return null;
+      const bytes = await readBodyCapped(response, WORKER_SCAN_MAX_BYTES);
+      if (!bytes) return null;
+
+      const text = new TextDecoder().decode(bytes);
+      const imports = [];
+      for (const match of text.matchAll(IMPORT_SCRIPTS_PATTERN)) {
+        for (const literal of match[1].matchAll(STRING_LITERAL_PATTERN)) imports.push(literal[2]);
+      }
+      return {
+        libraries: ENCODER_LIBRARY_SIGNATURES
+          .filter(signature => signature.pattern.test(text))
+          .map(({ library, codec }) => ({ library, codec })),
+        wasm: /WebAssembly\.(?:instantiate|compile)/.test(text),
+        workerRefs: [...text.matchAll(NESTED_WORKER_PATTERN)].map(match => match[2]),
+        imports,
+        wasmRefs: [...text.matchAll(WASM_REF_PATTERN)].map(match => match[2])
       };
+    })().catch(() => null);  // CORS / CSP / network - URL analysis remains
 
-      if (isInitCommand && hasEncoderFields) {
-        // Get Worker metadata FIRST (needed for codec detection)
-        // 'this' is the Worker instance in postMessage context
-        const workerMeta = workerMetadataMap.get(this);
+    workerScriptScans.set(url, scan);
+    if (workerScriptScans.size > WORKER_SCAN_CACHE_LIMIT) {
+      workerScriptScans.delete(workerScriptScans.keys().next().value);
+    }
+    return scan;
+  };
 
-        // Detect codec from message fields AND Worker URL
-        const codec = detectCodec(config, hasExplicitEncoderFields, workerMeta);
+  /**
+   * @param {string} ref - Literal from the source
+   * @param {string} base - URL of the script containing it
+   * @returns {string|null}
+   */
+  const resolveScriptRef = (ref, base) => {
+    try {
+      return new URL(ref, base).href;
+    } catch {
+      return null;  // Relative ref inside a blob: script - not resolvable
+    }
+  };
 
-        // Determine bitRate: explicit > calculated > default
-        let bitRate = config.bitRate || config.kbps * 1000 || config.mp3BitRate || config.encoderBitRate;
-        if (!bitRate && hasAudioWorkerInit) {
-          // Default MP3 bitrate for voice recorders (most use 128-256kbps)
-          // We mark as 0 to indicate "unknown" and let Blob detection confirm later
-          bitRate = 0;
-        }
+  /**
+   * Scan a worker's script and its nested worker / imported scripts
+   * Result → workerMeta.scan; a library match marks the worker as encoder
+   * and reports a 'worker-script' detection (lowest Worker priority - init wins)
+   * @param {Object} workerMeta - workerMetadataMap entry (capture: __earlyCaptures.workers entry)
+   */
+  const scanWorkerScript = async (workerMeta) => {
+    const entryUrl = resolveScriptRef(workerMeta.url, window.location.href);
+    if (!entryUrl) return;
+
+    const queue = [entryUrl];
+    const visited = new Set();
+    const libraries = [];
+    const nestedWorkers = [];
+    let wasm = false;
+    let matchedUrl = null;
+
+    while (queue.length > 0 && visited.size < WORKER_SCAN_MAX_SCRIPTS) {
+      const url = queue.shift();
+      if (visited.has(url)) continue;
+      visited.add(url);
+
+      const result = await scanScript(url);
+      if (!result) continue;
+
+      wasm = wasm || result.wasm;
+      for (const found of result.libraries) {
+        if (!libraries.some(entry => entry.library === found.library)) libraries.push(found);
+        matchedUrl = matchedUrl || url;
+      }
+      for (const ref of result.workerRefs) {
+        const resolved = resolveScriptRef(ref, url);
+        if (!resolved) continue;
+        if (!nestedWorkers.includes(resolved)) nestedWorkers.push(resolved);
+        queue.push(resolved);
+      }
+      for (const ref of result.imports) {
+        const resolved = resolveScriptRef(ref, url);
+        if (resolved) queue.push(resolved);
+      }
+      // Worker'ın kendi WebAssembly çağrıları hook'lanamaz → modül burada fingerprint'lenir
+      for (const ref of result.wasmRefs) {
+        const resolved = resolveScriptRef(ref, url);
+        if (resolved) fingerprintWorkerWasm(resolved);
+      }
+    }
 
-        // Detect library from worker metadata and message fields
-        const library = detectLibrary(codec, workerMeta, config);
-        const encoder = getEncoderType(codec);
-
-        encoderInfo = {
-          type: codec,
-          codec: codec,
-          encoder: encoder,  // opus-wasm, mp3-wasm, aac-wasm, vorbis-wasm, flac-wasm, pcm
-          library: library,  // libopus, LAME, FDK AAC, libvorbis, libFLAC
-          // Container: keep separate from codec (PCM → WAV container)
-          container: codec === 'unknown' ? null : (codec === 'pcm' ? 'wav' : codec),
-          sampleRate: config.sampleRate || config.encoderSampleRate || 44100,
-          bitRate: bitRate || 0,
-          bufferSize: config.bufferSize,  // Capture bufferSize for audio worker pattern
-          channels: config.channels || config.numChannels || config.numberOfChannels || 1,
-          mode: config.mode,  // CBR/VBR for lamejs
-          timestamp: Date.now(),
-          source: 'worker-postmessage',
-          pattern: hasExplicitEncoderFields ? 'worker-init' : 'worker-audio-init',
-          workerFilename: workerMeta?.filename || null,  // Worker JS filename for UI
-          workerUrl: workerMeta?.url || null
-        };
+    workerMeta.scan = {
+      library: libraries[0]?.library || null,
+      codec: libraries[0]?.codec || null,
+      libraries: libraries.map(entry => entry.library),
+      wasm,
+      nestedWorkers,
+      scripts: visited.size
+    };
+    if (libraries.length === 0 || window.__otherTabLocked) return;
+
+    const { library, codec } = libraries[0];
+    console.log(`[AudioInspector] Early: Encoder library in worker script: ${libraries.map(entry => entry.library).join(', ')} (${workerMeta.filename || workerMeta.url})${nestedWorkers.length > 0 ? `, nested workers: ${nestedWorkers.length}` : ''}`);
+
+    // URL'de keyword yoktu → encoder worker olarak işaretle (signature check + output tracking)
+    workerMeta.isEncoder = true;
+    if (workerMeta.capture && !workerMeta.capture.isEncoder) {
+      workerMeta.capture.isEncoder = true;
+      checkSignatureChange('encoder-worker');
+    }
+
+    notifyWorkerEncoder({
+      type: codec,
+      codec,
+      encoder: getEncoderType(codec),
+      library,
+      container: codec,
+      bitRate: 0,
+      timestamp: Date.now(),
+      source: workerMeta.shared ? 'sharedworker-script' : 'worker-script',
+      pattern: 'worker-script',
+      status: 'loaded',
+      encoderPath: matchedUrl,  // Script holding the library (nested worker / importScripts target)
+      workerFilename: workerMeta.filename || null,
+      workerUrl: workerMeta.url
+    }, workerMeta);
+  };
 
-        const libraryInfo = library ? ` [${library}]` : '';
-        debugLog(`Encoder init detected (${encoderInfo.pattern})`, `${codec.toUpperCase()}${libraryInfo}, ${encoderInfo.sampleRate}Hz, buffer=${encoderInfo.bufferSize}, worker=${workerMeta?.filename || 'unknown'}`);
+  /**
+   * Scan a suspected encoder worker now, or once the inspector starts for this tab
+   * Called on worker creation and again on its encoder init message (blob: URLs)
+   * @param {Object} workerMeta - workerMetadataMap entry
+   */
+  const requestWorkerScan = (workerMeta) => {
+    if (workerMeta.scanRequested || !(workerMeta.isEncoder || workerMeta.encoderInit)) return;
 
-        // Also log to browser console for DevTools debugging
-        console.log(`[AudioInspector] Early: Encoder init detected (${encoderInfo.pattern}): ${codec.toUpperCase()}${libraryInfo}, ${encoderInfo.sampleRate}Hz, buffer=${encoderInfo.bufferSize}, worker=${workerMeta?.filename || 'unknown'}`);
-        console.log(`[AudioInspector] Early: Full encoderInfo:`, JSON.stringify(encoderInfo, null, 2));
+    if (!window.__audioInspectorEnabled || window.__otherTabLocked) {
+      if (!pendingWorkerScans.includes(workerMeta)) {
+        pendingWorkerScans.push(workerMeta);
+        if (pendingWorkerScans.length > WORKER_SCAN_PENDING_LIMIT) pendingWorkerScans.shift();
       }
+      return;
+    }
 
-      // Notify handler if encoder detected
-      if (encoderInfo) {
-        // Attach current recording session id to prevent stale overwrites/reset races
-        // sessionCount is incremented on MediaRecorder start or BlobTracking start
-        encoderInfo.sessionId = window.__recordingState?.sessionCount || 0;
+    workerMeta.scanRequested = true;
+    scanWorkerScript(workerMeta);
+  };
 
-        console.log(`[AudioInspector] Early: Notifying handler, registered: ${!!window.__detectedEncoderHandler}`);
-        if (window.__detectedEncoderHandler) {
-          window.__detectedEncoderHandler(encoderInfo);
-        } else {
-          console.log(`[AudioInspector] Early: WARNING: Handler not registered, encoderInfo will be lost!`);
+  // SET_ENABLED listener → workers created while the inspector was idle
+  const flushPendingWorkerScans = () => {
+    pendingWorkerScans.splice(0).forEach(requestWorkerScan);
+  };
+
+  // ═══════════════════════════════════════════════════════════════════
+  // SharedWorker Hook - encoders shared across tabs/frames (recording SDKs)
+  // port.postMessage → same init analysis as Worker.postMessage;
+  // port messages → same encoded output tracking. Metadata keyed by port.
+  // ═══════════════════════════════════════════════════════════════════
+  const OriginalSharedWorker = window.SharedWorker;
+  if (OriginalSharedWorker) {
+    /**
+     * @param {MessagePort} port - SharedWorker.port
+     */
+    const hookSharedWorkerPort = (port) => {
+      const originalPortPostMessage = port.postMessage;
+      port.postMessage = function(message) {
+        if (!window.__otherTabLocked && message && typeof message === 'object' &&
+            !ArrayBuffer.isView(message) && !(message instanceof ArrayBuffer) && !isEncodeCommand(message)) {
+          const workerMeta = workerMetadataMap.get(port);
+          const encoderInfo = analyzeWorkerMessage(message, workerMeta);
+          if (encoderInfo) notifyWorkerEncoder(encoderInfo, workerMeta);
+        }
+        return originalPortPostMessage.apply(this, arguments);
+      };
+      hookWorkerEncodedOutput(port, MessagePort.prototype);
+    };
+
+    window.SharedWorker = new Proxy(OriginalSharedWorker, {
+      construct(target, args, newTarget) {
+        const instance = Reflect.construct(target, args, newTarget);
+
+        // EARLY RETURN: Skip capture if another tab is locked
+        if (window.__otherTabLocked) {
+          return instance;
         }
+
+        const workerUrl = args[0];
+        if (workerUrl) {
+          const analysis = analyzeWorkerUrl(workerUrl);
+          const workerMeta = { ...createWorkerMeta(analysis), shared: true };
+          workerMetadataMap.set(instance.port, workerMeta);
+
+          const capture = {
+            instance,
+            url: analysis.url,
+            filename: analysis.filename,
+            domain: analysis.domain,
+            isEncoder: analysis.isEncoder,
+            shared: true,
+            timestamp: Date.now()
+          };
+          window.__earlyCaptures.workers.push(capture);
+          hookSharedWorkerPort(instance.port);
+          workerMeta.capture = capture;
+          requestWorkerScan(workerMeta);
+
+          if (analysis.isEncoder) {
+            checkSignatureChange('encoder-worker');
+            console.log('[AudioInspector] Early: Encoder SharedWorker created (' + analysis.filename + ')');
+          }
+        }
+
+        return instance;
+      }
+    });
+
+    console.log('[AudioInspector] Early: Hooked SharedWorker constructor');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // WebAssembly Fingerprint - encoder library + version from the module itself
+  // Page: WebAssembly.compile / instantiate / instantiateStreaming hooks.
+  // Encoder workers call WebAssembly out of reach of these hooks - the .wasm
+  // files (and Emscripten SINGLE_FILE data: URIs) found by the worker script
+  // scan are compiled here instead (compile only, nothing is instantiated).
+  // Import/export names → library; data segment strings → version.
+  // Only while the inspector runs for this tab; bytes are copied at call time
+  // (the page may transfer/detach its buffer before compile resolves).
+  // ═══════════════════════════════════════════════════════════════════
+  const WASM_FINGERPRINT_MAX_BYTES = 8 * 1024 * 1024;   // Byte copy / streamed read hard cap
+  const WASM_MODULE_LIMIT = 20;                         // __earlyCaptures.wasmModules (newest wins)
+  const WASM_NAME_LIST_LIMIT = 100;                     // Import / export names kept per module
+  const WASM_MATCHED_NAME_LIMIT = 8;
+
+  // names: exported / imported C symbols (Emscripten keeps them unless minified, "_" prefix optional)
+  // version: string the library embeds in its data segment (null = library has none)
+  const WASM_ENCODER_SIGNATURES = [
+    { library: 'libopus', codec: 'opus', names: /^_?opus_(?:encoder_create|encode|encode_float|multistream_encoder_create)$/, version: /libopus (\d+\.\d+(?:\.\d+)?(?:-[\w.]+)?)/ },
+    { library: 'LAME', codec: 'mp3', names: /^_?lame_(?:init|encode_buffer\w*|encode_flush)$/, version: /LAME ?(3\.\d{2,3})/ },
+    { library: 'libFLAC', codec: 'flac', names: /^_?FLAC__stream_encoder_(?:new|init_stream|process\w*)$/, version: /libFLAC (\d+\.\d+\.\d+)/ },
+    { library: 'libvorbis', codec: 'vorbis', names: /^_?vorbis_(?:analysis_init|encode_init\w*)$/, version: /libVorbis I (\d{8})/ },
+    { library: 'Speex', codec: 'speex', names: /^_?speex_(?:encoder_init|encode(?:_int)?)$/, version: /speex-(\d+\.\d+(?:\.\d+)?(?:rc\d+)?)/i },
+    { library: 'FDK AAC', codec: 'aac', names: /^_?aacEnc(?:Open|Encode|_GetLibInfo)$/, version: null }
+  ];
+
+  const WebAssemblyApi = window.WebAssembly;
+  const originalWasmCompile = WebAssemblyApi?.compile;
+  const fingerprintedModules = new WeakSet();  // compile() + instantiate(module) → one record
+  const fingerprintedWasmUrls = new Set();
+
+  const isWasmFingerprintActive = () => window.__audioInspectorEnabled && !window.__otherTabLocked;
+
+  /**
+   * Synchronous copy of a BufferSource (compile/instantiate argument)
+   * @param {BufferSource} bytes
+   * @returns {Uint8Array|null} null if too large, not a BufferSource or already detached
+   */
+  const copyWasmBytes = (bytes) => {
+    try {
+      const view = bytes instanceof ArrayBuffer ? new Uint8Array(bytes)
+        : ArrayBuffer.isView(bytes) ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+        : null;
+      return view && view.byteLength <= WASM_FINGERPRINT_MAX_BYTES ? view.slice() : null;
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * List a module's imports/exports and match them against WASM_ENCODER_SIGNATURES
+   * @param {WebAssembly.Module} module
+   * @param {Uint8Array|null} view - Own copy of the bytes; null when only the compiled Module is available
+   * @param {string} via - 'compile' | 'instantiate' | 'instantiateStreaming' | 'worker-script'
+   * @param {string|null} url - Response / .wasm URL
+   */
+  const fingerprintWasmModule = (module, view, via, url) => {
+    if (!isWasmFingerprintActive() || fingerprintedModules.has(module)) return;
+    fingerprintedModules.add(module);
+
+    const exportNames = WebAssemblyApi.Module.exports(module).map(entry => entry.name);
+    const importNames = WebAssemblyApi.Module.imports(module).map(entry => `${entry.module}.${entry.name}`);
+    const symbols = [...exportNames, ...importNames.map(name => name.slice(name.indexOf('.') + 1))];
+
+    // latin1: her byte tek karakter - data segment'teki ASCII version string'leri regex'le bulunur
+    const text = view ? new TextDecoder('latin1').decode(view) : '';
+
+    const matches = [];
+    for (const signature of WASM_ENCODER_SIGNATURES) {
+      const matchedNames = symbols.filter(name => signature.names.test(name));
+      const version = signature.version && text ? text.match(signature.version)?.[1] || null : null;
+      if (matchedNames.length === 0 && !version) continue;
+      matches.push({ library: signature.library, codec: signature.codec, version, matchedNames: matchedNames.slice(0, WASM_MATCHED_NAME_LIMIT) });
+    }
+    // İsimler minify edildiyse sadece version string kalır - isim eşleşmesi önde
+    matches.sort((a, b) => b.matchedNames.length - a.matchedNames.length);
+
+    const best = matches[0] || null;
+    const record = {
+      url: url || null,
+      via,
+      byteSize: view ? view.byteLength : null,
+      exportCount: exportNames.length,
+      importCount: importNames.length,
+      exports: exportNames.slice(0, WASM_NAME_LIST_LIMIT),
+      imports: importNames.slice(0, WASM_NAME_LIST_LIMIT),
+      library: best?.library || null,
+      codec: best?.codec || null,
+      encoder: best ? getEncoderType(best.codec) : null,
+      version: best?.version || null,
+      matchedNames: best?.matchedNames || [],
+      libraries: matches.map(match => match.library),
+      timestamp: Date.now()
+    };
+
+    const modules = window.__earlyCaptures.wasmModules;
+    modules.push(record);
+    if (modules.length > WASM_MODULE_LIMIT) modules.shift();
+
+    if (record.library) {
+      console.log(`[AudioInspector] Early: WASM encoder module: ${record.library}${record.version ? ' ' + record.version : ''} (${via}, ${record.byteSize ?? '?'} bytes, ${record.exportCount} exports)`);
+      if (window.__wasmModuleHandler) {
+        window.__wasmModuleHandler(record);
       }
     }
+  };
 
-    return originalWorkerPostMessage.apply(this, [message, ...args]);
+  const safeFingerprint = (module, view, via, url) => {
+    try {
+      fingerprintWasmModule(module, view, via, url);
+    } catch (e) {
+      debugLog('WASM fingerprint failed', e?.message);
+    }
   };
-  console.log('[AudioInspector] Early: Hooked Worker.prototype.postMessage');
+
+  /**
+   * Fetch + compile a worker's .wasm (or embedded data: URI) and fingerprint it
+   * @param {string} url
+   */
+  const fingerprintWorkerWasm = async (url) => {
+    if (!originalWasmCompile || !isWasmFingerprintActive() || fingerprintedWasmUrls.has(url)) return;
+    fingerprintedWasmUrls.add(url);
+    try {
+      const response = await originalFetch.call(window, url, { cache: 'force-cache' });
+      if (!response.ok) return;
+      const bytes = await readBodyCapped(response, WASM_FINGERPRINT_MAX_BYTES);
+      if (!bytes) return;
+      const module = await originalWasmCompile.call(WebAssemblyApi, bytes);
+      safeFingerprint(module, bytes, 'worker-script', url.startsWith('data:') ? 'data:(embedded)' : url);
+    } catch {
+      // CORS / CSP (wasm-unsafe-eval) / invalid module - script scan result remains
+    }
+  };
+
+  if (originalWasmCompile && typeof WebAssemblyApi.instantiate === 'function') {
+    const originalInstantiate = WebAssemblyApi.instantiate;
+    const originalInstantiateStreaming = WebAssemblyApi.instantiateStreaming;
+
+    WebAssemblyApi.compile = function(bytes) {
+      const active = isWasmFingerprintActive();
+      const view = active ? copyWasmBytes(bytes) : null;
+      const result = originalWasmCompile.apply(this, arguments);
+      if (active) {
+        result.then(module => safeFingerprint(module, view, 'compile', null), () => {});
+      }
+      return result;
+    };
+
+    WebAssemblyApi.instantiate = function(source) {
+      const active = isWasmFingerprintActive();
+      const isModule = source instanceof WebAssemblyApi.Module;
+      const view = active && !isModule ? copyWasmBytes(source) : null;
+      const result = originalInstantiate.apply(this, arguments);
+      if (active) {
+        result.then(value => {
+          // Module argument → Instance döner (byte yok); BufferSource → { module, instance }
+          if (isModule) safeFingerprint(source, null, 'instantiate', null);
+          else if (value?.module) safeFingerprint(value.module, view, 'instantiate', null);
+        }, () => {});
+      }
+      return result;
+    };
+
+    if (typeof originalInstantiateStreaming === 'function') {
+      WebAssemblyApi.instantiateStreaming = function(source, ...rest) {
+        if (!isWasmFingerprintActive()) {
+          return originalInstantiateStreaming.call(this, source, ...rest);
+        }
+
+        // Body tek okunur - clone, orijinal okumadan önce alınır (then sırası)
+        // Clone limit aşılınca cancel edilir - ikinci tam kopya tutulmaz
+        let bytesPromise = Promise.resolve(null);
+        const sourceWithClone = Promise.resolve(source).then(response => {
+          try {
+            if (!(Number(response.headers.get('content-length')) > WASM_FINGERPRINT_MAX_BYTES)) {
+              const url = response.url;
+              bytesPromise = readBodyCapped(response.clone(), WASM_FINGERPRINT_MAX_BYTES)
+                .then(bytes => ({ url, bytes }), () => null);
+            }
+          } catch {
+            // Not a Response / body used - original reports its own error
+          }
+          return response;
+        });
+
+        const result = originalInstantiateStreaming.call(this, sourceWithClone, ...rest);
+        result.then(value => bytesPromise.then(info => {
+          if (value?.module) safeFingerprint(value.module, info?.bytes || null, 'instantiateStreaming', info?.url || null);
+        }), () => {});
+        return result;
+      };
+    }
+
+    console.log('[AudioInspector] Early: Hooked WebAssembly compile/instantiate/instantiateStreaming');
+  }
 
   // ═══════════════════════════════════════════════════════════════════
   // Blob Hook - Detect audio file creation (MP3, WAV, OGG, etc.)
@@ -2180,6 +3963,18 @@
                   }
                 }
 
+                // Bitstream check: collector reads the Blob header (container-sniffer.js)
+                // mimeType above is only what the page claims
+                if (window.__audioBlobSniffHandler) {
+                  window.__audioBlobSniffHandler(instance, {
+                    mimeType,
+                    mimeCodec: audioInfo.codec,
+                    encoder: audioInfo.encoder,
+                    library: audioInfo.library,
+                    sessionId: recordingState.sessionCount || 0
+                  });
+                }
+
                 // Finalize blob-based recording: if blobs stop arriving, mark inactive and emit a final update
                 // This prevents "Calculating..." from persisting after stop and enables a final bitrate calc.
                 if (recordingState.startedByBlob) {
@@ -2,7 +2,7 @@
  * audio-flow.js - Audio Path Flow/Pipeline Rendering Module
  *
  * Self-contained workflow/pipeline visualization component.
- * Dependencies: helpers.js (escapeHtml, capitalizeFirst, formatWorkletName)
+ * Dependencies: helpers.js (escapeHtml, escapeAttr, capitalizeFirst, formatWorkletName, formatBytes, formatTime)
  * CSS: audio-flow.css
  *
  * Contains:
@@ -13,58 +13,65 @@
  * - getEffectNodeTypes(): Effect kategorisindeki node'lar (lazy)
  * - invalidateConnectionTypeCache(): Cache temizleme (yeni node türü eklenirse)
  * - formatProcessorForFlow(): Format processor for flow display
- * - renderAudioFlow(): Render audio path as workflow pipeline
- * - measureFlowLabels(): Measure label widths for arrow positioning
+ * - buildAudioGraph(): audio_connections → per-context node/edge graph (no edge dropped)
+ * - formatEdgeLabel(): Edge label (AudioParam name, channel indices)
+ * - formatAutomationTimeline(): AudioParam automation timeline → tooltip lines
+ * - formatPortTraffic(): AudioWorklet port traffic → tooltip lines (sampled message log)
+ * - layoutAudioGraph(): Layered DAG layout (rank, dummy slots, barycenter ordering)
+ * - renderAudioFlow(): Render audio path as layered DAG (HTML nodes + SVG edges)
+ * - measureFlowLabels(): Draw edges from measured node boxes (post-render)
  *
  * CSS Selectors (FLOW_SELECTORS, FLOW_CLASSES): Regresyon koruması için sabitler
  */
 
 import {
   escapeHtml,
+  escapeAttr,
   capitalizeFirst,
-  formatWorkletName
+  formatWorkletName,
+  formatBytes,
+  formatTime
 } from './helpers.js';
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// FLOW SABİTLERİ (CSS ile Senkron)
-// ═══════════════════════════════════════════════════════════════════════════════
-// Bu değerler CSS (audio-flow.css) ile senkron tutulmalıdır.
-// Değişiklik yapılırsa her iki dosya da güncellenmelidir.
-
-const FLOW_DEFAULTS = {
-  LABEL_HEIGHT: 14,  // CSS .flow-label { height: 14px } ve line-height: 14px
-  FLOW_UNIT: 17,     // CSS .audio-flow { --flow-unit: 17px }
-  FLOW_GAP: 3        // CSS .audio-flow { --flow-gap: 3px }
-};
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // CSS SELECTOR SABİTLERİ (Regresyon Koruması)
 // ═══════════════════════════════════════════════════════════════════════════════
 // Bu sabitler CSS (audio-flow.css) ile senkron tutulmalıdır.
 // Class ismi değişikliği hem CSS hem JS tarafında yapılmalıdır.
+// report-generator.js de aynı class'ları okur (text export).
 
 const FLOW_SELECTORS = {
   CONTAINER: '.audio-flow',
-  NODE_WITH_OUTPUTS: '.flow-node.has-outputs',
-  LABEL: '.flow-label',
-  LABEL_TEXT: '.flow-label-text',
-  OUTPUTS: '.flow-outputs',
-  DIRECT_OUTPUT_NODES: ':scope > .flow-node'
+  GRAPH: '.flow-graph',
+  EDGES: ':scope > .flow-edges',
+  EDGE_GROUP: '.flow-edge-group',
+  SLOT: '[data-slot-id]',
+  DIRECT_LABEL: ':scope > .flow-label'
 };
 
-// CSS Class isimleri (renderNode'da kullanılır)
+// CSS Class isimleri (renderNode / renderEdge'de kullanılır)
 const FLOW_CLASSES = {
   CONTAINER: 'audio-flow',
+  GRAPH: 'flow-graph',
+  LAYER: 'flow-layer',
   NODE: 'flow-node',
+  DUMMY: 'flow-dummy',  // Uzun edge'in ara katmandan geçiş noktası
   ROOT: 'flow-root',
-  HAS_OUTPUTS: 'has-outputs',
-  SPLIT: 'is-split',  // Birden fazla output (dallanma noktası)
   MONITOR: 'flow-monitor',
+  PARAM_NODE: 'flow-param-node',  // AudioParam hedefi (pseudo node)
+  AUTOMATED: 'flow-node--automated',  // AudioParam automation kaydı olan node
+  MESSAGING: 'flow-node--messaging',  // AudioWorklet port trafiği olan node
   ENCODING_NODE: 'encoding-node',  // Node-level encoding indicator
   LABEL: 'flow-label',
+  TOOLTIP_MULTILINE: 'flow-tooltip--multiline',
   LABEL_TEXT: 'flow-label-text',
   PARAM: 'flow-param',
-  OUTPUTS: 'flow-outputs'
+  EDGES: 'flow-edges',
+  EDGE_GROUP: 'flow-edge-group',
+  EDGE: 'flow-edge',
+  EDGE_PARAM: 'flow-edge--param',
+  EDGE_FEEDBACK: 'flow-edge--feedback',
+  EDGE_LABEL: 'flow-edge-label'
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -72,11 +79,12 @@ const FLOW_CLASSES = {
 // ═══════════════════════════════════════════════════════════════════════════════
 // Terminal node (destination) label'ları:
 // - Encoding aktifse (PCM/WAV, MediaRecorder) → ENCODING label
-// - Yoksa → DEFAULT label (speakers output)
+// - Yoksa → AUDIO_NODE_DISPLAY_MAP label (Speakers / Stream Output)
+// - OfflineAudioContext destination → OFFLINE_RENDER (ses çıkmaz, AudioBuffer'a render)
 
 const TERMINAL_NODE_LABELS = {
-  DEFAULT: 'Speakers',   // Normal playback destination
-  ENCODING: 'Encoder'    // When terminal node is doing encoding (PCM/WAV, MediaRecorder)
+  ENCODING: 'Encoder',          // When terminal node is doing encoding (PCM/WAV, MediaRecorder)
+  OFFLINE_RENDER: 'Render Buffer'  // OfflineAudioContext destination (startRendering() → AudioBuffer)
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -149,7 +157,8 @@ export const AUDIO_NODE_DISPLAY_MAP = {
     connectionType: 'ConstantSource',
     category: 'source',
     label: 'DC Offset',
-    tooltip: 'ConstantSourceNode'
+    tooltip: 'ConstantSourceNode',
+    getParam: (proc) => Number.isFinite(proc.offset) ? `${Math.round(proc.offset * 100) / 100}` : null
   },
 
   // EFFECT / PROCESSING NODES
@@ -277,7 +286,8 @@ export const AUDIO_NODE_DISPLAY_MAP = {
     connectionType: 'IIRFilter',
     category: 'effect',
     label: 'IIR Filter',
-    tooltip: 'IIRFilterNode'
+    tooltip: 'IIRFilterNode',
+    getParam: (proc) => proc.order ? `order ${proc.order}` : null
   },
 
   // ANALYSIS NODES
@@ -505,414 +515,861 @@ export function formatProcessorForFlow(proc) {
 export const formatProcessorForTree = formatProcessorForFlow;
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// AUDIO PATH FLOW RENDERING
+// AUDIO GRAPH MODEL (connections → node/edge listesi)
 // ═══════════════════════════════════════════════════════════════════════════════
+// Tree'den farklı olarak HİÇBİR bağlantı atlanmaz: merge (fan-in), fan-out,
+// feedback loop, birden fazla destination ve AudioParam bağlantıları korunur.
+// Kullanım: renderAudioFlow() (DAG layout) ve graph-export.js (DOT / Mermaid)
+
+/**
+ * Context id used for connections recorded without contextId (legacy captures)
+ */
+const UNKNOWN_CONTEXT_ID = 'unknown';
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id - nodeId (node_N) or param pseudo node id
+ * @property {string} connectionType - early-inject.js type name (e.g. 'Gain')
+ * @property {string} label - Display label (AUDIO_NODE_DISPLAY_MAP)
+ * @property {string|null} param - getParam() result (pipeline data required)
+ * @property {string} tooltip - Web Audio class name
+ * @property {string} category - NodeCategory or 'param' / 'unknown'
+ * @property {boolean} isMonitor - Analyser (side-chain, not in the main path)
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} from
+ * @property {string} to
+ * @property {number} outputIndex - connect(dest, output, input)
+ * @property {number} inputIndex
+ * @property {boolean} isParam - Destination is an AudioParam
+ * @property {string|null} paramName - AudioParam name on the owner node (e.g. 'gain', 'frequency')
+ * @property {boolean} isFeedback - Closes a cycle (DFS back edge)
+ */
 
 /**
- * ProcessorTreeNode yapısından display flow node'u oluştur
- * @param {Object} treeNode - deriveProcessorTreeFromConnections() çıktısı
- * @param {Set} nodeIdsSeen - Merge point detection için
- * @param {string|null} encodingNodeId - Node-level encoding indicator
- * @param {string|null} encoderCodec - Encoder codec type for param display
- * @param {boolean} isMediaRecorderEncoding - MediaRecorder terminal encoding flag
- * @returns {Object|null} - Display flow node
+ * @typedef {Object} GraphContext
+ * @property {string} contextId
+ * @property {number|null} sampleRate
+ * @property {string|null} state
+ * @property {boolean} isOffline - OfflineAudioContext (render/resample graph)
+ * @property {GraphNode[]} nodes
+ * @property {GraphEdge[]} edges
  */
-function convertProcessorTreeToDisplayFlow(treeNode, nodeIdsSeen, encodingNodeId = null, encoderCodec = null, isMediaRecorderEncoding = false) {
-  if (!treeNode) return null;
 
-  // Merge point: Bu nodeId daha önce işlendi
-  if (treeNode.nodeId && nodeIdsSeen.has(treeNode.nodeId)) {
-    return null;
+/**
+ * Pipeline processor data indexed by nodeId (getParam input)
+ * @param {Array<Object>} contexts
+ * @returns {Map<string, Object>}
+ */
+function indexProcessorsByNodeId(contexts) {
+  const byNodeId = new Map();
+  for (const ctx of contexts) {
+    for (const proc of ctx?.pipeline?.processors || []) {
+      if (proc?.nodeId) byNodeId.set(proc.nodeId, proc);
+    }
   }
-  if (treeNode.nodeId) {
-    nodeIdsSeen.add(treeNode.nodeId);
+  return byNodeId;
+}
+
+/**
+ * @param {string} nodeId
+ * @param {string} connectionType
+ * @param {Map<string, Object>} processorsByNodeId
+ * @returns {GraphNode}
+ */
+function createGraphNode(nodeId, connectionType, processorsByNodeId) {
+  const processorType = mapNodeTypeToProcessorType(connectionType);
+  const mapping = AUDIO_NODE_DISPLAY_MAP[processorType];
+  // Pipeline'da yoksa sadece type ile formatla (label var, param yok)
+  const proc = processorsByNodeId.get(nodeId) || { type: processorType };
+  const { label, param, tooltip } = formatProcessorForFlow({ ...proc, type: processorType });
+
+  return {
+    id: nodeId,
+    connectionType: connectionType || 'unknown',
+    label,
+    param: param || null,
+    tooltip,
+    category: mapping?.category || 'unknown',
+    isMonitor: mapping?.category === 'analysis'
+  };
+}
+
+/**
+ * Mark feedback edges (DFS back edges) - iterative, graphs can be large
+ * DFS starts from nodes without inputs so the edge closing the loop is marked,
+ * not the one entering it.
+ * @param {GraphNode[]} nodes
+ * @param {GraphEdge[]} edges
+ */
+function markFeedbackEdges(nodes, edges) {
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  const hasInput = new Set();
+  for (const edge of edges) {
+    outgoing.get(edge.from)?.push(edge);
+    hasInput.add(edge.to);
   }
 
-  // Terminal node (destination)
-  if (treeNode.terminalType) {
-    // ═══════════════════════════════════════════════════════════════════════
-    // DYNAMIC TERMINAL LABEL (Strategy Pattern ile belirlenir)
-    // - MediaRecorder encoding: Terminal = "Encoder" (API-level encoding)
-    // - Diğer durumlar: Terminal = "Speakers" (connection graph'tan)
-    // ═══════════════════════════════════════════════════════════════════════
-    const isEncodingAtTerminal = isMediaRecorderEncoding;
-    const terminalLabel = isEncodingAtTerminal
-      ? TERMINAL_NODE_LABELS.ENCODING
-      : TERMINAL_NODE_LABELS.DEFAULT;
-
-    // Debug log: terminal node label seçimi
-    console.log('[Audio Flow] Terminal node created:', {
-      terminalType: treeNode.terminalType,
-      isMediaRecorderEncoding,
-      isEncodingAtTerminal,
-      terminalLabel
-    });
+  const roots = [
+    ...nodes.filter(node => !hasInput.has(node.id)),
+    ...nodes.filter(node => hasInput.has(node.id))
+  ];
+
+  // 0 = unvisited, 1 = on current DFS path, 2 = done
+  const state = new Map();
+  for (const root of roots) {
+    if (state.get(root.id)) continue;
+    state.set(root.id, 1);
+    const stack = [{ id: root.id, next: 0 }];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const list = outgoing.get(frame.id) || [];
+      if (frame.next >= list.length) {
+        state.set(frame.id, 2);
+        stack.pop();
+        continue;
+      }
 
-    return {
-      label: terminalLabel,
-      param: 'output',
-      tooltip: treeNode.terminalType === 'encoder'
-        ? 'MediaStreamAudioDestinationNode'
-        : 'AudioDestinationNode',
-      outputs: [],
-      isEncodingNode: isEncodingAtTerminal  // CSS styling için
-    };
+      const edge = list[frame.next++];
+      const destState = state.get(edge.to) || 0;
+      if (destState === 1) {
+        edge.isFeedback = true;
+      } else if (destState === 0) {
+        state.set(edge.to, 1);
+        stack.push({ id: edge.to, next: 0 });
+      }
+    }
   }
+}
 
-  // Virtual root (processor: null, children var)
-  if (!treeNode.processor && treeNode.children && treeNode.children.length > 0) {
-    // Output'ları direkt döndür (virtual root'u atla)
-    const convertedOutputs = [];
-    for (const child of treeNode.children) {
-      const converted = convertProcessorTreeToDisplayFlow(child, nodeIdsSeen, encodingNodeId, encoderCodec, isMediaRecorderEncoding);
-      if (converted) convertedOutputs.push(converted);
+/**
+ * Build the full audio graph (per context) from stored connections
+ * AudioParam (modulation) edges go to the param's owner node (destParam = param name).
+ * Owner unknown (early-inject.js destId 'param' - param getter not seen) → per-source
+ * "AudioParam" pseudo node.
+ * @param {Array<Object>} connections - audio_connections.connections
+ * @param {Array<Object>} [contexts] - audio_contexts (sampleRate/state + processor params)
+ * @returns {GraphContext[]} Contexts that have at least one edge
+ */
+export function buildAudioGraph(connections, contexts = []) {
+  if (!Array.isArray(connections) || connections.length === 0) return [];
+
+  const contextList = Array.isArray(contexts) ? contexts : [];
+  const processorsByNodeId = indexProcessorsByNodeId(contextList);
+  /** @type {Map<string, {nodes: Map<string, GraphNode>, edges: GraphEdge[], edgeKeys: Set<string>}>} */
+  const byContext = new Map();
+
+  for (const c of connections) {
+    if (!c?.sourceId || !c?.destId) continue;
+
+    const contextId = c.contextId || UNKNOWN_CONTEXT_ID;
+    let entry = byContext.get(contextId);
+    if (!entry) {
+      entry = { nodes: new Map(), edges: [], edgeKeys: new Set() };
+      byContext.set(contextId, entry);
     }
-    if (convertedOutputs.length === 0) return null;
-    if (convertedOutputs.length === 1) return convertedOutputs[0];
 
-    // Birden fazla output - virtual node olarak döndür
-    return { label: null, outputs: convertedOutputs, isVirtual: true };
-  }
+    if (!entry.nodes.has(c.sourceId)) {
+      entry.nodes.set(c.sourceId, createGraphNode(c.sourceId, c.sourceType, processorsByNodeId));
+    }
 
-  // Normal processor node
-  if (treeNode.processor) {
-    const formatted = formatProcessorForFlow(treeNode.processor);
-    const isMonitor = treeNode.processor.type === 'analyser';
-
-    // ═══════════════════════════════════════════════════════════════════════
-    // ENCODING NODE DETECTION (Dinamik - Strategy Pattern ile belirlenir)
-    // encodingNodeId → encoding-location.js tarafından hesaplanır
-    // ═══════════════════════════════════════════════════════════════════════
-    const isEncodingNode = encodingNodeId && treeNode.nodeId === encodingNodeId;
-
-    // Encoder codec is shown in Encoder terminal node, not in processor param
-    const finalParam = formatted.param;
-
-    const displayNode = {
-      label: formatted.label,
-      param: finalParam,
-      tooltip: formatted.tooltip,
-      outputs: [],
-      isMonitor,
-      isEncodingNode,  // Node-level encoding indicator (for CSS styling)
-      nodeId: treeNode.nodeId  // Preserve for debugging
-    };
+    const isParam = typeof c.destType === 'string' && c.destType.startsWith('AudioParam(');
+    const hasParamOwner = isParam && c.destId !== 'param';
+    const paramName = isParam ? (c.destParam || null) : null;
+    const destId = isParam && !hasParamOwner ? `${c.sourceId}_param` : c.destId;
+    if (!entry.nodes.has(destId)) {
+      entry.nodes.set(destId, isParam && !hasParamOwner
+        ? {
+          id: destId,
+          connectionType: 'AudioParam',
+          label: 'AudioParam',
+          param: null,
+          tooltip: 'AudioParam (owner node not recorded)',
+          category: 'param',
+          isMonitor: false
+        }
+        : createGraphNode(destId, hasParamOwner ? c.destOwnerType : c.destType, processorsByNodeId));
+    }
 
-    // Output'ları işle
-    if (treeNode.children && treeNode.children.length > 0) {
-      for (const child of treeNode.children) {
-        const converted = convertProcessorTreeToDisplayFlow(child, nodeIdsSeen, encodingNodeId, encoderCodec, isMediaRecorderEncoding);
-        if (converted) {
-          // Virtual node ise output'larını ekle
-          if (converted.isVirtual && converted.outputs) {
-            displayNode.outputs.push(...converted.outputs);
-          } else {
-            displayNode.outputs.push(converted);
-          }
+    const outputIndex = c.outputIndex ?? 0;
+    const inputIndex = c.inputIndex ?? 0;
+    const edgeKey = `${c.sourceId}|${destId}|${paramName || ''}|${outputIndex}|${inputIndex}`;
+    if (entry.edgeKeys.has(edgeKey)) continue;
+    entry.edgeKeys.add(edgeKey);
+    entry.edges.push({ from: c.sourceId, to: destId, outputIndex, inputIndex, isParam, paramName, isFeedback: false });
+  }
+
+  const contextById = new Map(contextList.filter(ctx => ctx?.contextId).map(ctx => [ctx.contextId, ctx]));
+
+  return [...byContext.entries()].map(([contextId, entry]) => {
+    const nodes = [...entry.nodes.values()];
+    markFeedbackEdges(nodes, entry.edges);
+    const ctx = contextById.get(contextId);
+    const isOffline = !!ctx?.static?.isOffline;
+    if (isOffline) {
+      for (const node of nodes) {
+        if (node.connectionType === 'AudioDestination') {
+          node.label = TERMINAL_NODE_LABELS.OFFLINE_RENDER;
+          node.tooltip = 'AudioDestinationNode (OfflineAudioContext → rendered AudioBuffer)';
         }
       }
     }
+    return {
+      contextId,
+      sampleRate: ctx?.static?.sampleRate ?? null,
+      state: ctx?.static?.state ?? null,
+      isOffline,
+      nodes,
+      edges: entry.edges
+    };
+  });
+}
+
+/**
+ * Edge label - modulated AudioParam name + non-default channel indices (splitter/merger routing)
+ * @param {GraphEdge} edge
+ * @returns {string} e.g. '1→0', 'gain', 'frequency 1→0', '' for connect(dest)
+ */
+export function formatEdgeLabel(edge) {
+  const parts = [];
+  if (edge.isParam && edge.paramName) parts.push(edge.paramName);
+  if (edge.outputIndex !== 0 || edge.inputIndex !== 0) parts.push(`${edge.outputIndex}→${edge.inputIndex}`);
+  return parts.join(' ');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AUDIOPARAM AUTOMATION (tooltip timeline)
+// ═══════════════════════════════════════════════════════════════════════════════
+// early-inject.js AudioParam hook'ları → audio_connections.paramAutomation
+// Node tooltip'inde param başına son event'ler: ducking/fade nedenini açıklar.
 
-    return displayNode;
+/**
+ * @typedef {Object} ParamAutomationEvent
+ * @property {string} method - AudioParam method or 'value' (setter)
+ * @property {number|null} [value]
+ * @property {number} [time] - Scheduled time (AudioContext seconds)
+ * @property {number} [timeConstant] - setTargetAtTime
+ * @property {number} [duration] - setValueCurveAtTime
+ * @property {number} [curveLength] - setValueCurveAtTime
+ * @property {number} [count] - Coalesced value setter calls
+ * @property {number|null} contextTime - ctx.currentTime at call
+ */
+
+/**
+ * @typedef {Object} ParamAutomationTimeline
+ * @property {string} ownerId - nodeId of the AudioParam owner
+ * @property {string} ownerType
+ * @property {string} param - Param name ('gain', 'frequency', 'parameters.x')
+ * @property {string|null} contextId
+ * @property {number} defaultValue
+ * @property {ParamAutomationEvent[]} events - Last events (oldest first)
+ * @property {number} updatedAt
+ */
+
+/**
+ * Tooltip'te param başına gösterilen son event sayısı
+ */
+const AUTOMATION_TOOLTIP_EVENTS = 6;
+
+const AUTOMATION_METHOD_LABELS = {
+  setValueAtTime: 'set',
+  linearRampToValueAtTime: 'linear ramp →',
+  exponentialRampToValueAtTime: 'exp ramp →',
+  setTargetAtTime: 'target →',
+  setValueCurveAtTime: 'curve →',
+  cancelScheduledValues: 'cancel',
+  cancelAndHoldAtTime: 'cancel & hold',
+  value: 'value ='
+};
+
+/**
+ * @param {number|null|undefined} value
+ * @returns {string} Max 3 decimals ('?' for missing/non-finite)
+ */
+function formatAutomationNumber(value) {
+  return Number.isFinite(value) ? String(Math.round(value * 1000) / 1000) : '?';
+}
+
+/**
+ * AudioParam automation timeline → tooltip lines
+ * @param {ParamAutomationTimeline} timeline
+ * @returns {string} Multi-line text, e.g.
+ *   "gain (default 1)\n  set 1 @ 0s\n  linear ramp → 0.2 @ 2.5s (ctx 2.1s)"
+ */
+export function formatAutomationTimeline(timeline) {
+  const events = (timeline.events || []).slice(-AUTOMATION_TOOLTIP_EVENTS);
+  const hidden = (timeline.events?.length || 0) - events.length;
+  const lines = [`${timeline.param} (default ${formatAutomationNumber(timeline.defaultValue)})`];
+  if (hidden > 0) lines.push(`  … ${hidden} earlier`);
+
+  for (const event of events) {
+    let line = `  ${AUTOMATION_METHOD_LABELS[event.method] || event.method}`;
+    if (event.method === 'value') {
+      line += ` ${formatAutomationNumber(event.value)}`;
+      if (event.count > 1) line += ` ×${event.count}`;
+    } else {
+      if (event.value !== undefined) line += ` ${formatAutomationNumber(event.value)}`;
+      line += ` @ ${formatAutomationNumber(event.time)}s`;
+      if (event.timeConstant !== undefined) line += ` τ=${formatAutomationNumber(event.timeConstant)}s`;
+      if (event.duration !== undefined) line += ` over ${formatAutomationNumber(event.duration)}s (${event.curveLength} pts)`;
+    }
+    // Çağrı anındaki ctx.currentTime - zamanlanmış event'in geçmişte/ileride olduğunu gösterir
+    if (Number.isFinite(event.contextTime)) line += ` (ctx ${formatAutomationNumber(event.contextTime)}s)`;
+    lines.push(line);
   }
+  return lines.join('\n');
+}
 
-  return null;
+/**
+ * Group automation timelines by owner nodeId
+ * @param {ParamAutomationTimeline[]} paramAutomation
+ * @returns {Map<string, ParamAutomationTimeline[]>}
+ */
+function groupAutomationByOwner(paramAutomation) {
+  const byOwner = new Map();
+  for (const timeline of Array.isArray(paramAutomation) ? paramAutomation : []) {
+    if (!timeline?.ownerId || !(timeline.events?.length > 0)) continue;
+    if (!byOwner.has(timeline.ownerId)) byOwner.set(timeline.ownerId, []);
+    byOwner.get(timeline.ownerId).push(timeline);
+  }
+  return byOwner;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// AUDIOWORKLET PORT TRAFFIC (tooltip message log)
+// ═══════════════════════════════════════════════════════════════════════════════
+// early-inject.js / EarlyHook.js port hook'ları → audio_connections.portTraffic
+// Worklet node tooltip'inde yön başına istatistik + örneklenmiş mesaj logu.
+
 /**
- * Render Audio Path as workflow pipeline with arrow connectors
- *
- * İki input formatını destekler:
- * 1. Array (backward compat): mainProcessors = [{type, nodeId, ...}, ...]
- * 2. ProcessorTreeNode: mainProcessors = {processor, children, terminalType}
- *
- * @param {Array|Object} mainProcessors - Linear array veya ProcessorTreeNode
- * @param {Array} monitors - Analyser node'ları (sadece array mode'da kullanılır)
- * @param {string} inputSource - 'microphone' | 'remote' | etc.
- * @param {Object} options - Rendering options
- * @param {string|null} options.encodingNodeId - Node ID that is doing encoding (highlighted in flow)
- * @param {string|null} options.encoderCodec - Encoder codec type (e.g., 'opus', 'mp3', 'pcm')
- * @param {boolean} options.isMediaRecorderEncoding - MediaRecorder terminal encoding flag
- * @param {Object|null} options.virtualTerminal - Virtual terminal node config (for PCM/WAV)
- * @param {string} options.virtualTerminal.codec - Codec name
- * @param {string} options.virtualTerminal.container - Container format
+ * @typedef {Object} PortDirectionSnapshot
+ * @property {number} count
+ * @property {number} bytes - Estimated payload bytes
+ * @property {number} transferables
+ * @property {number} rate - msg/s (last completed 1 s window)
+ * @property {number} bytesPerSec
+ * @property {number|null} lastAt
  */
-export function renderAudioFlow(mainProcessors, monitors, inputSource, options = {}) {
-  const {
-    encodingNodeId = null,
-    encoderCodec = null,
-    isMediaRecorderEncoding = false,
-    virtualTerminal = null
-  } = options;
 
-  // Debug log: terminal node label mantığı için
-  console.log('[Audio Flow] renderAudioFlow options:', {
-    isMediaRecorderEncoding,
-    encodingNodeId,
-    encoderCodec,
-    virtualTerminal,
-    inputSource,
-    expectedTerminal: isMediaRecorderEncoding ? 'Encoder' : (virtualTerminal ? 'Virtual Encoder' : 'Speakers')
-  });
+/**
+ * @typedef {Object} PortTrafficSnapshot
+ * @property {string} nodeId - AudioWorkletNode id
+ * @property {string|null} processorName
+ * @property {string|null} contextId
+ * @property {PortDirectionSnapshot} toProcessor - node.port.postMessage()
+ * @property {PortDirectionSnapshot} fromProcessor - port.onmessage / 'message' listeners
+ * @property {{direction: string, timestamp: number, shape: string, bytes: number, transferables: number}[]} log - Sampled, oldest first
+ * @property {number} updatedAt
+ */
 
-  // Empty check
-  const isArray = Array.isArray(mainProcessors);
-  const isEmpty = isArray
-    ? (!mainProcessors || mainProcessors.length === 0)
-    : !mainProcessors;
+/**
+ * Tooltip'te gösterilen son log satırı sayısı
+ */
+const PORT_TOOLTIP_LOG_ENTRIES = 8;
 
-  if (isEmpty && !inputSource) {
-    return '<div class="no-data">No audio path</div>';
+/**
+ * Payload shape kırpma uzunluğu (tooltip tek satır genişliği)
+ */
+const PORT_TOOLTIP_SHAPE_LENGTH = 64;
+
+const PORT_DIRECTION_ARROWS = {
+  toProcessor: '→',
+  fromProcessor: '←'
+};
+
+/**
+ * @param {PortDirectionSnapshot} stats
+ * @returns {string} e.g. "375 msgs · 93.8/s · 48.0 KB/s · 375 transferred"
+ */
+function formatPortDirection(stats) {
+  if (!stats?.count) return 'none';
+  const parts = [`${stats.count} msgs`, `${stats.rate}/s`, `${formatBytes(stats.bytesPerSec)}/s`];
+  if (stats.transferables > 0) parts.push(`${stats.transferables} transferred`);
+  return parts.join(' · ');
+}
+
+/**
+ * AudioWorklet port traffic → tooltip lines
+ * @param {PortTrafficSnapshot} traffic
+ * @returns {string} Multi-line text, e.g.
+ *   "port messages\n  → processor: 375 msgs · 93.8/s · 48.0 KB/s\n  ← processor: none\n  12:00:01 → {type: \"chunk\"} 512 B"
+ */
+export function formatPortTraffic(traffic) {
+  const lastAt = Math.max(traffic.toProcessor?.lastAt || 0, traffic.fromProcessor?.lastAt || 0);
+  const lines = [
+    `port messages (last ${formatTime(lastAt)})`,
+    `  → processor: ${formatPortDirection(traffic.toProcessor)}`,
+    `  ← processor: ${formatPortDirection(traffic.fromProcessor)}`
+  ];
+
+  const entries = (traffic.log || []).slice(-PORT_TOOLTIP_LOG_ENTRIES);
+  const hidden = (traffic.log?.length || 0) - entries.length;
+  if (hidden > 0) lines.push(`  … ${hidden} earlier sampled`);
+  for (const entry of entries) {
+    const shape = entry.shape.length > PORT_TOOLTIP_SHAPE_LENGTH
+      ? `${entry.shape.slice(0, PORT_TOOLTIP_SHAPE_LENGTH - 1)}…`
+      : entry.shape;
+    const transferred = entry.transferables > 0 ? ` ⇄${entry.transferables}` : '';
+    lines.push(`  ${formatTime(entry.timestamp)} ${PORT_DIRECTION_ARROWS[entry.direction] || '?'} ${shape} ${formatBytes(entry.bytes)}${transferred}`);
   }
+  return lines.join('\n');
+}
 
-  /**
-   * ProcessorTreeNode yapısından flow oluştur (yeni mod)
-   */
-  const buildFromProcessorTree = (processorTree) => {
-    const rootLabel = inputSource ? capitalizeFirst(inputSource) : 'Source';
-    const rootTooltip = getInputSourceTooltip(inputSource);
-    const root = { label: rootLabel, tooltip: rootTooltip, outputs: [], isRoot: true };
+// ═══════════════════════════════════════════════════════════════════════════════
+// DAG LAYOUT (Layered / Sugiyama)
+// ═══════════════════════════════════════════════════════════════════════════════
+// 1. Rank: feedback edge'ler hariç longest-path (source'lar en üstte)
+// 2. Dummy: 1'den fazla katman atlayan edge'lere ara slot (oklar node'ların üstünden geçmez)
+// 3. Ordering: barycenter sweep (aşağı + yukarı) - edge kesişimlerini azaltır
+// Feedback edge'ler katmanlamaya katılmaz, sağ taraftan loop olarak çizilir.
 
-    if (!processorTree) return root;
+/**
+ * Barycenter sweep count (down + up = 1 sweep)
+ */
+const LAYOUT_ORDERING_SWEEPS = 4;
 
-    const nodeIdsSeen = new Set();
-    const converted = convertProcessorTreeToDisplayFlow(processorTree, nodeIdsSeen, encodingNodeId, encoderCodec, isMediaRecorderEncoding);
+/**
+ * @typedef {Object} LayoutSlot
+ * @property {string} id - nodeId or dummy id (`edgeIndex:rank`)
+ * @property {GraphNode|null} node - null = dummy (long edge pass-through)
+ */
 
-    if (converted) {
-      // Virtual node ise output'larını root'a ekle
-      if (converted.isVirtual && converted.outputs) {
-        root.outputs.push(...converted.outputs);
-      } else {
-        root.outputs.push(converted);
-      }
+/**
+ * @typedef {Object} GraphLayout
+ * @property {LayoutSlot[][]} layers - Top to bottom, slots left to right
+ * @property {string[][]} routes - Per edge: slot ids from source to dest (feedback: [from, to])
+ */
+
+/**
+ * Layered layout of one context graph
+ * @param {{nodes: GraphNode[], edges: GraphEdge[]}} graph
+ * @returns {GraphLayout}
+ */
+export function layoutAudioGraph(graph) {
+  const { nodes, edges } = graph;
+  const forwardEdges = edges.filter(edge => !edge.isFeedback);
+
+  // 1. Rank (Kahn - feedback edge'ler çıkarılınca graph DAG)
+  const rank = new Map(nodes.map(node => [node.id, 0]));
+  const inDegree = new Map(nodes.map(node => [node.id, 0]));
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  for (const edge of forwardEdges) {
+    inDegree.set(edge.to, (inDegree.get(edge.to) || 0) + 1);
+    outgoing.get(edge.from)?.push(edge);
+  }
+  const queue = nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const edge of outgoing.get(id) || []) {
+      rank.set(edge.to, Math.max(rank.get(edge.to) || 0, rank.get(id) + 1));
+      const remaining = inDegree.get(edge.to) - 1;
+      inDegree.set(edge.to, remaining);
+      if (remaining === 0) queue.push(edge.to);
     }
+  }
 
-    // ═══════════════════════════════════════════════════════════════════════
-    // VIRTUAL TERMINAL NODE (PCM/WAV - connection graph'ta destination yok)
-    // Strategy pattern ile belirlenen virtualTerminal varsa → sanal Encoder node ekle
-    // ═══════════════════════════════════════════════════════════════════════
-    if (virtualTerminal && !hasTerminalNode(root)) {
-      const lastNode = findLastFlowNode(root);
-      if (lastNode) {
-        const codecLabel = virtualTerminal.container?.toUpperCase() || virtualTerminal.codec?.toUpperCase() || 'PCM';
-        lastNode.outputs.push({
-          label: TERMINAL_NODE_LABELS.ENCODING,
-          param: codecLabel,
-          tooltip: 'Audio encoding output (PCM/WAV)',
-          outputs: [],
-          isEncodingNode: true,
-          isVirtualTerminal: true
-        });
-        console.log('[Audio Flow] Virtual terminal added:', codecLabel);
-      }
+  const layerCount = Math.max(0, ...rank.values()) + 1;
+  /** @type {LayoutSlot[][]} */
+  const layers = Array.from({ length: layerCount }, () => []);
+  for (const node of nodes) {
+    layers[rank.get(node.id)].push({ id: node.id, node });
+  }
+
+  // 2. Dummy slots + routes
+  const routes = edges.map((edge, index) => {
+    if (edge.isFeedback) return [edge.from, edge.to];
+    const route = [edge.from];
+    for (let r = rank.get(edge.from) + 1; r < rank.get(edge.to); r++) {
+      const id = `${index}:${r}`;
+      layers[r].push({ id, node: null });
+      route.push(id);
     }
+    route.push(edge.to);
+    return route;
+  });
 
-    return root;
+  // Komşu katmanlar arası bağlantılar (ordering için)
+  const upper = new Map();
+  const lower = new Map();
+  routes.forEach((route, index) => {
+    if (edges[index].isFeedback) return;
+    for (let i = 1; i < route.length; i++) {
+      if (!upper.has(route[i])) upper.set(route[i], []);
+      if (!lower.has(route[i - 1])) lower.set(route[i - 1], []);
+      upper.get(route[i]).push(route[i - 1]);
+      lower.get(route[i - 1]).push(route[i]);
+    }
+  });
+
+  // 3. Ordering - barycenter, monitor'lar eşitlikte sağa (ana akış solda kalır)
+  const orderLayer = (layer, neighbors, reference) => {
+    const position = new Map(reference.map((slot, index) => [slot.id, index]));
+    const keyed = layer.map((slot, index) => {
+      const linked = (neighbors.get(slot.id) || []).filter(id => position.has(id));
+      const barycenter = linked.length > 0
+        ? linked.reduce((sum, id) => sum + position.get(id), 0) / linked.length
+        : index;
+      return { slot, barycenter, index, isMonitor: !!slot.node?.isMonitor };
+    });
+    keyed.sort((a, b) =>
+      (a.barycenter - b.barycenter) ||
+      (Number(a.isMonitor) - Number(b.isMonitor)) ||
+      (a.index - b.index)
+    );
+    return keyed.map(entry => entry.slot);
   };
 
-  /**
-   * Flow tree'de terminal node var mı kontrol et
-   */
-  const hasTerminalNode = (node) => {
-    if (!node) return false;
-    if (node.outputs && node.outputs.length === 0 && !node.isRoot && !node.isMonitor) {
-      // Leaf node (output yok) ve monitor değil → potential terminal
-      return true;
+  for (let sweep = 0; sweep < LAYOUT_ORDERING_SWEEPS; sweep++) {
+    for (let r = 1; r < layers.length; r++) {
+      layers[r] = orderLayer(layers[r], upper, layers[r - 1]);
     }
-    if (node.outputs) {
-      return node.outputs.some(child => hasTerminalNode(child));
+    for (let r = layers.length - 2; r >= 0; r--) {
+      layers[r] = orderLayer(layers[r], lower, layers[r + 1]);
     }
-    return false;
-  };
+  }
 
-  /**
-   * Flow tree'nin son (leaf) node'unu bul
-   * Virtual terminal eklemek için kullanılır (monitor dahil tüm node'lar)
-   */
-  const findLastFlowNode = (node) => {
-    if (!node) return null;
+  return { layers, routes };
+}
 
-    const allOutputs = node.outputs || [];
+// ═══════════════════════════════════════════════════════════════════════════════
+// AUDIO PATH FLOW RENDERING (DAG)
+// ═══════════════════════════════════════════════════════════════════════════════
 
-    if (allOutputs.length === 0) {
-      // Bu node'un output'u yok → bu son node (leaf)
-      return node.isRoot ? null : node;
-    }
+/**
+ * Virtual terminal slot id (PCM/WAV - connection graph'ta destination yok)
+ */
+const VIRTUAL_TERMINAL_ID = 'virtual_encoder';
 
-    // İlk output'u takip et (sıralama render sırasında yapılır)
-    return findLastFlowNode(allOutputs[0]);
+/**
+ * Add the virtual Encoder node (PCM/WAV) after the encoding processor
+ * Only when the graph has no destination - otherwise the real terminal is shown.
+ * @param {{nodes: GraphNode[], edges: GraphEdge[]}} graph
+ * @param {{codec?: string, container?: string}} virtualTerminal
+ * @returns {{nodes: GraphNode[], edges: GraphEdge[]}}
+ */
+function withVirtualTerminal(graph, virtualTerminal) {
+  if (graph.nodes.some(node => node.category === 'destination')) return graph;
+
+  // Bağlanma noktası: output'u olmayan ana akış node'u (worklet/script processor tercih)
+  const hasOutput = new Set(graph.edges.filter(edge => !edge.isFeedback).map(edge => edge.from));
+  const sinks = graph.nodes.filter(node =>
+    !hasOutput.has(node.id) && !node.isMonitor && node.category !== 'param'
+  );
+  const attachTo = sinks.find(node => node.category === 'processor') ||
+    sinks[sinks.length - 1] ||
+    graph.nodes[graph.nodes.length - 1];
+  if (!attachTo) return graph;
+
+  const codecLabel = virtualTerminal.container?.toUpperCase() || virtualTerminal.codec?.toUpperCase() || 'PCM';
+  return {
+    nodes: [...graph.nodes, {
+      id: VIRTUAL_TERMINAL_ID,
+      connectionType: 'VirtualEncoder',
+      label: TERMINAL_NODE_LABELS.ENCODING,
+      param: codecLabel,
+      tooltip: 'Audio encoding output (PCM/WAV)',
+      category: 'destination',
+      isMonitor: false
+    }],
+    edges: [...graph.edges, {
+      from: attachTo.id,
+      to: VIRTUAL_TERMINAL_ID,
+      outputIndex: 0,
+      inputIndex: 0,
+      isParam: false,
+      paramName: null,
+      isFeedback: false
+    }]
   };
+}
 
-  /**
-   * Linear array'den flow oluştur (eski mod - backward compat)
-   */
-  const buildFromLinearArray = () => {
-    const rootLabel = inputSource ? capitalizeFirst(inputSource) : 'Source';
-    const rootTooltip = getInputSourceTooltip(inputSource);
-    const root = { label: rootLabel, tooltip: rootTooltip, outputs: [], isRoot: true };
-
-    const chainProcessors = (mainProcessors || []).filter(p => p.type !== 'mediaStreamSource');
-
-    let currentParent = root;
-    let lastProcessorNode = root;
-
-    chainProcessors.forEach((proc) => {
-      const formatted = formatProcessorForFlow(proc);
-      const node = {
-        label: formatted.label,
-        param: formatted.param,
-        tooltip: formatted.tooltip,
-        outputs: []
-      };
+/**
+ * Render Audio Path as a layered DAG
+ *
+ * Her node bir kez çizilir, her connect() bir ok: merge, fan-out, feedback
+ * (turuncu, sağdan loop), AudioParam modülasyonu (kesikli, param adı) ve kanal
+ * index'leri (out→in). Automation kaydı olan node'ların tooltip'inde timeline,
+ * port trafiği olan worklet node'larının tooltip'inde mesaj logu var.
+ * Oklar DOM ölçümüyle çizilir → render sonrası measureFlowLabels() çağrılmalı.
+ *
+ * @param {GraphContext|null} graph - buildAudioGraph() entry of the context
+ * @param {string|null} inputSource - 'microphone' | 'remote' | etc. (MediaStreamAudioSource label)
+ * @param {Object} options - Rendering options (encoding-location.js toRenderOptions)
+ * @param {string|null} options.encodingNodeId - Node ID that is doing encoding (encoder badge)
+ * @param {string|null} options.terminalNodeId - Destination node used by MediaRecorder
+ * @param {boolean} options.isMediaRecorderEncoding - MediaRecorder terminal encoding flag
+ * @param {Object|null} options.virtualTerminal - Virtual terminal node config (for PCM/WAV)
+ * @param {string} options.virtualTerminal.codec - Codec name
+ * @param {string} options.virtualTerminal.container - Container format
+ * @param {ParamAutomationTimeline[]} [options.paramAutomation] - audio_connections.paramAutomation
+ * @param {PortTrafficSnapshot[]} [options.portTraffic] - audio_connections.portTraffic
+ * @returns {string} HTML
+ */
+export function renderAudioFlow(graph, inputSource, options = {}) {
+  const {
+    encodingNodeId = null,
+    terminalNodeId = null,
+    isMediaRecorderEncoding = false,
+    virtualTerminal = null,
+    paramAutomation = [],
+    portTraffic = []
+  } = options;
 
-      currentParent.outputs.push(node);
-      lastProcessorNode = node;
-      currentParent = node;
-    });
+  if (!graph || graph.nodes.length === 0) {
+    return '<div class="no-data">No audio path</div>';
+  }
+
+  const displayGraph = virtualTerminal ? withVirtualTerminal(graph, virtualTerminal) : graph;
+  const { layers, routes } = layoutAudioGraph(displayGraph);
+  const automationByOwner = groupAutomationByOwner(paramAutomation);
+  const trafficByNode = new Map((Array.isArray(portTraffic) ? portTraffic : []).map(traffic => [traffic.nodeId, traffic]));
 
-    const encoderNode = {
-      label: 'Encoder',
-      param: 'output',
-      tooltip: null,  // Self-explanatory, no tooltip needed
-      outputs: []
+  /**
+   * GraphNode → display node (encoding / input source decoration)
+   * @param {GraphNode} node
+   */
+  const toDisplayNode = (node) => {
+    const display = {
+      label: node.label,
+      param: node.param,
+      tooltip: node.tooltip,
+      isRoot: node.category === 'source',
+      isMonitor: node.isMonitor,
+      isParamNode: node.category === 'param',
+      isEncodingNode: node.id === encodingNodeId || node.id === VIRTUAL_TERMINAL_ID
     };
 
-    const analyzerNodes = (monitors || []).map((mon) => {
-      const formatted = formatProcessorForFlow(mon);
-      return {
-        label: formatted.label,
-        param: formatted.param,
-        tooltip: formatted.tooltip,
-        outputs: [],
-        isMonitor: true
-      };
-    });
+    if (node.connectionType === 'MediaStreamAudioSource' && inputSource) {
+      display.label = capitalizeFirst(inputSource);
+      display.tooltip = getInputSourceTooltip(inputSource);
+    }
 
-    lastProcessorNode.outputs.push(encoderNode);
-    analyzerNodes.forEach(an => lastProcessorNode.outputs.push(an));
+    // MediaRecorder encoding → kaydedilen destination "Encoder" olarak gösterilir
+    if (isMediaRecorderEncoding && node.category === 'destination') {
+      const isRecorded = terminalNodeId
+        ? node.id === terminalNodeId
+        : node.connectionType === 'MediaStreamAudioDestination';
+      if (isRecorded) {
+        display.label = TERMINAL_NODE_LABELS.ENCODING;
+        display.isEncodingNode = true;
+      }
+    }
 
-    return root;
+    return display;
   };
 
-  // Input tipine göre flow oluştur
-  const flow = isArray
-    ? buildFromLinearArray()
-    : buildFromProcessorTree(mainProcessors);
-
-  const renderNode = (node, isRoot = false) => {
-    const hasOutputs = node.outputs && node.outputs.length > 0;
-    const isSplitPoint = hasOutputs && node.outputs.length > 1;
+  const renderNode = (slot) => {
+    if (!slot.node) {
+      return `<div class="${FLOW_CLASSES.DUMMY}" data-slot-id="${slot.id}"></div>`;
+    }
 
-    // CSS class'ları sabitlerden al (regresyon koruması)
+    const node = toDisplayNode(slot.node);
     const classes = [FLOW_CLASSES.NODE];
-    if (isRoot) classes.push(FLOW_CLASSES.ROOT);
-    if (hasOutputs) classes.push(FLOW_CLASSES.HAS_OUTPUTS);
-    if (isSplitPoint) classes.push(FLOW_CLASSES.SPLIT);
+    if (node.isRoot) classes.push(FLOW_CLASSES.ROOT);
     if (node.isMonitor) classes.push(FLOW_CLASSES.MONITOR);
+    if (node.isParamNode) classes.push(FLOW_CLASSES.PARAM_NODE);
     if (node.isEncodingNode) classes.push(FLOW_CLASSES.ENCODING_NODE);
+    const automation = automationByOwner.get(slot.node.id) || [];
+    if (automation.length > 0) classes.push(FLOW_CLASSES.AUTOMATED);
+    const traffic = trafficByNode.get(slot.node.id);
+    if (traffic) classes.push(FLOW_CLASSES.MESSAGING);
 
-    // Label ve param ayrı elementler - JS ölçümü için gerekli
-    // Guard: Virtual node'larda label null olabilir
-    const labelHtml = node.label
-      ? `<span class="${FLOW_CLASSES.LABEL_TEXT}">${escapeHtml(node.label)}</span>`
-      : '';
+    const labelHtml = `<span class="${FLOW_CLASSES.LABEL_TEXT}">${escapeHtml(node.label)}</span>`;
     const paramHtml = node.param
       ? `<span class="${FLOW_CLASSES.PARAM}">(${escapeHtml(node.param)})</span>`
       : '';
     // Encoding badge: encoding yapan node'un yanına ← Encoder göster
-    // Badge sadece label "Encoder" olmayan node'lar için
     // (Terminal node label="Encoder" olduğunda badge gereksiz - çift gösterim önlenir)
     const showEncoderBadge = node.isEncodingNode && node.label !== TERMINAL_NODE_LABELS.ENCODING;
     const encoderBadgeHtml = showEncoderBadge
       ? '<span class="encoder-badge">Encoder</span>'
       : '';
 
-    const hasValidTooltip = node.tooltip && String(node.tooltip).trim().length > 0;
-    const labelClass = hasValidTooltip ? `${FLOW_CLASSES.LABEL} flow-tooltip` : FLOW_CLASSES.LABEL;
-    const tooltipAttr = hasValidTooltip ? ` data-tooltip="${escapeHtml(node.tooltip)}"` : '';
-
-    let html = `<div class="${classes.join(' ')}">`;
-    html += `<span class="${labelClass}"${tooltipAttr}>${labelHtml}${paramHtml}${encoderBadgeHtml}</span>`;
-
-    if (hasOutputs) {
-      // Outputs sıralaması: ana akış önce, monitorlar sona
-      // Bu sayede split point'te dikey akış doğru dalı takip eder
-      const sortedOutputs = [...node.outputs].sort((a, b) => {
-        // 1. Monitor node'lar (VU Meter, Spectrum) HER ZAMAN sona
-        // Bu check önce yapılmalı - monitor node'lar yan dal olarak gösterilmeli
-        if (a.isMonitor && !b.isMonitor) return 1;
-        if (!a.isMonitor && b.isMonitor) return -1;
-
-        // 2. hasOutputs olanlar önce (destination'a giden yol)
-        const aHasOutputs = a.outputs && a.outputs.length > 0;
-        const bHasOutputs = b.outputs && b.outputs.length > 0;
-        if (aHasOutputs && !bHasOutputs) return -1;
-        if (!aHasOutputs && bHasOutputs) return 1;
-
-        return 0; // Aynı öncelik - orijinal sıra korunur
-      });
-
-      html += `<div class="${FLOW_CLASSES.OUTPUTS}">`;
-      sortedOutputs.forEach(output => {
-        html += renderNode(output, false);
-      });
-      html += '</div>';
-    }
+    // Node ID tooltip'te - bug report'larda connection log'u ile eşleştirme için
+    const tooltip = [
+      slot.node.id === VIRTUAL_TERMINAL_ID ? node.tooltip : `${node.tooltip} · ${slot.node.id}`,
+      ...automation.map(formatAutomationTimeline),
+      ...(traffic ? [formatPortTraffic(traffic)] : [])
+    ].join('\n');
+    const tooltipClasses = automation.length > 0 || traffic ? `flow-tooltip ${FLOW_CLASSES.TOOLTIP_MULTILINE}` : 'flow-tooltip';
+
+    return `<div class="${classes.join(' ')}" data-slot-id="${escapeAttr(slot.id)}">` +
+      `<span class="${FLOW_CLASSES.LABEL} ${tooltipClasses}" data-tooltip="${escapeAttr(tooltip)}">${labelHtml}${paramHtml}${encoderBadgeHtml}</span>` +
+      '</div>';
+  };
 
-    html += '</div>';
-    return html;
+  const renderEdge = (edge, index) => {
+    const classes = [FLOW_CLASSES.EDGE];
+    if (edge.isParam) classes.push(FLOW_CLASSES.EDGE_PARAM);
+    if (edge.isFeedback) classes.push(FLOW_CLASSES.EDGE_FEEDBACK);
+    const marker = edge.isFeedback ? 'flow-arrow-feedback' : 'flow-arrow';
+    const label = formatEdgeLabel(edge);
+
+    return `<g class="${FLOW_CLASSES.EDGE_GROUP}" data-from="${escapeAttr(edge.from)}" data-to="${escapeAttr(edge.to)}"` +
+      ` data-kind="${edge.isFeedback ? 'feedback' : (edge.isParam ? 'param' : 'audio')}">` +
+      `<path class="${classes.join(' ')}" data-route="${escapeAttr(routes[index].join(' '))}" marker-end="url(#${marker})"></path>` +
+      (label ? `<text class="${FLOW_CLASSES.EDGE_LABEL}">${escapeHtml(label)}</text>` : '') +
+      '</g>';
   };
 
-  return `<div class="${FLOW_CLASSES.CONTAINER}">${renderNode(flow, true)}</div>`;
+  const markers =
+    '<defs>' +
+    '<marker id="flow-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">' +
+    '<path class="flow-edge-arrow" d="M0,0 L10,5 L0,10 z"></path></marker>' +
+    '<marker id="flow-arrow-feedback" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">' +
+    '<path class="flow-edge-arrow flow-edge-arrow--feedback" d="M0,0 L10,5 L0,10 z"></path></marker>' +
+    '</defs>';
+
+  let html = `<div class="${FLOW_CLASSES.CONTAINER}"><div class="${FLOW_CLASSES.GRAPH}">`;
+  html += `<svg class="${FLOW_CLASSES.EDGES}" aria-hidden="true">${markers}${displayGraph.edges.map(renderEdge).join('')}</svg>`;
+  for (const layer of layers) {
+    html += `<div class="${FLOW_CLASSES.LAYER}">${layer.map(renderNode).join('')}</div>`;
+  }
+  html += '</div></div>';
+  return html;
 }
 
-// Backward compatibility alias
-export const renderAudioPathTree = renderAudioFlow;
-
 // ═══════════════════════════════════════════════════════════════════════════════
-// FLOW LABEL MEASUREMENT
+// FLOW EDGE DRAWING (render sonrası DOM ölçümü)
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Root node'un label merkez pozisyonunu ölçer ve container'a CSS variable olarak set eder.
- * Tüm dikey oklar bu değeri kullanarak aynı dikey hizada kalır.
- *
- * Called after DOM render via requestAnimationFrame in popup.js
- *
- * Formül:
- * - mainArrowLeft = Math.floor(labelText center) → Tüm okların X pozisyonu
- *
- * ⚠️ Math.floor: Tutarlılık için HEP Math.floor kullan
+ * Feedback loop'un node'un sağ kenarından uzaklığı (px), aynı node'dan çıkan her ek loop için +STEP
  */
-export function measureFlowLabels() {
-  const container = document.querySelector(FLOW_SELECTORS.CONTAINER);
-  if (!container) return;
+const FEEDBACK_LOOP_OFFSET = 24;
+const FEEDBACK_LOOP_STEP = 8;
 
-  // DPI bilgisi (debug için korundu)
-  console.log('[Audio Flow] devicePixelRatio:', window.devicePixelRatio);
+/**
+ * Draw edge paths of one rendered graph from measured slot boxes
+ * Port'lar: bir node'a giren/çıkan oklar label genişliğine yayılır (karşı uç X'ine göre
+ * sıralı) - merge ve paralel bağlantılar (farklı out/in index) ayrı görünür.
+ * @param {Element} graphEl - .flow-graph
+ */
+function drawFlowEdges(graphEl) {
+  const svg = graphEl.querySelector(FLOW_SELECTORS.EDGES);
+  if (!svg) return;
+
+  const origin = graphEl.getBoundingClientRect();
+  const boxes = new Map();
+  graphEl.querySelectorAll(FLOW_SELECTORS.SLOT).forEach(slotEl => {
+    const target = slotEl.querySelector(FLOW_SELECTORS.DIRECT_LABEL) || slotEl;
+    const rect = target.getBoundingClientRect();
+    boxes.set(/** @type {HTMLElement} */ (slotEl).dataset.slotId, {
+      left: rect.left - origin.left,
+      right: rect.right - origin.left,
+      top: rect.top - origin.top,
+      bottom: rect.bottom - origin.top,
+      centerX: rect.left - origin.left + rect.width / 2
+    });
+  });
 
-  // Root node'u bul (.flow-root class'ı olan)
-  const rootNode = container.querySelector('.flow-node.flow-root');
-  if (!rootNode) return;
+  svg.setAttribute('width', String(graphEl.scrollWidth));
+  svg.setAttribute('height', String(graphEl.scrollHeight));
 
-  const rootLabelText = rootNode.querySelector(FLOW_SELECTORS.LABEL_TEXT);
-  if (!rootLabelText) return;
+  const groups = [...svg.querySelectorAll(FLOW_SELECTORS.EDGE_GROUP)];
+  const edges = groups.map(group => {
+    const path = group.querySelector('path');
+    const route = (path?.getAttribute('data-route') || '').split(' ').filter(id => boxes.has(id));
+    return { group, path, route, isFeedback: group.getAttribute('data-kind') === 'feedback' };
+  });
 
-  // Root label-text merkez pozisyonunu hesapla
-  const labelTextRect = rootLabelText.getBoundingClientRect();
-  const containerRect = container.getBoundingClientRect();
+  // Port dağılımı (sadece ileri edge'ler - feedback sağ kenardan çıkar)
+  const outPorts = new Map();
+  const inPorts = new Map();
+  const addPort = (ports, slotId, entry) => {
+    if (!ports.has(slotId)) ports.set(slotId, []);
+    ports.get(slotId).push(entry);
+  };
+  edges.forEach((edge, index) => {
+    if (edge.isFeedback || edge.route.length < 2) return;
+    const { route } = edge;
+    addPort(outPorts, route[0], { index, x: boxes.get(route[1]).centerX });
+    addPort(inPorts, route[route.length - 1], { index, x: boxes.get(route[route.length - 2]).centerX });
+  });
+  const portX = new Map();  // `${index}:out|in` → x
+  const assignPorts = (ports, side) => {
+    for (const [slotId, list] of ports) {
+      const box = boxes.get(slotId);
+      list.sort((a, b) => a.x - b.x);
+      list.forEach((entry, i) => {
+        portX.set(`${entry.index}:${side}`, box.left + ((box.right - box.left) * (i + 1)) / (list.length + 1));
+      });
+    }
+  };
+  assignPorts(outPorts, 'out');
+  assignPorts(inPorts, 'in');
+
+  const loopCount = new Map();
+  edges.forEach((edge, index) => {
+    const { group, path, route } = edge;
+    if (!path || route.length < 2) return;
+    const label = group.querySelector('text');
+
+    if (edge.isFeedback) {
+      const from = boxes.get(route[0]);
+      const to = boxes.get(route[route.length - 1]);
+      const loopIndex = loopCount.get(route[0]) || 0;
+      loopCount.set(route[0], loopIndex + 1);
+      const offset = FEEDBACK_LOOP_OFFSET + loopIndex * FEEDBACK_LOOP_STEP;
+      const x0 = from.right + 2;
+      const x1 = to.right + 2;
+      // Self-loop (aynı node) → üstten çık, alttan gir
+      const sameNode = route[0] === route[route.length - 1];
+      const y0 = (from.top + from.bottom) / 2 + (sameNode ? -3 : 0);
+      const y1 = (to.top + to.bottom) / 2 + (sameNode ? 3 : 0);
+      const loopX = Math.max(x0, x1) + offset;
+      path.setAttribute('d', `M${x0},${y0} C${loopX},${y0} ${loopX},${y1} ${x1},${y1}`);
+      if (label) {
+        label.setAttribute('x', String(loopX - offset / 4 + 2));
+        label.setAttribute('y', String((y0 + y1) / 2));
+      }
+      return;
+    }
 
-  // Container'a göre relatif pozisyon
-  const labelTextLeft = labelTextRect.left - containerRect.left;
-  const labelTextWidth = labelTextRect.width;
+    // İleri edge: kaynak alt kenar → (dummy'ler) → hedef üst kenar
+    const points = [];
+    route.forEach((slotId, i) => {
+      const box = boxes.get(slotId);
+      if (i === 0) {
+        points.push({ x: portX.get(`${index}:out`) ?? box.centerX, y: box.bottom });
+      } else if (i === route.length - 1) {
+        points.push({ x: portX.get(`${index}:in`) ?? box.centerX, y: box.top });
+      } else {
+        points.push({ x: box.centerX, y: box.top }, { x: box.centerX, y: box.bottom });
+      }
+    });
 
-  // Ok pozisyonu = root label-text merkezi (tam piksel)
-  const center = labelTextLeft + (labelTextWidth / 2);
-  const mainArrowLeft = Math.floor(center);
+    let d = `M${points[0].x},${points[0].y}`;
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const point = points[i];
+      // Dummy içinden düz geçiş (top → bottom aynı X), katmanlar arası eğri
+      if (i % 2 === 0 && point.x === prev.x) {
+        d += ` L${point.x},${point.y}`;
+      } else {
+        const midY = (prev.y + point.y) / 2;
+        d += ` C${prev.x},${midY} ${point.x},${midY} ${point.x},${point.y}`;
+      }
+    }
+    path.setAttribute('d', d);
 
-  // Container'a set et - tüm child node'lar bu değeri inherit eder
-  container.style.setProperty('--main-arrow-left', `${mainArrowLeft}px`);
+    if (label) {
+      label.setAttribute('x', String((points[0].x + points[1].x) / 2 + 3));
+      label.setAttribute('y', String((points[0].y + points[1].y) / 2 + 3));
+    }
+  });
 }
 
-// Backward compatibility alias
-export const measureTreeLabels = measureFlowLabels;
+/**
+ * Rendered audio graph'ların oklarını çizer (tüm context'ler).
+ * Node kutuları ancak layout sonrası ölçülebildiği için oklar HTML render'dan
+ * sonra SVG path olarak yerleştirilir.
+ *
+ * Called after DOM render via requestAnimationFrame in popup.js
+ */
+export function measureFlowLabels() {
+  document.querySelectorAll(FLOW_SELECTORS.GRAPH).forEach(drawFlowEdges);
+}
@@ -0,0 +1,136 @@
+/**
+ * device-labels.js - Physical Device Resolution
+ *
+ * Maps opaque ids from collectors to human device labels using the
+ * media_devices storage value (MediaDevicesCollector):
+ *   { labelsAvailable, inputs: [{ deviceId, groupId, label }], outputs: [...],
+ *     contextSinks: [{ contextId, sinkId }], sinkCalls: [{ kind, contextId, element, sinkId, rejected, ... }] }
+ * Labels are empty until the page has microphone permission - track label
+ * (GUM settings.label) is used as fallback for the input.
+ *
+ * Contains:
+ * - resolveInputDevice(): GUM settings → input device label
+ * - resolveOutputDevice(): sinkId → output device label
+ * - resolveCallOutputDevice(): last media element setSinkId → call output label
+ * - resolveContextOutputDevice(): AudioContext sinkId → output label
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_OUTPUT_LABEL = 'Default speakers';
+const DEFAULT_INPUT_LABEL = 'Default microphone';
+
+// Chrome 'default' / 'communications' entries: label = "Default - <device>"
+const VIRTUAL_DEVICE_IDS = ['default', 'communications'];
+
+/**
+ * @typedef {Object} DeviceLabel
+ * @property {string} label - Display label
+ * @property {string} tooltip - Id details for the tooltip
+ * @property {boolean} resolved - true if matched against enumerateDevices()
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function shortId(id) {
+  return id && id.length > 12 ? `${id.slice(0, 8)}…` : id || '-';
+}
+
+/**
+ * Find device by id, then by groupId (same physical device, different id)
+ * Virtual 'default' entries are skipped in the groupId match so the real device wins.
+ */
+function findDevice(devices, deviceId, groupId) {
+  if (!Array.isArray(devices)) return null;
+  const byId = deviceId ? devices.find(d => d.deviceId === deviceId && d.label) : null;
+  if (byId) return byId;
+  if (!groupId) return null;
+  return devices.find(d => d.groupId === groupId && d.label && !VIRTUAL_DEVICE_IDS.includes(d.deviceId)) || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESOLVERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Resolve the microphone used by the GUM track
+ * @param {Object|null} mediaDevices - media_devices storage value
+ * @param {Object|null} settings - user_media.settings (deviceId, groupId, label)
+ * @returns {DeviceLabel|null} null when there is no GUM settings
+ */
+export function resolveInputDevice(mediaDevices, settings) {
+  if (!settings) return null;
+
+  const tooltip = `deviceId ${shortId(settings.deviceId)} · groupId ${shortId(settings.groupId)}`;
+  const device = findDevice(mediaDevices?.inputs, settings.deviceId, settings.groupId);
+  if (device) {
+    return { label: device.label, tooltip, resolved: true };
+  }
+
+  // Labels gizli (izin yok) ama track label'ı her zaman dolu
+  if (settings.label) {
+    return { label: settings.label, tooltip: `${tooltip} (track label)`, resolved: false };
+  }
+  return { label: DEFAULT_INPUT_LABEL, tooltip, resolved: false };
+}
+
+/**
+ * Resolve an output sinkId to a label
+ * @param {Object|null} mediaDevices - media_devices storage value
+ * @param {string|{type: string}|null|undefined} sinkId - '' / 'default' = system default
+ * @returns {DeviceLabel}
+ */
+export function resolveOutputDevice(mediaDevices, sinkId) {
+  if (sinkId && typeof sinkId === 'object') {
+    // AudioContext({ sinkId: { type: 'none' } }) - render without playback
+    return { label: sinkId.type === 'none' ? 'None (silent)' : sinkId.type, tooltip: `sinkId type: ${sinkId.type}`, resolved: true };
+  }
+
+  const outputs = mediaDevices?.outputs;
+  if (!sinkId || sinkId === 'default') {
+    const defaultEntry = outputs?.find(d => d.deviceId === 'default' && d.label);
+    return {
+      label: defaultEntry?.label || DEFAULT_OUTPUT_LABEL,
+      tooltip: 'System default output (no setSinkId)',
+      resolved: !!defaultEntry
+    };
+  }
+
+  const device = findDevice(outputs, sinkId, null);
+  return device
+    ? { label: device.label, tooltip: `sinkId ${shortId(sinkId)}`, resolved: true }
+    : { label: `Device ${shortId(sinkId)}`, tooltip: mediaDevices?.labelsAvailable ? 'Device not found in enumerateDevices()' : 'Device labels need microphone permission', resolved: false };
+}
+
+/**
+ * Resolve the call output - last successful setSinkId on a media element
+ * (remote audio plays through <audio>/<video>); default output otherwise.
+ * @param {Object|null} mediaDevices - media_devices storage value
+ * @returns {DeviceLabel}
+ */
+export function resolveCallOutputDevice(mediaDevices) {
+  const lastCall = (mediaDevices?.sinkCalls || [])
+    .filter(call => call.kind === 'media-element' && !call.rejected)
+    .pop();
+
+  const output = resolveOutputDevice(mediaDevices, lastCall?.sinkId);
+  if (lastCall?.element) {
+    output.tooltip = `${output.tooltip} · setSinkId on ${lastCall.element}`;
+  }
+  return output;
+}
+
+/**
+ * Resolve an AudioContext output (AudioContext.setSinkId / constructor sinkId)
+ * @param {Object|null} mediaDevices - media_devices storage value
+ * @param {string} contextId - AudioContext id (ctx_N)
+ * @returns {DeviceLabel}
+ */
+export function resolveContextOutputDevice(mediaDevices, contextId) {
+  const sink = mediaDevices?.contextSinks?.find(entry => entry.contextId === contextId);
+  return resolveOutputDevice(mediaDevices, sink?.sinkId);
+}
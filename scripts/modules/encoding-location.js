@@ -213,6 +213,24 @@ export function deriveEncodingOutput(data, connections, tree) {
   return null;
 }
 
+/**
+ * Encoder'a giren node'ları bul (LoudnessCollector analysis tap hedefi)
+ * Processor/terminal node'un kendisi değil, ona bağlanan kaynaklar tap edilir:
+ * MediaStreamAudioDestination'ın output'u yok, encoder worklet'in output'u genelde sessiz.
+ * @param {EncodingLocationResult|null} encodingOutput
+ * @param {Array} connections - Audio node connections (aynı context)
+ * @returns {string[]} Source node ID'leri (tekrarsız)
+ */
+export function getEncoderInputSourceIds(encodingOutput, connections) {
+  if (!encodingOutput?.nodeId || !Array.isArray(connections)) return [];
+
+  // AudioParam modülasyonu (destParam) encoder'a ses girişi değil - tap edilmez
+  const sourceIds = connections
+    .filter(c => c?.destId === encodingOutput.nodeId && c.sourceId && !c.destParam)
+    .map(c => c.sourceId);
+  return [...new Set(sourceIds)];
+}
+
 /**
  * Encoding info'yu renderAudioFlow options formatına dönüştür
  * @param {EncodingLocationResult|null} encodingOutput
@@ -222,6 +240,7 @@ export function toRenderOptions(encodingOutput) {
   if (!encodingOutput) {
     return {
       encodingNodeId: null,
+      terminalNodeId: null,
       encoderCodec: null,
       isMediaRecorderEncoding: false,
       isPcmEncoding: false,
@@ -231,6 +250,7 @@ export function toRenderOptions(encodingOutput) {
 
   return {
     encodingNodeId: encodingOutput.location === 'processor' ? encodingOutput.nodeId : null,
+    terminalNodeId: encodingOutput.location === 'terminal' ? encodingOutput.nodeId : null,
     encoderCodec: encodingOutput.codec,
     isMediaRecorderEncoding: encodingOutput.strategyName === 'MediaRecorderSynthesized',
     isPcmEncoding: encodingOutput.strategyName === 'PcmPassthrough',
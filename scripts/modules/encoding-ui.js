@@ -10,12 +10,15 @@
 
 import {
   escapeHtml,
+  escapeAttr,
   formatTime,
   formatWorkletName,
   extractCodecName,
   createTooltip,
   normalizeMimeType,
   formatBitDepth,
+  formatBytes,
+  formatChannels,
   debugLog
 } from './helpers.js';
 
@@ -32,7 +35,7 @@ const OPUS_FRAME_SIZES_MS = [2.5, 5, 10, 20, 40, 60];
 export function renderStatusPulse(text, tooltip) {
   const safeText = escapeHtml(text);
   if (tooltip) {
-    return `<span class="has-tooltip tooltip-right status-pulse" data-tooltip="${escapeHtml(tooltip)}">${safeText}</span>`;
+    return `<span class="has-tooltip tooltip-right status-pulse" data-tooltip="${escapeAttr(tooltip)}">${safeText}</span>`;
   }
   return `<span class="status-pulse">${safeText}</span>`;
 }
@@ -51,6 +54,7 @@ export function formatEncoderDisplay(encoder) {
     'aac-wasm': 'AAC(WASM)',
     'vorbis-wasm': 'Vorbis(WASM)',
     'flac-wasm': 'FLAC(WASM)',
+    'speex-wasm': 'Speex(WASM)',
     'pcm': 'Linear PCM'
   };
 
@@ -159,7 +163,11 @@ function formatWebAudioNodeType(type) {
     'delay': 'Delay',
     'delaynode': 'Delay',
     'iirfilter': 'IIRFilter',
-    'iirfilternode': 'IIRFilter'
+    'iirfilternode': 'IIRFilter',
+    'channelsplitter': 'Splitter',
+    'channelsplitternode': 'Splitter',
+    'channelmerger': 'Merger',
+    'channelmergernode': 'Merger'
   };
 
   return nodeNames[t] || type;
@@ -186,8 +194,13 @@ export const DETECTION_LABELS = {
   'nested': { text: 'Worker Hook(full)', icon: '✓', tooltip: 'Nested config via Worker hook' },
   'worker-init': { text: 'Worker Hook(basic)', icon: '○', tooltip: 'Basic config via Worker hook' },
   'worker-audio-init': { text: 'Worker(real-time)', icon: '◐', tooltip: 'Worker init - bitrate may vary' },
+  'worker-script': { text: 'Worker Script', icon: '◑', tooltip: 'Encoder library found in worker source - no config yet' },
+  // WebAssembly module fingerprint (compile/instantiate hooks)
+  'wasm-module': { text: 'WASM Module', icon: '◑', tooltip: 'Encoder library identified from WASM imports/exports - no config yet' },
   // Blob creation patterns (audio file created - post-hoc detection)
   'audio-blob': { text: 'Blob(post-hoc)', icon: '◑', tooltip: 'Detected from audio Blob' },
+  // Bitstream header parsed from recorded data (container-sniffer.js)
+  'container-sniff': { text: 'Bitstream', icon: '✓', tooltip: 'Confirmed from file header bytes' },
   // Default
   'unknown': { text: 'Detected', icon: '?', tooltip: 'Method unknown' }
 };
@@ -262,6 +275,225 @@ export function buildInputRow(inputInfo) {
   };
 }
 
+/**
+ * Normalize declared codec (mimeType codecs=) for comparison with bitstream codec
+ * @param {string|null|undefined} codec - e.g. 'opus', 'mp4a.40.2', 'vorbis'
+ * @returns {string|null}
+ */
+function normalizeDeclaredCodec(codec) {
+  if (!codec) return null;
+  const lower = String(codec).toLowerCase();
+  if (lower.startsWith('mp4a')) return 'aac';
+  if (lower === 'mpeg' || lower === 'mp3') return 'mp3';
+  return lower;
+}
+
+/**
+ * Build Library row from the WebAssembly module fingerprint (name + version)
+ * @param {Object} enc - detected_encoder with library, libraryVersion, wasmModule
+ * @returns {{label: string, value: string, isMetric: boolean}}
+ */
+export function buildWasmLibraryRow(enc) {
+  const module = enc.wasmModule;
+  const tooltipParts = [
+    `WASM module${module.byteSize ? ` ${formatBytes(module.byteSize)}` : ''}`,
+    `${module.exportCount} exports / ${module.importCount} imports`
+  ];
+  if (module.matchedNames?.length > 0) tooltipParts.push(module.matchedNames.join(', '));
+  tooltipParts.push(`via ${module.via}`);
+  if (module.url) tooltipParts.push(module.url.split('/').pop());
+
+  return {
+    label: 'Library',
+    value: createTooltip(enc.libraryVersion ? `${enc.library} ${enc.libraryVersion}` : enc.library, tooltipParts.join(' · ')),
+    isMetric: true
+  };
+}
+
+/**
+ * Build Format row from container header (container-sniffer.js result)
+ * @param {Object|null|undefined} bitstream - { container, codec, codecId, sampleRate, originalSampleRate, channels, bitDepth }
+ * @param {string|null} [declaredCodec] - Codec from mimeType; mismatch is flagged
+ * @returns {{label: string, value: string, isMetric: boolean, cssClass?: string}|null}
+ */
+export function buildBitstreamRow(bitstream, declaredCodec = null) {
+  if (!bitstream || bitstream.codec === 'unknown') return null;
+
+  const parts = [];
+  if (bitstream.sampleRate) parts.push(`${bitstream.sampleRate / 1000} kHz`);
+  if (bitstream.channels) parts.push(formatChannels(bitstream.channels));
+  if (bitstream.bitDepth) parts.push(`${bitstream.bitDepth}-bit`);
+
+  const tooltipParts = [`${bitstream.container.toUpperCase()} header: ${bitstream.codecId || bitstream.codec}`];
+  if (bitstream.originalSampleRate && bitstream.originalSampleRate !== bitstream.sampleRate) {
+    tooltipParts.push(`encoder input ${bitstream.originalSampleRate} Hz`);
+  }
+
+  const declared = normalizeDeclaredCodec(declaredCodec);
+  const mismatch = !!declared && declared !== bitstream.codec;
+  if (mismatch) {
+    tooltipParts.push(`mimeType declares ${declared}, bitstream is ${bitstream.codec}`);
+  }
+
+  return {
+    label: 'Format',
+    value: createTooltip(`${mismatch ? '⚠ ' : ''}${parts.join(' · ') || bitstream.codec.toUpperCase()}`, tooltipParts.join(' · ')),
+    isMetric: false,
+    cssClass: mismatch ? 'warning' : ''
+  };
+}
+
+/**
+ * Build MediaRecorder chunk rows (effective bitrate + dataavailable cadence)
+ * @param {Object|undefined} chunks - media_recorder.chunks (MediaRecorderCollector)
+ * @returns {Array<{label: string, value: string, isMetric: boolean, cssClass?: string}>}
+ */
+export function buildChunkRows(chunks) {
+  if (!chunks) return [];
+
+  const cadenceTooltip = chunks.timeslice
+    ? `start(${chunks.timeslice}) - chunk expected every ${chunks.timeslice} ms`
+    : 'start() without timeslice - chunks only on requestData() / stop()';
+
+  if (chunks.count === 0) {
+    return chunks.timeslice
+      ? [{ label: 'Chunks', value: createTooltip(`every ${chunks.timeslice} ms`, cadenceTooltip), isMetric: false }]
+      : [];
+  }
+
+  const rows = [];
+  if (chunks.effectiveKbps !== null) {
+    rows.push({
+      label: 'Effective',
+      value: createTooltip(`${chunks.effectiveKbps} kbps`, `${formatBytes(chunks.totalBytes)} in ${chunks.count} chunk(s) over active recording time`),
+      isMetric: true
+    });
+  }
+
+  const avgSize = Math.round(chunks.totalBytes / chunks.count);
+  const interval = chunks.avgIntervalMs !== null ? ` / ${Math.round(chunks.avgIntervalMs)} ms` : '';
+  const sizeRange = `min ${formatBytes(chunks.minSize)} · max ${formatBytes(chunks.maxSize)}${chunks.emptyCount ? ` · ${chunks.emptyCount} empty` : ''}`;
+
+  if (chunks.stalled) {
+    rows.push({
+      label: 'Chunks',
+      value: createTooltip(`⚠ Stalled (${chunks.count} received)`, `No dataavailable while recording - ${cadenceTooltip}`),
+      isMetric: false,
+      cssClass: 'error'
+    });
+  } else {
+    rows.push({
+      label: 'Chunks',
+      value: createTooltip(`${chunks.count} × ${formatBytes(avgSize)}${interval}`, `${cadenceTooltip} · ${sizeRange}${chunks.stallCount ? ` · ${chunks.stallCount} stall(s)` : ''}`),
+      isMetric: false,
+      cssClass: chunks.stallCount || chunks.emptyCount ? 'warning' : ''
+    });
+  }
+
+  return rows;
+}
+
+// Measured vs configured bitrate - VBR / container overhead stay within this ratio
+const OUTPUT_BITRATE_TOLERANCE = 0.25;
+// Average bitrate is compared only after this much output (header pages skew the start)
+const OUTPUT_COMPARE_MIN_MS = 5000;
+
+/**
+ * Build encoder Worker output rows (measured bitrate + encoded frame cadence)
+ * @param {Object|undefined} output - detected_encoder.output (AudioContextCollector)
+ * @returns {Array<{label: string, value: string, isMetric: boolean, cssClass?: string}>}
+ */
+export function buildEncoderOutputRows(output) {
+  if (!output || output.frames === 0) return [];
+
+  const measured = output.bitRate ?? output.averageBitRate;
+  const tooltipParts = [`${formatBytes(output.bytes)} in ${output.frames} frame(s) from the encoder Worker`];
+  if (output.averageBitRate !== null) tooltipParts.push(`avg ${Math.round(output.averageBitRate / 1000)} kbps`);
+
+  let mismatch = false;
+  if (output.configuredBitRate && output.averageBitRate !== null && output.durationMs >= OUTPUT_COMPARE_MIN_MS) {
+    const deviation = (output.averageBitRate - output.configuredBitRate) / output.configuredBitRate;
+    mismatch = Math.abs(deviation) > OUTPUT_BITRATE_TOLERANCE;
+    const sign = deviation > 0 ? '+' : '';
+    tooltipParts.push(`configured ${Math.round(output.configuredBitRate / 1000)} kbps (${sign}${Math.round(deviation * 100)}%)`);
+  }
+
+  const rows = [{
+    label: 'Measured',
+    value: measured !== null
+      ? createTooltip(`${mismatch ? '⚠ ' : ''}${Math.round(measured / 1000)} kbps`, tooltipParts.join(' · '))
+      : createTooltip('Measuring...', tooltipParts.join(' · ')),
+    isMetric: !mismatch && measured !== null,
+    cssClass: mismatch ? 'warning' : ''
+  }];
+
+  if (output.frameIntervalMs !== null) {
+    const rate = output.frameRate !== null ? ` (${output.frameRate}/s)` : '';
+    rows.push({
+      label: 'Frames',
+      value: createTooltip(
+        `every ${Math.round(output.frameIntervalMs)} ms${rate}`,
+        `avg ${formatBytes(Math.round(output.bytes / output.frames))} per frame · longest gap ${output.maxFrameIntervalMs} ms`
+      ),
+      isMetric: false
+    });
+  }
+
+  return rows;
+}
+
+// Loudness target tolerance (LU) - within = good, within 2× = warning, beyond = error
+const LOUDNESS_TOLERANCE_LU = 1;
+// Broadcast true peak ceiling (EBU R128 / most streaming specs)
+const TRUE_PEAK_CEILING_DBTP = -1;
+
+/**
+ * Build loudness rows (LoudnessCollector - opt-in analysis tap on the encoder input)
+ * @param {Object|null} loudness - loudness_stats storage value
+ * @returns {Array<{label: string, value: string, isMetric: boolean, cssClass?: string}>}
+ */
+export function buildLoudnessRows(loudness) {
+  if (!loudness) return [];
+
+  const lufs = (value) => value === null || value === undefined ? '-' : `${value.toFixed(1)} LUFS`;
+  const coverage = loudness.gapMs > 0 ? ` · ${(loudness.gapMs / 1000).toFixed(1)} s not analysed (tab throttled)` : '';
+  const tapTooltip = `Momentary ${lufs(loudness.momentaryLufs)} · short-term ${lufs(loudness.shortTermLufs)} · max short-term ${lufs(loudness.maxShortTermLufs)} · ` +
+    `tap ${loudness.sourceIds?.join(', ') || '-'} → ${loudness.nodeId} · ${(loudness.durationMs / 1000).toFixed(0)} s${coverage}`;
+
+  const rows = [];
+  if (loudness.integratedLufs === null) {
+    rows.push({ label: 'Loudness', value: createTooltip('Measuring…', tapTooltip), isMetric: false });
+  } else {
+    const deviation = loudness.integratedLufs - loudness.targetLufs;
+    const offBy = Math.abs(deviation);
+    const sign = deviation > 0 ? '+' : '';
+    rows.push({
+      label: 'Loudness',
+      value: createTooltip(`${lufs(loudness.integratedLufs)} (${sign}${deviation.toFixed(1)} LU)`, `Integrated vs target ${loudness.targetLufs} LUFS · ${tapTooltip}`),
+      isMetric: false,
+      cssClass: offBy <= LOUDNESS_TOLERANCE_LU ? 'good' : offBy <= LOUDNESS_TOLERANCE_LU * 2 ? 'warning' : 'error'
+    });
+  }
+
+  if (loudness.truePeakDbtp !== null) {
+    rows.push({
+      label: 'True Peak',
+      value: createTooltip(`${loudness.truePeakDbtp.toFixed(1)} dBTP`, `Sample peak ${loudness.samplePeakDbfs?.toFixed(1) ?? '-'} dBFS · ceiling ${TRUE_PEAK_CEILING_DBTP} dBTP`),
+      isMetric: false,
+      cssClass: loudness.truePeakDbtp >= 0 ? 'error' : loudness.truePeakDbtp > TRUE_PEAK_CEILING_DBTP ? 'warning' : ''
+    });
+  }
+
+  rows.push({
+    label: 'Clipped',
+    value: loudness.clippedSamples > 0 ? `${loudness.clippedSamples} samples` : 'None',
+    isMetric: false,
+    cssClass: loudness.clippedSamples > 0 ? 'error' : 'good'
+  });
+
+  return rows;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ENCODER DETECTORS - OCP Compliant Encoder Detection Pattern
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -292,7 +524,10 @@ export const ENCODER_DETECTORS = [
       // If MediaRecorder is ACTIVE and encoder is from Blob detection only,
       // defer to MediaRecorder detector only when blob format matches MediaRecorder output.
       // Otherwise keep Blob signal (e.g., PCM/WAV export while a MediaRecorder exists on the page).
-      const isOnlyBlobDetection = data.detectedEncoder.pattern === 'audio-blob';
+      // container-sniff without Worker/Worklet source = Blob header only (same deferral)
+      const enc = data.detectedEncoder;
+      const isOnlyBlobDetection = enc.pattern === 'audio-blob' ||
+        (enc.pattern === 'container-sniff' && !enc.workerFilename && !enc.processorName && !enc.encoderPath);
       const mr = data.mediaRecorder;
       const mrIsActive = mr?.state === 'recording' || mr?.state === 'paused';
       const hasActiveMediaRecorder = mrIsActive && !!mr?.mimeType && mr?.hasAudioTrack !== false;
@@ -357,7 +592,7 @@ export const ENCODER_DETECTORS = [
         if (encoderTooltip) {
           rows.push({
             label: 'Encoder',
-            value: `<span class="has-tooltip tooltip-right" data-tooltip="${escapeHtml(encoderTooltip)}">${encoderDisplay}</span>`,
+            value: `<span class="has-tooltip tooltip-right" data-tooltip="${escapeAttr(encoderTooltip)}">${encoderDisplay}</span>`,
             isMetric: true
           });
         } else {
@@ -377,7 +612,9 @@ export const ENCODER_DETECTORS = [
 
       // Library (underlying C library: libopus, LAME, FDK AAC, etc.)
       // Always show - use "-" if not available (e.g., PCM has no library)
-      if (enc.library) {
+      if (enc.library && enc.wasmModule) {
+        rows.push(buildWasmLibraryRow(enc));
+      } else if (enc.library) {
         rows.push({ label: 'Library', value: enc.library, isMetric: true });
       } else {
         rows.push({ label: 'Library', value: '-', isMetric: false });
@@ -390,6 +627,10 @@ export const ENCODER_DETECTORS = [
         isMetric: !!enc.wavBitDepth
       });
 
+      // Rate / channels read from the recorded file header (Blob sniff)
+      const bitstreamRow = buildBitstreamRow(enc.bitstream);
+      if (bitstreamRow) rows.push(bitstreamRow);
+
       // Bitrate - always show, dynamically calculated from blob size / duration
       if (enc.bitRate && enc.bitRate > 0) {
         rows.push({ label: 'Bitrate', value: `${Math.round(enc.bitRate / 1000)} kbps`, isMetric: true });
@@ -403,6 +644,9 @@ export const ENCODER_DETECTORS = [
         rows.push({ label: 'Bitrate', value: '-', isMetric: false });
       }
 
+      // Encoded output posted back by the encoder Worker (configured vs measured)
+      rows.push(...buildEncoderOutputRows(enc.output));
+
       // Frame size (if available) - smart unit detection for Opus
       if (enc.frameSize) {
         // Opus frame sizes defined in OPUS_FRAME_SIZES_MS (SOURCE: constants.js)
@@ -570,8 +814,12 @@ export const ENCODER_DETECTORS = [
         codecRaw = 'mp3';
       }
 
-      const codec = codecRaw ? codecRaw.toUpperCase() : '-';
-      const container = mr.parsedMimeType?.container?.toUpperCase() || '';
+      // First chunk header (MediaRecorderCollector) is the real format - mimeType is a claim
+      const bitstream = mr.bitstream?.codec && mr.bitstream.codec !== 'unknown' ? mr.bitstream : null;
+      const codec = bitstream
+        ? bitstream.codec.toUpperCase()
+        : (codecRaw ? codecRaw.toUpperCase() : '-');
+      const container = (bitstream?.container || mr.parsedMimeType?.container)?.toUpperCase() || '';
       const bitrateKbps = mr.audioBitsPerSecond
         ? `${Math.round(mr.audioBitsPerSecond / 1000)}`
         : '-';
@@ -587,8 +835,14 @@ export const ENCODER_DETECTORS = [
         rows.push({ label: 'Container', value: container, isMetric: false });
       }
 
+      const bitstreamRow = buildBitstreamRow(bitstream, codecRaw);
+      if (bitstreamRow) rows.push(bitstreamRow);
+
       rows.push({ label: 'Bitrate', value: `${bitrateKbps} kbps`, isMetric: true });
 
+      // Measured from dataavailable chunks (requested audioBitsPerSecond vs real output)
+      rows.push(...buildChunkRows(mr.chunks));
+
       // Encoder type - Browser's built-in MediaRecorder API (not WASM)
       // This distinguishes from WASM encoders like opus-recorder, lamejs, etc.
       rows.push({
@@ -785,8 +1039,11 @@ export const ENCODER_DETECTORS = [
 
 /**
  * Render Encoding section - OCP compliant with detector pattern
+ * @param {Object} [options]
+ * @param {Object|null} [options.loudness] - loudness_stats (rows appended after the detector rows)
  */
-export function renderEncodingSection(detectedEncoder, rtcStats, mediaRecorder, audioContext, userMedia, recordingActive) {
+export function renderEncodingSection(detectedEncoder, rtcStats, mediaRecorder, audioContext, userMedia, recordingActive, options = {}) {
+  const { loudness = null } = options;
   const container = document.getElementById('encodingContent');
   const timestamp = document.getElementById('encodingTimestamp');
   if (!container) return;
@@ -829,7 +1086,7 @@ export function renderEncodingSection(detectedEncoder, rtcStats, mediaRecorder,
 
   // Build HTML from rows
   let html = `<table><tbody>`;
-  encoderData.rows.forEach(row => {
+  [...encoderData.rows, ...buildLoudnessRows(loudness)].forEach(row => {
     const labelClass = row.isMetric ? 'class="metric-label"' : '';
     const valueClass = row.isMetric ? 'class="metric-value"' : (row.cssClass ? `class="${row.cssClass}"` : '');
     html += `<tr><td ${labelClass}>${row.label}</td><td ${valueClass}>${row.value}</td></tr>`;
@@ -0,0 +1,166 @@
+/**
+ * graph-export.js - Audio Graph Topology Export (Graphviz DOT / Mermaid)
+ *
+ * Serializes the full Web Audio graph (audio-flow.js buildAudioGraph(), the same
+ * graph the Audio Path panel draws) as text that can be pasted into design docs
+ * and bug reports.
+ *
+ * Contains:
+ * - toDot(): Graph model → Graphviz DOT
+ * - toMermaid(): Graph model → Mermaid flowchart
+ *
+ * Graph model:
+ * - One cluster/subgraph per contextId (connections without contextId → 'unknown')
+ * - Every connect() edge is kept (fan-out, merges and feedback loops)
+ * - Feedback edges (DFS back edges) are marked and drawn dashed
+ * - Analyser nodes (monitors) are marked and drawn dotted
+ * - AudioParam modulation edges go to the param's owner node, labelled with the
+ *   param name (owner unknown → per-source "AudioParam" pseudo node)
+ * - Node labels: AUDIO_NODE_DISPLAY_MAP label + getParam() + nodeId
+ */
+
+import { formatEdgeLabel } from './audio-flow.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SERIALIZERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {import('./audio-flow.js').GraphContext} ctx
+ * @returns {string} e.g. "ctx_1 · 48000 Hz · running", "ctx_2 · offline · 16000 Hz · closed"
+ */
+function formatContextTitle(ctx) {
+  return [ctx.contextId, ctx.isOffline ? 'offline' : null, ctx.sampleRate ? `${ctx.sampleRate} Hz` : null, ctx.state]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * @param {string} value
+ * @returns {string} DOT double-quoted string content
+ */
+function escapeDot(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Mermaid quoted label content (entity codes for quotes)
+ */
+function escapeMermaid(value) {
+  return String(value).replace(/"/g, '#quot;');
+}
+
+/**
+ * @param {string} id
+ * @returns {string} Mermaid-safe identifier
+ */
+function toMermaidId(id) {
+  return String(id).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * DOT shape per category (sources/destinations stand out at a glance)
+ * @type {Object.<string, string>}
+ */
+const DOT_SHAPES = {
+  source: 'invhouse',
+  destination: 'house',
+  param: 'ellipse'
+};
+
+/**
+ * Serialize as Graphviz DOT (digraph, one cluster per context)
+ * @param {import('./audio-flow.js').GraphContext[]} graph - buildAudioGraph() output
+ * @returns {string}
+ */
+export function toDot(graph) {
+  const lines = [
+    'digraph AudioGraph {',
+    '  rankdir=LR;',
+    '  node [shape=box, fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=9];'
+  ];
+
+  graph.forEach((ctx, index) => {
+    lines.push('');
+    lines.push(`  subgraph cluster_${index} {`);
+    lines.push(`    label="${escapeDot(formatContextTitle(ctx))}";`);
+
+    for (const node of ctx.nodes) {
+      const text = [node.label, node.param, node.category === 'param' ? null : node.id]
+        .filter(Boolean)
+        .map(escapeDot)
+        .join('\\n');
+      const attrs = [`label="${text}"`];
+      const shape = DOT_SHAPES[node.category];
+      if (shape) attrs.push(`shape=${shape}`);
+      if (node.isMonitor) attrs.push('style=dotted');
+      if (node.category === 'param') attrs.push('style=dashed');
+      lines.push(`    "${escapeDot(node.id)}" [${attrs.join(', ')}];`);
+    }
+
+    for (const edge of ctx.edges) {
+      const attrs = [];
+      const label = formatEdgeLabel(edge);
+      if (label) attrs.push(`label="${escapeDot(label)}"`);
+      if (edge.isFeedback) attrs.push('style=dashed', 'color=red', 'constraint=false');
+      else if (edge.isParam) attrs.push('style=dashed');
+      const suffix = attrs.length > 0 ? ` [${attrs.join(', ')}]` : '';
+      lines.push(`    "${escapeDot(edge.from)}" -> "${escapeDot(edge.to)}"${suffix};`);
+    }
+
+    lines.push('  }');
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize as Mermaid flowchart (one subgraph per context)
+ * @param {import('./audio-flow.js').GraphContext[]} graph - buildAudioGraph() output
+ * @returns {string}
+ */
+export function toMermaid(graph) {
+  const lines = ['flowchart LR'];
+  const monitorIds = [];
+  const feedbackEdgeIndices = [];
+  let edgeIndex = 0;
+
+  graph.forEach((ctx, index) => {
+    lines.push(`  subgraph ctx${index}["${escapeMermaid(formatContextTitle(ctx))}"]`);
+
+    for (const node of ctx.nodes) {
+      const id = toMermaidId(node.id);
+      const text = escapeMermaid([node.label, node.param, node.category === 'param' ? null : node.id].filter(Boolean).join('<br/>'));
+      // Source → stadium, destination → subroutine, param → circle, diğerleri kutu
+      if (node.category === 'source') lines.push(`    ${id}(["${text}"])`);
+      else if (node.category === 'destination') lines.push(`    ${id}[["${text}"]]`);
+      else if (node.category === 'param') lines.push(`    ${id}(("${text}"))`);
+      else lines.push(`    ${id}["${text}"]`);
+      if (node.isMonitor) monitorIds.push(id);
+    }
+
+    for (const edge of ctx.edges) {
+      const label = formatEdgeLabel(edge);
+      const arrow = edge.isFeedback || edge.isParam ? '-.->' : '-->';
+      const labelPart = label ? `|"${escapeMermaid(label)}"|` : '';
+      lines.push(`    ${toMermaidId(edge.from)} ${arrow}${labelPart} ${toMermaidId(edge.to)}`);
+      if (edge.isFeedback) feedbackEdgeIndices.push(edgeIndex);
+      edgeIndex++;
+    }
+
+    lines.push('  end');
+  });
+
+  if (monitorIds.length > 0) {
+    lines.push('  classDef monitor stroke-dasharray: 3 3;');
+    lines.push(`  class ${monitorIds.join(',')} monitor;`);
+  }
+  if (feedbackEdgeIndices.length > 0) {
+    lines.push(`  linkStyle ${feedbackEdgeIndices.join(',')} stroke:red;`);
+  }
+
+  return lines.join('\n') + '\n';
+}
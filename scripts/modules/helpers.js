@@ -4,6 +4,8 @@
  * DRY: Common utilities used by both encoder-ui.js and renderers.js
  */
 
+import { classifyQuality, resolveQualityRules } from './quality-rules.js';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // STRING FORMATTING UTILITIES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -20,6 +22,16 @@ export function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * XSS protection - Escape text for a double/single quoted HTML attribute value
+ * escapeHtml() quote'ları escape etmez - JSON/sayfa string'i attribute'u erken kapatabilir
+ * @param {string} text - Input text
+ * @returns {string} Escaped text
+ */
+export function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 /**
  * Format timestamp for display
  * @param {number} timestamp - Unix timestamp
@@ -83,6 +95,19 @@ export function normalizeMimeType(mimeType) {
   return mimeType.split(';')[0].trim().toLowerCase();
 }
 
+/**
+ * Format byte count for display (binary units)
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size (e.g., "1.2 MB") or "-" if invalid
+ */
+export function formatBytes(bytes) {
+  if (typeof bytes !== 'number' || !Number.isFinite(bytes) || bytes < 0) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // AUDIO SPEC FORMATTING (DRY: Industry-standard formats)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -121,29 +146,29 @@ export function formatJitter(jitterSec) {
   return `${(jitterSec * 1000).toFixed(2)} ms`;
 }
 
+/**
+ * Active thresholds for getQualityClass (built-in defaults until popup loads settings)
+ * Set via setActiveQualityRules() with the locked tab's origin-resolved rules.
+ */
+let activeQualityRules = resolveQualityRules(null);
+
+/**
+ * Replace thresholds used by getQualityClass
+ * @param {Object} rules - Effective thresholds (resolveQualityRules)
+ */
+export function setActiveQualityRules(rules) {
+  activeQualityRules = rules || resolveQualityRules(null);
+}
+
 /**
  * Get quality class based on metric value
- * @param {string} metric - Metric type ('jitter', 'packetLoss', 'rtt')
- * @param {number} value - Metric value
+ * Thresholds come from settings (see quality-rules.js), not hard-coded here.
+ * @param {string} metric - Metric type (QUALITY_METRICS key: 'jitter', 'packetLoss', 'rtt', ...)
+ * @param {number} value - Raw metric value (jitter/rtt in seconds, loss in %)
  * @returns {string} CSS class ('good', 'warning', 'error', or '')
  */
 export function getQualityClass(metric, value) {
-  if (metric === 'jitter') {
-    if (value < 0.03) return 'good';     // < 30ms
-    if (value < 0.1) return 'warning';   // < 100ms
-    return 'error';
-  }
-  if (metric === 'packetLoss') {
-    if (value < 1) return 'good';        // < 1%
-    if (value < 5) return 'warning';     // < 5%
-    return 'error';
-  }
-  if (metric === 'rtt') {
-    if (value < 0.15) return 'good';     // < 150ms
-    if (value < 0.3) return 'warning';   // < 300ms
-    return 'error';
-  }
-  return '';
+  return classifyQuality(metric, value, activeQualityRules);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -175,11 +200,62 @@ export function createTooltip(text, tooltip, position = 'right', isInfoIcon = fa
 
   // Security: Escape both text and tooltip to prevent XSS
   const safeText = escapeHtml(text);
-  const safeTooltip = escapeHtml(tooltip);
+  const safeTooltip = escapeAttr(tooltip);
 
   return `<span class="${classes}" data-tooltip="${safeTooltip}">${safeText}</span>`;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// SPARKLINE BUILDER (inline SVG, no dependencies)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create inline SVG sparkline from a numeric series
+ * null/undefined values break the line (gaps are shown, not interpolated).
+ * @param {Array<number|null>} values - Series (oldest first)
+ * @param {Object} [options]
+ * @param {number} [options.width=80] - SVG width in px
+ * @param {number} [options.height=16] - SVG height in px
+ * @param {number} [options.min] - Fixed Y minimum (default: series min)
+ * @param {number} [options.max] - Fixed Y maximum (default: series max)
+ * @param {string} [options.className=''] - Extra class (e.g., quality class)
+ * @returns {string} SVG HTML or empty string if fewer than 2 numeric points
+ */
+export function createSparkline(values, options = {}) {
+  const { width = 80, height = 16, className = '' } = options;
+  const numeric = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+  if (numeric.length < 2) return '';
+
+  const min = options.min ?? Math.min(...numeric);
+  const max = options.max ?? Math.max(...numeric);
+  const range = max - min || 1;
+  const step = values.length > 1 ? width / (values.length - 1) : width;
+  const pad = 1; // stroke kırpılmasın
+
+  // Split into segments at gaps
+  const segments = [];
+  let current = [];
+  values.forEach((v, i) => {
+    if (typeof v !== 'number' || !Number.isFinite(v)) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+      return;
+    }
+    const x = (i * step).toFixed(1);
+    const y = (pad + (height - 2 * pad) * (1 - (Math.min(Math.max(v, min), max) - min) / range)).toFixed(1);
+    current.push(`${x},${y}`);
+  });
+  if (current.length > 0) segments.push(current);
+
+  const lines = segments
+    .map(points => points.length === 1
+      ? `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="1" />`
+      : `<polyline points="${points.join(' ')}" />`)
+    .join('');
+
+  return `<svg class="sparkline ${className}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">${lines}</svg>`;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // LOG HELPERS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,253 @@
+/**
+ * quality-rules.js - Configurable Quality Thresholds
+ *
+ * Single place for metric thresholds used by getQualityClass (popup),
+ * the settings page and background.js badge colouring / alerts.
+ * Thresholds are stored in display units (ms, %, kbps, dBFS); raw collector
+ * values are converted with QUALITY_METRICS[metric].convert before comparison.
+ *
+ * Storage shape (chrome.storage.local → qualityRules):
+ *   { defaults: { [metric]: { warning, error } },
+ *     origins:  { [origin]: { [metric]: { warning, error } } } }
+ * Only overridden values are stored; missing values fall back to defaults.
+ *
+ * Contains:
+ * - QUALITY_RULES_STORAGE_KEY, QUALITY_METRICS, DEFAULT_QUALITY_THRESHOLDS
+ * - resolveQualityRules(): stored rules + origin → effective thresholds
+ * - classifyQuality(): value → 'good' | 'warning' | 'error' | ''
+ * - extractQualityMetrics(): rtc_stats → { metric: raw value }
+ * - evaluateQuality(): rtc_stats + rules → worst level + per-metric levels (background.js)
+ * - ALERT_*: sustained-breach alert settings (evaluated in background.js)
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const QUALITY_RULES_STORAGE_KEY = 'qualityRules';
+
+/**
+ * Metric definitions (OCP: add a metric here, settings page picks it up)
+ * direction: 'above' = higher is worse, 'below' = lower is worse
+ * convert: raw collector value → display unit
+ */
+export const QUALITY_METRICS = {
+  jitter: {
+    label: 'Jitter', unit: 'ms', direction: 'above',
+    description: 'Inbound packet delay variation',
+    convert: (sec) => sec * 1000
+  },
+  packetLoss: {
+    label: 'Packet Loss', unit: '%', direction: 'above',
+    description: 'Lost packets / expected packets',
+    convert: (pct) => pct
+  },
+  rtt: {
+    label: 'Round-Trip Time', unit: 'ms', direction: 'above',
+    description: 'Network round-trip latency',
+    convert: (sec) => sec * 1000
+  },
+  jitterBufferDelay: {
+    label: 'Jitter Buffer Delay', unit: 'ms', direction: 'above',
+    description: 'Average jitterBufferDelay / jitterBufferEmittedCount',
+    convert: (ms) => ms
+  },
+  concealment: {
+    label: 'Concealment Ratio', unit: '%', direction: 'above',
+    description: 'Concealed samples / received samples',
+    convert: (ratio) => ratio * 100
+  },
+  sendBitrate: {
+    label: 'Send Bitrate Floor', unit: 'kbps', direction: 'below',
+    description: 'Outgoing audio bitrate lower bound',
+    convert: (kbps) => kbps
+  },
+  audioLevel: {
+    label: 'Audio Level (silence)', unit: 'dBFS', direction: 'below',
+    description: 'Outgoing audio level - below threshold is treated as silence',
+    // audioLevel is linear 0..1 → dBFS (0 → -Infinity)
+    convert: (level) => level > 0 ? 20 * Math.log10(level) : -Infinity
+  }
+};
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  jitter: { warning: 30, error: 100 },
+  packetLoss: { warning: 1, error: 5 },
+  rtt: { warning: 150, error: 300 },
+  jitterBufferDelay: { warning: 100, error: 200 },
+  concealment: { warning: 2, error: 5 },
+  sendBitrate: { warning: 24, error: 12 },
+  audioLevel: { warning: -50, error: -60 }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ALERTS (sustained threshold breach → popup + badge + optional notification)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const ALERT_SETTINGS_STORAGE_KEY = 'alertSettings';
+
+// Metrics that raise alerts (others only colour the UI/badge)
+export const ALERT_METRICS = ['packetLoss', 'rtt', 'concealment'];
+
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: true,
+  level: 'error',        // Threshold that counts as a breach: 'warning' | 'error'
+  sustainSec: 5,         // Breach must last this long before alerting
+  notifications: false   // chrome.notifications toast (opt-in)
+};
+
+/**
+ * Merge stored alert settings over defaults
+ * @param {Object|null|undefined} stored - chrome.storage alertSettings value
+ * @returns {Object} Effective alert settings
+ */
+export function resolveAlertSettings(stored) {
+  return { ...DEFAULT_ALERT_SETTINGS, ...(stored || {}) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RULE RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Extract origin from a URL (settings are keyed by origin)
+ * @param {string|null|undefined} url
+ * @returns {string|null} e.g. 'https://meet.google.com'
+ */
+export function getOriginFromUrl(url) {
+  if (!url) return null;
+  try {
+    const origin = new URL(url).origin;
+    return origin && origin !== 'null' ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merge built-in defaults ← user defaults ← origin overrides
+ * @param {Object|null|undefined} stored - chrome.storage qualityRules value
+ * @param {string|null} [origin] - Origin of the inspected tab
+ * @returns {Object} Effective thresholds { [metric]: { warning, error } }
+ */
+export function resolveQualityRules(stored, origin = null) {
+  const effective = {};
+  Object.keys(DEFAULT_QUALITY_THRESHOLDS).forEach(metric => {
+    effective[metric] = {
+      ...DEFAULT_QUALITY_THRESHOLDS[metric],
+      ...(stored?.defaults?.[metric] || {}),
+      ...((origin && stored?.origins?.[origin]?.[metric]) || {})
+    };
+  });
+  return effective;
+}
+
+/**
+ * Format a display-unit value (alert log / notification / banner)
+ * Silence is -Infinity dBFS, which chrome.storage keeps as null → both shown as -∞
+ * @param {string} unit - QUALITY_METRICS[metric].unit
+ * @param {number|null} value - Display-unit value (evaluateQuality().values)
+ * @returns {string}
+ */
+export function formatQualityValue(unit, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `-∞ ${unit}`;
+  return `${unit === '%' ? value.toFixed(1) : Math.round(value)} ${unit}`;
+}
+
+/**
+ * Classify a raw metric value against thresholds
+ * @param {string} metric - Key of QUALITY_METRICS
+ * @param {number} value - Raw collector value (converted internally)
+ * @param {Object} rules - Effective thresholds (resolveQualityRules)
+ * @returns {string} 'good' | 'warning' | 'error' | '' (unknown metric / no value)
+ */
+export function classifyQuality(metric, value, rules) {
+  const definition = QUALITY_METRICS[metric];
+  const threshold = rules?.[metric];
+  if (!definition || !threshold || typeof value !== 'number' || Number.isNaN(value)) return '';
+
+  const converted = definition.convert(value);
+
+  if (definition.direction === 'below') {
+    if (converted < threshold.error) return 'error';
+    if (converted < threshold.warning) return 'warning';
+    return 'good';
+  }
+
+  if (converted >= threshold.error) return 'error';
+  if (converted >= threshold.warning) return 'warning';
+  return 'good';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RTC EVALUATION (badge + alerts)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const QUALITY_LEVEL_RANK = { '': 0, good: 1, warning: 2, error: 3 };
+
+/**
+ * Pick the same connection renderRTCStats shows (send+recv first)
+ * @param {Object|null} rtcStats - rtc_stats storage value
+ * @returns {Object|null}
+ */
+function pickPrimaryConnection(rtcStats) {
+  const connections = rtcStats?.peerConnections;
+  if (!Array.isArray(connections) || connections.length === 0) return null;
+  return connections.find(c => c.send && c.recv)
+    || connections.find(c => c.send || c.recv)
+    || connections[0];
+}
+
+/**
+ * Extract raw metric values from rtc_stats (primary connection)
+ * Interval-based values come from the latest metric sample (pc.sample) when available.
+ * @param {Object|null} rtcStats - rtc_stats storage value
+ * @returns {Object} { [metric]: number } (missing metrics omitted)
+ */
+export function extractQualityMetrics(rtcStats) {
+  const pc = pickPrimaryConnection(rtcStats);
+  if (!pc) return {};
+
+  const latest = pc.sample || null;
+  const metrics = {};
+  const put = (key, value) => {
+    if (typeof value === 'number' && !Number.isNaN(value)) metrics[key] = value;
+  };
+
+  if (pc.recv) {
+    put('jitter', pc.recv.jitter);
+    const expected = (pc.recv.packetsReceived || 0) + (pc.recv.packetsLost || 0);
+    put('packetLoss', latest?.lossPercent ?? (expected > 0 ? (pc.recv.packetsLost / expected) * 100 : null));
+    put('jitterBufferDelay', latest?.jitterBufferMs);
+    put('concealment', latest?.concealmentRatio);
+  }
+  put('rtt', pc.rtt);
+  if (pc.send) {
+    put('sendBitrate', pc.send.bitrateKbps);
+    put('audioLevel', pc.send.audioLevel);
+  }
+
+  return metrics;
+}
+
+/**
+ * Evaluate rtc_stats against rules
+ * @param {Object|null} rtcStats - rtc_stats storage value
+ * @param {Object} rules - Effective thresholds (resolveQualityRules)
+ * @returns {{level: string, levels: Object, values: Object, thresholds: Object}}
+ *   level: worst of 'good' | 'warning' | 'error' ('' = no metrics); values in display units
+ */
+export function evaluateQuality(rtcStats, rules) {
+  const evaluation = { level: '', levels: {}, values: {}, thresholds: {} };
+
+  Object.entries(extractQualityMetrics(rtcStats)).forEach(([metric, value]) => {
+    const metricLevel = classifyQuality(metric, value, rules);
+    if (!metricLevel) return;
+    evaluation.levels[metric] = metricLevel;
+    evaluation.values[metric] = QUALITY_METRICS[metric].convert(value);
+    evaluation.thresholds[metric] = rules[metric];
+    if (QUALITY_LEVEL_RANK[metricLevel] > QUALITY_LEVEL_RANK[evaluation.level]) evaluation.level = metricLevel;
+  });
+
+  return evaluation;
+}
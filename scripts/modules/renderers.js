@@ -21,19 +21,31 @@ import {
   formatBitDepth,
   createTooltip,
   formatChannels,
+  formatBytes,
+  createSparkline,
   debugLog
 } from './helpers.js';
 
 import {
   renderAudioFlow,
+  buildAudioGraph,
   mapNodeTypeToProcessorType,
   isDestinationNodeType,
   getEffectNodeTypes,
   AUDIO_NODE_DISPLAY_MAP
 } from './audio-flow.js';
 
+import { QUALITY_METRICS } from './quality-rules.js';
+
+import {
+  resolveInputDevice,
+  resolveCallOutputDevice,
+  resolveContextOutputDevice
+} from './device-labels.js';
+
 import {
   deriveEncodingOutput,
+  getEncoderInputSourceIds,
   toRenderOptions
 } from './encoding-location.js';
 
@@ -47,7 +59,8 @@ import {
 // ╚══════════════════════════════════════════════════════════════════════╝
 export const DESTINATION_TYPES = {
   SPEAKERS: 'speakers',
-  MEDIA_STREAM: 'MediaStreamDestination'
+  MEDIA_STREAM: 'MediaStreamDestination',
+  OFFLINE_BUFFER: 'offline-buffer'  // OfflineAudioContext → rendered AudioBuffer
 };
 
 // SOURCE: src/core/constants.js - RECENT_CONTEXT_THRESHOLD_MS
@@ -67,14 +80,39 @@ export const DSP_FIELDS = [
   { key: 'voiceIsolation', label: 'Voice Isolation' }
 ];
 
+// Track timeline events (GetUserMediaCollector metadata.events)
+// level: quality class for the row (mic went dead → error)
+const TRACK_EVENT_TYPES = {
+  started: { icon: '▶', label: 'Started', level: 'good' },
+  mute: { icon: '🔇', label: 'Muted', level: 'warning' },
+  unmute: { icon: '🔊', label: 'Unmuted', level: 'good' },
+  ended: { icon: '⏹', label: 'Ended', level: 'error' },
+  devicechange: { icon: '🔌', label: 'Device change', level: '' },
+  constraints: { icon: '⚙', label: 'Constraints', level: '' }
+};
+
+// Timeline rows shown in the card (newest first)
+const TRACK_EVENT_DISPLAY_LIMIT = 10;
+
+// Level meter (GetUserMediaCollector metadata.level)
+// Continuous silence at/above this is flagged; peak at/above this is near clipping
+const LEVEL_SILENCE_WARNING_MS = 3000;
+const LEVEL_HOT_PEAK_DB = -1;
+
+// Render monitor (AudioContextCollector metadata.render)
+// Peak render load at/above this leaves little headroom before underruns
+const RENDER_LOAD_WARNING = 0.8;
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // WEBRTC STATS RENDERING
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
  * Render WebRTC stats (fixed two-column layout)
+ * @param {Object|null} data - rtc_stats
+ * @param {Object|null} [history] - rtc_history (downsampled sparkline window)
  */
-export function renderRTCStats(data) {
+export function renderRTCStats(data, history = null) {
   const container = document.getElementById('rtcContent');
   const timestamp = document.getElementById('rtcTimestamp');
 
@@ -118,7 +156,7 @@ export function renderRTCStats(data) {
       <tr><td>Loss</td><td>-</td></tr>
     </tbody></table></div>`;
 
-    container.innerHTML = `<div class="rtc-columns">${sendHtml}${recvHtml}</div>`;
+    container.innerHTML = `<div class="rtc-columns">${sendHtml}${recvHtml}</div>${renderTransportBlock(null)}`;
     timestamp.textContent = '';
     return;
   }
@@ -154,6 +192,7 @@ export function renderRTCStats(data) {
     sendHtml += `<tr><td>Mode</td><td>-</td></tr>`;
   }
   sendHtml += `<tr><td>${createTooltip('RTT', 'Round-Trip Time (network latency)')}</td><td class="${rttClass}">${rttText}</td></tr>`;
+  sendHtml += renderVideoRow(pc.video?.send);
   sendHtml += `</tbody></table></div>`;
 
   // Recv column
@@ -176,9 +215,295 @@ export function renderRTCStats(data) {
     recvHtml += `<tr><td>${createTooltip('Jitter', 'Packet delay variation', 'left')}</td><td>-</td></tr>`;
     recvHtml += `<tr><td>${createTooltip('Loss', 'Packet loss percentage', 'left')}</td><td>-</td></tr>`;
   }
+  recvHtml += renderVideoRow(pc.video?.recv, 'left');
   recvHtml += `</tbody></table></div>`;
 
-  container.innerHTML = `<div class="rtc-columns">${sendHtml}${recvHtml}</div>`;
+  const streams = data.peerConnections.flatMap(c => c.streams || []);
+  const samples = history?.connections?.find(c => c.connectionId === pc.connectionId)?.samples || null;
+  container.innerHTML = `<div class="rtc-columns">${sendHtml}${recvHtml}</div>${renderHistoryBlock(samples)}${renderStreamsBlock(streams)}${renderTransportBlock(pc.transport)}`;
+
+  bindStreamSorting(container, data, history);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WEBRTC METRIC HISTORY (sparklines)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// History rows (OCP: add a metric without touching the render loop)
+// quality: getQualityClass metric key for the latest value (optional)
+const HISTORY_METRICS = [
+  { key: 'sendKbps', label: 'TX Bitrate', tooltip: 'Outgoing audio bitrate', format: v => `${Math.round(v)} kbps`, quality: 'sendBitrate', min: 0 },
+  { key: 'recvKbps', label: 'RX Bitrate', tooltip: 'Incoming audio bitrate', format: v => `${Math.round(v)} kbps`, min: 0 },
+  { key: 'jitter', label: 'Jitter', tooltip: 'Packet delay variation', format: v => formatJitter(v), quality: 'jitter', min: 0 },
+  { key: 'lossPercent', label: 'Loss', tooltip: 'Packet loss per poll interval', format: v => `${v.toFixed(1)}%`, quality: 'packetLoss', min: 0 },
+  { key: 'rtt', label: 'RTT', tooltip: 'Round-Trip Time (network latency)', format: v => `${(v * 1000).toFixed(0)} ms`, quality: 'rtt', min: 0 },
+  { key: 'jitterBufferMs', label: 'JB Delay', tooltip: 'Jitter buffer delay (jitterBufferDelay / jitterBufferEmittedCount)', format: v => `${v.toFixed(0)} ms`, quality: 'jitterBufferDelay', min: 0 },
+  { key: 'concealmentRatio', label: 'Conceal', tooltip: 'Concealed samples ratio per poll interval', format: v => `${(v * 100).toFixed(1)}%`, quality: 'concealment', min: 0 }
+];
+
+/**
+ * Render metric history block with inline sparklines
+ * Rows without any data in the window are skipped (e.g., recv-only connection).
+ * @param {Object[]} history - rtc_history samples of the connection (oldest first)
+ * @returns {string} HTML
+ */
+function renderHistoryBlock(history) {
+  if (!Array.isArray(history) || history.length < 2) return '';
+
+  const spanSec = Math.round((history[history.length - 1].t - history[0].t) / 1000);
+  const spanText = spanSec >= 60 ? `${Math.floor(spanSec / 60)}m ${spanSec % 60}s` : `${spanSec}s`;
+
+  let rows = '';
+  HISTORY_METRICS.forEach(metric => {
+    const series = history.map(sample => sample[metric.key]);
+    const numeric = series.filter(v => typeof v === 'number' && Number.isFinite(v));
+    if (numeric.length === 0) return;
+
+    const latest = [...series].reverse().find(v => typeof v === 'number' && Number.isFinite(v));
+    const peak = Math.max(...numeric);
+    // Sparkline colour = worst value in window ('below' metrics: lowest is worst)
+    const worst = QUALITY_METRICS[metric.quality]?.direction === 'below' ? Math.min(...numeric) : peak;
+    const qualityClass = metric.quality ? getQualityClass(metric.quality, latest) : '';
+    const worstClass = metric.quality ? getQualityClass(metric.quality, worst) : '';
+    const sparkline = createSparkline(series, { min: metric.min, className: worstClass });
+    const summary = `min ${metric.format(Math.min(...numeric))} · max ${metric.format(peak)} (last ${spanText})`;
+
+    rows += `<tr><td>${createTooltip(metric.label, metric.tooltip)}</td>`;
+    rows += `<td class="${qualityClass}"><span class="sparkline-cell">${sparkline}${createTooltip(metric.format(latest), summary, 'left')}</span></td></tr>`;
+  });
+
+  if (!rows) return '';
+
+  return `<div class="rtc-history">
+    <div class="sub-header sub-header--rtc">
+      <span class="direction-icon history">∿</span>
+      <span class="sub-header-title">History (${spanText})</span>
+    </div>
+    <table><tbody>${rows}</tbody></table>
+  </div>`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WEBRTC PER-SSRC STREAMS (participants)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Sortable columns (OCP: add a column without touching the render loop)
+const STREAM_COLUMNS = [
+  { key: 'label', label: 'Track', tooltip: 'trackIdentifier / mid / SSRC' },
+  { key: 'direction', label: 'Dir', tooltip: 'TX = outgoing, RX = incoming' },
+  { key: 'bitrateKbps', label: 'kbps', tooltip: 'Bitrate over the last poll interval' },
+  { key: 'intervalLossPercent', label: 'Loss', tooltip: 'Packet loss over the last poll interval' },
+  { key: 'jitter', label: 'Jitter', tooltip: 'Packet delay variation' },
+  { key: 'intervalConcealmentRatio', label: 'Conceal', tooltip: 'Concealed samples over the last poll interval (RX only)' }
+];
+
+// Sort state survives re-renders (storage updates every poll)
+const _streamSort = { key: 'bitrateKbps', desc: true };
+
+/**
+ * Short human-readable label for a stream
+ * @param {Object} stream - Entry from pc.streams
+ * @returns {string}
+ */
+function getStreamLabel(stream) {
+  if (stream.trackIdentifier) {
+    // UUID'ler uzun - ilk segment ayırt etmeye yeter
+    const id = stream.trackIdentifier;
+    return id.length > 12 ? id.slice(0, 8) : id;
+  }
+  if (stream.mid !== null && stream.mid !== undefined) return `mid ${stream.mid}`;
+  return `ssrc ${stream.ssrc}`;
+}
+
+/**
+ * Sort streams by current sort state (nulls always last)
+ * @param {Object[]} streams
+ * @returns {Object[]} New sorted array
+ */
+function sortStreams(streams) {
+  const { key, desc } = _streamSort;
+  const valueOf = (st) => key === 'label' ? getStreamLabel(st) : st[key];
+
+  return [...streams].sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    // Null/undefined her iki yönde de sonda (tutarlı comparator: ikisi de boş → 0)
+    const aMissing = va === null || va === undefined;
+    const bMissing = vb === null || vb === undefined;
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+    const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+    return desc ? -cmp : cmp;
+  });
+}
+
+/**
+ * Render per-SSRC stream table (only with 2+ streams - single stream is already in columns)
+ * @param {Object[]} streams - Streams from all peer connections
+ * @returns {string} HTML
+ */
+function renderStreamsBlock(streams) {
+  if (!streams || streams.length < 2) return '';
+
+  const recvCount = streams.filter(st => st.direction === 'recv').length;
+  const indicator = (key) => _streamSort.key === key ? (_streamSort.desc ? ' ▾' : ' ▴') : '';
+
+  let html = `<div class="rtc-streams">
+    <div class="sub-header sub-header--rtc">
+      <span class="direction-icon recv">≡</span>
+      <span class="sub-header-title">Participants (${recvCount} RX / ${streams.length - recvCount} TX)</span>
+    </div>
+    <table class="rtc-streams-table"><thead><tr>`;
+
+  STREAM_COLUMNS.forEach(col => {
+    const active = _streamSort.key === col.key ? ' active' : '';
+    html += `<th class="sortable${active}" data-sort-key="${col.key}">${createTooltip(`${col.label}${indicator(col.key)}`, col.tooltip)}</th>`;
+  });
+  html += `</tr></thead><tbody>`;
+
+  sortStreams(streams).forEach(st => {
+    const label = getStreamLabel(st);
+    const tooltip = [
+      st.trackIdentifier ? `track ${st.trackIdentifier}` : null,
+      st.mid !== null && st.mid !== undefined ? `mid ${st.mid}` : null,
+      `ssrc ${st.ssrc}`,
+      st.codec ? extractCodecName(st.codec) : null
+    ].filter(Boolean).join(' · ');
+
+    const bitrate = st.bitrateKbps !== null ? `${st.bitrateKbps}` : '-';
+    const loss = st.intervalLossPercent ?? st.lossPercent;
+    const lossText = loss !== null && loss !== undefined ? `${loss.toFixed(1)}%` : '-';
+    const lossClass = loss !== null && loss !== undefined ? getQualityClass('packetLoss', loss) : '';
+    const jitterText = st.jitter !== null ? formatJitter(st.jitter) : '-';
+    const jitterClass = st.jitter !== null ? getQualityClass('jitter', st.jitter) : '';
+    const conceal = st.intervalConcealmentRatio;
+    const concealText = conceal !== null && conceal !== undefined ? `${(conceal * 100).toFixed(1)}%` : '-';
+    const concealClass = conceal !== null && conceal !== undefined ? getQualityClass('concealment', conceal) : '';
+
+    html += `<tr>
+      <td>${createTooltip(label, tooltip)}</td>
+      <td><span class="direction-icon ${st.direction}">${st.direction === 'send' ? 'TX' : 'RX'}</span></td>
+      <td>${bitrate}</td>
+      <td class="${lossClass}">${lossText}</td>
+      <td class="${jitterClass}">${jitterText}</td>
+      <td class="${concealClass}">${concealText}</td>
+    </tr>`;
+  });
+
+  html += `</tbody></table></div>`;
+  return html;
+}
+
+/**
+ * Bind header click sorting once per container (delegated - survives innerHTML)
+ * @param {HTMLElement} container - #rtcContent
+ * @param {Object} data - Latest rtc_stats (re-rendered on sort change)
+ * @param {Object|null} history - Latest rtc_history
+ */
+function bindStreamSorting(container, data, history) {
+  container._rtcLatestData = data;
+  container._rtcLatestHistory = history;
+  if (container.dataset.streamSortBound) return;
+  container.dataset.streamSortBound = 'true';
+
+  container.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-sort-key]');
+    if (!th) return;
+
+    const key = th.dataset.sortKey;
+    if (_streamSort.key === key) {
+      _streamSort.desc = !_streamSort.desc;
+    } else {
+      _streamSort.key = key;
+      _streamSort.desc = key !== 'label' && key !== 'direction';
+    }
+    renderRTCStats(container._rtcLatestData, container._rtcLatestHistory);
+  });
+}
+
+/**
+ * Render compact video summary row (only when a video track is present)
+ * @param {Object|null} video - pc.video.send or pc.video.recv
+ * @param {string} [position='right'] - Tooltip position
+ * @returns {string} Table row HTML or empty string
+ */
+function renderVideoRow(video, position = 'right') {
+  if (!video) return '';
+
+  const parts = [extractCodecName(video.codec)];
+  if (video.frameWidth && video.frameHeight) {
+    const fps = video.framesPerSecond ? `@${Math.round(video.framesPerSecond)}` : '';
+    parts.push(`${video.frameWidth}x${video.frameHeight}${fps}`);
+  }
+  if (video.bitrateKbps !== null && video.bitrateKbps !== undefined) {
+    parts.push(`${video.bitrateKbps} kbps`);
+  }
+
+  const limitation = video.qualityLimitationReason && video.qualityLimitationReason !== 'none'
+    ? `Quality limited by ${video.qualityLimitationReason}`
+    : 'Video RTP stream (codec, resolution, bitrate)';
+
+  return `<tr><td>${createTooltip('Video', limitation, position)}</td><td>${escapeHtml(parts.join(' · '))}</td></tr>`;
+}
+
+// ICE candidate type → human-readable route label
+const CANDIDATE_TYPE_LABELS = {
+  host: 'Host (direct)',
+  srflx: 'STUN (srflx)',
+  prflx: 'Peer reflexive',
+  relay: 'TURN relay'
+};
+
+/**
+ * Render Transport block (selected ICE candidate pair)
+ * @param {Object|null} transport - pc.transport from RTCPeerConnectionCollector
+ * @returns {string} HTML
+ */
+function renderTransportBlock(transport) {
+  let html = `<div class="rtc-transport">
+    <div class="sub-header sub-header--rtc">
+      <span class="direction-icon transport">⇄</span>
+      <span class="sub-header-title">Transport</span>
+    </div>
+    <table><tbody>`;
+
+  if (!transport) {
+    html += `<tr><td>Route</td><td>-</td></tr>`;
+    html += `<tr><td>Protocol</td><td>-</td></tr>`;
+    html += `<tr><td>Available Out</td><td>-</td></tr>`;
+    html += `<tr><td>Pair RTT</td><td>-</td></tr>`;
+    html += `<tr><td>Bytes</td><td>-</td></tr>`;
+    html += `</tbody></table></div>`;
+    return html;
+  }
+
+  const localType = CANDIDATE_TYPE_LABELS[transport.localCandidateType] || transport.localCandidateType || '?';
+  const remoteType = CANDIDATE_TYPE_LABELS[transport.remoteCandidateType] || transport.remoteCandidateType || '?';
+  const isRelay = transport.localCandidateType === 'relay' || transport.remoteCandidateType === 'relay';
+  const routeClass = isRelay ? 'warning' : 'good';
+  const localAddr = transport.localAddress ? `${transport.localAddress}:${transport.localPort ?? '?'}` : 'unknown';
+  const remoteAddr = transport.remoteAddress ? `${transport.remoteAddress}:${transport.remotePort ?? '?'}` : 'unknown';
+  const routeTooltip = `Local ${localAddr} → Remote ${remoteAddr}${isRelay ? ' (media relayed through TURN server)' : ''}`;
+
+  const protocol = (transport.protocol || '-').toUpperCase();
+  const relayProtocol = transport.relayProtocol ? ` via ${transport.relayProtocol.toUpperCase()}` : '';
+  const network = transport.networkType ? ` (${transport.networkType})` : '';
+
+  const availableOut = typeof transport.availableOutgoingBitrate === 'number'
+    ? `${Math.round(transport.availableOutgoingBitrate / 1000)} kbps`
+    : '-';
+
+  const pairRtt = transport.currentRoundTripTime;
+  const pairRttText = typeof pairRtt === 'number' ? `${(pairRtt * 1000).toFixed(0)} ms` : '-';
+  const pairRttClass = typeof pairRtt === 'number' ? getQualityClass('rtt', pairRtt) : '';
+
+  html += `<tr><td>Route</td><td class="${routeClass}">${createTooltip(`${localType} ↔ ${remoteType}`, routeTooltip, 'left')}</td></tr>`;
+  html += `<tr><td>Protocol</td><td>${escapeHtml(`${protocol}${relayProtocol}${network}`)}</td></tr>`;
+  html += `<tr><td>${createTooltip('Available Out', 'Estimated outgoing bandwidth (congestion control)')}</td><td>${availableOut}</td></tr>`;
+  html += `<tr><td>${createTooltip('Pair RTT', 'Current STUN round-trip time on the selected candidate pair')}</td><td class="${pairRttClass}">${pairRttText}</td></tr>`;
+  html += `<tr><td>Bytes</td><td>↑ ${formatBytes(transport.bytesSent)} / ↓ ${formatBytes(transport.bytesReceived)}</td></tr>`;
+  html += `</tbody></table></div>`;
+
+  return html;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -187,14 +512,20 @@ export function renderRTCStats(data) {
 
 /**
  * Render getUserMedia stats (fixed layout)
+ * @param {Object|null} data - user_media storage value
+ * @param {Object} [options={}]
+ * @param {Object|null} options.mediaDevices - media_devices storage value (device labels)
  */
-export function renderGUMStats(data) {
+export function renderGUMStats(data, options = {}) {
+  const { mediaDevices = null } = options;
   const container = document.getElementById('gumContent');
   const timestamp = document.getElementById('gumTimestamp');
 
   let html = `<table><tbody>`;
 
   if (!data || !data.settings) {
+    html += `<tr><td>Input</td><td>-</td></tr>`;
+    html += `<tr><td>Output</td><td>-</td></tr>`;
     html += `<tr><td>Rate</td><td>-</td></tr>`;
     html += `<tr><td>Channels</td><td>-</td></tr>`;
     html += `<tr><td>Bit Depth</td><td>-</td></tr>`;
@@ -211,24 +542,151 @@ export function renderGUMStats(data) {
   timestamp.textContent = formatTime(data.timestamp);
   const s = data.settings;
 
+  if (data.trackState) {
+    const track = getTrackStateDisplay(data.trackState);
+    html += `<tr><td>Track</td><td class="${track.cls}">${track.text}</td></tr>`;
+  }
+  html += renderDeviceRow('Input', resolveInputDevice(mediaDevices, s));
+  html += renderDeviceRow('Output', resolveCallOutputDevice(mediaDevices));
   html += `<tr><td class="metric-label">Rate</td><td class="metric-value">${s.sampleRate || '-'} Hz</td></tr>`;
   html += `<tr><td>Channels</td><td>${formatChannels(s.channelCount)}</td></tr>`;
   html += `<tr><td>Bit Depth</td><td>${formatBitDepth(s.sampleSize)}</td></tr>`;
 
   const inLatency = s.latency ? `${(s.latency * 1000).toFixed(1)} ms` : '-';
   html += `<tr><td>Input Latency</td><td>${inLatency}</td></tr>`;
+  html += renderLevelRows(data.level);
 
+  // Applied (getSettings) vs requested (GUM / latest applyConstraints) DSP flags
   DSP_FIELDS.forEach(field => {
     const value = s[field.key];
     const display = value === true ? 'Yes' : value === false ? 'No' : '-';
+    const requested = getRequestedFlag(data.requested, field.key);
+
+    if (requested !== null && requested !== value) {
+      // Browser did not honour the request (unsupported / overridden)
+      const asked = requested ? 'Yes' : 'No';
+      html += `<tr><td>${field.label}</td><td class="warning">${createTooltip(`${display} (asked ${asked})`, `Requested ${field.key}: ${requested}, browser applied: ${value ?? 'unsupported'}`, 'left')}</td></tr>`;
+      return;
+    }
+
     const cls = value === true ? 'good' : '';
     html += `<tr><td>${field.label}</td><td class="${cls}">${display}</td></tr>`;
   });
 
+  const lastCall = data.constraintCalls?.[data.constraintCalls.length - 1];
+  if (lastCall) {
+    const callText = lastCall.rejected ? 'Rejected' : 'Applied';
+    const callTooltip = lastCall.rejected
+      ? lastCall.error || 'applyConstraints rejected'
+      : `requested ${JSON.stringify(lastCall.requested ?? {})}`;
+    html += `<tr><td>${createTooltip('applyConstraints', `${data.constraintCalls.length} call(s) - last at ${formatTime(lastCall.timestamp)}`)}</td>`;
+    html += `<td class="${lastCall.rejected ? 'error' : ''}">${createTooltip(callText, callTooltip, 'left')}</td></tr>`;
+  }
+
   html += `</tbody></table>`;
+  html += renderTrackTimeline(data.events);
   container.innerHTML = html;
 }
 
+/**
+ * Level meter rows (opt-in - nothing rendered when metadata.level is missing)
+ * RMS colour uses the audioLevel (silence) quality thresholds from settings.
+ * @param {{rmsDb: number, peakDb: number, maxPeakDb: number, clipCount: number, silenceMs: number, longestSilenceMs: number, updatedAt: number}|null|undefined} level
+ * @returns {string} HTML
+ */
+function renderLevelRows(level) {
+  if (!level) return '';
+
+  // getQualityClass ham (lineer 0..1) değer bekler - dBFS'i geri çevir
+  const rmsClass = getQualityClass('audioLevel', Math.pow(10, level.rmsDb / 20));
+  const peakClass = level.peakDb >= LEVEL_HOT_PEAK_DB ? 'warning' : '';
+  const levelText = `${level.rmsDb.toFixed(1)} / ${level.peakDb.toFixed(1)} dBFS`;
+  let html = `<tr><td>${createTooltip('Level', 'RMS / peak over the last second (local level meter)')}</td>`;
+  html += `<td class="${peakClass || rmsClass}">${createTooltip(levelText, `Max peak ${level.maxPeakDb.toFixed(1)} dBFS · updated ${formatTime(level.updatedAt)}`, 'left')}</td></tr>`;
+
+  const clipClass = level.clipCount > 0 ? 'error' : 'good';
+  html += `<tr><td>Clipping</td><td class="${clipClass}">${level.clipCount > 0 ? `${level.clipCount}×` : 'None'}</td></tr>`;
+
+  const silenceSec = (level.silenceMs / 1000).toFixed(1);
+  const longestSec = (level.longestSilenceMs / 1000).toFixed(1);
+  const silenceText = level.silenceMs > 0 ? `${silenceSec} s` : 'No';
+  const silenceClass = level.silenceMs >= LEVEL_SILENCE_WARNING_MS ? 'warning' : '';
+  html += `<tr><td>Silence</td><td class="${silenceClass}">${createTooltip(silenceText, `Longest silence ${longestSec} s`, 'left')}</td></tr>`;
+
+  return html;
+}
+
+/**
+ * Device label row (enumerateDevices label, id details in tooltip)
+ * @param {string} label - Row label
+ * @param {{label: string, tooltip: string}|null} device - device-labels.js result
+ * @returns {string} HTML
+ */
+function renderDeviceRow(label, device) {
+  if (!device) return `<tr><td>${label}</td><td>-</td></tr>`;
+  return `<tr><td>${label}</td><td>${createTooltip(device.label, device.tooltip, 'left')}</td></tr>`;
+}
+
+/**
+ * Resolve requested boolean DSP flag from a constraint set
+ * Handles `true`, `{ exact: true }`, `{ ideal: false }`; missing/unknown → null
+ * @param {MediaTrackConstraints|boolean|null|undefined} requested - GUM audio constraints or applyConstraints arg
+ * @param {string} key - Constraint name (e.g., 'echoCancellation')
+ * @returns {boolean|null}
+ */
+function getRequestedFlag(requested, key) {
+  if (!requested || typeof requested !== 'object') return null;
+  const constraint = requested[key];
+  if (typeof constraint === 'boolean') return constraint;
+  if (constraint && typeof constraint === 'object') {
+    if (typeof constraint.exact === 'boolean') return constraint.exact;
+    if (typeof constraint.ideal === 'boolean') return constraint.ideal;
+  }
+  return null;
+}
+
+/**
+ * Track state → display text + quality class
+ * @param {{readyState: string, muted: boolean, enabled: boolean}} state
+ * @returns {{text: string, cls: string}}
+ */
+function getTrackStateDisplay(state) {
+  if (state.readyState === 'ended') return { text: 'Ended', cls: 'error' };
+  if (state.muted) return { text: 'Muted (no input)', cls: 'warning' };
+  if (!state.enabled) return { text: 'Disabled', cls: 'warning' };
+  return { text: 'Live', cls: 'good' };
+}
+
+/**
+ * Render mic track event timeline (mute/unmute/ended/devicechange/constraints)
+ * @param {Array<{timestamp: number, type: string, detail: string|null}>} events
+ * @returns {string} HTML
+ */
+function renderTrackTimeline(events) {
+  if (!Array.isArray(events) || events.length === 0) return '';
+
+  const recent = events.slice(-TRACK_EVENT_DISPLAY_LIMIT).reverse();
+  const hidden = events.length - recent.length;
+
+  let rows = '';
+  recent.forEach(event => {
+    const type = TRACK_EVENT_TYPES[event.type] || { icon: '•', label: event.type, level: '' };
+    const label = event.detail
+      ? createTooltip(`${type.icon} ${type.label}`, event.detail, 'left')
+      : escapeHtml(`${type.icon} ${type.label}`);
+    rows += `<tr><td>${formatTime(event.timestamp)}</td><td class="${type.level}">${label}</td></tr>`;
+  });
+
+  const moreText = hidden > 0 ? ` (+${hidden} older)` : '';
+
+  return `<div class="gum-timeline">
+    <div class="sub-header sub-header--rtc">
+      <span class="sub-header-title">Track Events${moreText}</span>
+    </div>
+    <table><tbody>${rows}</tbody></table>
+  </div>`;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // AUDIOCONTEXT PURPOSE DETECTION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -633,6 +1091,180 @@ export function extractProcessingInfo(mainProcessors, monitors) {
 // AUDIOCONTEXT STATS RENDERING
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Latency row - live outputLatency (render monitor) with sparkline, static value otherwise
+ * @param {Object} ctx - audio_contexts entry
+ * @returns {string} HTML
+ */
+function renderLatencyRow(ctx) {
+  const render = ctx.render;
+  const baseLatencyMs = (ctx.static?.baseLatency || 0) * 1000;
+  const outputLatencyMs = render?.outputLatencyMs ?? (ctx.static?.outputLatency || 0) * 1000;
+  const totalMs = baseLatencyMs + outputLatencyMs;
+  const latencyText = totalMs > 0 ? `${totalMs.toFixed(1)}ms` : '-';
+  const latencyTooltip = `Base ${baseLatencyMs.toFixed(1)}ms + output ${outputLatencyMs.toFixed(1)}ms`;
+
+  const history = render?.outputLatencyHistory || [];
+  if (history.length < 2) {
+    return `<tr><td>${createTooltip('Latency', latencyTooltip, 'left')}</td><td>${latencyText}</td></tr>`;
+  }
+
+  const summary = `${latencyTooltip} · output min ${render.minOutputLatencyMs}ms / max ${render.maxOutputLatencyMs}ms`;
+  return `<tr><td>${createTooltip('Latency', 'Base + output latency (output sampled every second)', 'left')}</td>
+    <td><span class="sparkline-cell">${createSparkline(history)}${createTooltip(latencyText, summary, 'left')}</span></td></tr>`;
+}
+
+/**
+ * Render performance rows (render monitor - nothing rendered before the first sample)
+ * @param {Object|null|undefined} render - audio_contexts entry .render (render-monitor.js RenderStats)
+ * @returns {string} HTML
+ */
+function renderPerformanceRows(render) {
+  if (!render) return '';
+
+  const glitchClass = render.glitchCount > 0 ? 'error' : 'good';
+  const glitchText = render.glitchCount > 0 ? `${render.glitchCount}× (${render.glitchMs}ms)` : 'None';
+  const glitchTooltip = render.lastGlitchAt
+    ? `currentTime fell behind the wall clock - last at ${formatTime(render.lastGlitchAt)}`
+    : `No render stalls since ${formatTime(render.startedAt)}`;
+  let html = `<tr><td>${createTooltip('Glitches', 'Render thread stalls (currentTime falling behind the wall clock)', 'left')}</td>`;
+  html += `<td class="${glitchClass}">${createTooltip(glitchText, glitchTooltip, 'left')}</td></tr>`;
+
+  const capacity = render.renderCapacity;
+  if (capacity) {
+    const loadClass = capacity.underrunRatio > 0 ? 'error' : (capacity.peakLoad >= RENDER_LOAD_WARNING ? 'warning' : 'good');
+    const loadText = `${Math.round(capacity.averageLoad * 100)}% / ${Math.round(capacity.peakLoad * 100)}%`;
+    const loadTooltip = `Max peak ${Math.round(capacity.maxPeakLoad * 100)}% · underruns in ${capacity.underrunUpdates} update(s)`;
+    html += `<tr><td>${createTooltip('Render Load', 'Average / peak render time per quantum (renderCapacity)', 'left')}</td>`;
+    html += `<td class="${loadClass}">${createTooltip(loadText, loadTooltip, 'left')}</td></tr>`;
+  }
+
+  if (render.clockDriftPpm !== null) {
+    const driftTooltip = `${render.clockDriftMs}ms vs performance.now() · output timestamp ${render.outputTimestampLagMs ?? '-'}ms old`;
+    html += `<tr><td>${createTooltip('Clock Drift', 'Audio clock (getOutputTimestamp) vs performance clock', 'left')}</td>`;
+    html += `<td>${createTooltip(`${render.clockDriftPpm} ppm`, driftTooltip, 'left')}</td></tr>`;
+  }
+
+  return html;
+}
+
+/**
+ * ScriptProcessor callback rows - one per profiled node (onaudioprocess wrapper)
+ * Over budget = handlers ran longer than bufferSize / sampleRate → next buffer late
+ * @param {Object[]} processors - ctx.pipeline.processors
+ * @returns {string} HTML
+ */
+function renderScriptProcessorRows(processors) {
+  const profiled = processors.filter(p => p.type === 'scriptProcessor' && p.callbackProfile);
+
+  return profiled.map(processor => {
+    const profile = processor.callbackProfile;
+    const profileClass = profile.overBudgetCount > 0 ? 'error' : (profile.missedCallbacks > 0 ? 'warning' : 'good');
+    let text = `${profile.avgExecMs} / ${profile.maxExecMs}ms of ${profile.budgetMs}ms`;
+    if (profile.overBudgetCount > 0) text += ` · ${profile.overBudgetCount}× over budget`;
+
+    const details = [
+      `${profile.callbacks} callbacks (buffer ${processor.bufferSize})`,
+      `jitter avg ${profile.avgJitterMs}ms / max ${profile.maxJitterMs}ms`,
+      `${profile.missedCallbacks} missed`
+    ];
+    if (profile.lastOverBudgetAt) details.push(`last over budget ${formatTime(profile.lastOverBudgetAt)}`);
+    const label = profiled.length > 1 ? `Callback (${processor.nodeId})` : 'Callback';
+
+    return `<tr><td>${createTooltip(label, 'ScriptProcessor onaudioprocess time: avg / max of budget (bufferSize / sampleRate)', 'left')}</td>
+      <td class="${profileClass}">${createTooltip(text, details.join(', '), 'left')}</td></tr>`;
+  }).join('');
+}
+
+/**
+ * startRendering() run → table cell text
+ * @param {{durationMs: number|null, renderedSec: number, status: string, error: string|null}} rendering
+ * @returns {{text: string, className: string}}
+ */
+function formatOfflineRendering(rendering) {
+  if (rendering.status === 'rendering') {
+    return { text: 'Rendering…', className: 'warning' };
+  }
+  if (rendering.status === 'error') {
+    return { text: rendering.error || 'Failed', className: 'error' };
+  }
+  const speed = rendering.durationMs > 0 ? (rendering.renderedSec * 1000) / rendering.durationMs : null;
+  const speedText = speed ? ` (${speed >= 10 ? Math.round(speed) : speed.toFixed(1)}× realtime)` : '';
+  return { text: `${rendering.durationMs}ms${speedText}`, className: 'good' };
+}
+
+/**
+ * OfflineAudioContexts (render/resample - not audible output), newest first
+ * Listed below the realtime contexts with their own Audio Path
+ * @param {Array<Object>} offlineContexts - audio_contexts entries with static.isOffline
+ * @param {Object|null} audioConnections - Audio connection graph data
+ * @param {boolean} hasSeparator - Realtime contexts rendered above
+ * @returns {string} HTML
+ */
+function renderOfflineContexts(offlineContexts, audioConnections, hasSeparator) {
+  const newestFirst = [...offlineContexts]
+    .sort((a, b) => (b.static?.timestamp || 0) - (a.static?.timestamp || 0));
+  const shown = newestFirst.slice(0, MAX_AUDIO_CONTEXTS);
+  const hiddenCount = newestFirst.length - shown.length;
+
+  let html = '';
+  shown.forEach((ctx, index) => {
+    const offline = ctx.offline || {};
+    const renderings = offline.renderings || [];
+    const lastRendering = renderings[renderings.length - 1];
+    const renderCell = lastRendering ? formatOfflineRendering(lastRendering) : { text: 'Not started', className: '' };
+    const renderTooltip = renderings
+      .map((r, i) => `#${i + 1} ${formatOfflineRendering(r).text}`)
+      .join(', ');
+    const lengthText = Number.isFinite(offline.durationSec) ? `${offline.durationSec.toFixed(2)}s` : '-';
+
+    const ctxConnections = filterConnectionsByContext(audioConnections?.connections, [ctx]);
+    const audioGraph = buildAudioGraph(ctxConnections, [ctx]).find(graph => graph.contextId === ctx.contextId) || null;
+
+    html += `<div class="context-item context-item--offline${hasSeparator || index > 0 ? ' context-separator' : ''}">
+      <div class="ac-section ac-section--first">
+        <div class="sub-header sub-header--ac">
+          <span class="ac-section-title">Offline Render · ${escapeHtml(ctx.contextId || '-')}</span>
+          <span class="timestamp">${formatTime(ctx.static?.timestamp)}</span>
+        </div>
+        <table class="ac-main-table">
+          <tbody>
+            <tr><td>Length</td><td>${createTooltip(lengthText, `${offline.length ?? '-'} frames`, 'left')}</td></tr>
+            <tr><td class="metric-label">Sample Rate</td><td class="metric-value">${ctx.static?.sampleRate ? `${ctx.static.sampleRate} Hz` : '-'}</td></tr>
+            <tr><td class="metric-label">Channels</td><td class="metric-value">${formatChannels(ctx.static?.channelCount)}</td></tr>
+            <tr><td>State</td><td>${ctx.static?.state || '-'}</td></tr>
+            <tr><td>Render</td><td class="${renderCell.className}">${renderings.length > 1
+              ? createTooltip(renderCell.text, renderTooltip, 'left')
+              : escapeHtml(renderCell.text)}</td></tr>
+          </tbody>
+        </table>
+      </div>`;
+
+    if (audioGraph) {
+      html += `
+      <div class="ac-section">
+        <div class="sub-header sub-header--ac">
+          <span class="ac-section-title">Audio Path</span>
+          <span class="timestamp">${formatTime(ctx.pipeline?.timestamp)}</span>
+        </div>
+        ${renderAudioFlow(audioGraph, null, {
+          paramAutomation: (audioConnections?.paramAutomation || []).filter(t => t.contextId === ctx.contextId),
+          portTraffic: (audioConnections?.portTraffic || []).filter(t => t.contextId === ctx.contextId)
+        })}
+      </div>`;
+    }
+
+    html += `</div>`;
+  });
+
+  if (hiddenCount > 0) {
+    html += `<div class="context-item context-minimal context-separator">
+      <span class="context-subtext">+${hiddenCount} older offline context(s)</span>
+    </div>`;
+  }
+  return html;
+}
+
 /**
  * Render AudioContext stats - supports multiple contexts
  * @param {Array|Object|null} contexts - AudioContext data
@@ -641,9 +1273,13 @@ export function extractProcessingInfo(mainProcessors, monitors) {
  * @param {Object|null} options.detectedEncoder - Detected encoder data (for node-level tracking)
  * @param {Object|null} options.mediaRecorder - MediaRecorder data (for audioSource check)
  * @param {Object|null} options.recordingActive - Recording state data
+ * @param {Object|null} options.mediaDevices - media_devices storage value (device labels)
+ * @param {Object|null} options.userMedia - user_media storage value (mic device for microphone input)
  */
 export function renderACStats(contexts, options = {}) {
   const {
+    mediaDevices = null,
+    userMedia = null,
     audioConnections = null,
     detectedEncoder = null,
     mediaRecorder = null,
@@ -659,9 +1295,11 @@ export function renderACStats(contexts, options = {}) {
   }
 
   let contextArray = Array.isArray(contexts) ? contexts : [contexts];
-  contextArray = filterOutgoingContexts(contextArray, audioConnections);
+  // OfflineAudioContext'ler giden ses değil (render/resample) - ayrı listelenir
+  const offlineContexts = contextArray.filter(ctx => ctx.static?.isOffline);
+  contextArray = filterOutgoingContexts(contextArray.filter(ctx => !ctx.static?.isOffline), audioConnections);
 
-  if (contextArray.length === 0) {
+  if (contextArray.length === 0 && offlineContexts.length === 0) {
     container.innerHTML = '<div class="no-data">No outgoing audio</div>';
     timestamp.textContent = '';
     return;
@@ -671,8 +1309,7 @@ export function renderACStats(contexts, options = {}) {
     contextArray = contextArray.slice(0, MAX_AUDIO_CONTEXTS);
   }
 
-  const firstCtx = contextArray[0];
-  const contextTimestamp = formatTime(firstCtx.static?.timestamp);
+  const contextTimestamp = formatTime(contextArray[0]?.static?.timestamp);
 
   let html = '';
 
@@ -698,10 +1335,6 @@ export function renderACStats(contexts, options = {}) {
       return;
     }
 
-    const baseLatency = ctx.static?.baseLatency || 0;
-    const outputLatency = ctx.static?.outputLatency || 0;
-    const totalLatency = baseLatency + outputLatency;
-    const latencyMs = totalLatency > 0 ? `${(totalLatency * 1000).toFixed(1)}ms` : '-';
     const stateClass = ctx.static?.state === 'running' ? 'good' : (ctx.static?.state === 'suspended' ? 'warning' : '');
 
     const ctxConnections = filterConnectionsByContext(audioConnections?.connections, [ctx]);
@@ -713,6 +1346,10 @@ export function renderACStats(contexts, options = {}) {
       : null;
     debugLog(` 🔍 Audio Path: processorTree=`, processorTree ? 'exists' : 'null');
 
+    // Audio Path paneli: tüm bağlantılar (merge, feedback, AudioParam) - tree sadece özet/encoding için
+    const contextGraphs = buildAudioGraph(ctxConnections, [ctx]);
+    const audioGraph = contextGraphs.find(graph => graph.contextId === ctx.contextId) || contextGraphs[0] || null;
+
     const hasInputSource = !!ctx.pipeline?.inputSource;
     const monitors = ctx.pipeline?.processors?.filter(p => p.type === 'analyser') || [];
 
@@ -724,11 +1361,14 @@ export function renderACStats(contexts, options = {}) {
 
     html += `<div class="context-item${index > 0 ? ' context-separator' : ''}">`;
 
-    const latencyTooltip = `Base ${(baseLatency * 1000).toFixed(1)}ms + output ${(outputLatency * 1000).toFixed(1)}ms`;
-
+    // Microphone input → same physical device as the GUM track
+    const inputDevice = ctx.pipeline?.inputSource === 'microphone'
+      ? resolveInputDevice(mediaDevices, userMedia?.settings)
+      : null;
     const inputLabel = hasInputSource
-      ? `${purpose.icon} ${capitalizeFirst(ctx.pipeline?.inputSource || 'unknown')}`
+      ? `${purpose.icon} ${inputDevice ? createTooltip(inputDevice.label, inputDevice.tooltip, 'left') : capitalizeFirst(ctx.pipeline?.inputSource || 'unknown')}`
       : '-';
+    const outputDevice = resolveContextOutputDevice(mediaDevices, ctx.contextId);
 
     html += `
       <div class="ac-section ac-section--first">
@@ -739,18 +1379,21 @@ export function renderACStats(contexts, options = {}) {
         <table class="ac-main-table">
           <tbody>
             <tr><td>Input</td><td>${inputLabel}</td></tr>
+            <tr><td>Output</td><td>${createTooltip(outputDevice.label, outputDevice.tooltip, 'left')}</td></tr>
             <tr><td class="metric-label">Channels</td><td class="metric-value">${formatChannels(ctx.static?.channelCount)}</td></tr>
             <tr><td>State</td><td class="${stateClass}">${ctx.static?.state || '-'}</td></tr>
-            <tr><td>${createTooltip('Latency', latencyTooltip, 'left')}</td><td>${latencyMs}</td></tr>
+            ${renderLatencyRow(ctx)}
+            ${renderPerformanceRows(ctx.render)}
             <tr><td>Processing</td><td>${processingText || 'None'}</td></tr>
+            ${renderScriptProcessorRows(ctx.pipeline?.processors || [])}
             <tr><td>Effects</td><td>${effectsText || 'None'}</td></tr>
           </tbody>
         </table>
       </div>
     `;
 
-    if (processorTree) {
-      // Tree göster
+    if (audioGraph) {
+      // Graph göster
       const pipelineTs = formatTime(ctx.pipeline?.timestamp);
 
       // ═══════════════════════════════════════════════════════════════════════
@@ -793,7 +1436,11 @@ export function renderACStats(contexts, options = {}) {
             <span class="ac-section-title">Audio Path</span>
             <span class="timestamp">${pipelineTs}</span>
           </div>
-          ${renderAudioFlow(processorTree, monitors, ctx.pipeline?.inputSource, renderOptions)}
+          ${renderAudioFlow(audioGraph, ctx.pipeline?.inputSource, {
+            ...renderOptions,
+            paramAutomation: (audioConnections?.paramAutomation || []).filter(t => t.contextId === ctx.contextId),
+            portTraffic: (audioConnections?.portTraffic || []).filter(t => t.contextId === ctx.contextId)
+          })}
         </div>
       `;
     } else if (hasInputSource) {
@@ -822,6 +1469,10 @@ export function renderACStats(contexts, options = {}) {
     html += `</div>`;
   });
 
+  if (offlineContexts.length > 0) {
+    html += renderOfflineContexts(offlineContexts, audioConnections, contextArray.length > 0);
+  }
+
   debugLog(` 🔍 renderACStats: HTML length=${html.length}, container=`, container);
   debugLog(` 🔍 renderACStats: HTML preview (first 500 chars):`, html.substring(0, 500));
   container.innerHTML = html;
@@ -831,6 +1482,58 @@ export function renderACStats(contexts, options = {}) {
   if (timestamp) timestamp.textContent = '';
 }
 
+/**
+ * Resolve the loudness tap target (encoder input) without rendering
+ * Same context selection as renderACStats() Audio Path. background.js calls this on
+ * storage changes, so the target does not depend on the side panel being open.
+ * @param {Array|Object|null} contexts - audio_contexts of the locked tab
+ * @param {Object} options
+ * @param {Object|null} options.audioConnections - Audio connection graph data
+ * @param {Object|null} options.detectedEncoder - Detected encoder data
+ * @param {Object|null} options.mediaRecorder - MediaRecorder data
+ * @param {Object|null} options.recordingActive - Recording state data
+ * @returns {{contextId: string, nodeId: string, sourceIds: string[], strategyName: string}|null}
+ */
+export function deriveEncodingTarget(contexts, options = {}) {
+  const {
+    audioConnections = null,
+    detectedEncoder = null,
+    mediaRecorder = null,
+    recordingActive = null
+  } = options;
+  if (!contexts) return null;
+
+  const liveContexts = (Array.isArray(contexts) ? contexts : [contexts]).filter(ctx => !ctx.static?.isOffline);
+  const contextArray = filterOutgoingContexts(liveContexts, audioConnections).slice(0, MAX_AUDIO_CONTEXTS);
+
+  // İlk çözümlenebilen encoder input kazanır (renderACStats ile aynı sıra)
+  for (const ctx of contextArray) {
+    if (getContextPurpose(ctx).label === 'Page Audio') continue;
+
+    const ctxConnections = filterConnectionsByContext(audioConnections?.connections, [ctx]);
+    if (ctxConnections.length === 0) continue;
+
+    const processorTree = deriveProcessorTreeFromConnections(ctxConnections, ctx);
+    const encodingOutput = deriveEncodingOutput(
+      { detectedEncoder, mediaRecorder, recordingActive, ctx },
+      ctxConnections,
+      processorTree
+    );
+    if (!encodingOutput?.nodeId) continue;
+
+    const sourceIds = getEncoderInputSourceIds(encodingOutput, ctxConnections);
+    if (sourceIds.length > 0) {
+      return {
+        contextId: ctx.contextId,
+        nodeId: encodingOutput.nodeId,
+        sourceIds,
+        strategyName: encodingOutput.strategyName
+      };
+    }
+  }
+  return null;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // DEBUG LOGS RENDERING
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -115,6 +115,38 @@ function extractRTCSection() {
     }
   });
 
+  // Participants block (per-SSRC table - all cells on one line)
+  const streams = container.querySelector('.rtc-streams');
+  if (streams) {
+    const subHeader = streams.querySelector('.sub-header-title');
+    if (subHeader) {
+      output += `\n\n${getCleanText(subHeader)}`;
+    }
+    const headers = Array.from(streams.querySelectorAll('th')).map(th => getCleanText(th).replace(/[▾▴]/g, '').trim());
+    if (headers.length > 0) {
+      output += '\n  ' + headers.join(' | ');
+    }
+    streams.querySelectorAll('tbody tr').forEach(row => {
+      const cells = Array.from(row.querySelectorAll('td')).map(td => getCleanText(td));
+      output += '\n  ' + cells.join(' | ');
+    });
+  }
+
+  // Label/value blocks: History (latest + min/max tooltip), Transport (selected ICE candidate pair)
+  ['.rtc-history', '.rtc-transport'].forEach(selector => {
+    const block = container.querySelector(selector);
+    if (!block) return;
+
+    const subHeader = block.querySelector('.sub-header-title');
+    if (subHeader) {
+      output += `\n\n${getCleanText(subHeader)}`;
+    }
+    block.querySelectorAll('tr').forEach(row => {
+      const formatted = formatTableRow(row, 1);
+      if (formatted) output += '\n' + formatted;
+    });
+  });
+
   return output + '\n';
 }
 
@@ -133,7 +165,7 @@ function extractGUMSection() {
 
   let output = sectionHeader('GETUSERMEDIA (USER MEDIA)');
 
-  const table = container.querySelector('table');
+  const table = container.querySelector(':scope > table');
   if (table) {
     const rows = table.querySelectorAll('tr');
     rows.forEach(row => {
@@ -142,6 +174,21 @@ function extractGUMSection() {
     });
   }
 
+  // Track event timeline (newest first, detail from tooltip)
+  const timeline = container.querySelector('.gum-timeline');
+  if (timeline) {
+    const subHeader = timeline.querySelector('.sub-header-title');
+    if (subHeader) {
+      output += `\n\n${getCleanText(subHeader)}`;
+    }
+    timeline.querySelectorAll('tr').forEach(row => {
+      const cells = row.querySelectorAll('td');
+      if (cells.length < 2) return;
+      const detail = cells[1].querySelector('[data-tooltip]')?.getAttribute('data-tooltip');
+      output += `\n  ${getCleanText(cells[0])}  ${getCleanText(cells[1])}${detail ? ` - ${detail}` : ''}`;
+    });
+  }
+
   return output + '\n';
 }
 
@@ -168,6 +215,11 @@ function extractACSection() {
 
     output += '\n\n';
 
+    // Offline render context (OfflineAudioContext) - başlık: contextId
+    if (item.classList.contains('context-item--offline')) {
+      output += getCleanText(item.querySelector('.ac-section-title'));
+    }
+
     // Purpose label
     const purpose = item.querySelector('.context-purpose');
     if (purpose) {
@@ -201,48 +253,57 @@ function extractACSection() {
 }
 
 /**
- * Extract flow structure from rendered DOM flow
+ * Extract flow graph from rendered DOM flow (layered DAG)
+ * Her katman sırayla, her node'un altında giden bağlantıları:
+ *   --> ses bağlantısı, ..> AudioParam modülasyonu [param], <~~ feedback (loop'u kapatan edge)
  * @param {HTMLElement} flowContainer - .audio-flow container
  * @returns {string} ASCII flow with tooltips (inline)
  */
 function extractFlowFromDOM(flowContainer) {
   if (!flowContainer) return '    (No flow)';
 
-  function processNode(nodeEl, isLast = false, prefix = '') {
-    const labelEl = nodeEl.querySelector(':scope > .flow-label');
-    if (!labelEl) return '';
-
-    const labelText = getCleanText(labelEl);
-    const tooltip = getTooltip(labelEl);
+  const nodeEls = flowContainer.querySelectorAll('.flow-layer > .flow-node');
+  if (nodeEls.length === 0) return '    (No root node)';
 
-    // Flow characters - use simple ASCII for consistent width
-    const connector = isLast ? '+-- ' : '|-- ';
-    const childPrefix = prefix + (isLast ? '    ' : '|   ');
+  const labels = new Map();
+  nodeEls.forEach(nodeEl => {
+    labels.set(nodeEl.getAttribute('data-slot-id'), getCleanText(nodeEl.querySelector(':scope > .flow-label')));
+  });
 
-    // Tooltip on same line with arrow
-    let result = prefix + connector + labelText;
-    if (tooltip) {
-      result += ' -> ' + tooltip;
-    }
+  const outgoing = new Map();
+  flowContainer.querySelectorAll('.flow-edge-group').forEach(edgeEl => {
+    const from = edgeEl.getAttribute('data-from');
+    if (!outgoing.has(from)) outgoing.set(from, []);
+    outgoing.get(from).push(edgeEl);
+  });
 
-    // Process outputs (downstream nodes)
-    const outputsContainer = nodeEl.querySelector(':scope > .flow-outputs');
-    if (outputsContainer) {
-      const outputNodes = outputsContainer.querySelectorAll(':scope > .flow-node');
-      outputNodes.forEach((outputNode, idx) => {
-        const outputIsLast = idx === outputNodes.length - 1;
-        result += '\n' + processNode(outputNode, outputIsLast, childPrefix);
+  const arrows = { audio: '-->', param: '..>', feedback: '<~~' };
+  const lines = [];
+  flowContainer.querySelectorAll('.flow-layer').forEach((layerEl, layerIndex) => {
+    layerEl.querySelectorAll(':scope > .flow-node').forEach(nodeEl => {
+      const slotId = nodeEl.getAttribute('data-slot-id');
+      const tooltip = getTooltip(nodeEl.querySelector(':scope > .flow-label'));
+
+      // Tooltip on same line with arrow
+      // Ek satırlar (AudioParam automation timeline) node'un altına girintili
+      const [tooltipHead, ...tooltipRest] = (tooltip || '').split('\n');
+      let line = `    [${layerIndex}] ${labels.get(slotId)}`;
+      if (tooltipHead) {
+        line += ' -> ' + tooltipHead;
+      }
+      lines.push(line);
+      tooltipRest.forEach(text => lines.push(`        ${text}`));
+
+      (outgoing.get(slotId) || []).forEach(edgeEl => {
+        const arrow = arrows[edgeEl.getAttribute('data-kind')] || arrows.audio;
+        const indices = getCleanText(edgeEl.querySelector('text'));
+        const to = edgeEl.getAttribute('data-to');
+        lines.push(`        ${arrow} ${labels.get(to) || to} (${to})${indices ? ` [${indices}]` : ''}`);
       });
-    }
-
-    return result;
-  }
-
-  const rootNode = flowContainer.querySelector(':scope > .flow-node');
-  if (!rootNode) return '    (No root node)';
+    });
+  });
 
-  const flowText = processNode(rootNode, true, '    ');
-  return flowText;
+  return lines.join('\n');
 }
 
 
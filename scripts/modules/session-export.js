@@ -0,0 +1,179 @@
+/**
+ * session-export.js - Structured JSON Session Export
+ *
+ * Builds a machine-readable snapshot of an inspection session from the
+ * stored data keys (NOT from the rendered DOM - see report-generator.js for text).
+ * Stable shape so captures can be diffed across builds.
+ *
+ * Contains:
+ * - SESSION_SCHEMA_VERSION: Bump when the exported shape changes
+ * - SESSION_DATA_KEYS: Storage keys included in the export
+ * - buildSessionExport(): Storage snapshot → export object
+ * - serializeSessionExport(): Export object → JSON string
+ * - parseSessionExport(): JSON string → validated export object (replay import)
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Export schema version
+ * v1: data keys + logs + source tab metadata
+ */
+export const SESSION_SCHEMA_VERSION = 1;
+
+// ╔══════════════════════════════════════════════════════════════════════╗
+// ║ SOURCE: src/core/constants.js - DATA_STORAGE_KEYS (data subset)      ║
+// ║ audio_worklet is merged into audio_contexts, so it is not exported   ║
+// ╚══════════════════════════════════════════════════════════════════════╝
+export const SESSION_DATA_KEYS = [
+  'rtc_stats',
+  'rtc_history',
+  'user_media',
+  'audio_contexts',
+  'audio_connections',
+  'detected_encoder',
+  'media_recorder',
+  'recording_active',
+  'quality_alerts',
+  'media_devices',
+  'loudness_stats'
+];
+
+/**
+ * Expected shape per data key (replay import validation)
+ * array: value itself is an array; object: plain object whose listed fields,
+ * when present, are arrays (renderers iterate them)
+ */
+const SESSION_DATA_SHAPES = {
+  rtc_stats: { type: 'object', arrays: ['peerConnections'] },
+  rtc_history: { type: 'object', arrays: ['connections'] },
+  user_media: { type: 'object', arrays: ['constraintCalls'] },
+  audio_contexts: { type: 'array' },
+  audio_connections: { type: 'object', arrays: ['connections', 'paramAutomation', 'portTraffic'] },
+  detected_encoder: { type: 'object' },
+  media_recorder: { type: 'object' },
+  recording_active: { type: 'object' },
+  quality_alerts: { type: 'object', arrays: ['alerts'] },
+  media_devices: { type: 'object', arrays: ['inputs', 'outputs', 'contextSinks', 'sinkCalls'] },
+  loudness_stats: { type: 'object' }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORT BUILDERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build structured session export from (already tab-filtered) storage data
+ * Missing keys are exported as null so every export has the same shape.
+ * @param {Object} data - Storage values keyed by SESSION_DATA_KEYS
+ * @param {Object} [meta]
+ * @param {Array<Object>} [meta.logs] - debug_logs entries
+ * @param {{id: number, url: string, title: string}|null} [meta.sourceTab] - lockedTab
+ * @param {string|null} [meta.extensionVersion] - manifest version
+ * @returns {Object} Export object
+ */
+export function buildSessionExport(data, meta = {}) {
+  const exportedData = {};
+  SESSION_DATA_KEYS.forEach(key => {
+    exportedData[key] = data?.[key] ?? null;
+  });
+
+  return {
+    schemaVersion: SESSION_SCHEMA_VERSION,
+    generator: {
+      name: 'AudioInspector',
+      version: meta.extensionVersion || null
+    },
+    exportedAt: new Date().toISOString(),
+    source: meta.sourceTab
+      ? { tabId: meta.sourceTab.id, url: meta.sourceTab.url || null, title: meta.sourceTab.title || null }
+      : null,
+    data: exportedData,
+    logs: Array.isArray(meta.logs) ? meta.logs : []
+  };
+}
+
+/**
+ * Serialize export object (pretty-printed, stable key order from builder)
+ * @param {Object} sessionExport - Result of buildSessionExport()
+ * @returns {string} JSON text
+ */
+export function serializeSessionExport(sessionExport) {
+  return JSON.stringify(sessionExport, null, 2);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// IMPORT (replay mode)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Describe a JSON value type for error messages
+ * @param {any} value
+ * @returns {string}
+ */
+function describeType(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Check one data value against SESSION_DATA_SHAPES - wrong shapes would crash the renderers
+ * @param {string} key - Key of SESSION_DATA_KEYS
+ * @param {any} value - Non-null value from the file
+ * @throws {Error} When the value does not have the expected shape
+ */
+function validateDataShape(key, value) {
+  const shape = SESSION_DATA_SHAPES[key];
+  const actual = describeType(value);
+  if (actual !== shape.type) {
+    throw new Error(`Invalid data.${key} (expected ${shape.type} or null, got ${actual})`);
+  }
+
+  (shape.arrays || []).forEach(field => {
+    const fieldValue = value[field];
+    if (fieldValue !== undefined && fieldValue !== null && !Array.isArray(fieldValue)) {
+      throw new Error(`Invalid data.${key}.${field} (expected array, got ${describeType(fieldValue)})`);
+    }
+  });
+}
+
+/**
+ * Parse and validate an exported session file
+ * Older schema versions are accepted; newer ones are rejected (unknown shape).
+ * @param {string} text - JSON file content
+ * @returns {Object} Session export object (same shape as buildSessionExport)
+ * @throws {Error} When the file is not a valid AudioInspector session export
+ */
+export function parseSessionExport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!parsed || typeof parsed !== 'object' || typeof parsed.schemaVersion !== 'number') {
+    throw new Error('Not an AudioInspector session export (missing schemaVersion)');
+  }
+  if (parsed.schemaVersion > SESSION_SCHEMA_VERSION) {
+    throw new Error(`Unsupported schema version ${parsed.schemaVersion} (max ${SESSION_SCHEMA_VERSION})`);
+  }
+  if (!parsed.data || typeof parsed.data !== 'object' || Array.isArray(parsed.data)) {
+    throw new Error('Session export has no data section');
+  }
+
+  // Normalize: missing keys → null, so renderers see the same shape as live data
+  const data = {};
+  SESSION_DATA_KEYS.forEach(key => {
+    const value = parsed.data[key] ?? null;
+    if (value !== null) validateDataShape(key, value);
+    data[key] = value;
+  });
+
+  return {
+    ...parsed,
+    data,
+    logs: Array.isArray(parsed.logs) ? parsed.logs : []
+  };
+}
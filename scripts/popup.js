@@ -5,7 +5,8 @@
 import {
   escapeHtml,
   formatTime,
-  getLogColorClass
+  getLogColorClass,
+  setActiveQualityRules
 } from './modules/helpers.js';
 
 import {
@@ -18,10 +19,15 @@ import {
   renderEncodingSection
 } from './modules/encoding-ui.js';
 
-import { measureFlowLabels } from './modules/audio-flow.js';
+import { measureFlowLabels, buildAudioGraph } from './modules/audio-flow.js';
 
 import { generateTextReport } from './modules/report-generator.js';
 
+import { buildSessionExport, serializeSessionExport, parseSessionExport } from './modules/session-export.js';
+import { toDot, toMermaid } from './modules/graph-export.js';
+
+import { QUALITY_RULES_STORAGE_KEY, resolveQualityRules, getOriginFromUrl, formatQualityValue } from './modules/quality-rules.js';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // GLOBAL STATE
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -33,12 +39,13 @@ let updateUITimer = null; // Debounce timer for updateUI() calls
 let currentLogFilter = 'all'; // Console tab log filter state
 let cachedLogs = []; // Cached logs for filtering
 let currentDrawerTab = 'console'; // Active drawer tab: 'console' | 'extension'
+let replaySession = null; // Imported session export (read-only replay mode) or null for live data
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // DRY: Storage keys fetched from background.js (single source of truth)
 // Fallback array used until background.js responds (prevents race condition)
 // ═══════════════════════════════════════════════════════════════════════════════
-let DATA_STORAGE_KEYS = ['rtc_stats', 'user_media', 'audio_contexts', 'audio_worklet', 'media_recorder', 'detected_encoder', 'audio_connections'];
+let DATA_STORAGE_KEYS = ['rtc_stats', 'rtc_history', 'user_media', 'audio_contexts', 'audio_worklet', 'media_recorder', 'detected_encoder', 'audio_connections', 'quality_alerts', 'media_devices', 'loudness_stats'];
 
 // Fetch actual keys from background.js (async, updates DATA_STORAGE_KEYS)
 chrome.runtime.sendMessage({ type: 'GET_STORAGE_KEYS' }, (response) => {
@@ -137,63 +144,114 @@ function updateUIDebounced() {
   }, 50); // 50ms debounce - waits for both context (20ms) + connections (16ms) debounces
 }
 
+/**
+ * Select data belonging to the locked tab (DRY: used by updateUI and JSON export)
+ * CRITICAL: When no tab is locked, NO data is returned (prevents stale data display)
+ * @param {Object} result - chrome.storage.local snapshot
+ * @returns {Object} Data keyed by storage key (null / filtered array when not valid)
+ */
+function selectLockedTabData(result) {
+  const lockedTabId = result.lockedTab?.id;
+  const isValidData = (data) => !data || (lockedTabId && data.sourceTabId === lockedTabId);
+  const validOrNull = (data) => isValidData(data) ? data : null;
+
+  // audio_contexts is an array - filter each context by sourceTabId
+  const audioContexts = result.audio_contexts?.filter(ctx =>
+    lockedTabId && ctx.sourceTabId === lockedTabId
+  );
+
+  return {
+    rtc_stats: validOrNull(result.rtc_stats),
+    rtc_history: validOrNull(result.rtc_history),
+    user_media: validOrNull(result.user_media),
+    audio_contexts: audioContexts,
+    audio_connections: validOrNull(result.audio_connections),
+    // CANONICAL: Read from detected_encoder storage key (unified encoder detection)
+    // Both URL pattern detection and opus hook detection emit to this key
+    detected_encoder: validOrNull(result.detected_encoder),
+    media_recorder: validOrNull(result.media_recorder),
+    recording_active: validOrNull(result.recording_active),
+    quality_alerts: validOrNull(result.quality_alerts),
+    media_devices: validOrNull(result.media_devices),
+    loudness_stats: validOrNull(result.loudness_stats)
+  };
+}
+
 // Main update function
 async function updateUI() {
+  // Replay mode: render imported session, ignore live storage
+  if (replaySession) {
+    // Thresholds of the origin the session was captured on
+    const { [QUALITY_RULES_STORAGE_KEY]: storedRules } = await chrome.storage.local.get(QUALITY_RULES_STORAGE_KEY);
+    setActiveQualityRules(resolveQualityRules(storedRules, getOriginFromUrl(replaySession.source?.url)));
+    renderSession(replaySession.data, replaySession.logs);
+    return;
+  }
+
   // Get all relevant data from storage in one go
   const result = await chrome.storage.local.get([
     'rtc_stats',
+    'rtc_history',
     'user_media',
     'audio_contexts',
     'audio_connections',
     'detected_encoder',
     'media_recorder',
     'recording_active',
+    'quality_alerts',
+    'media_devices',
+    'loudness_stats',
     'debug_logs',
     'lastUpdate',
-    'lockedTab'
+    'lockedTab',
+    QUALITY_RULES_STORAGE_KEY
   ]);
 
   latestData = result; // Keep a copy for export
 
-  // Tab ID validation - only show data from current locked tab
-  // CRITICAL: When no tab is locked, NO data should be shown (prevents stale data display)
-  const lockedTabId = result.lockedTab?.id;
-  const isValidData = (data) => !data || (lockedTabId && data.sourceTabId === lockedTabId);
+  // Per-origin thresholds for getQualityClass (settings page)
+  setActiveQualityRules(resolveQualityRules(result[QUALITY_RULES_STORAGE_KEY], getOriginFromUrl(result.lockedTab?.url)));
 
-  // Filter audio_contexts array by sourceTabId
-  // Only show contexts from the locked tab, nothing if no tab is locked
-  const validAudioContexts = result.audio_contexts?.filter(ctx =>
-    lockedTabId && ctx.sourceTabId === lockedTabId
-  );
-
-  // Filter audio_connections by sourceTabId
-  const validAudioConnections = isValidData(result.audio_connections)
-    ? result.audio_connections
-    : null;
+  renderSession(selectLockedTabData(result), result.debug_logs);
+}
 
-  // CANONICAL: Read from detected_encoder storage key (unified encoder detection)
-  // Both URL pattern detection and opus hook detection emit to this key
-  const validDetectedEncoder = isValidData(result.detected_encoder) ? result.detected_encoder : null;
+/**
+ * Render all sections from session data (live or imported)
+ * @param {Object} data - Data keyed by storage key (see selectLockedTabData)
+ * @param {Array<Object>} logs - debug_logs entries
+ */
+function renderSession(data, logs) {
+  const {
+    rtc_stats: validRtcStats,
+    rtc_history: validRtcHistory,
+    user_media: validUserMedia,
+    audio_contexts: validAudioContexts,
+    audio_connections: validAudioConnections,
+    detected_encoder: validDetectedEncoder,
+    media_recorder: validMediaRecorder,
+    recording_active: validRecordingActive,
+    quality_alerts: validQualityAlerts,
+    media_devices: validMediaDevices,
+    loudness_stats: validLoudnessStats
+  } = data;
 
   // Render each section with validated data
   // Data from different tabs is filtered out to prevent stale data display
-  const validRtcStats = isValidData(result.rtc_stats) ? result.rtc_stats : null;
-  const validMediaRecorder = isValidData(result.media_recorder) ? result.media_recorder : null;
-
-  const validUserMedia = isValidData(result.user_media) ? result.user_media : null;
-  const validRecordingActive = isValidData(result.recording_active) ? result.recording_active : null;
 
-  renderRTCStats(validRtcStats);
-  renderGUMStats(validUserMedia);
+  renderRTCStats(validRtcStats, validRtcHistory);
+  renderGUMStats(validUserMedia, { mediaDevices: validMediaDevices });
   // Pass encoding-related data via options object (OCP: config object pattern)
   renderACStats(validAudioContexts?.length > 0 ? validAudioContexts : null, {
+    mediaDevices: validMediaDevices,
+    userMedia: validUserMedia,
     audioConnections: validAudioConnections,
     detectedEncoder: validDetectedEncoder,
     mediaRecorder: validMediaRecorder,
     recordingActive: validRecordingActive
   });
-  renderEncodingSection(validDetectedEncoder, validRtcStats, validMediaRecorder, validAudioContexts?.length > 0 ? validAudioContexts : null, validUserMedia, validRecordingActive);
-  renderDrawerLogs(result.debug_logs, updateLogBadge);
+  renderEncodingSection(validDetectedEncoder, validRtcStats, validMediaRecorder, validAudioContexts?.length > 0 ? validAudioContexts : null, validUserMedia, validRecordingActive, { loudness: validLoudnessStats });
+  renderDrawerLogs(logs, updateLogBadge);
+  renderQualityAlertBanner(validQualityAlerts);
 
   // Audio flow render edildikten sonra label genişliklerini ölç
   requestAnimationFrame(() => {
@@ -451,13 +509,19 @@ async function updateControlsForCurrentTab() {
 // Update Export/Clear buttons disabled state based on inspector running state
 function updateActionButtons(inspectorRunning) {
   const exportBtn = document.getElementById('exportBtn');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const graphButtons = [document.getElementById('exportDotBtn'), document.getElementById('exportMermaidBtn')];
   const clearBtn = document.getElementById('clearBtn');
 
   if (inspectorRunning) {
     exportBtn?.classList.add('disabled');
+    exportJsonBtn?.classList.add('disabled');
+    graphButtons.forEach(btn => btn?.classList.add('disabled'));
     clearBtn?.classList.add('disabled');
   } else {
     exportBtn?.classList.remove('disabled');
+    exportJsonBtn?.classList.remove('disabled');
+    graphButtons.forEach(btn => btn?.classList.remove('disabled'));
     clearBtn?.classList.remove('disabled');
   }
 }
@@ -497,6 +561,30 @@ function hideAutoStopBanner() {
   }
 }
 
+/**
+ * Show active quality alerts (raised by background.js after a sustained breach)
+ * Resolved alerts stay in quality_alerts / logs but are not shown here.
+ * @param {{alerts: Array<Object>}|null} qualityAlerts - quality_alerts storage value
+ */
+function renderQualityAlertBanner(qualityAlerts) {
+  const banner = document.getElementById('qualityAlertBanner');
+  if (!banner) return;
+
+  const active = (qualityAlerts?.alerts || []).filter(a => !a.resolvedAt);
+  if (active.length === 0) {
+    banner.classList.remove('visible');
+    banner.innerHTML = '';
+    return;
+  }
+
+  const formatValue = (alert, value) => formatQualityValue(alert.unit, value);
+  banner.innerHTML = active.map(alert =>
+    `<div class="quality-alert">🚨 <strong>${escapeHtml(alert.label)}</strong> ${escapeHtml(formatValue(alert, alert.value))}
+      <span class="quality-alert-limit">(limit ${escapeHtml(formatValue(alert, alert.threshold))}) since ${formatTime(alert.startedAt)}</span></div>`
+  ).join('');
+  banner.classList.add('visible');
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // DATA EXPORT AND CLEAR
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -511,12 +599,158 @@ function exportData() {
     return;
   }
 
-  const blob = new Blob([reportText], { type: 'text/plain; charset=utf-8' });
+  downloadFile(reportText, 'text/plain; charset=utf-8', `audio-inspector-${Date.now()}.txt`);
+}
+
+// JSON export - reads from storage (machine-readable, diffable across builds)
+async function exportJsonData() {
+  // Replay mode: re-export the imported session as-is
+  if (replaySession) {
+    downloadFile(serializeSessionExport(replaySession), 'application/json', `audio-inspector-${Date.now()}.json`);
+    return;
+  }
+
+  const result = await chrome.storage.local.get([
+    'rtc_stats',
+    'rtc_history',
+    'user_media',
+    'audio_contexts',
+    'audio_connections',
+    'detected_encoder',
+    'media_recorder',
+    'recording_active',
+    'quality_alerts',
+    'media_devices',
+    'loudness_stats',
+    'debug_logs',
+    'lockedTab'
+  ]);
+
+  const data = selectLockedTabData(result);
+  const hasData = Object.values(data).some(value =>
+    Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined
+  );
+
+  if (!hasData) {
+    alert('No data to export');
+    return;
+  }
+
+  const sessionExport = buildSessionExport(data, {
+    logs: result.debug_logs || [],
+    sourceTab: result.lockedTab || null,
+    extensionVersion: chrome.runtime.getManifest?.().version || null
+  });
+
+  downloadFile(serializeSessionExport(sessionExport), 'application/json', `audio-inspector-${Date.now()}.json`);
+}
+
+/**
+ * Graph serializers (graph-export.js) by export format
+ * @type {Object.<string, {serialize: function(Array<Object>): string, mimeType: string, extension: string}>}
+ */
+const GRAPH_EXPORT_FORMATS = {
+  dot: { serialize: toDot, mimeType: 'text/vnd.graphviz; charset=utf-8', extension: 'dot' },
+  mermaid: { serialize: toMermaid, mimeType: 'text/plain; charset=utf-8', extension: 'mmd' }
+};
+
+// Audio graph export - full topology from audio_connections (fan-out, cycles, monitors)
+async function exportGraph(format) {
+  const { serialize, mimeType, extension } = GRAPH_EXPORT_FORMATS[format];
+
+  let data = replaySession?.data;
+  if (!data) {
+    const result = await chrome.storage.local.get(['audio_contexts', 'audio_connections', 'lockedTab']);
+    data = selectLockedTabData(result);
+  }
+
+  const graph = buildAudioGraph(data.audio_connections?.connections, data.audio_contexts || []);
+  if (graph.length === 0) {
+    alert('No audio graph to export');
+    return;
+  }
+
+  downloadFile(serialize(graph), mimeType, `audio-graph-${Date.now()}.${extension}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSION IMPORT (READ-ONLY REPLAY MODE)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Import button → hidden file input
+function openImportDialog() {
+  const input = document.getElementById('importFileInput');
+  if (!input) return;
+  input.value = ''; // Same file can be re-imported
+  input.click();
+}
+
+// File selected → parse, validate and enter replay mode
+async function handleImportFile(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  try {
+    const session = parseSessionExport(await file.text());
+    enterReplayMode(session, file.name);
+  } catch (err) {
+    debugLog(`❌ Session import failed (${file.name}): ${err.message}`);
+    alert(`Import failed: ${err.message}`);
+  }
+}
+
+/**
+ * Enter read-only replay mode with an imported session
+ * Live storage updates are ignored until exitReplayMode()
+ * @param {Object} session - Result of parseSessionExport()
+ * @param {string} fileName - Imported file name (banner fallback)
+ */
+function enterReplayMode(session, fileName) {
+  replaySession = session;
+  document.body.classList.add('replay');
+
+  const banner = document.getElementById('replayBanner');
+  const sourceEl = document.getElementById('replaySource');
+  const exportedAtEl = document.getElementById('replayExportedAt');
+
+  if (sourceEl) {
+    sourceEl.textContent = session.source?.url ? extractDomain(session.source) : fileName;
+    sourceEl.title = session.source?.url || fileName;
+  }
+  if (exportedAtEl) {
+    const exportedAt = session.exportedAt ? new Date(session.exportedAt) : null;
+    exportedAtEl.textContent = exportedAt && !isNaN(exportedAt.getTime())
+      ? `(${exportedAt.toLocaleString('tr-TR')})`
+      : '';
+  }
+  banner?.classList.add('visible');
+
+  debugLog(`Replay mode: ${fileName} (schema v${session.schemaVersion})`);
+  updateUI();
+}
+
+// Exit replay mode → back to live data of the locked tab
+function exitReplayMode() {
+  replaySession = null;
+  document.body.classList.remove('replay');
+  document.getElementById('replayBanner')?.classList.remove('visible');
+
+  updateUI();
+}
+
+/**
+ * Trigger a file download from in-memory content
+ * @param {string} content - File content
+ * @param {string} mimeType - Blob MIME type
+ * @param {string} filename - Download filename
+ */
+function downloadFile(content, mimeType, filename) {
+  const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement('a');
   a.href = url;
-  a.download = `audio-inspector-${Date.now()}.txt`;
+  a.download = filename;
   a.click();
 
   URL.revokeObjectURL(url);
@@ -878,7 +1112,14 @@ initTruncatedTooltips();
 
 document.getElementById('toggleBtn').addEventListener('click', toggleInspector);
 document.getElementById('exportBtn').addEventListener('click', exportData);
+document.getElementById('exportJsonBtn').addEventListener('click', exportJsonData);
+document.getElementById('exportDotBtn').addEventListener('click', () => exportGraph('dot'));
+document.getElementById('exportMermaidBtn').addEventListener('click', () => exportGraph('mermaid'));
+document.getElementById('importBtn').addEventListener('click', openImportDialog);
+document.getElementById('importFileInput').addEventListener('change', handleImportFile);
+document.getElementById('replayExitBtn').addEventListener('click', exitReplayMode);
 document.getElementById('clearBtn').addEventListener('click', clearData);
+document.getElementById('settingsBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
 document.getElementById('copyAllLogsBtn').addEventListener('click', copyAllLogs);
 document.getElementById('copyVisibleLogsBtn').addEventListener('click', copyVisibleLogs);
 document.getElementById('clearLogsBtn').addEventListener('click', clearLogs);
@@ -915,14 +1156,20 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     // Note: audioWorklet data is now merged into audio_contexts, but keep key for direct updates
     const shouldUpdate = Object.keys(changes).some(key => DATA_STORAGE_KEYS.includes(key));
 
-    if (shouldUpdate) {
+    // Replay mode: imported session is static, skip live data/log updates
+    if (shouldUpdate && !replaySession) {
       // Use debounced update to batch rapid storage changes
       // (e.g., audio_contexts + audio_connections written separately but close together)
       updateUIDebounced();
     }
 
+    // Threshold settings changed (settings page) - re-render quality colours
+    if (changes[QUALITY_RULES_STORAGE_KEY]) {
+      updateUIDebounced();
+    }
+
     // Update logs if they changed
-    if (changes.debug_logs) {
+    if (changes.debug_logs && !replaySession) {
       const newLogs = changes.debug_logs.newValue || [];
       renderDrawerLogs(newLogs, updateLogBadge);
     }
@@ -0,0 +1,284 @@
+// Settings page script (options_ui)
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODULE IMPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+import { escapeHtml } from './modules/helpers.js';
+
+import {
+  QUALITY_RULES_STORAGE_KEY,
+  QUALITY_METRICS,
+  ALERT_SETTINGS_STORAGE_KEY,
+  resolveQualityRules,
+  resolveAlertSettings,
+  getOriginFromUrl
+} from './modules/quality-rules.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STATE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_SCOPE = '__default__';
+
+// Opt-in mic level meter (content.js → APPLY_SETTINGS → GetUserMediaCollector)
+const LEVEL_METER_STORAGE_KEY = 'levelMeterEnabled';
+
+// Opt-in loudness tap (content.js → APPLY_SETTINGS → LoudnessCollector)
+const LOUDNESS_SETTINGS_STORAGE_KEY = 'loudnessSettings';
+const DEFAULT_LOUDNESS_TARGET_LUFS = -16;
+
+// Stored overrides { defaults: {}, origins: {} } - edited in memory, written on Save
+let storedRules = { defaults: {}, origins: {} };
+let currentScope = DEFAULT_SCOPE;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORAGE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function loadRules() {
+  const result = await chrome.storage.local.get([QUALITY_RULES_STORAGE_KEY, ALERT_SETTINGS_STORAGE_KEY, LEVEL_METER_STORAGE_KEY, LOUDNESS_SETTINGS_STORAGE_KEY, 'lockedTab']);
+  const stored = result[QUALITY_RULES_STORAGE_KEY];
+  storedRules = {
+    defaults: stored?.defaults || {},
+    origins: stored?.origins || {}
+  };
+
+  renderAlertSettings(resolveAlertSettings(result[ALERT_SETTINGS_STORAGE_KEY]));
+  document.getElementById('levelMeterEnabled').checked = !!result[LEVEL_METER_STORAGE_KEY];
+  const loudness = result[LOUDNESS_SETTINGS_STORAGE_KEY];
+  document.getElementById('loudnessEnabled').checked = !!loudness?.enabled;
+  document.getElementById('loudnessTargetLufs').value = loudness?.targetLufs ?? DEFAULT_LOUDNESS_TARGET_LUFS;
+
+  // Inspect edilen tab'ın origin'ini öner
+  const lockedOrigin = getOriginFromUrl(result.lockedTab?.url);
+  if (lockedOrigin) {
+    document.getElementById('originInput').value = lockedOrigin;
+  }
+}
+
+async function persistRules() {
+  await chrome.storage.local.set({ [QUALITY_RULES_STORAGE_KEY]: storedRules });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function showStatus(message, type = '', statusId = 'settingsStatus') {
+  const status = document.getElementById(statusId);
+  status.textContent = message;
+  status.className = `timestamp ${type}`;
+}
+
+function renderScopeSelect() {
+  const select = document.getElementById('scopeSelect');
+  const origins = Object.keys(storedRules.origins).sort();
+
+  let html = `<option value="${DEFAULT_SCOPE}">Default (all sites)</option>`;
+  origins.forEach(origin => {
+    html += `<option value="${escapeHtml(origin)}">${escapeHtml(origin)}</option>`;
+  });
+  select.innerHTML = html;
+
+  if (currentScope !== DEFAULT_SCOPE && !storedRules.origins[currentScope]) {
+    currentScope = DEFAULT_SCOPE;
+  }
+  select.value = currentScope;
+}
+
+/**
+ * Render metric rows for the current scope
+ * Inputs show scope overrides; placeholders show the inherited value.
+ */
+function renderRulesTable() {
+  const isDefault = currentScope === DEFAULT_SCOPE;
+  const overrides = isDefault ? storedRules.defaults : storedRules.origins[currentScope] || {};
+  // Inherited = built-in defaults (+ user defaults for origin scope)
+  const inherited = isDefault
+    ? resolveQualityRules(null)
+    : resolveQualityRules({ defaults: storedRules.defaults });
+
+  let html = '';
+  Object.entries(QUALITY_METRICS).forEach(([metric, definition]) => {
+    const op = definition.direction === 'below' ? '<' : '≥';
+    const cell = (level) => {
+      const value = overrides[metric]?.[level];
+      return `<input type="number" step="any" data-metric="${metric}" data-level="${level}"
+        value="${value ?? ''}" placeholder="${inherited[metric][level]}">`;
+    };
+
+    html += `<tr>
+      <td>${escapeHtml(definition.label)}<span class="rule-desc">${escapeHtml(definition.description)}</span></td>
+      <td class="rule-op">${op} ${escapeHtml(definition.unit)}</td>
+      <td>${cell('warning')}</td>
+      <td>${cell('error')}</td>
+    </tr>`;
+  });
+
+  document.getElementById('rulesBody').innerHTML = html;
+}
+
+function render() {
+  renderScopeSelect();
+  renderRulesTable();
+}
+
+function renderAlertSettings(settings) {
+  document.getElementById('alertEnabled').checked = settings.enabled;
+  document.getElementById('alertLevel').value = settings.level;
+  document.getElementById('alertSustainSec').value = settings.sustainSec;
+  document.getElementById('alertNotifications').checked = settings.notifications;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read inputs into an overrides object (empty = inherit)
+ * @returns {{overrides: Object, errors: string[]}}
+ */
+function collectOverrides() {
+  const isDefault = currentScope === DEFAULT_SCOPE;
+  const inherited = isDefault
+    ? resolveQualityRules(null)
+    : resolveQualityRules({ defaults: storedRules.defaults });
+  const overrides = {};
+  const errors = [];
+
+  document.querySelectorAll('#rulesBody input').forEach(input => {
+    input.classList.remove('invalid');
+    if (input.value.trim() === '') return;
+
+    const value = Number(input.value);
+    if (!Number.isFinite(value)) {
+      input.classList.add('invalid');
+      errors.push(`${QUALITY_METRICS[input.dataset.metric].label}: not a number`);
+      return;
+    }
+    overrides[input.dataset.metric] = { ...overrides[input.dataset.metric], [input.dataset.level]: value };
+  });
+
+  // Warning must be reached before error (direction-aware)
+  Object.entries(QUALITY_METRICS).forEach(([metric, definition]) => {
+    const effective = { ...inherited[metric], ...overrides[metric] };
+    const ordered = definition.direction === 'below'
+      ? effective.warning > effective.error
+      : effective.warning < effective.error;
+    if (!ordered) {
+      document.querySelectorAll(`#rulesBody input[data-metric="${metric}"]`)
+        .forEach(input => input.classList.add('invalid'));
+      errors.push(`${definition.label}: warning must be ${definition.direction === 'below' ? 'above' : 'below'} error`);
+    }
+  });
+
+  return { overrides, errors };
+}
+
+async function saveRules() {
+  const { overrides, errors } = collectOverrides();
+  if (errors.length > 0) {
+    showStatus(errors[0], 'error');
+    return;
+  }
+
+  if (currentScope === DEFAULT_SCOPE) {
+    storedRules.defaults = overrides;
+  } else {
+    storedRules.origins[currentScope] = overrides;
+  }
+
+  await persistRules();
+  renderRulesTable();
+  showStatus('Saved', 'good');
+}
+
+async function resetScope() {
+  if (currentScope === DEFAULT_SCOPE) {
+    storedRules.defaults = {};
+  } else {
+    delete storedRules.origins[currentScope];
+    currentScope = DEFAULT_SCOPE;
+  }
+
+  await persistRules();
+  render();
+  showStatus('Reset', 'good');
+}
+
+async function saveAlertSettings() {
+  const sustainSec = Number(document.getElementById('alertSustainSec').value);
+  if (!Number.isFinite(sustainSec) || sustainSec < 0) {
+    showStatus('Duration must be 0 or more seconds', 'error', 'alertStatus');
+    return;
+  }
+
+  await chrome.storage.local.set({
+    [ALERT_SETTINGS_STORAGE_KEY]: {
+      enabled: document.getElementById('alertEnabled').checked,
+      level: document.getElementById('alertLevel').value,
+      sustainSec,
+      notifications: document.getElementById('alertNotifications').checked
+    }
+  });
+  showStatus('Saved', 'good', 'alertStatus');
+}
+
+async function saveMeterSettings() {
+  await chrome.storage.local.set({
+    [LEVEL_METER_STORAGE_KEY]: document.getElementById('levelMeterEnabled').checked
+  });
+  showStatus('Saved', 'good', 'meterStatus');
+}
+
+async function saveLoudnessSettings() {
+  const targetLufs = Number(document.getElementById('loudnessTargetLufs').value);
+  if (!Number.isFinite(targetLufs) || targetLufs > 0) {
+    showStatus('Target must be 0 LUFS or lower', 'error', 'loudnessStatus');
+    return;
+  }
+
+  await chrome.storage.local.set({
+    [LOUDNESS_SETTINGS_STORAGE_KEY]: {
+      enabled: document.getElementById('loudnessEnabled').checked,
+      targetLufs
+    }
+  });
+  showStatus('Saved', 'good', 'loudnessStatus');
+}
+
+function addOrigin() {
+  const input = document.getElementById('originInput');
+  // Kullanıcı "meet.google.com" yazarsa https varsay
+  const raw = input.value.trim();
+  const origin = getOriginFromUrl(/^https?:\/\//.test(raw) ? raw : `https://${raw}`);
+  if (!raw || !origin) {
+    showStatus('Enter a valid origin (https://host)', 'error');
+    return;
+  }
+
+  // Kaydedilene kadar boş override - Save ile yazılır
+  if (!storedRules.origins[origin]) {
+    storedRules.origins[origin] = {};
+  }
+  currentScope = origin;
+  render();
+  showStatus(`Editing ${origin} - Save to apply`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INIT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+document.getElementById('scopeSelect').addEventListener('change', (e) => {
+  currentScope = e.target.value;
+  renderRulesTable();
+  showStatus('');
+});
+document.getElementById('addOriginBtn').addEventListener('click', addOrigin);
+document.getElementById('saveRulesBtn').addEventListener('click', saveRules);
+document.getElementById('resetRulesBtn').addEventListener('click', resetScope);
+document.getElementById('saveAlertsBtn').addEventListener('click', saveAlertSettings);
+document.getElementById('saveMeterBtn').addEventListener('click', saveMeterSettings);
+document.getElementById('saveLoudnessBtn').addEventListener('click', saveLoudnessSettings);
+
+loadRules().then(render);
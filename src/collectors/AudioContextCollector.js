@@ -1,16 +1,89 @@
 // @ts-check
 
 import BaseCollector from './BaseCollector.js';
-import { EVENTS, DATA_TYPES, DESTINATION_TYPES, streamRegistry, ENCODER_KEYWORDS } from '../core/constants.js';
+import { EVENTS, DATA_TYPES, DESTINATION_TYPES, streamRegistry, ENCODER_KEYWORDS, MAX_OFFLINE_CONTEXTS } from '../core/constants.js';
 import { logger } from '../core/Logger.js';
 import { hookAsyncMethod, hookMethod } from '../core/utils/ApiHook.js';
-import { getInstanceRegistry, cleanupClosedAudioContexts, getAnalyserUsageType } from '../core/utils/EarlyHook.js';
+import { getInstanceRegistry, cleanupClosedAudioContexts, getAnalyserUsageType, registerNodeRef, getOfflineRenderings, isOfflineContext, getNodeById, getScriptProcessorProfile } from '../core/utils/EarlyHook.js';
 import { METHOD_CALL_SYNC_HANDLERS } from './utils/processor-handlers.js';
 import { PATTERN_PRIORITY, getOpusApplicationName } from './utils/encoder-patterns.js';
+import { sniffBlob } from './utils/container-sniffer.js';
+import { createRenderMonitor } from './utils/render-monitor.js';
+
+/**
+ * Max audio Blobs sniffed per recording session until a header is found
+ * (chunked recorders: only the first Blob carries the container header)
+ */
+const MAX_BLOB_SNIFF_ATTEMPTS = 3;
+
+/**
+ * AudioParam automation emit interval (storage write rate while params animate)
+ */
+const AUTOMATION_EMIT_THROTTLE_MS = 250;
+
+/**
+ * AudioWorklet port traffic emit interval (messages may arrive at audio-quantum rate)
+ */
+const PORT_TRAFFIC_EMIT_THROTTLE_MS = 1000;
+
+/**
+ * Encoder Worker output emit interval (encoded frames arrive every few ms-100s of ms)
+ */
+const ENCODER_OUTPUT_EMIT_THROTTLE_MS = 1000;
+
+/**
+ * Closed realtime contexts are dropped. An OfflineAudioContext is 'closed' once
+ * rendering finishes but stays listed - its graph and render runs are the point.
+ * @param {BaseAudioContext} ctx
+ * @returns {boolean}
+ */
+function isDroppableContext(ctx) {
+  return ctx.state === 'closed' && !isOfflineContext(ctx);
+}
+
+/**
+ * Port traffic direction stats → storage snapshot (window counters dropped)
+ * @param {Object} stats - early-inject.js / EarlyHook.js PortDirectionStats
+ * @returns {Object}
+ */
+function summarizePortDirection(stats) {
+  return {
+    count: stats.count,
+    bytes: stats.bytes,
+    transferables: stats.transferables,
+    rate: stats.rate,
+    bytesPerSec: stats.bytesPerSec,
+    lastAt: stats.lastAt
+  };
+}
+
+/**
+ * Encoder Worker output record → detected_encoder.output (window counters dropped)
+ * @param {Object} record - early-inject.js worker output record
+ * @returns {Object}
+ */
+function summarizeEncoderOutput(record) {
+  return {
+    frames: record.frames,
+    bytes: record.bytes,
+    bitRate: record.bitRate,
+    frameRate: record.frameRate,
+    averageBitRate: record.averageBitRate,
+    configuredBitRate: record.configuredBitRate,
+    frameIntervalMs: record.frameIntervalMs,
+    maxFrameIntervalMs: record.maxFrameIntervalMs,
+    durationMs: record.firstAt !== null ? record.lastAt - record.firstAt : 0,
+    lastAt: record.lastAt
+  };
+}
 
 /**
  * Collects AudioContext stats (sample rate, latency).
  * Hooks into window.AudioContext and window.webkitAudioContext.
+ * Realtime contexts get a render monitor while collecting: live output latency,
+ * clock drift, currentTime stalls (glitches) and renderCapacity - metadata.render.
+ * ScriptProcessor entries get their onaudioprocess profile on the same tick
+ * (pipeline.processors[].callbackProfile).
  */
 class AudioContextCollector extends BaseCollector {
   constructor(options = {}) {
@@ -41,6 +114,19 @@ class AudioContextCollector extends BaseCollector {
     /** @type {number} */
     this.recordingSessionId = 0;
 
+    /**
+     * Last WebAssembly encoder module fingerprint (early-inject.js WebAssembly hooks)
+     * Page-lifetime: a module compiled at load serves every recording session
+     * @type {Object|null}
+     */
+    this.wasmFingerprint = null;
+
+    /**
+     * Blob header sniffing state (one confirmed header per recording session)
+     * @type {{sessionId: number, attempts: number, done: boolean}}
+     */
+    this.blobSniffState = { sessionId: -1, attempts: 0, done: false };
+
     /**
      * Connection emit debounce timer
      * Batches multiple rapid connection events (e.g., graph build) into single UI update
@@ -54,6 +140,37 @@ class AudioContextCollector extends BaseCollector {
      */
     this.connectionsDirty = false;
 
+    /**
+     * AudioParam automation timelines (early-inject.js), key: "ownerId:param"
+     * @type {Map<string, Object>}
+     */
+    this.paramAutomation = new Map();
+
+    /**
+     * Automation emit throttle timer
+     * Value setter her frame'de çağrılabilir → debounce hiç tetiklenmez, throttle kullanılır
+     * @type {number|null}
+     */
+    this.automationEmitTimer = null;
+
+    /**
+     * AudioWorkletNode port traffic records (early-inject.js / EarlyHook.js), key: nodeId
+     * @type {Map<string, Object>}
+     */
+    this.portTraffic = new Map();
+
+    /**
+     * Port traffic emit throttle timer
+     * @type {number|null}
+     */
+    this.portTrafficEmitTimer = null;
+
+    /**
+     * Encoder Worker output emit throttle timer (detected_encoder.output)
+     * @type {number|null}
+     */
+    this.encoderOutputEmitTimer = null;
+
     /**
      * Context emit debounce timers (per contextId)
      * Batches rapid context updates (e.g., inputSource + connections) into single UI update
@@ -61,6 +178,12 @@ class AudioContextCollector extends BaseCollector {
      */
     this.contextEmitTimers = new Map();
 
+    /**
+     * Render monitors of realtime contexts (render-monitor.js), key: AudioContext
+     * @type {Map<any, {stop: () => void}>}
+     */
+    this.renderMonitors = new Map();
+
     // NOTE: Original method references are not stored because:
     // 1. We hook on prototype level, not instance level
     // 2. Restoring would break other extensions that also hook these methods
@@ -106,6 +229,7 @@ class AudioContextCollector extends BaseCollector {
       win.__audioInspectorNodeIdCounter = next;
       id = `node_${next}`;
       map.set(node, id);
+      registerNodeRef(id, node);
     }
     return id;
   }
@@ -225,6 +349,11 @@ class AudioContextCollector extends BaseCollector {
       this._handleWasmEncoder(encoderInfo);
     });
 
+    // 8b. Audio Blob header sniffing (Blob hook in early-inject.js)
+    this.registerGlobalHandler('__audioBlobSniffHandler', (blob, blobInfo) => {
+      this._handleAudioBlobSniff(blob, blobInfo);
+    });
+
     // 9. Register AudioWorkletNode handler (constructor hook in EarlyHook.js)
     this.registerGlobalHandler('__audioWorkletNodeHandler', (node, args) => {
       this._handleAudioWorkletNode(node, args);
@@ -242,22 +371,53 @@ class AudioContextCollector extends BaseCollector {
       this._handleAudioConnection(connection);
     });
 
-    // 12. Register AnalyserNode usage handler (from prototype hooks)
+    // 12. Register AudioParam automation handler (setValueAtTime, ramps, value setter)
+    // Explains modulation/ducking: current automation timeline per param
+    this.registerGlobalHandler('__audioParamAutomationHandler', (timeline) => {
+      this._handleParamAutomation(timeline);
+    });
+
+    // 13. Register AnalyserNode usage handler (from prototype hooks)
     // Updates analyser processor with usageType when methods are called
     this.registerGlobalHandler('__analyserUsageHandler', (node, usageType) => {
       this._handleAnalyserUsage(node, usageType);
     });
 
+    // 14. Register OfflineAudioContext render handler (startRendering() hook)
+    // Called when a render starts and again when it completes/fails
+    this.registerGlobalHandler('__offlineRenderingHandler', (ctx) => {
+      this._handleOfflineRendering(ctx);
+    });
+
+    // 15. Register AudioWorklet port traffic handler (node ⇄ processor messages)
+    // Record object is updated in place on every message - emit is throttled
+    this.registerGlobalHandler('__audioWorkletPortTrafficHandler', (record) => {
+      this._handlePortTraffic(record);
+    });
+
+    // 16. Register encoder Worker output handler (worker → main thread encoded frames)
+    // Record object is updated in place on every frame - emit is throttled
+    this.registerGlobalHandler('__encoderOutputHandler', (record) => {
+      this._handleEncoderOutput(record);
+    });
+
+    // 17. Register WebAssembly module fingerprint handler (compile/instantiate hooks)
+    // Called only for modules matching an encoder library signature
+    this.registerGlobalHandler('__wasmModuleHandler', (record) => {
+      this._handleWasmModule(record);
+    });
+
   }
 
   /**
-   * Handle new AudioContext instance
+   * Handle new AudioContext / OfflineAudioContext instance
    * @private
-   * @param {AudioContext} ctx
+   * @param {BaseAudioContext} ctx
    * @param {boolean} shouldEmit - If true, emit data event; if false, silent registration
    */
   _handleNewContext(ctx, shouldEmit = true) {
       const contextId = this._getOrAssignContextId(ctx);
+      const isOffline = isOfflineContext(ctx);
 
       const now = Date.now();
       const metadata = {
@@ -277,17 +437,33 @@ class AudioContextCollector extends BaseCollector {
           timestamp: now,
           inputSource: null,
           processors: [],
-          destinationType: DESTINATION_TYPES.SPEAKERS  // Default - ctx.destination
+          destinationType: isOffline
+            ? DESTINATION_TYPES.OFFLINE_BUFFER
+            : DESTINATION_TYPES.SPEAKERS  // Default - ctx.destination
         }
       };
 
+      // OfflineAudioContext: render buffer size + startRendering() runs (no latency)
+      if (isOffline) {
+        const offlineCtx = /** @type {OfflineAudioContext} */ (ctx);
+        metadata.static.isOffline = true;
+        metadata.offline = {
+          length: offlineCtx.length,
+          durationSec: offlineCtx.length / offlineCtx.sampleRate,
+          renderings: getOfflineRenderings(ctx)
+        };
+      }
+
       this.activeContexts.set(ctx, metadata);
+      if (isOffline) {
+        this._trimOfflineContexts();
+      }
 
       // ═══════════════════════════════════════════════════════════════════
       // LATENCY UPDATE: outputLatency may not be accurate until context is running
       // Listen for state change to update latency values when context becomes running
       // ═══════════════════════════════════════════════════════════════════
-      if (ctx.state !== 'running') {
+      if (!isOffline && ctx.state !== 'running') {
         const updateLatencyOnRunning = () => {
           if (ctx.state === 'running' && this.activeContexts.has(ctx)) {
             const ctxData = this.activeContexts.get(ctx);
@@ -314,13 +490,17 @@ class AudioContextCollector extends BaseCollector {
         ctx.addEventListener('statechange', updateLatencyOnRunning);
       }
 
+      if (!isOffline) {
+        this._startRenderMonitor(ctx);
+      }
+
       // ═══════════════════════════════════════════════════════════════════
       // SYNC REGISTRY methodCalls: Check if prototype hooks already captured
       // method calls for this context (e.g., createScriptProcessor called
       // between AudioContext creation and this handler running)
       // ═══════════════════════════════════════════════════════════════════
       const registry = getInstanceRegistry();
-      const registryEntry = registry.audioContexts.find(e => e.instance === ctx);
+      const registryEntry = registry[isOffline ? 'offlineAudioContexts' : 'audioContexts'].find(e => e.instance === ctx);
       if (registryEntry?.methodCalls?.length > 0) {
         this._syncMethodCallsToExistingContext(ctx, registryEntry.methodCalls);
         // Clear to prevent re-sync
@@ -343,6 +523,123 @@ class AudioContextCollector extends BaseCollector {
       }
   }
 
+  /**
+   * Start sampling render performance of a realtime context (no-op if inactive / running)
+   * @private
+   * @param {AudioContext} ctx
+   */
+  _startRenderMonitor(ctx) {
+    if (!this.active || this.renderMonitors.has(ctx) || ctx.state === 'closed') return;
+
+    const monitor = createRenderMonitor(ctx, (stats) => {
+      const ctxData = this.activeContexts.get(ctx);
+      if (!ctxData || !this.active) return;
+      ctxData.render = stats;
+      ctxData.static.state = ctx.state;
+      const profilesUpdated = this._updateScriptProcessorProfiles(ctxData);
+
+      // Small per-second payload - content.js merges it into the stored context (renderUpdate)
+      this.emit(EVENTS.DATA, {
+        type: DATA_TYPES.AUDIO_CONTEXT,
+        contextId: ctxData.contextId,
+        renderUpdate: true,
+        static: { state: ctx.state },
+        render: stats,
+        ...(profilesUpdated ? { pipeline: { processors: ctxData.pipeline.processors } } : {})
+      });
+    });
+    this.renderMonitors.set(ctx, monitor);
+
+    // Closed → monitor stops itself; drop the entry too
+    const onClose = () => {
+      if (ctx.state !== 'closed') return;
+      ctx.removeEventListener('statechange', onClose);
+      this._stopRenderMonitor(ctx);
+    };
+    ctx.addEventListener('statechange', onClose);
+  }
+
+  /**
+   * Copy onaudioprocess profiles (EarlyHook.js) onto scriptProcessor pipeline entries
+   * @private
+   * @param {Object} ctxData - activeContexts metadata
+   * @returns {boolean} true if any scriptProcessor entry got a profile
+   */
+  _updateScriptProcessorProfiles(ctxData) {
+    let updated = false;
+    for (const processor of ctxData.pipeline.processors) {
+      if (processor.type !== 'scriptProcessor' || !processor.nodeId) continue;
+      const profile = getScriptProcessorProfile(getNodeById(processor.nodeId));
+      if (profile) {
+        processor.callbackProfile = profile;
+        updated = true;
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * @private
+   * @param {AudioContext} ctx
+   */
+  _stopRenderMonitor(ctx) {
+    const monitor = this.renderMonitors.get(ctx);
+    if (!monitor) return;
+    monitor.stop();
+    this.renderMonitors.delete(ctx);
+  }
+
+  /**
+   * Keep only the newest MAX_OFFLINE_CONTEXTS offline contexts (Map insertion order)
+   * Render-per-chunk pipelines would otherwise grow activeContexts + connections forever
+   * @private
+   */
+  _trimOfflineContexts() {
+    const offlineContexts = [...this.activeContexts.keys()].filter(ctx => isOfflineContext(ctx));
+    const excess = offlineContexts.slice(0, Math.max(0, offlineContexts.length - MAX_OFFLINE_CONTEXTS));
+    if (excess.length === 0) return;
+
+    const droppedIds = new Set();
+    for (const ctx of excess) {
+      droppedIds.add(this.activeContexts.get(ctx).contextId);
+      this.activeContexts.delete(ctx);
+    }
+
+    const connections = this.audioConnections || [];
+    this.audioConnections = connections.filter(c => !droppedIds.has(c.contextId));
+    for (const [key, timeline] of this.paramAutomation) {
+      if (droppedIds.has(timeline.contextId)) this.paramAutomation.delete(key);
+    }
+    for (const [nodeId, record] of this.portTraffic) {
+      if (droppedIds.has(record.contextId)) this.portTraffic.delete(nodeId);
+    }
+    if (this.active && this.audioConnections.length !== connections.length) {
+      this._emitConnectionsDebounced();
+    }
+    logger.info(this.logPrefix, `Dropped ${excess.length} old OfflineAudioContext(s): ${[...droppedIds].join(', ')}`);
+  }
+
+  /**
+   * Handle startRendering() start/finish (early-inject.js / EarlyHook.js hook)
+   * @private
+   * @param {OfflineAudioContext} ctx
+   */
+  _handleOfflineRendering(ctx) {
+    if (!this.active) return;
+
+    const ctxData = this._getContextData(ctx);
+    if (!ctxData?.offline) return;
+
+    ctxData.offline.renderings = getOfflineRenderings(ctx);
+    ctxData.static.state = ctx.state;
+    this.emit(EVENTS.DATA, ctxData);
+
+    const last = ctxData.offline.renderings[ctxData.offline.renderings.length - 1];
+    if (last?.status !== 'rendering') {
+      logger.info(this.logPrefix, `OfflineAudioContext ${ctxData.contextId} render ${last?.status}: ${last?.durationMs}ms for ${last?.renderedSec.toFixed(2)}s of audio`);
+    }
+  }
+
   /**
    * Sync methodCalls to an existing context's pipeline (no duplicate context creation)
    * Used when registry contains same instance as earlyCaptures
@@ -397,8 +694,8 @@ class AudioContextCollector extends BaseCollector {
       handler(methodCallData, ctxData.pipeline);
       ctxData.pipeline.timestamp = Date.now();
 
-      // Emit updated context data
-      this.emit(EVENTS.DATA, ctxData);
+      // Debounced: pages creating a source node per sound would emit once per node
+      this._emitContextDebounced(ctxData);
       logger.info(this.logPrefix, `Real-time pipeline update: ${methodCallData.type} added to ${ctxData.contextId}`);
     }
   }
@@ -861,10 +1158,13 @@ class AudioContextCollector extends BaseCollector {
    * Emits encoder to canonical detected_encoder storage with optional context linking
    *
    * PATTERN PRIORITY (higher = better, should not be overwritten by lower):
-   * - audioworklet-config: 5 (highest - full AudioWorklet config)
+   * - container-sniff: 6 (highest - parsed from Blob header bytes, merged into same-session data)
+   * - audioworklet-config: 5 (full AudioWorklet config)
    * - direct/nested: 4 (Worker hook with explicit encoder fields)
    * - worker-audio-init: 3 (Worker hook with audio init pattern)
    * - audio-blob: 2 (Blob creation - post-hoc, confirms format)
+   * - worker-script: 2 (encoder library signature in worker / SharedWorker source)
+   * - wasm-module: 2 (WebAssembly module import/export fingerprint)
    * - unknown: 1 (lowest)
    *
    * @private
@@ -888,6 +1188,36 @@ class AudioContextCollector extends BaseCollector {
         this.recordingSessionId = incomingSessionId;
       }
 
+      // ═══════════════════════════════════════════════════════════════════
+      // BITSTREAM CONFIRMATION: Header fields (codec/container/format) are definitive,
+      // Worker/Worklet-only fields (encoder, library, application, node match) are kept
+      // ═══════════════════════════════════════════════════════════════════
+      if (encoderInfo.pattern === 'container-sniff' && this.currentEncoderData?.sessionId === incomingSessionId) {
+        const current = this.currentEncoderData;
+        if (current.codec !== 'unknown' && current.codec !== encoderInfo.codec) {
+          logger.warn(this.logPrefix, `🧬 Codec corrected by bitstream: ${current.codec} → ${encoderInfo.codec}`);
+        }
+
+        Object.assign(current, {
+          timestamp: Date.now(),
+          codec: encoderInfo.codec,
+          container: encoderInfo.container,
+          sampleRate: encoderInfo.sampleRate || current.sampleRate,
+          originalSampleRate: encoderInfo.originalSampleRate || current.originalSampleRate,
+          channels: encoderInfo.channels || current.channels,
+          wavBitDepth: encoderInfo.wavBitDepth || current.wavBitDepth,
+          bitstream: encoderInfo.bitstream,
+          pattern: encoderInfo.pattern
+        });
+
+        if (this.active) {
+          this.emit(EVENTS.DATA, current);
+        } else {
+          this.pendingEncoderData = current;
+        }
+        return;
+      }
+
       // ═══════════════════════════════════════════════════════════════════
       // PATTERN PRIORITY: Prevent lower-priority patterns from overwriting better ones
       // Example: Blob detection (post-hoc) should not overwrite Worker detection (real-time)
@@ -898,6 +1228,11 @@ class AudioContextCollector extends BaseCollector {
         ? (PATTERN_PRIORITY[this.currentEncoderData.pattern] || 1)
         : 0;
 
+      // Worker script scan / WASM fingerprint only name the library - never replace a runtime detection
+      if ((encoderInfo.pattern === 'worker-script' || encoderInfo.pattern === 'wasm-module') && existingPriority >= newPriority) {
+        return;
+      }
+
       // If we have a better pattern already, only merge supplementary data from Blob
       if (existingPriority >= newPriority && encoderInfo.pattern === 'audio-blob') {
         // Blob can supplement with: blobSize, codec (if unknown), container, bitRate
@@ -980,9 +1315,11 @@ class AudioContextCollector extends BaseCollector {
           bufferLength: encoderInfo.bufferLength,
           processorName: encoderInfo.processorName, // AudioWorklet processor name
           workerFilename: encoderInfo.workerFilename, // Worker JS filename
+          workerUrl: encoderInfo.workerUrl, // Worker URL (encoded output matching)
           blobSize: encoderInfo.blobSize, // Blob size in bytes (for bitrate calc)
           mimeType: encoderInfo.mimeType, // MIME type from Blob
           wavBitDepth: encoderInfo.wavBitDepth, // WAV bit depth (16, 24, 32 for PCM)
+          bitstream: encoderInfo.bitstream || null, // container-sniffer.js result (header bytes)
           linkedContextId,  // Context bağlantısı (null olabilir)
           // Node-level tracking: which node is encoding (for tree visualization)
           encodingNodeId: encoderInfo.encodingNodeId || null,
@@ -1021,6 +1358,9 @@ class AudioContextCollector extends BaseCollector {
         }
       }
 
+      // Library name + version from the WASM module (definitive over URL/keyword guesses)
+      this._applyWasmFingerprint(encoderData);
+
       // Store current encoder data for priority comparison
       this.currentEncoderData = encoderData;
 
@@ -1041,6 +1381,54 @@ class AudioContextCollector extends BaseCollector {
       );
   }
 
+  /**
+   * Sniff an audio/* Blob header and report it as 'container-sniff' encoder pattern
+   * mimeType says what the page claims; the header says what was actually encoded.
+   * @private
+   * @param {Blob} blob
+   * @param {{mimeType: string, mimeCodec: string, encoder: string, library: string|null, sessionId: number}} blobInfo
+   */
+  _handleAudioBlobSniff(blob, blobInfo) {
+    const sessionId = Number.isInteger(blobInfo?.sessionId) ? blobInfo.sessionId : this.recordingSessionId;
+    if (this.blobSniffState.sessionId !== sessionId) {
+      this.blobSniffState = { sessionId, attempts: 0, done: false };
+    }
+    const state = this.blobSniffState;
+    if (state.done || state.attempts >= MAX_BLOB_SNIFF_ATTEMPTS) return;
+    state.attempts += 1;
+
+    sniffBlob(blob).then((bitstream) => {
+      // Header yok (chunked recorder'ın ara parçası) → sonraki Blob denenir
+      if (!bitstream || bitstream.codec === 'unknown' || state.done) return;
+      state.done = true;
+
+      // mimeType codec'i tutuyorsa encoder/library tahmini geçerli
+      const mimeMatches = blobInfo.mimeCodec === bitstream.codec;
+      logger.info(this.logPrefix, `🧬 Bitstream: ${bitstream.container}/${bitstream.codec} ${bitstream.sampleRate || '?'}Hz ${bitstream.channels || '?'}ch (declared ${blobInfo.mimeType})`);
+
+      this._handleWasmEncoder({
+        type: bitstream.codec,
+        codec: bitstream.codec,
+        container: bitstream.container,
+        encoder: mimeMatches ? blobInfo.encoder : null,
+        library: mimeMatches ? blobInfo.library : null,
+        sampleRate: bitstream.sampleRate,
+        originalSampleRate: bitstream.originalSampleRate,
+        channels: bitstream.channels,
+        wavBitDepth: bitstream.bitDepth,
+        bitRate: bitstream.bitrate || 0,
+        mimeType: blobInfo.mimeType,
+        blobSize: blob.size,
+        bitstream,
+        source: 'container-sniff',
+        pattern: 'container-sniff',
+        sessionId
+      });
+    }).catch((err) => {
+      logger.warn(this.logPrefix, 'Blob header sniff failed:', err);
+    });
+  }
+
   /**
    * Handle AudioWorkletNode instance creation
    * Captures custom DSP processor instances (e.g., 'opus-encoder', 'noise-suppressor')
@@ -1143,11 +1531,7 @@ class AudioContextCollector extends BaseCollector {
     // Schedule emit after 16ms (1 frame @ 60fps)
     this.connectionEmitTimer = setTimeout(() => {
       if (this.connectionsDirty && this.audioConnections) {
-        this.emit(EVENTS.DATA, {
-          type: DATA_TYPES.AUDIO_CONNECTION,
-          timestamp: Date.now(),
-          allConnections: [...this.audioConnections]
-        });
+        this.emit(EVENTS.DATA, this._buildConnectionPayload());
 
         this.connectionsDirty = false;
       }
@@ -1155,9 +1539,211 @@ class AudioContextCollector extends BaseCollector {
     }, 16);
   }
 
+  /**
+   * AUDIO_CONNECTION payload - connections + AudioParam automation timelines + worklet port traffic
+   * Single builder so every emit site (debounce, sync, reEmit, reset) sends all three
+   * @private
+   * @returns {Object}
+   */
+  _buildConnectionPayload() {
+    return {
+      type: DATA_TYPES.AUDIO_CONNECTION,
+      timestamp: Date.now(),
+      allConnections: [...(this.audioConnections || [])],
+      paramAutomation: Array.from(this.paramAutomation.values(), timeline => ({
+        ...timeline,
+        events: [...timeline.events]
+      })),
+      portTraffic: Array.from(this.portTraffic.values(), record => ({
+        nodeId: record.nodeId,
+        processorName: record.processorName,
+        contextId: record.contextId,
+        toProcessor: summarizePortDirection(record.toProcessor),
+        fromProcessor: summarizePortDirection(record.fromProcessor),
+        log: [...record.log],
+        updatedAt: record.updatedAt
+      }))
+    };
+  }
+
+  /**
+   * Handle AudioWorklet port message (early-inject.js / EarlyHook.js port hooks)
+   * Record is mutated in place → stored by reference, snapshot taken at emit
+   * @private
+   * @param {Object} record - { nodeId, processorName, contextId, toProcessor, fromProcessor, log, updatedAt }
+   * @param {boolean} shouldEmit - If false, silent add (for early sync)
+   */
+  _handlePortTraffic(record, shouldEmit = true) {
+    if (!this.active || !record?.nodeId) return;
+
+    // EarlyHook.js fallback kaydında contextId yok - node'un context'inden çöz
+    if (!record.contextId) {
+      const ctx = getNodeById(record.nodeId)?.context;
+      record.contextId = ctx ? this._getOrAssignContextId(ctx) : null;
+    }
+    this.portTraffic.set(record.nodeId, record);
+
+    if (shouldEmit && this.portTrafficEmitTimer === null) {
+      this.portTrafficEmitTimer = setTimeout(() => {
+        this.portTrafficEmitTimer = null;
+        if (this.active) {
+          this.emit(EVENTS.DATA, this._buildConnectionPayload());
+        }
+      }, PORT_TRAFFIC_EMIT_THROTTLE_MS);
+    }
+  }
+
+  /**
+   * Handle encoded output of an encoder Worker (early-inject.js Worker message hooks)
+   * Attached to the current encoder as detected_encoder.output - configured vs measured bitrate
+   * @private
+   * @param {Object} record - { workerUrl, sessionId, frames, bytes, bitRate, averageBitRate, configuredBitRate, ... }
+   */
+  _handleEncoderOutput(record) {
+    if (!this.active || !record) return;
+    if (record.sessionId < this.recordingSessionId) return;
+
+    // Çıktı, tespit edilmiş encoder'a bağlanır (init/Blob tespiti olmadan gösterilecek yer yok)
+    const current = this.currentEncoderData;
+    if (!current) return;
+    if (current.workerUrl && current.workerUrl !== record.workerUrl) return;
+
+    current.output = summarizeEncoderOutput(record);
+
+    if (this.encoderOutputEmitTimer === null) {
+      this.encoderOutputEmitTimer = setTimeout(() => {
+        this.encoderOutputEmitTimer = null;
+        if (this.active && this.currentEncoderData) {
+          this.emit(EVENTS.DATA, this.currentEncoderData);
+        }
+      }, ENCODER_OUTPUT_EMIT_THROTTLE_MS);
+    }
+  }
+
+  /**
+   * Handle WebAssembly encoder module fingerprint (early-inject.js WebAssembly hooks)
+   * Kept while stopped - applied on start() / to the next detected encoder
+   * @private
+   * @param {Object} record - { library, codec, encoder, version, byteSize, exportCount, importCount, matchedNames, via, url }
+   */
+  _handleWasmModule(record) {
+    if (!record?.library) return;
+
+    this.wasmFingerprint = {
+      library: record.library,
+      version: record.version,
+      codec: record.codec,
+      encoder: record.encoder,
+      byteSize: record.byteSize,
+      exportCount: record.exportCount,
+      importCount: record.importCount,
+      matchedNames: record.matchedNames,
+      via: record.via,
+      url: record.url
+    };
+    logger.info(this.logPrefix, `🧩 WASM encoder module: ${record.library}${record.version ? ` ${record.version}` : ''} (${record.via})`);
+
+    if (this.active) this._reportWasmFingerprint();
+  }
+
+  /**
+   * Attach the fingerprint to the current encoder, or report it as a detection of its own
+   * @private
+   */
+  _reportWasmFingerprint() {
+    const fingerprint = this.wasmFingerprint;
+    if (!fingerprint) return;
+
+    if (this.currentEncoderData) {
+      if (this._applyWasmFingerprint(this.currentEncoderData)) {
+        this.emit(EVENTS.DATA, this.currentEncoderData);
+      }
+      return;
+    }
+
+    this._handleWasmEncoder({
+      type: fingerprint.codec,
+      codec: fingerprint.codec,
+      encoder: fingerprint.encoder,
+      library: fingerprint.library,
+      container: fingerprint.codec,
+      bitRate: 0,
+      timestamp: Date.now(),
+      source: 'wasm-module',
+      pattern: 'wasm-module',
+      status: 'loaded',
+      encoderPath: fingerprint.url,
+      sessionId: this.recordingSessionId
+    });
+  }
+
+  /**
+   * Library / version / module info from the WASM fingerprint → encoder data
+   * @private
+   * @param {Object} encoderData - DETECTED_ENCODER payload (mutated)
+   * @returns {boolean} True if applied
+   */
+  _applyWasmFingerprint(encoderData) {
+    const fingerprint = this.wasmFingerprint;
+    if (!fingerprint) return false;
+    // Başka codec'in modülü (ör. sayfada Opus encoder + MP3 worker) bu encoder'a yazılmaz
+    if (encoderData.codec && encoderData.codec !== 'unknown' && encoderData.codec !== fingerprint.codec) return false;
+
+    if (!encoderData.codec || encoderData.codec === 'unknown') encoderData.codec = fingerprint.codec;
+    encoderData.encoder = encoderData.encoder || fingerprint.encoder;
+    encoderData.library = fingerprint.library;
+    encoderData.libraryVersion = fingerprint.version;
+    encoderData.wasmModule = {
+      byteSize: fingerprint.byteSize,
+      exportCount: fingerprint.exportCount,
+      importCount: fingerprint.importCount,
+      matchedNames: fingerprint.matchedNames,
+      via: fingerprint.via,
+      url: fingerprint.url
+    };
+    return true;
+  }
+
+  /**
+   * Sync WebAssembly module fingerprints compiled before start() (newest encoder module wins)
+   * @private
+   */
+  _syncEarlyWasmModules() {
+    // @ts-ignore
+    const modules = window.__earlyCaptures?.wasmModules || [];
+    const latest = [...modules].reverse().find(record => record.library);
+    if (latest) {
+      this._handleWasmModule(latest);
+    } else {
+      this._reportWasmFingerprint();
+    }
+  }
+
+  /**
+   * Handle AudioParam automation update (early-inject.js AudioParam hooks)
+   * Timeline object is mutated in place by early-inject.js → stored by reference
+   * @private
+   * @param {Object} timeline - { ownerId, ownerType, param, contextId, events, updatedAt }
+   * @param {boolean} shouldEmit - If false, silent add (for early sync)
+   */
+  _handleParamAutomation(timeline, shouldEmit = true) {
+    if (!this.active || !timeline?.ownerId) return;
+
+    this.paramAutomation.set(`${timeline.ownerId}:${timeline.param}`, timeline);
+
+    if (shouldEmit && this.automationEmitTimer === null) {
+      this.automationEmitTimer = setTimeout(() => {
+        this.automationEmitTimer = null;
+        if (this.active) {
+          this.emit(EVENTS.DATA, this._buildConnectionPayload());
+        }
+      }, AUTOMATION_EMIT_THROTTLE_MS);
+    }
+  }
+
   /**
    * Check if a connection already exists in audioConnections
-   * Compares by sourceId + destId + outputIndex + inputIndex (unique connection key)
+   * Compares by sourceId + destId + destParam + outputIndex + inputIndex (unique connection key)
    * @private
    * @param {Object} connection - Connection to check
    * @returns {boolean} true if duplicate exists
@@ -1168,6 +1754,7 @@ class AudioContextCollector extends BaseCollector {
     return this.audioConnections.some(existing =>
       existing.sourceId === connection.sourceId &&
       existing.destId === connection.destId &&
+      (existing.destParam ?? null) === (connection.destParam ?? null) &&
       existing.outputIndex === connection.outputIndex &&
       existing.inputIndex === connection.inputIndex
     );
@@ -1177,7 +1764,7 @@ class AudioContextCollector extends BaseCollector {
    * Handle audio connection (AudioNode.connect() calls)
    * Captures the audio graph topology to show data flow between nodes
    * @private
-   * @param {Object} connection - { sourceType, sourceId, destType, destId, outputIndex, inputIndex, timestamp }
+   * @param {Object} connection - { sourceType, sourceId, destType, destId, destParam?, destOwnerType?, outputIndex, inputIndex, timestamp }
    * @param {boolean} shouldEmit - If true, emit data event; if false, silent add (for early sync)
    */
   _handleAudioConnection(connection, shouldEmit = true) {
@@ -1189,7 +1776,7 @@ class AudioContextCollector extends BaseCollector {
         return;
       }
 
-      const { sourceType, sourceId, destType, destId, outputIndex, inputIndex, timestamp } = connection;
+      const { sourceType, sourceId, destType, destId, destParam, destOwnerType, outputIndex, inputIndex, timestamp } = connection;
       const contextId = connection.contextId || null;
 
       // Initialize connections array if needed
@@ -1203,6 +1790,8 @@ class AudioContextCollector extends BaseCollector {
         sourceId,
         destType,
         destId,
+        destParam: destParam ?? null,          // AudioParam name (modulation edge)
+        destOwnerType: destOwnerType ?? null,  // AudioParam owner node type
         outputIndex: outputIndex ?? 0,
         inputIndex: inputIndex ?? 0,
         timestamp,
@@ -1299,11 +1888,7 @@ class AudioContextCollector extends BaseCollector {
 
     // Emit all connections at once if any were synced (including empty → clears stale UI)
     if (syncedCount > 0) {
-      this.emit(EVENTS.DATA, {
-        type: DATA_TYPES.AUDIO_CONNECTION,
-        timestamp: Date.now(),
-        allConnections: [...this.audioConnections]
-      });
+      this.emit(EVENTS.DATA, this._buildConnectionPayload());
 
       logger.info(this.logPrefix, `📡 Synced ${syncedCount} early connection(s) from early-inject.js`);
     }
@@ -1318,6 +1903,58 @@ class AudioContextCollector extends BaseCollector {
     window.__earlyCaptures.connections = [];
   }
 
+  /**
+   * Sync AudioWorklet port traffic records (early-inject.js captures + EarlyHook.js fallback)
+   * Not cleared after sync - records are live objects, updated in place on every message
+   * @private
+   */
+  _syncEarlyPortTraffic() {
+    const records = [
+      // @ts-ignore
+      ...(window.__earlyCaptures?.portTraffic || []),
+      ...getInstanceRegistry().portTraffic
+    ];
+    if (records.length === 0) return;
+
+    records.forEach(record => this._handlePortTraffic(record, false));
+    this.emit(EVENTS.DATA, this._buildConnectionPayload());
+    logger.info(this.logPrefix, `📡 Synced ${records.length} early AudioWorklet port traffic record(s)`);
+  }
+
+  /**
+   * Sync early-captured AudioParam automation timelines from early-inject.js
+   * Not cleared after sync - timelines are live objects, updated in place on every call
+   * @private
+   */
+  _syncEarlyParamAutomation() {
+    // @ts-ignore
+    const earlyTimelines = window.__earlyCaptures?.paramAutomation;
+    if (!earlyTimelines || earlyTimelines.length === 0) {
+      return;
+    }
+
+    const trackedContextIds = new Set();
+    for (const [, ctxData] of this.activeContexts.entries()) {
+      if (ctxData.contextId) {
+        trackedContextIds.add(ctxData.contextId);
+      }
+    }
+
+    let syncedCount = 0;
+    for (const timeline of earlyTimelines) {
+      if (timeline.contextId && trackedContextIds.size > 0 && !trackedContextIds.has(timeline.contextId)) {
+        continue;
+      }
+      this._handleParamAutomation(timeline, false);
+      syncedCount++;
+    }
+
+    if (syncedCount > 0) {
+      this.emit(EVENTS.DATA, this._buildConnectionPayload());
+      logger.info(this.logPrefix, `📡 Synced ${syncedCount} early AudioParam automation timeline(s)`);
+    }
+  }
+
   /**
    * Sync early-captured AudioWorkletNodes from early-inject.js
    * Called during start() to restore AudioWorkletNodes (e.g., peak-worklet-processor)
@@ -1368,7 +2005,7 @@ class AudioContextCollector extends BaseCollector {
     // Batch emit updated contexts
     if (syncedCount > 0) {
       for (const [ctx, ctxData] of this.activeContexts.entries()) {
-        if (ctx.state !== 'closed') {
+        if (!isDroppableContext(ctx)) {
           this.emit(EVENTS.DATA, ctxData);
         }
       }
@@ -1437,6 +2074,10 @@ class AudioContextCollector extends BaseCollector {
     window.__detectedEncoderHandler = (encoderInfo) => {
       this._handleWasmEncoder(encoderInfo);
     };
+    // @ts-ignore
+    window.__audioBlobSniffHandler = (blob, blobInfo) => {
+      this._handleAudioBlobSniff(blob, blobInfo);
+    };
 
     // 4. Re-register AudioWorkletNode handler
     // @ts-ignore
@@ -1449,6 +2090,26 @@ class AudioContextCollector extends BaseCollector {
     window.__audioConnectionHandler = (connection) => {
       this._handleAudioConnection(connection);
     };
+    // @ts-ignore
+    window.__audioParamAutomationHandler = (timeline) => {
+      this._handleParamAutomation(timeline);
+    };
+    // @ts-ignore
+    window.__offlineRenderingHandler = (ctx) => {
+      this._handleOfflineRendering(ctx);
+    };
+    // @ts-ignore
+    window.__audioWorkletPortTrafficHandler = (record) => {
+      this._handlePortTraffic(record);
+    };
+    // @ts-ignore
+    window.__encoderOutputHandler = (record) => {
+      this._handleEncoderOutput(record);
+    };
+    // @ts-ignore
+    window.__wasmModuleHandler = (record) => {
+      this._handleWasmModule(record);
+    };
 
     // 6. Clear any stale WASM encoder detection
     // @ts-ignore
@@ -1499,10 +2160,13 @@ class AudioContextCollector extends BaseCollector {
     // ───────────────────────────────────────────────────────────────────
     // @ts-ignore
     const earlyCaptures = window.__earlyCaptures?.audioContexts;
-    if (earlyCaptures?.length) {
-      logger.info(this.logPrefix, `📥 Processing ${earlyCaptures.length} early AudioContext capture(s)`);
-      for (const capture of earlyCaptures) {
-        if (capture.instance.state !== 'closed') {
+    // @ts-ignore - OfflineAudioContexts (kept even when 'closed' after rendering)
+    const earlyOfflineCaptures = window.__earlyCaptures?.offlineAudioContexts || [];
+    if (earlyCaptures?.length || earlyOfflineCaptures.length) {
+      const allCaptures = [...(earlyCaptures || []), ...earlyOfflineCaptures];
+      logger.info(this.logPrefix, `📥 Processing ${allCaptures.length} early AudioContext capture(s) (${earlyOfflineCaptures.length} offline)`);
+      for (const capture of allCaptures) {
+        if (!isDroppableContext(capture.instance)) {
           this._handleNewContext(capture.instance, true);
           processedInstances.add(capture.instance); // Mark as processed
           earlyCount++;
@@ -1522,7 +2186,7 @@ class AudioContextCollector extends BaseCollector {
       // NOT: earlyCaptures'ı silmiyoruz - inspector tekrar başlatıldığında
       // hala aktif context'leri tekrar işleyebilmek için tutuyoruz
       // Sadece methodCalls'ı temizliyoruz (sync edildi)
-      for (const capture of earlyCaptures) {
+      for (const capture of allCaptures) {
         if (capture.methodCalls) capture.methodCalls = [];
       }
     }
@@ -1534,11 +2198,11 @@ class AudioContextCollector extends BaseCollector {
     // ───────────────────────────────────────────────────────────────────
     const registry = getInstanceRegistry();
 
-    for (const entry of registry.audioContexts) {
+    for (const entry of [...registry.audioContexts, ...registry.offlineAudioContexts]) {
       const { instance, methodCalls } = entry;
 
-      // Skip closed contexts - we only want active ones
-      if (instance.state === 'closed') {
+      // Skip closed contexts - we only want active ones (offline: rendered, still listed)
+      if (isDroppableContext(instance)) {
         logger.info(this.logPrefix, `Skipping closed context from registry (${instance.sampleRate}Hz)`);
         continue;
       }
@@ -1605,7 +2269,11 @@ class AudioContextCollector extends BaseCollector {
     // Critical for sites that set up audio graph immediately on page load
     // ───────────────────────────────────────────────────────────────────
     this.audioConnections = [];  // Start fresh
+    this.paramAutomation.clear();
+    this.portTraffic.clear();
     this._syncEarlyConnections();  // Sync from __earlyCaptures.connections
+    this._syncEarlyParamAutomation();  // Sync from __earlyCaptures.paramAutomation
+    this._syncEarlyPortTraffic();  // Sync from __earlyCaptures.portTraffic (+ fallback registry)
 
     // ───────────────────────────────────────────────────────────────────
     // 5. SYNC EARLY AUDIOWORKLETNODES from early-inject.js
@@ -1614,6 +2282,12 @@ class AudioContextCollector extends BaseCollector {
     // ───────────────────────────────────────────────────────────────────
     this._syncEarlyAudioWorkletNodes();  // Sync from __earlyCaptures.audioWorkletNodes
 
+    // ───────────────────────────────────────────────────────────────────
+    // 6. SYNC WASM MODULE FINGERPRINTS from early-inject.js
+    // Encoder modules are usually compiled at page load - long before start()
+    // ───────────────────────────────────────────────────────────────────
+    this._syncEarlyWasmModules();
+
     logger.info(this.logPrefix, 'Started - ready to capture new audio activity');
   }
 
@@ -1632,7 +2306,7 @@ class AudioContextCollector extends BaseCollector {
     let emittedCount = 0;
     for (const [ctx, metadata] of this.activeContexts.entries()) {
       // Skip and clean up closed contexts
-      if (ctx.state === 'closed') {
+      if (isDroppableContext(ctx)) {
         this.activeContexts.delete(ctx);
         continue;
       }
@@ -1648,11 +2322,7 @@ class AudioContextCollector extends BaseCollector {
 
     // 2. Re-emit audio connections (for Audio Graph UI)
     if (this.audioConnections && this.audioConnections.length > 0) {
-      this.emit(EVENTS.DATA, {
-        type: DATA_TYPES.AUDIO_CONNECTION,
-        timestamp: Date.now(),
-        allConnections: [...this.audioConnections]
-      });
+      this.emit(EVENTS.DATA, this._buildConnectionPayload());
       logger.info(this.logPrefix, `Re-emitted ${this.audioConnections.length} audio connection(s)`);
     }
   }
@@ -1681,30 +2351,28 @@ class AudioContextCollector extends BaseCollector {
       // HARD RESET: Technology changed - clear all pipeline state
       logger.info(this.logPrefix, `🔄 Technology change: clearing pipeline state (session #${sessionId})`);
 
-      // Clear audio connections
+      // Clear audio connections + AudioParam automation + port traffic
       this.audioConnections = [];
+      this.paramAutomation.clear();
+      this.portTraffic.clear();
 
       // Clear pending worklets
       this.pendingWorklets = [];
 
       // Clear processors from all active contexts
       for (const [ctx, ctxData] of this.activeContexts) {
-        if (ctx.state !== 'closed' && ctxData.pipeline) {
+        if (!isDroppableContext(ctx) && ctxData.pipeline) {
           ctxData.pipeline.processors = [];
           ctxData.pipeline.timestamp = Date.now();
         }
       }
 
       // Emit empty connections (clears UI)
-      this.emit(EVENTS.DATA, {
-        type: DATA_TYPES.AUDIO_CONNECTION,
-        timestamp: Date.now(),
-        allConnections: []
-      });
+      this.emit(EVENTS.DATA, this._buildConnectionPayload());
 
       // Re-emit contexts with empty processors (updates UI)
       for (const [ctx, ctxData] of this.activeContexts) {
-        if (ctx.state !== 'closed') {
+        if (!isDroppableContext(ctx)) {
           this.emit(EVENTS.DATA, ctxData);
         }
       }
@@ -1736,12 +2404,31 @@ class AudioContextCollector extends BaseCollector {
     }
     this.connectionsDirty = false;
 
+    // Clear pending automation emit timer
+    if (this.automationEmitTimer !== null) {
+      clearTimeout(this.automationEmitTimer);
+      this.automationEmitTimer = null;
+    }
+    if (this.portTrafficEmitTimer !== null) {
+      clearTimeout(this.portTrafficEmitTimer);
+      this.portTrafficEmitTimer = null;
+    }
+    if (this.encoderOutputEmitTimer !== null) {
+      clearTimeout(this.encoderOutputEmitTimer);
+      this.encoderOutputEmitTimer = null;
+    }
+
     // Clear pending context emit timers
     for (const timer of this.contextEmitTimers.values()) {
       clearTimeout(timer);
     }
     this.contextEmitTimers.clear();
 
+    // Stop render monitors (restarted for live contexts on next start)
+    for (const ctx of [...this.renderMonitors.keys()]) {
+      this._stopRenderMonitor(ctx);
+    }
+
     // Clear all global handlers to prevent stale data and memory leaks
     // This is critical - without this, EarlyHook continues to detect and store encoder info
     // even when inspector is stopped, causing stale data on restart
@@ -1750,13 +2437,25 @@ class AudioContextCollector extends BaseCollector {
     // @ts-ignore
     window.__detectedEncoderHandler = null;
     // @ts-ignore
+    window.__audioBlobSniffHandler = null;
+    // @ts-ignore
     window.__audioWorkletNodeHandler = null;
     // @ts-ignore
     window.__newRecordingSessionHandler = null;
     // @ts-ignore - Connection handler: null so new connections go to earlyCaptures only
     window.__audioConnectionHandler = null;
+    // @ts-ignore - AudioParam automation handler
+    window.__audioParamAutomationHandler = null;
     // @ts-ignore - AnalyserNode usage handler
     window.__analyserUsageHandler = null;
+    // @ts-ignore - OfflineAudioContext render handler
+    window.__offlineRenderingHandler = null;
+    // @ts-ignore - AudioWorklet port traffic handler
+    window.__audioWorkletPortTrafficHandler = null;
+    // @ts-ignore - Encoder Worker output handler
+    window.__encoderOutputHandler = null;
+    // @ts-ignore - WebAssembly module fingerprint handler
+    window.__wasmModuleHandler = null;
     logger.info(this.logPrefix, 'Cleared all handlers on stop');
 
     // Clear stale WASM encoder detection
@@ -1783,7 +2482,7 @@ class AudioContextCollector extends BaseCollector {
     // Only clean up closed contexts to prevent memory leak
     // Keep metadata for running contexts (preserves pipeline info)
     for (const [ctx] of this.activeContexts.entries()) {
-      if (ctx.state === 'closed') {
+      if (isDroppableContext(ctx)) {
         this.activeContexts.delete(ctx);
       }
     }
@@ -168,6 +168,18 @@ class BaseCollector {
     // Subclasses that maintain encoder/pipeline state should override
   }
 
+  /**
+   * Apply extension settings (options page)
+   * Called by PageInspector when APPLY_SETTINGS message is received.
+   * Settings persist across stop/start - collectors keep the last values.
+   *
+   * @param {{levelMeter?: boolean, loudness?: Object}} settings
+   */
+  applySettings(settings) {
+    // Default: no-op
+    // Subclasses with opt-in features should override
+  }
+
   /**
    * Register a global handler on window object for early hook communication.
    * EarlyHook.js captures instances before collectors are ready - this handler
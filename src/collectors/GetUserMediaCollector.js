@@ -2,12 +2,25 @@
 
 import { logger } from '../core/Logger.js';
 import BaseCollector from './BaseCollector.js';
-import { EVENTS, DATA_TYPES, streamRegistry } from '../core/constants.js';
+import { EVENTS, DATA_TYPES, streamRegistry, MAX_CONSTRAINT_CALLS } from '../core/constants.js';
 import { hookAsyncMethod } from '../core/utils/ApiHook.js';
+import { getInstanceRegistry } from '../core/utils/EarlyHook.js';
+import { createLevelMeter, isLevelMeterSupported } from './utils/level-meter.js';
+
+/**
+ * Max track events kept per stream (timeline in GUM card)
+ */
+const MAX_TRACK_EVENTS = 50;
 
 /**
  * Collects getUserMedia stats (microphone constraints, settings, capabilities).
  * Hooks into navigator.mediaDevices.getUserMedia.
+ * Also follows the audio track lifecycle: mute/unmute/ended, devicechange
+ * and applyConstraints (new settings snapshot) - emitted as metadata.events.
+ * applyConstraints calls come from early-inject.js / EarlyHook.js hooks
+ * (requested vs resulting getSettings(), rejects included) - metadata.constraintCalls.
+ * Opt-in level meter (levelMeter setting): RMS/peak dBFS, clipping and silence of the
+ * captured signal via a cloned track - metadata.level.
  */
 class GetUserMediaCollector extends BaseCollector {
   constructor(options = {}) {
@@ -15,6 +28,39 @@ class GetUserMediaCollector extends BaseCollector {
 
     /** @type {Map<string, Object>} */
     this.activeStreams = new Map();
+
+    /**
+     * Audio track → stream id (applyConstraints hook'unda track'ten stream'e ulaşmak için)
+     * @type {WeakMap<MediaStreamTrack, string>}
+     */
+    this.trackStreamIds = new WeakMap();
+
+    /**
+     * applyConstraints records already applied (early captures re-read on every start)
+     * @type {WeakSet<Object>}
+     */
+    this.processedConstraintCalls = new WeakSet();
+
+    /**
+     * Stream id → live audio track (level meter starts/stops on setting change)
+     * @type {Map<string, MediaStreamTrack>}
+     */
+    this.streamTracks = new Map();
+
+    /**
+     * Stream id → running level meter
+     * @type {Map<string, {stop: () => void}>}
+     */
+    this.levelMeters = new Map();
+
+    /** Opt-in - set via applySettings() (levelMeter storage setting) */
+    this.levelMeterEnabled = false;
+
+    /**
+     * navigator.mediaDevices devicechange listener (added on start, removed on stop)
+     * @type {(() => void)|null}
+     */
+    this.deviceChangeHandler = null;
   }
 
   /**
@@ -51,6 +97,222 @@ class GetUserMediaCollector extends BaseCollector {
       },
       () => true  // Always hook, emit() will check active flag
     );
+
+    // Constraint changes mid-call (e.g., app toggles echoCancellation) → new settings snapshot
+    // Hook: early-inject.js (or EarlyHook.js fallback) MediaStreamTrack.applyConstraints
+    this.registerGlobalHandler('__applyConstraintsHandler', (record) => {
+      this._handleConstraintCall(record);
+    });
+
+    // Device plug/unplug (headset çıkarıldı vb.)
+    this.deviceChangeHandler = () => {
+      this._handleDeviceChange().catch(err => {
+        logger.error(this.logPrefix, `Error handling devicechange:`, err);
+      });
+    };
+  }
+
+  /**
+   * Snapshot track settings (called on capture and after applyConstraints)
+   * @param {MediaStreamTrack} audioTrack
+   * @param {MediaTrackSettings} [settings] - Already captured getSettings() (hook record)
+   * @returns {Object}
+   */
+  _snapshotSettings(audioTrack, settings = audioTrack.getSettings()) {
+    return {
+      // Core audio properties
+      sampleRate: settings.sampleRate,
+      sampleSize: settings.sampleSize,
+      channelCount: settings.channelCount,
+      latency: /** @type {any} */ (settings).latency,
+
+      // Enhancements
+      echoCancellation: settings.echoCancellation,
+      autoGainControl: settings.autoGainControl,
+      noiseSuppression: settings.noiseSuppression,
+      voiceIsolation: /** @type {any} */ (settings).voiceIsolation,
+
+      // Device info
+      deviceId: settings.deviceId,
+      groupId: settings.groupId,
+      label: audioTrack.label
+    };
+  }
+
+  /**
+   * Current track state (readyState/muted/enabled)
+   * @param {MediaStreamTrack} audioTrack
+   * @returns {{readyState: string, muted: boolean, enabled: boolean}}
+   */
+  _snapshotTrackState(audioTrack) {
+    return {
+      readyState: audioTrack.readyState,
+      muted: audioTrack.muted,
+      enabled: audioTrack.enabled
+    };
+  }
+
+  /**
+   * Append a timeline event to a stream and emit updated metadata
+   * @param {string} streamId
+   * @param {string} type - 'started' | 'mute' | 'unmute' | 'ended' | 'devicechange' | 'constraints'
+   * @param {string|null} [detail]
+   * @param {MediaStreamTrack} [audioTrack] - Refreshes trackState when given
+   */
+  _recordTrackEvent(streamId, type, detail = null, audioTrack) {
+    const metadata = /** @type {any} */ (this.activeStreams.get(streamId));
+    if (!metadata) return;
+
+    const now = Date.now();
+    metadata.events.push({ timestamp: now, type, detail });
+    if (metadata.events.length > MAX_TRACK_EVENTS) {
+      metadata.events.splice(0, metadata.events.length - MAX_TRACK_EVENTS);
+    }
+    if (audioTrack) {
+      metadata.trackState = this._snapshotTrackState(audioTrack);
+    }
+    metadata.timestamp = now;
+
+    this.emit(EVENTS.DATA, metadata);
+    logger.info(this.logPrefix, `Track event: ${type}${detail ? ` (${detail})` : ''} [stream ${streamId}]`);
+  }
+
+  /**
+   * applyConstraints settled - store requested vs applied, re-snapshot settings
+   * Rejected calls leave settings (and previously requested constraints) untouched.
+   * Track is held weakly by the record (trackRef) - a collected track has no stream left to update.
+   * @param {{trackRef: WeakRef<MediaStreamTrack>, trackId: string, requested: MediaTrackConstraints|null, settings: MediaTrackSettings, rejected: boolean, error: string|null, timestamp: number}} record
+   */
+  _handleConstraintCall(record) {
+    const track = record?.trackRef?.deref();
+    if (!track || this.processedConstraintCalls.has(record)) return;
+
+    const streamId = this.trackStreamIds.get(track);
+    const metadata = /** @type {any} */ (streamId ? this.activeStreams.get(streamId) : null);
+    if (!streamId || !metadata) return;
+    this.processedConstraintCalls.add(record);
+
+    const previous = metadata.settings;
+    const next = /** @type {Record<string, any>} */ (this._snapshotSettings(track, record.settings));
+    const changed = Object.keys(next).filter(key => next[key] !== previous[key]);
+
+    metadata.constraintCalls.push({
+      timestamp: record.timestamp,
+      requested: record.requested,
+      applied: {
+        echoCancellation: next.echoCancellation,
+        autoGainControl: next.autoGainControl,
+        noiseSuppression: next.noiseSuppression,
+        voiceIsolation: next.voiceIsolation
+      },
+      rejected: record.rejected,
+      error: record.error
+    });
+    if (metadata.constraintCalls.length > MAX_CONSTRAINT_CALLS) {
+      metadata.constraintCalls.splice(0, metadata.constraintCalls.length - MAX_CONSTRAINT_CALLS);
+    }
+
+    metadata.settings = next;
+    // applyConstraints yeni constraint set'i ile öncekini tamamen değiştirir (reject hariç)
+    if (!record.rejected) {
+      metadata.requested = record.requested ?? {};
+    }
+
+    let detail;
+    if (record.rejected) {
+      detail = `rejected - ${record.error}`;
+    } else {
+      detail = changed.length > 0
+        ? changed.map(key => `${key}: ${previous[key]} → ${next[key]}`).join(', ')
+        : 'no effective change';
+    }
+    this._recordTrackEvent(streamId, 'constraints', detail, track);
+  }
+
+  /**
+   * devicechange - record on every live stream, flag if its input device disappeared
+   * @returns {Promise<void>}
+   */
+  async _handleDeviceChange() {
+    if (this.activeStreams.size === 0) return;
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const inputs = devices.filter(d => d.kind === 'audioinput');
+    const inputIds = new Set(inputs.map(d => d.deviceId));
+
+    for (const [streamId, metadata] of this.activeStreams.entries()) {
+      const deviceId = /** @type {any} */ (metadata).settings?.deviceId;
+      // Label'lar izin yoksa boş gelir - deviceId karşılaştırması yine çalışır
+      const missing = deviceId && !inputIds.has(deviceId);
+      const detail = `${inputs.length} input(s)${missing ? ' - active device removed' : ''}`;
+      this._recordTrackEvent(streamId, 'devicechange', detail);
+    }
+  }
+
+  /**
+   * Apply extension settings (PageInspector APPLY_SETTINGS)
+   * @override
+   * @param {{levelMeter?: boolean}} settings
+   */
+  applySettings(settings) {
+    const enabled = !!settings?.levelMeter;
+    if (enabled === this.levelMeterEnabled) return;
+    this.levelMeterEnabled = enabled;
+
+    if (enabled && !isLevelMeterSupported()) {
+      logger.warn(this.logPrefix, 'Level meter needs MediaStreamTrackProcessor - not available');
+    }
+
+    if (!this.active) return;
+    if (enabled) {
+      this.streamTracks.forEach((audioTrack, streamId) => this._startLevelMeter(streamId));
+    } else {
+      this._stopLevelMeters(true);
+    }
+  }
+
+  /**
+   * Start metering a stream's track (no-op if disabled, unsupported or already running)
+   * @param {string} streamId
+   */
+  _startLevelMeter(streamId) {
+    const audioTrack = this.streamTracks.get(streamId);
+    if (!this.levelMeterEnabled || !isLevelMeterSupported() || this.levelMeters.has(streamId)) return;
+    if (!audioTrack || audioTrack.readyState !== 'live') return;
+
+    const meter = createLevelMeter(audioTrack, (stats) => {
+      const metadata = /** @type {any} */ (this.activeStreams.get(streamId));
+      if (!metadata) return;
+      metadata.level = stats;
+      this.emit(EVENTS.DATA, metadata);
+    });
+    this.levelMeters.set(streamId, meter);
+    logger.info(this.logPrefix, `Level meter started [stream ${streamId}]`);
+  }
+
+  /**
+   * @param {string} streamId
+   */
+  _stopLevelMeter(streamId) {
+    const meter = this.levelMeters.get(streamId);
+    if (!meter) return;
+    meter.stop();
+    this.levelMeters.delete(streamId);
+  }
+
+  /**
+   * Stop all meters
+   * @param {boolean} clearLevels - Drop metadata.level (setting turned off) and emit
+   */
+  _stopLevelMeters(clearLevels) {
+    for (const streamId of [...this.levelMeters.keys()]) {
+      this._stopLevelMeter(streamId);
+      const metadata = /** @type {any} */ (this.activeStreams.get(streamId));
+      if (clearLevels && metadata?.level) {
+        metadata.level = null;
+        this.emit(EVENTS.DATA, metadata);
+      }
+    }
   }
 
   /**
@@ -62,48 +324,60 @@ class GetUserMediaCollector extends BaseCollector {
     const audioTrack = stream.getAudioTracks()[0];
 
     if (audioTrack) {
-      const settings = audioTrack.getSettings();
+      // Aynı stream hem global handler hem hook'tan gelebilir - listener'ları bir kez ekle
+      const alreadyTracked = this.trackStreamIds.has(audioTrack);
       const capabilities = audioTrack.getCapabilities ? audioTrack.getCapabilities() : {};
+      const now = Date.now();
 
       const metadata = {
         type: DATA_TYPES.USER_MEDIA,
-        timestamp: Date.now(),
+        timestamp: now,
         // Platform will be added by a separate detector or enriched later?
         // For now, collectors just collect raw data.
         requested: constraints.audio,
-        settings: {
-          // Core audio properties
-          sampleRate: settings.sampleRate,
-          sampleSize: settings.sampleSize,
-          channelCount: settings.channelCount,
-          latency: /** @type {any} */ (settings).latency,
-
-          // Enhancements
-          echoCancellation: settings.echoCancellation,
-          autoGainControl: settings.autoGainControl,
-          noiseSuppression: settings.noiseSuppression,
-          voiceIsolation: settings.voiceIsolation,
-
-          // Device info
-          deviceId: settings.deviceId,
-          groupId: settings.groupId,
-          label: audioTrack.label
-        },
-        capabilities: capabilities
+        settings: this._snapshotSettings(audioTrack),
+        capabilities: capabilities,
+        streamId: stream.id,
+        trackState: this._snapshotTrackState(audioTrack),
+        // Level meter stats (opt-in) - keep last values if stream is re-processed
+        level: /** @type {any} */ (this.activeStreams.get(stream.id))?.level || null,
+        // applyConstraints history (requested vs applied DSP flags)
+        constraintCalls: /** @type {any} */ (this.activeStreams.get(stream.id))?.constraintCalls || [],
+        // Timeline (GUM card) - keep earlier events if stream is re-processed
+        events: /** @type {any} */ (this.activeStreams.get(stream.id))?.events
+          || [{ timestamp: now, type: 'started', detail: audioTrack.label || null }]
       };
 
       // Stream'i mikrofon registry'sine kaydet (AudioContextCollector tarafından sorgulanacak)
       streamRegistry.microphone.add(stream.id);
+      this.trackStreamIds.set(audioTrack, stream.id);
+      this.streamTracks.set(stream.id, audioTrack);
 
-      // Track ended olduğunda registry'den temizle (memory leak önleme)
-      audioTrack.addEventListener('ended', () => {
-        streamRegistry.microphone.delete(stream.id);
-        this.activeStreams.delete(stream.id);
-        logger.info(this.logPrefix, `Audio track ended, stream ${stream.id} removed from registry`);
-      });
+      if (!alreadyTracked) {
+        audioTrack.addEventListener('mute', () => {
+          this._recordTrackEvent(stream.id, 'mute', null, audioTrack);
+        });
+        audioTrack.addEventListener('unmute', () => {
+          this._recordTrackEvent(stream.id, 'unmute', null, audioTrack);
+        });
+
+        // Track ended olduğunda registry'den temizle (memory leak önleme)
+        // Son "ended" event'i emit edildikten sonra silinir - UI'da görünsün
+        audioTrack.addEventListener('ended', () => {
+          this._recordTrackEvent(stream.id, 'ended', null, audioTrack);
+          streamRegistry.microphone.delete(stream.id);
+          this._stopLevelMeter(stream.id);
+          this.streamTracks.delete(stream.id);
+          this.activeStreams.delete(stream.id);
+          logger.info(this.logPrefix, `Audio track ended, stream ${stream.id} removed from registry`);
+        });
+      }
 
       this.activeStreams.set(stream.id, metadata);
       this.emit(EVENTS.DATA, metadata);
+      if (this.active) {
+        this._startLevelMeter(stream.id);
+      }
 
       logger.info(this.logPrefix, `Audio track detected (stream ${stream.id} registered as microphone):`, metadata);
     }
@@ -147,6 +421,14 @@ class GetUserMediaCollector extends BaseCollector {
       // hala aktif stream'leri tekrar işleyebilmek için tutuyoruz
     }
 
+    // applyConstraints calls made before page.js loaded (stream'ler yukarıda kaydedildi)
+    // early-inject.js path → window.__earlyCaptures, fallback → EarlyHook registry
+    // @ts-ignore
+    const constraintCalls = window.__earlyCaptures?.constraintCalls ?? getInstanceRegistry().constraintCalls;
+    if (constraintCalls?.length) {
+      constraintCalls.forEach((/** @type {any} */ record) => this._handleConstraintCall(record));
+    }
+
     return processedCount;
   }
 
@@ -165,6 +447,13 @@ class GetUserMediaCollector extends BaseCollector {
       logger.info(this.logPrefix, `📤 Emitting ${this.activeStreams.size} existing stream(s)`);
       this.reEmit();
     }
+
+    // Level meter only runs while inspecting (mikrofon clone'u boşuna açık kalmasın)
+    this.streamTracks.forEach((audioTrack, streamId) => this._startLevelMeter(streamId));
+
+    if (this.deviceChangeHandler) {
+      navigator.mediaDevices.addEventListener('devicechange', this.deviceChangeHandler);
+    }
   }
 
   /**
@@ -198,6 +487,13 @@ class GetUserMediaCollector extends BaseCollector {
     // We don't restore getUserMedia because other extensions might have hooked it too,
     // and restoring it might break them or the chain.
 
+    // Meter'ları durdur - son değerler metadata.level'da kalır (restart'ta devam eder)
+    this._stopLevelMeters(false);
+
+    if (this.deviceChangeHandler) {
+      navigator.mediaDevices.removeEventListener('devicechange', this.deviceChangeHandler);
+    }
+
     // activeStreams'i temizlemiyoruz - inspector tekrar başlatıldığında
     // hala aktif stream'leri tekrar emit edebilmek için tutuyoruz
     // Sadece ended olan stream'leri temizleyelim
@@ -209,6 +505,7 @@ class GetUserMediaCollector extends BaseCollector {
         const audioTrack = capture.stream.getAudioTracks()[0];
         if (!audioTrack || audioTrack.readyState !== 'live') {
           this.activeStreams.delete(streamId);
+          this.streamTracks.delete(streamId);
           streamRegistry.microphone.delete(streamId);
         }
       }
@@ -0,0 +1,277 @@
+// @ts-check
+
+import { logger } from '../core/Logger.js';
+import BaseCollector from './BaseCollector.js';
+import { EVENTS, DATA_TYPES } from '../core/constants.js';
+import { getNodeById, createInternalNode } from '../core/utils/EarlyHook.js';
+import { createLoudnessMeter } from './utils/loudness-meter.js';
+
+/**
+ * Analyser read interval - must stay below TAP_FFT_SIZE / sampleRate (~680 ms at 48 kHz)
+ */
+const TAP_POLL_INTERVAL_MS = 100;
+
+/**
+ * Emit interval (storage write rate)
+ */
+const TAP_EMIT_INTERVAL_MS = 1000;
+
+/**
+ * Largest AnalyserNode buffer - longest gap between polls that loses no audio
+ */
+const TAP_FFT_SIZE = 32768;
+
+/**
+ * L/R - mono sources land in channel 0, channel 1 stays silent (BS.1770 mono)
+ */
+const TAP_CHANNELS = 2;
+
+/**
+ * @typedef {Object} LoudnessTapTarget
+ * @property {string} contextId - AudioContext id (ctx_N)
+ * @property {string} nodeId - Encoder input node (deriveEncodingOutput nodeId)
+ * @property {string[]} sourceIds - Nodes connected into nodeId (tapped)
+ * @property {string} [strategyName] - encoding-location.js strategy
+ */
+
+/**
+ * Loudness (ITU-R BS.1770) + true peak of the signal going into the encoder.
+ * Opt-in (options page → loudnessSettings). background.js picks the target with
+ * deriveEncodingTarget() and sends the nodes feeding it (loudnessTapTarget storage
+ * → content.js APPLY_SETTINGS). Those nodes get an extra fan-out connection into
+ * an inspector-owned ChannelSplitter → AnalyserNode pair; the page's own routing
+ * is unchanged and the tap nodes are hidden from the graph hooks (createInternalNode).
+ */
+class LoudnessCollector extends BaseCollector {
+  constructor(options = {}) {
+    super('loudness', options);
+
+    /** @type {{enabled: boolean, targetLufs: number}} */
+    this.settings = { enabled: false, targetLufs: -16 };
+
+    /** @type {LoudnessTapTarget|null} */
+    this.target = null;
+
+    /** @type {any} Active tap (nodes, meter, timers) */
+    this.tap = null;
+
+    /** @type {Object|null} Last emitted payload (reEmit) */
+    this.lastPayload = null;
+  }
+
+  /**
+   * Initialize collector - nothing to hook, tap is created on demand
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (typeof AnalyserNode === 'undefined' || typeof ChannelSplitterNode === 'undefined') {
+      logger.warn(this.logPrefix, 'AnalyserNode/ChannelSplitterNode not available - loudness analysis disabled');
+    }
+  }
+
+  /**
+   * Apply extension settings (PageInspector APPLY_SETTINGS)
+   * @override
+   * @param {{loudness?: {enabled?: boolean, targetLufs?: number, target?: LoudnessTapTarget|null}}} settings
+   */
+  applySettings(settings) {
+    const loudness = settings?.loudness || {};
+    this.settings = {
+      enabled: !!loudness.enabled,
+      targetLufs: Number.isFinite(loudness.targetLufs) ? /** @type {number} */ (loudness.targetLufs) : -16
+    };
+    this.target = loudness.target || null;
+    this._syncTap();
+  }
+
+  /**
+   * @override
+   * @protected
+   * @param {number} processedCount
+   * @returns {Promise<void>}
+   */
+  async _onStartComplete(processedCount) {
+    this._syncTap();
+  }
+
+  /**
+   * New recording → integrated loudness starts over (same tap)
+   * @override
+   * @param {'hard' | 'soft' | 'none'} resetType
+   * @param {number} sessionId
+   */
+  resetSession(resetType, sessionId) {
+    if (resetType === 'none' || !this.tap) return;
+    this.tap.meter.reset();
+    this.tap.gapMs = 0;
+    logger.info(this.logPrefix, `Loudness reset (${resetType} reset, session #${sessionId})`);
+  }
+
+  /**
+   * Start/stop/retarget the tap to match settings + target
+   */
+  _syncTap() {
+    const target = this.target;
+    const wanted = this.active && this.settings.enabled && !!target?.nodeId && (target?.sourceIds?.length ?? 0) > 0;
+    const key = wanted && target ? `${target.contextId}:${target.nodeId}:${target.sourceIds.join(',')}` : null;
+
+    if (this.tap && this.tap.key === key) {
+      this.tap.targetLufs = this.settings.targetLufs;
+      return;
+    }
+    this._stopTap();
+    if (key && target) {
+      this._startTap(target, key);
+    }
+  }
+
+  /**
+   * Connect target sources → splitter → analysers and start polling
+   * @param {LoudnessTapTarget} target
+   * @param {string} key
+   */
+  _startTap(target, key) {
+    if (typeof AnalyserNode === 'undefined' || typeof ChannelSplitterNode === 'undefined') return;
+
+    const sources = target.sourceIds
+      .map(id => getNodeById(id))
+      .filter(node => node && node.numberOfOutputs > 0 && node.context?.state !== 'closed');
+    if (sources.length === 0) {
+      logger.warn(this.logPrefix, `Tap target ${target.nodeId} has no live source nodes (${target.sourceIds.join(', ')})`);
+      return;
+    }
+
+    const ctx = /** @type {BaseAudioContext} */ (sources[0].context);
+    // Internal olarak oluştur - constructor ve connect() hook'ları kaydetmesin
+    const splitter = createInternalNode(() => new ChannelSplitterNode(ctx, { numberOfOutputs: TAP_CHANNELS }));
+    const analysers = Array.from({ length: TAP_CHANNELS }, () =>
+      createInternalNode(() => new AnalyserNode(ctx, { fftSize: TAP_FFT_SIZE }))
+    );
+
+    const tappedSources = sources.filter(source => {
+      try {
+        source.connect(splitter);
+        return true;
+      } catch (err) {
+        logger.warn(this.logPrefix, `Could not tap source node:`, err);
+        return false;
+      }
+    });
+    analysers.forEach((analyser, channel) => splitter.connect(analyser, channel));
+
+    this.tap = {
+      key,
+      target,
+      ctx,
+      sources: tappedSources,
+      splitter,
+      analysers,
+      buffers: analysers.map(() => new Float32Array(TAP_FFT_SIZE)),
+      meter: createLoudnessMeter(ctx.sampleRate, TAP_CHANNELS),
+      lastTime: ctx.currentTime,
+      gapMs: 0,
+      targetLufs: this.settings.targetLufs,
+      pollTimer: setInterval(() => this._pollTap(), TAP_POLL_INTERVAL_MS),
+      emitTimer: setInterval(() => this._emitStats(), TAP_EMIT_INTERVAL_MS)
+    };
+
+    logger.info(this.logPrefix, `Loudness tap started on ${target.nodeId} (${tappedSources.length} source(s), ${target.contextId})`);
+  }
+
+  /**
+   * Read the samples rendered since the last poll
+   * ctx.currentTime tells how many frames are new; older frames are still in the
+   * analyser window as long as polls are < TAP_FFT_SIZE frames apart.
+   */
+  _pollTap() {
+    const tap = this.tap;
+    if (!tap) return;
+    if (tap.ctx.state === 'closed') {
+      logger.info(this.logPrefix, `Tap context closed - stopping loudness tap`);
+      this._stopTap();
+      return;
+    }
+
+    const now = tap.ctx.currentTime;
+    let frames = Math.round((now - tap.lastTime) * tap.ctx.sampleRate);
+    tap.lastTime = now;
+    if (frames <= 0) return;  // suspended context
+
+    // Background tab timer throttling → window aşıldı, aradaki ses kayıp
+    if (frames > TAP_FFT_SIZE) {
+      tap.gapMs += ((frames - TAP_FFT_SIZE) / tap.ctx.sampleRate) * 1000;
+      frames = TAP_FFT_SIZE;
+    }
+
+    const blocks = tap.analysers.map((/** @type {AnalyserNode} */ analyser, /** @type {number} */ channel) => {
+      const buffer = tap.buffers[channel];
+      analyser.getFloatTimeDomainData(buffer);
+      return buffer.subarray(TAP_FFT_SIZE - frames);
+    });
+    tap.meter.process(blocks);
+  }
+
+  _emitStats() {
+    const tap = this.tap;
+    if (!tap) return;
+
+    const payload = {
+      type: DATA_TYPES.LOUDNESS,
+      timestamp: Date.now(),
+      contextId: tap.target.contextId,
+      nodeId: tap.target.nodeId,
+      sourceIds: tap.target.sourceIds,
+      strategyName: tap.target.strategyName || null,
+      sampleRate: tap.ctx.sampleRate,
+      targetLufs: tap.targetLufs,
+      gapMs: Math.round(tap.gapMs),
+      ...tap.meter.getStats()
+    };
+    this.lastPayload = payload;
+    this.emit(EVENTS.DATA, payload);
+  }
+
+  /**
+   * Remove the fan-out connections and stop timers (last stats stay in lastPayload)
+   */
+  _stopTap() {
+    const tap = this.tap;
+    if (!tap) return;
+    this.tap = null;
+
+    clearInterval(tap.pollTimer);
+    clearInterval(tap.emitTimer);
+    tap.sources.forEach((/** @type {AudioNode} */ source) => {
+      try {
+        source.disconnect(tap.splitter);
+      } catch {
+        // Already disconnected (node torn down by the page)
+      }
+    });
+    tap.splitter.disconnect();
+    logger.info(this.logPrefix, `Loudness tap stopped (${tap.target.nodeId})`);
+  }
+
+  /**
+   * @override
+   * @protected
+   * @returns {number}
+   */
+  _reEmitActiveItems() {
+    if (!this.lastPayload) return 0;
+    this.emit(EVENTS.DATA, this.lastPayload);
+    return 1;
+  }
+
+  /**
+   * Stop collecting - tap removed, settings/target kept for re-start
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.active = false;
+    this._stopTap();
+    logger.info(this.logPrefix, 'Stopped');
+  }
+}
+
+export default LoudnessCollector;
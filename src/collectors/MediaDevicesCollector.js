@@ -0,0 +1,248 @@
+// @ts-check
+
+import { logger } from '../core/Logger.js';
+import BaseCollector from './BaseCollector.js';
+import { EVENTS, DATA_TYPES, MAX_SINK_CALLS } from '../core/constants.js';
+import { getInstanceRegistry } from '../core/utils/EarlyHook.js';
+
+/**
+ * Collects physical device info for the call.
+ * - navigator.mediaDevices.enumerateDevices() → audio input/output labels
+ *   (labels are empty until the page has mic permission)
+ * - setSinkId calls on HTMLMediaElement / AudioContext → selected output device
+ *   (hook: early-inject.js or EarlyHook.js fallback, via __setSinkIdHandler)
+ * UI correlates GUM settings.deviceId/groupId and sinkId with these labels.
+ */
+class MediaDevicesCollector extends BaseCollector {
+  constructor(options = {}) {
+    super('media-devices', options);
+
+    /** @type {{labelsAvailable: boolean, inputs: Array<Object>, outputs: Array<Object>}} */
+    this.devices = { labelsAvailable: false, inputs: [], outputs: [] };
+
+    /** @type {Array<Object>} */
+    this.sinkCalls = [];
+
+    /**
+     * setSinkId records already applied (early captures re-read on every start)
+     * @type {WeakSet<Object>}
+     */
+    this.processedSinkCalls = new WeakSet();
+
+    /**
+     * AudioContexts that called setSinkId (current sinkId okunur) - weak, cleared on stop
+     * @type {Set<WeakRef<any>>}
+     */
+    this.sinkContexts = new Set();
+
+    /**
+     * navigator.mediaDevices devicechange listener (added on start, removed on stop)
+     * @type {(() => void)|null}
+     */
+    this.deviceChangeHandler = null;
+  }
+
+  /**
+   * Initialize collector - setSinkId handler + devicechange listener
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      logger.warn(this.logPrefix, `navigator.mediaDevices.enumerateDevices not available`);
+      return;
+    }
+
+    // Output device selection - hook: early-inject.js (or EarlyHook.js fallback) setSinkId
+    this.registerGlobalHandler('__setSinkIdHandler', (record) => {
+      if (this._recordSinkCall(record)) {
+        this._emitDevices();
+      }
+    });
+
+    // Headset takıldı/çıkarıldı → label listesini yenile
+    this.deviceChangeHandler = () => {
+      this._refreshDevices().catch(err => {
+        logger.error(this.logPrefix, `Error handling devicechange:`, err);
+      });
+    };
+  }
+
+  /**
+   * Process setSinkId calls made before the collector started, then enumerate devices
+   * @override
+   * @protected
+   * @returns {Promise<number>}
+   */
+  async _processEarlyInstances() {
+    // @ts-ignore - early-inject.js creates this
+    const earlyCalls = window.__earlyCaptures?.sinkCalls ?? getInstanceRegistry().sinkCalls;
+
+    let processed = 0;
+    for (const record of earlyCalls) {
+      if (this._recordSinkCall(record)) processed++;
+    }
+
+    await this._refreshDevices();
+    return processed;
+  }
+
+  /**
+   * Hook: Post-start actions - listen for device plug/unplug while inspecting
+   * @protected
+   * @override
+   * @param {number} processedCount
+   * @returns {Promise<void>}
+   */
+  async _onStartComplete(processedCount) {
+    if (this.deviceChangeHandler) {
+      navigator.mediaDevices.addEventListener('devicechange', this.deviceChangeHandler);
+    }
+  }
+
+  /**
+   * Store a setSinkId call (serializable form) - target stays weak (record.targetRef / sinkContexts)
+   * @param {any} record - SinkCallRecord from early-inject.js / EarlyHook.js
+   * @returns {boolean} true if the record was new
+   */
+  _recordSinkCall(record) {
+    if (!record || this.processedSinkCalls.has(record)) return false;
+    this.processedSinkCalls.add(record);
+
+    // Weak in the record - collected target → no contextId / element description
+    const target = record.targetRef?.deref() || null;
+    const isContext = record.kind === 'audio-context';
+    if (isContext && target) {
+      this.sinkContexts.add(record.targetRef);
+    }
+
+    // Cap array (FIFO - oldest removed first)
+    if (this.sinkCalls.length >= MAX_SINK_CALLS) {
+      this.sinkCalls.shift();
+    }
+    this.sinkCalls.push({
+      kind: record.kind,
+      contextId: isContext ? this._getContextId(target) : null,
+      element: isContext ? null : this._describeElement(target),
+      sinkId: this._normalizeSinkId(record.sinkId),
+      rejected: !!record.rejected,
+      error: record.error || null,
+      timestamp: record.timestamp
+    });
+
+    logger.info(this.logPrefix, `setSinkId (${record.kind}) ${record.rejected ? 'rejected' : 'applied'}`);
+    return true;
+  }
+
+  /**
+   * Re-read enumerateDevices() and emit
+   * @returns {Promise<void>}
+   */
+  async _refreshDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    /** @param {MediaDeviceInfo} d */
+    const toEntry = (d) => ({ deviceId: d.deviceId, groupId: d.groupId, label: d.label });
+
+    this.devices = {
+      labelsAvailable: devices.some(d => !!d.label),
+      inputs: devices.filter(d => d.kind === 'audioinput').map(toEntry),
+      outputs: devices.filter(d => d.kind === 'audiooutput').map(toEntry)
+    };
+
+    this._emitDevices();
+  }
+
+  /**
+   * Current sinkId of known AudioContexts (AudioContext({ sinkId }) dahil)
+   * @returns {Array<{contextId: string, sinkId: string|{type: string}}>}
+   */
+  _collectContextSinks() {
+    const contexts = new Set();
+    this.sinkContexts.forEach(ref => {
+      const ctx = ref.deref();
+      if (ctx) contexts.add(ctx);
+      else this.sinkContexts.delete(ref);
+    });
+    getInstanceRegistry().audioContexts.forEach(entry => contexts.add(entry.instance));
+    // @ts-ignore - early-inject.js creates this
+    (window.__earlyCaptures?.audioContexts || []).forEach((/** @type {any} */ entry) => contexts.add(entry.instance));
+
+    /** @type {Array<{contextId: string, sinkId: string|{type: string}}>} */
+    const sinks = [];
+    contexts.forEach(ctx => {
+      // sinkId desteklenmiyorsa (Firefox/Safari) atla
+      if (!ctx || !('sinkId' in ctx) || ctx.state === 'closed') return;
+      const contextId = this._getContextId(ctx);
+      if (!contextId) return;
+      sinks.push({ contextId, sinkId: this._normalizeSinkId(ctx.sinkId) });
+    });
+    return sinks;
+  }
+
+  /**
+   * Context id shared with AudioContextCollector (window.__audioInspectorContextIdMap)
+   * @param {any} ctx
+   * @returns {string|null}
+   */
+  _getContextId(ctx) {
+    // @ts-ignore - early-inject.js / AudioContextCollector creates this
+    return (ctx && window.__audioInspectorContextIdMap?.get(ctx)) || null;
+  }
+
+  /**
+   * Short element description for the UI (e.g. 'audio#remote')
+   * @param {any} element
+   * @returns {string|null}
+   */
+  _describeElement(element) {
+    if (!element?.tagName) return null;
+    const id = element.id ? `#${element.id}` : '';
+    return `${element.tagName.toLowerCase()}${id}`;
+  }
+
+  /**
+   * sinkId: device id string ('' = default) or AudioSinkInfo/AudioSinkOptions { type: 'none' }
+   * @param {any} sinkId
+   * @returns {string|{type: string}}
+   */
+  _normalizeSinkId(sinkId) {
+    if (sinkId && typeof sinkId === 'object') {
+      return { type: String(sinkId.type) };
+    }
+    return typeof sinkId === 'string' ? sinkId : '';
+  }
+
+  _emitDevices() {
+    this.emit(EVENTS.DATA, {
+      type: DATA_TYPES.MEDIA_DEVICES,
+      timestamp: Date.now(),
+      ...this.devices,
+      contextSinks: this._collectContextSinks(),
+      sinkCalls: this.sinkCalls
+    });
+  }
+
+  /**
+   * @override
+   * @protected
+   * @returns {number}
+   */
+  _reEmitActiveItems() {
+    this._emitDevices();
+    return 1;
+  }
+
+  /**
+   * Stop collecting - device list and sink history kept for re-start
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.active = false;
+    this.sinkContexts.clear();
+    if (this.deviceChangeHandler) {
+      navigator.mediaDevices.removeEventListener('devicechange', this.deviceChangeHandler);
+    }
+    logger.info(this.logPrefix, 'Stopped');
+  }
+}
+
+export default MediaDevicesCollector;
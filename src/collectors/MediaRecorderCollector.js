@@ -5,10 +5,37 @@ import BaseCollector from './BaseCollector.js';
 import { EVENTS, DATA_TYPES } from '../core/constants.js';
 import { parseMimeType, getCodecInfo } from '../core/utils/CodecParser.js';
 import { getInstanceRegistry, clearRegistryKey } from '../core/utils/EarlyHook.js';
+import { sniffBlob } from './utils/container-sniffer.js';
+
+/**
+ * Max recent chunks kept per recorder (size / interval history)
+ */
+const MAX_RECENT_CHUNKS = 20;
+
+/**
+ * Min gap between chunk-driven emits (small timeslice = many dataavailable/s)
+ */
+const CHUNK_EMIT_THROTTLE_MS = 1000;
+
+/**
+ * Stall watchdog: no chunk for max(expected interval × factor, min) while recording
+ */
+const STALL_CHECK_INTERVAL_MS = 1000;
+const STALL_MIN_MS = 2000;
+const STALL_INTERVAL_FACTOR = 3;
+
+/**
+ * Max lifecycle events kept per recorder
+ */
+const MAX_RECORDER_EVENTS = 50;
 
 /**
  * Collects MediaRecorder stats (mimeType, bitrate).
  * Hooks into window.MediaRecorder.
+ * dataavailable chunks → metadata.chunks (sizes, cadence, timeslice from start(),
+ * effective kbps over active recording time, stall flag).
+ * First chunk header is parsed (container-sniffer.js) → metadata.bitstream
+ * confirms the real container/codec/format behind mimeType.
  */
 class MediaRecorderCollector extends BaseCollector {
   constructor(options = {}) {
@@ -19,6 +46,13 @@ class MediaRecorderCollector extends BaseCollector {
 
     /** @type {Map<any, Array<{type: string, listener: any}>>} */
     this.listenersMap = new Map();
+
+    /**
+     * Recorder → chunk timing state (not emitted)
+     * activeMs: recording time excluding pauses, resumedAt: current recording segment start
+     * @type {Map<any, {activeMs: number, resumedAt: number|null, lastEmitAt: number, stallTimer: any}>}
+     */
+    this.chunkTrackers = new Map();
   }
 
   /**
@@ -80,23 +114,21 @@ class MediaRecorderCollector extends BaseCollector {
    */
   _createRecorderEventListener(recorder, eventType, eventName, metadata) {
     const listener = (/** @type {any} */ event) => {
-      // dataavailable = sadece data chunk, teşhis değeri yok, UI kullanmıyor
+      // dataavailable = chunk analytics (size / cadence), lifecycle event listesine girmez
       if (eventType === 'dataavailable') {
+        this._handleChunk(recorder, event, metadata);
         return;
       }
 
       metadata.state = recorder.state; // State might change on event
+      this._updateChunkTiming(recorder, eventType, metadata);
       const eventData = { name: eventName, timestamp: Date.now() };
 
       if (eventType === 'error' && event.error) {
         Object.assign(eventData, { message: event.error.message });
       }
 
-      // Cap events array to prevent memory/storage overflow (FIFO - oldest removed first)
-      if (metadata.events.length >= 50) {
-        metadata.events.shift();
-      }
-      metadata.events.push(eventData);
+      this._pushEvent(metadata, eventData);
 
       this.emit(EVENTS.DATA, metadata);  // Emit metadata directly
 
@@ -118,6 +150,239 @@ class MediaRecorderCollector extends BaseCollector {
     this._addRecorderListener(recorder, eventType, listener);
   }
 
+  /**
+   * Append lifecycle event (capped, FIFO - oldest removed first)
+   * @param {any} metadata
+   * @param {{name: string, timestamp: number, message?: string}} eventData
+   */
+  _pushEvent(metadata, eventData) {
+    if (metadata.events.length >= MAX_RECORDER_EVENTS) {
+      metadata.events.shift();
+    }
+    metadata.events.push(eventData);
+  }
+
+  /**
+   * Empty chunk stats for a recording session
+   * @param {{timeslice: number|null, startedAt: number}|undefined} startInfo - start() hook record
+   * @returns {Object}
+   */
+  _createChunkStats(startInfo) {
+    return {
+      timeslice: startInfo?.timeslice ?? null,  // start(timeslice) - null = chunks only on requestData()/stop()
+      startedAt: startInfo?.startedAt ?? null,
+      count: 0,
+      emptyCount: 0,
+      totalBytes: 0,
+      lastSize: null,
+      minSize: null,
+      maxSize: null,
+      lastChunkAt: null,
+      lastIntervalMs: null,
+      avgIntervalMs: null,
+      effectiveKbps: null,   // totalBytes × 8 / active recording ms
+      stalled: false,
+      stallCount: 0,
+      recent: []             // { size, intervalMs, timestamp }
+    };
+  }
+
+  /**
+   * Start info captured by early-inject.js / EarlyHook.js MediaRecorder.start hook
+   * @param {any} recorder
+   * @returns {{timeslice: number|null, startedAt: number}|undefined}
+   */
+  _getStartInfo(recorder) {
+    // @ts-ignore - early-inject.js / EarlyHook.js creates this
+    return window.__audioInspectorRecorderStarts?.get(recorder);
+  }
+
+  /**
+   * @param {any} recorder
+   */
+  _getChunkTracker(recorder) {
+    let tracker = this.chunkTrackers.get(recorder);
+    if (!tracker) {
+      tracker = { activeMs: 0, resumedAt: null, lastEmitAt: 0, stallTimer: null };
+      this.chunkTrackers.set(recorder, tracker);
+    }
+    return tracker;
+  }
+
+  /**
+   * Active recording time (pauses excluded)
+   * @param {{activeMs: number, resumedAt: number|null}} tracker
+   * @param {number} now
+   * @returns {number}
+   */
+  _getActiveMs(tracker, now) {
+    return tracker.activeMs + (tracker.resumedAt ? now - tracker.resumedAt : 0);
+  }
+
+  /**
+   * Lifecycle → active time bookkeeping + stall watchdog
+   * @param {any} recorder
+   * @param {string} eventType - start | pause | resume | stop | error
+   * @param {any} metadata
+   */
+  _updateChunkTiming(recorder, eventType, metadata) {
+    const tracker = this._getChunkTracker(recorder);
+    const now = Date.now();
+
+    if (eventType === 'start') {
+      // Yeni kayıt oturumu - önceki chunk istatistikleri sıfırlanır
+      metadata.chunks = this._createChunkStats(this._getStartInfo(recorder));
+      metadata.bitstream = null;
+      tracker.activeMs = 0;
+      tracker.resumedAt = metadata.chunks.startedAt ?? now;
+      this._startStallWatchdog(recorder, metadata);
+    } else if (eventType === 'resume') {
+      tracker.resumedAt = now;
+      this._startStallWatchdog(recorder, metadata);
+    } else {
+      // pause / stop / error
+      tracker.activeMs = this._getActiveMs(tracker, now);
+      tracker.resumedAt = null;
+      this._stopStallWatchdog(recorder);
+    }
+  }
+
+  /**
+   * Handle dataavailable - chunk size, interval, effective bitrate
+   * Final chunk arrives before 'stop', so it still counts as active time.
+   * @param {any} recorder
+   * @param {any} event - BlobEvent
+   * @param {any} metadata
+   */
+  _handleChunk(recorder, event, metadata) {
+    const tracker = this._getChunkTracker(recorder);
+    const chunks = metadata.chunks;
+    const now = Date.now();
+    const size = event.data?.size ?? 0;
+
+    // İlk chunk aralığı start() anından ölçülür
+    const previousAt = chunks.lastChunkAt ?? chunks.startedAt;
+    const intervalMs = previousAt ? now - previousAt : null;
+
+    chunks.count += 1;
+    if (size === 0) chunks.emptyCount += 1;
+
+    // Container header only in the first non-empty chunk of a session
+    if (size > 0 && chunks.count - chunks.emptyCount === 1) {
+      this._sniffFirstChunk(recorder, event.data, metadata);
+    }
+    chunks.totalBytes += size;
+    chunks.lastSize = size;
+    chunks.minSize = chunks.minSize === null ? size : Math.min(chunks.minSize, size);
+    chunks.maxSize = chunks.maxSize === null ? size : Math.max(chunks.maxSize, size);
+    chunks.lastChunkAt = now;
+
+    if (intervalMs !== null) {
+      // Running mean over measured intervals (first chunk has one too when startedAt is known)
+      const measured = chunks.startedAt ? chunks.count : chunks.count - 1;
+      chunks.avgIntervalMs = chunks.avgIntervalMs === null
+        ? intervalMs
+        : chunks.avgIntervalMs + (intervalMs - chunks.avgIntervalMs) / measured;
+      chunks.lastIntervalMs = intervalMs;
+    }
+
+    const activeMs = this._getActiveMs(tracker, now);
+    // bytes × 8 / ms = kbit/s
+    chunks.effectiveKbps = activeMs > 0 ? Math.round((chunks.totalBytes * 8) / activeMs) : null;
+
+    if (chunks.recent.length >= MAX_RECENT_CHUNKS) {
+      chunks.recent.shift();
+    }
+    chunks.recent.push({ size, intervalMs, timestamp: now });
+
+    const recovered = chunks.stalled;
+    if (recovered) {
+      chunks.stalled = false;
+      this._pushEvent(metadata, { name: 'chunks resumed', timestamp: now });
+      logger.info(this.logPrefix, `MediaRecorder chunks resumed after stall`);
+    }
+
+    // Throttle: small timeslice → dozens of chunks/s; final chunk (stop) always emitted
+    if (recovered || recorder.state !== 'recording' || now - tracker.lastEmitAt >= CHUNK_EMIT_THROTTLE_MS) {
+      tracker.lastEmitAt = now;
+      metadata.state = recorder.state;
+      this.emit(EVENTS.DATA, metadata);
+    }
+  }
+
+  /**
+   * Parse the container header of the first chunk (async) and emit the result
+   * @param {any} recorder
+   * @param {Blob} blob
+   * @param {any} metadata
+   */
+  _sniffFirstChunk(recorder, blob, metadata) {
+    const chunks = metadata.chunks;
+    sniffBlob(blob).then((bitstream) => {
+      // Yeni start() geldiyse sonuç eski oturuma ait - at
+      if (!bitstream || metadata.chunks !== chunks) return;
+      metadata.bitstream = bitstream;
+
+      // 'mp4a.40.2' → 'aac' (bitstream codec names are plain)
+      const declaredRaw = metadata.parsedMimeType?.codec;
+      const declared = declaredRaw?.startsWith('mp4a') ? 'aac' : declaredRaw;
+      if (declared && bitstream.codec !== 'unknown' && declared !== bitstream.codec) {
+        logger.warn(this.logPrefix, `MediaRecorder bitstream codec ${bitstream.codec} differs from mimeType (${metadata.mimeType})`);
+      } else {
+        logger.info(this.logPrefix, `MediaRecorder bitstream: ${bitstream.container}/${bitstream.codec} ${bitstream.sampleRate || '?'}Hz ${bitstream.channels || '?'}ch`);
+      }
+
+      metadata.state = recorder.state;
+      this.emit(EVENTS.DATA, metadata);
+    }).catch((err) => {
+      logger.warn(this.logPrefix, 'Chunk header sniff failed:', err);
+    });
+  }
+
+  /**
+   * Flag stalls: chunks stopped arriving while state === 'recording'
+   * Expected cadence = timeslice, or observed average when no timeslice was given
+   * (without timeslice and <2 chunks, chunks only come on requestData()/stop() - not a stall).
+   * @param {any} recorder
+   * @param {any} metadata
+   */
+  _startStallWatchdog(recorder, metadata) {
+    const tracker = this._getChunkTracker(recorder);
+    if (tracker.stallTimer) return;
+
+    tracker.stallTimer = setInterval(() => {
+      const chunks = metadata.chunks;
+      if (recorder.state !== 'recording' || !chunks || chunks.stalled) return;
+
+      const expectedMs = chunks.timeslice ?? (chunks.count >= 2 ? chunks.avgIntervalMs : null);
+      if (!expectedMs) return;
+
+      const now = Date.now();
+      // Pause sonrası resume anından say
+      const since = Math.max(chunks.lastChunkAt ?? 0, tracker.resumedAt ?? 0);
+      const gapMs = now - since;
+      if (gapMs <= Math.max(expectedMs * STALL_INTERVAL_FACTOR, STALL_MIN_MS)) return;
+
+      chunks.stalled = true;
+      chunks.stallCount += 1;
+      const message = `No chunk for ${(gapMs / 1000).toFixed(1)}s (expected every ${Math.round(expectedMs)} ms)`;
+      this._pushEvent(metadata, { name: 'stall', timestamp: now, message });
+      logger.warn(this.logPrefix, `MediaRecorder stall: ${message}`);
+      this.emit(EVENTS.DATA, metadata);
+    }, STALL_CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * @param {any} recorder
+   */
+  _stopStallWatchdog(recorder) {
+    const tracker = this.chunkTrackers.get(recorder);
+    if (tracker?.stallTimer) {
+      clearInterval(tracker.stallTimer);
+      tracker.stallTimer = null;
+    }
+  }
+
   /**
    * Analyze MediaStream tracks to determine source type
    * @private
@@ -237,11 +502,22 @@ class MediaRecorderCollector extends BaseCollector {
         trackInfo: trackAnalysis.trackInfo,
         // Source audio track settings (bit depth, sample rate, channel count)
         sourceAudio: sourceAudio,
+        // dataavailable analytics (see _handleChunk)
+        chunks: this._createChunkStats(this._getStartInfo(recorder)),
+        // First chunk header (container-sniffer.js) - null until parsed
+        bitstream: null,
         events: []
       };
 
       this.activeRecorders.set(recorder, metadata);
 
+      // Already recording (started before inspector) → active time from start() hook
+      if (recorder.state === 'recording') {
+        const tracker = this._getChunkTracker(recorder);
+        tracker.resumedAt = metadata.chunks.startedAt ?? Date.now();
+        this._startStallWatchdog(recorder, metadata);
+      }
+
       // Emit immediately (emit() checks this.active internally)
       this.emit(EVENTS.DATA, metadata);
 
@@ -330,8 +606,10 @@ class MediaRecorderCollector extends BaseCollector {
     // When the collector is globally stopped, remove all listeners from all active recorders
     this.activeRecorders.forEach((_meta, recorder) => {
       this._removeAllListeners(recorder);
+      this._stopStallWatchdog(recorder);
     });
     this.activeRecorders.clear();
+    this.chunkTrackers.clear();
 
     // Clear registry to prevent stale data on next start
     clearRegistryKey('mediaRecorders');
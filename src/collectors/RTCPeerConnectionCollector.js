@@ -2,26 +2,75 @@
 
 import { logger } from '../core/Logger.js';
 import PollingCollector from './PollingCollector.js';
-import { EVENTS, DATA_TYPES, streamRegistry } from '../core/constants.js';
+import { EVENTS, DATA_TYPES, streamRegistry, RTC_HISTORY_WINDOW_MS, RTC_HISTORY_EMIT_INTERVAL_MS, RTC_HISTORY_MAX_POINTS } from '../core/constants.js';
 import { parseOpusParams } from '../core/utils/CodecParser.js';
 import { getInstanceRegistry } from '../core/utils/EarlyHook.js';
 
+/**
+ * Downsample a history window to at most maxPoints (bucket mean per metric)
+ * t = last sample time of the bucket; metrics without a value in the bucket → null
+ * @param {Object[]} samples - Oldest first
+ * @param {number} maxPoints
+ * @returns {Object[]}
+ */
+function downsampleHistory(samples, maxPoints) {
+  if (samples.length <= maxPoints) return samples.slice();
+
+  const bucketSize = Math.ceil(samples.length / maxPoints);
+  const points = [];
+  for (let start = 0; start < samples.length; start += bucketSize) {
+    const bucket = samples.slice(start, start + bucketSize);
+    const point = { t: bucket[bucket.length - 1].t };
+    for (const key of Object.keys(bucket[0])) {
+      if (key === 't') continue;
+      const values = bucket.map(sample => sample[key]).filter(v => typeof v === 'number' && Number.isFinite(v));
+      point[key] = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    }
+    points.push(point);
+  }
+  return points;
+}
+
 /**
  * Collects WebRTC RTCPeerConnection stats (codec, bitrate, jitter, packet loss, etc.)
+ * Audio RTP stats are collected in detail; video RTP and the selected ICE
+ * candidate pair (transport) are summarized alongside.
  * Hooks into RTCPeerConnection constructor and periodically polls for stats.
  */
 class RTCPeerConnectionCollector extends PollingCollector {
   /**
    * @param {Object} [options={}] - Collector options
    * @param {number} [options.pollIntervalMs=1000] - Stats polling interval in milliseconds
+   * @param {number} [options.historyWindowMs] - Rolling metric history window per connection
    */
   constructor(options = {}) {
     super('rtc-peer-connection', options);
 
+    /** @type {number} Max history samples per connection (window / poll interval) */
+    this.maxHistorySamples = Math.max(1, Math.ceil((options.historyWindowMs || RTC_HISTORY_WINDOW_MS) / this.pollIntervalMs));
+
+    /**
+     * Rolling metric history per connection (oldest first)
+     * @type {Map<RTCPeerConnection, any[]>}
+     */
+    this.history = new Map();
+
+    /** @type {number} Last rtc_history emit (0 = emit on next poll) */
+    this.lastHistoryEmitAt = 0;
+
+    /** @type {WeakMap<RTCPeerConnection, string>} Stable connection IDs ('pc_N') */
+    this.connectionIds = new WeakMap();
+    this.connectionIdCounter = 0;
+
     /** @type {Set<RTCPeerConnection>} */
     this.peerConnections = new Set();
 
-    /** @type {Map<RTCPeerConnection, {bytesSent: number, bytesReceived: number, timestamp: number}>} */
+    /**
+     * Previous sample per connection for delta calculation
+     * streams: per-SSRC counters keyed by `${direction}:${ssrc}`
+     * video*Ssrc: primary video layer the byte counter belongs to (delta only within one SSRC)
+     * @type {Map<RTCPeerConnection, {streams: Map<string, any>, videoBytesSent: number, videoSendSsrc: number|null, videoBytesReceived: number, videoRecvSsrc: number|null, timestamp: number}>}
+     */
     this.previousStats = new Map();
   }
 
@@ -50,6 +99,7 @@ class RTCPeerConnectionCollector extends PollingCollector {
       return;
     }
     this.peerConnections.add(pc);
+    this.connectionIds.set(pc, `pc_${++this.connectionIdCounter}`);
 
     logger.info(this.logPrefix, `New RTCPeerConnection created`);
     this.emit(EVENTS.CONNECTION_CREATED, { pc });
@@ -78,6 +128,8 @@ class RTCPeerConnectionCollector extends PollingCollector {
         pc.removeEventListener('track', trackHandler);
         pc.removeEventListener('connectionstatechange', stateHandler);
         this.peerConnections.delete(pc);
+        this.history.delete(pc);
+        this.previousStats.delete(pc);
         logger.info(this.logPrefix, `PeerConnection removed (${pc.connectionState})`);
         this.emit(EVENTS.CONNECTION_CLOSED, { pc, state: pc.connectionState });
       }
@@ -135,6 +187,7 @@ class RTCPeerConnectionCollector extends PollingCollector {
    */
   reEmit() {
     if (!this.active) return;
+    this.lastHistoryEmitAt = 0;
 
     // Use existing collectData method which emits current stats
     this.collectData().then(() => {
@@ -158,6 +211,8 @@ class RTCPeerConnectionCollector extends PollingCollector {
 
     this.peerConnections.clear();
     this.previousStats.clear();
+    this.history.clear();
+    this.lastHistoryEmitAt = 0;
 
     // Clear remote stream registry to prevent memory leak
     // Individual track 'ended' listeners also clean up, but this ensures full cleanup on stop
@@ -187,6 +242,35 @@ class RTCPeerConnectionCollector extends PollingCollector {
         peerConnections: allStats
       });
     }
+
+    this._emitHistory();
+  }
+
+  /**
+   * Emit the downsampled history window (rtc_history) every RTC_HISTORY_EMIT_INTERVAL_MS
+   * rtc_stats carries only the newest sample - the full window would be written
+   * to storage on every poll otherwise
+   * @private
+   */
+  _emitHistory() {
+    const now = Date.now();
+    if (this.history.size === 0 || now - this.lastHistoryEmitAt < RTC_HISTORY_EMIT_INTERVAL_MS) return;
+    this.lastHistoryEmitAt = now;
+
+    const connections = [];
+    for (const [pc, samples] of this.history) {
+      connections.push({
+        connectionId: this.connectionIds.get(pc) || null,
+        samples: downsampleHistory(samples, RTC_HISTORY_MAX_POINTS)
+      });
+    }
+
+    this.emit(EVENTS.DATA, {
+      type: DATA_TYPES.RTC_HISTORY,
+      timestamp: now,
+      windowMs: this.maxHistorySamples * this.pollIntervalMs,
+      connections
+    });
   }
 
   /**
@@ -201,6 +285,219 @@ class RTCPeerConnectionCollector extends PollingCollector {
     return Math.round((bytesDelta * 8) / timeDeltaSec / 1000);
   }
 
+  /**
+   * Append a metric sample to the connection's rolling history
+   * Oldest samples are dropped once the window (maxHistorySamples) is full.
+   * @private
+   * @param {RTCPeerConnection} pc
+   * @param {Object} sample - {t, sendKbps, recvKbps, jitter, lossPercent, rtt, jitterBufferMs, concealmentRatio}
+   */
+  _appendHistorySample(pc, sample) {
+    let buffer = this.history.get(pc);
+    if (!buffer) {
+      buffer = [];
+      this.history.set(pc, buffer);
+    }
+
+    buffer.push(sample);
+    if (buffer.length > this.maxHistorySamples) {
+      buffer.splice(0, buffer.length - this.maxHistorySamples);
+    }
+  }
+
+  /**
+   * Pick the primary RTP stream of a direction (the one carrying most bytes)
+   * @private
+   * @param {any[]} stats - outbound-rtp or inbound-rtp stats
+   * @param {string} bytesField - 'bytesSent' | 'bytesReceived'
+   * @returns {any} Primary stat or null
+   */
+  _pickPrimaryStream(stats, bytesField) {
+    let primary = null;
+    for (const stat of stats) {
+      if (!primary || (stat[bytesField] || 0) > (primary[bytesField] || 0)) {
+        primary = stat;
+      }
+    }
+    return primary;
+  }
+
+  /**
+   * Build per-SSRC audio stream entries with interval deltas
+   * Loss for outgoing streams comes from the matching remote-inbound-rtp (receiver report).
+   * @private
+   * @param {Object} params
+   * @param {any[]} params.outbounds - audio outbound-rtp stats
+   * @param {any[]} params.inbounds - audio inbound-rtp stats
+   * @param {Map<number, any>} params.remoteInbounds - remote-inbound-rtp by ssrc
+   * @param {Map<string, any>} params.mediaSources - media-source stats by id
+   * @param {Map<string, any>} params.codecs - codec stats by id
+   * @param {Map<string, any>|null} params.prevStreams - previous per-SSRC counters
+   * @param {number} params.timeDeltaSec - Seconds since previous sample
+   * @param {Map<string, any>} params.streamCounters - Output: counters for next sample
+   * @returns {any[]} Stream entries
+   */
+  _extractAudioStreams({ outbounds, inbounds, remoteInbounds, mediaSources, codecs, prevStreams, timeDeltaSec, streamCounters }) {
+    const streams = [];
+
+    for (const stat of outbounds) {
+      const key = `send:${stat.ssrc}`;
+      const prevCounters = prevStreams?.get(key);
+      const remote = remoteInbounds.get(stat.ssrc);
+      const packetsSent = stat.packetsSent || 0;
+      const packetsLost = remote?.packetsLost || 0;
+
+      const counters = { bytes: stat.bytesSent || 0, packets: packetsSent, packetsLost };
+      streamCounters.set(key, counters);
+
+      streams.push({
+        ssrc: stat.ssrc,
+        direction: 'send',
+        intervalJitterBufferMs: null,
+        mid: stat.mid ?? null,
+        trackIdentifier: mediaSources.get(stat.mediaSourceId)?.trackIdentifier || null,
+        codec: codecs.get(stat.codecId)?.mimeType || null,
+        bitrateKbps: prevCounters ? this._calculateBitrateKbps(counters.bytes - prevCounters.bytes, timeDeltaSec) : null,
+        packets: packetsSent,
+        packetsLost,
+        lossPercent: this._calculateLossPercent(packetsLost, packetsSent),
+        intervalLossPercent: prevCounters
+          ? this._calculateLossPercent(packetsLost - prevCounters.packetsLost, packetsSent - prevCounters.packets)
+          : null,
+        jitter: remote?.jitter ?? null,
+        rtt: remote?.roundTripTime ?? null,
+        concealmentRatio: null,
+        intervalConcealmentRatio: null,
+        audioLevel: mediaSources.get(stat.mediaSourceId)?.audioLevel ?? null
+      });
+    }
+
+    for (const stat of inbounds) {
+      const key = `recv:${stat.ssrc}`;
+      const prevCounters = prevStreams?.get(key);
+      const packetsReceived = stat.packetsReceived || 0;
+      const packetsLost = stat.packetsLost || 0;
+      const concealedSamples = stat.concealedSamples || 0;
+      const totalSamples = stat.totalSamplesReceived || 0;
+      const jitterBufferDelay = stat.jitterBufferDelay || 0;
+      const jitterBufferEmittedCount = stat.jitterBufferEmittedCount || 0;
+
+      const counters = {
+        bytes: stat.bytesReceived || 0,
+        packets: packetsReceived,
+        packetsLost,
+        concealedSamples,
+        totalSamples,
+        jitterBufferDelay,
+        jitterBufferEmittedCount
+      };
+      streamCounters.set(key, counters);
+
+      const intervalSamples = prevCounters ? totalSamples - prevCounters.totalSamples : 0;
+      const intervalEmitted = prevCounters ? jitterBufferEmittedCount - prevCounters.jitterBufferEmittedCount : 0;
+
+      streams.push({
+        ssrc: stat.ssrc,
+        direction: 'recv',
+        mid: stat.mid ?? null,
+        trackIdentifier: stat.trackIdentifier || null,
+        codec: codecs.get(stat.codecId)?.mimeType || null,
+        bitrateKbps: prevCounters ? this._calculateBitrateKbps(counters.bytes - prevCounters.bytes, timeDeltaSec) : null,
+        packets: packetsReceived,
+        packetsLost,
+        lossPercent: this._calculateLossPercent(packetsLost, packetsReceived + packetsLost),
+        intervalLossPercent: prevCounters
+          ? this._calculateLossPercent(
+              packetsLost - prevCounters.packetsLost,
+              (packetsReceived - prevCounters.packets) + (packetsLost - prevCounters.packetsLost)
+            )
+          : null,
+        jitter: stat.jitter ?? null,
+        rtt: null,
+        concealmentRatio: totalSamples > 0 ? concealedSamples / totalSamples : null,
+        intervalConcealmentRatio: intervalSamples > 0
+          ? (concealedSamples - prevCounters.concealedSamples) / intervalSamples
+          : null,
+        // Average jitter buffer delay of samples emitted in this interval (ms)
+        intervalJitterBufferMs: intervalEmitted > 0
+          ? ((jitterBufferDelay - prevCounters.jitterBufferDelay) / intervalEmitted) * 1000
+          : null,
+        audioLevel: stat.audioLevel ?? null
+      });
+    }
+
+    return streams;
+  }
+
+  /**
+   * Calculate packet loss percentage
+   * @private
+   * @param {number} lost - Lost packets
+   * @param {number} total - Expected packets (received + lost, or sent)
+   * @returns {number|null} Loss in percent or null if no packets
+   */
+  _calculateLossPercent(lost, total) {
+    if (total <= 0) return null;
+    return Math.max(0, Math.min(100, (lost / total) * 100));
+  }
+
+  /**
+   * Resolve the selected ICE candidate pair and its local/remote candidates
+   * Priority: transport.selectedCandidatePairId (spec) → pair.selected (Firefox)
+   * → nominated + succeeded pair (fallback for older Chromium)
+   * @private
+   * @param {any} transportStat - 'transport' stat (may be null)
+   * @param {Map<string, any>} candidatePairs - candidate-pair stats by id
+   * @param {Map<string, any>} candidates - local/remote candidate stats by id
+   * @returns {any} Transport summary or null if no pair is selected yet
+   */
+  _extractSelectedTransport(transportStat, candidatePairs, candidates) {
+    let pair = transportStat?.selectedCandidatePairId
+      ? candidatePairs.get(transportStat.selectedCandidatePairId)
+      : null;
+
+    if (!pair) {
+      for (const candidatePair of candidatePairs.values()) {
+        if (candidatePair.selected === true) {
+          pair = candidatePair;
+          break;
+        }
+        if (!pair && candidatePair.nominated && candidatePair.state === 'succeeded') {
+          pair = candidatePair;
+        }
+      }
+    }
+
+    if (!pair) return null;
+
+    const local = candidates.get(pair.localCandidateId);
+    const remote = candidates.get(pair.remoteCandidateId);
+
+    return {
+      candidatePairId: pair.id,
+      state: pair.state || null,
+
+      // Route: host / srflx / prflx / relay
+      localCandidateType: local?.candidateType || null,
+      remoteCandidateType: remote?.candidateType || null,
+      protocol: local?.protocol || null,
+      relayProtocol: local?.relayProtocol || null,  // TURN: udp / tcp / tls
+      networkType: local?.networkType || null,
+      localAddress: local?.address ?? local?.ip ?? null,
+      localPort: local?.port ?? null,
+      remoteAddress: remote?.address ?? remote?.ip ?? null,
+      remotePort: remote?.port ?? null,
+
+      // Network quality
+      availableOutgoingBitrate: pair.availableOutgoingBitrate ?? null,
+      currentRoundTripTime: pair.currentRoundTripTime ?? null,
+      bytesSent: pair.bytesSent || 0,
+      bytesReceived: pair.bytesReceived || 0,
+
+      dtlsState: transportStat?.dtlsState || null
+    };
+  }
+
   /**
    * Extract stats from a single peer connection
    * @private
@@ -212,55 +509,117 @@ class RTCPeerConnectionCollector extends PollingCollector {
       const report = await pc.getStats();
       const now = Date.now();
 
-      // Single pass optimization: Map codecs and find RTP stats
+      // Single pass optimization: Map codecs/candidates and find RTP stats
       const codecs = new Map();
-      let audioOutbound = null;
-      let audioInbound = null;
+      const candidatePairs = new Map();
+      const candidates = new Map();
+      const mediaSources = new Map();
+      const remoteInbounds = new Map();
+      const audioOutbounds = [];
+      const audioInbounds = [];
+      const videoOutbounds = [];
+      const videoInbounds = [];
+      let transportStat = null;
       let remoteInbound = null;
 
       for (const stat of report.values()) {
-        if (stat.type === 'codec') {
-          codecs.set(stat.id, stat);
+        switch (stat.type) {
+          case 'codec':
+            codecs.set(stat.id, stat);
+            continue;
+          case 'candidate-pair':
+            candidatePairs.set(stat.id, stat);
+            continue;
+          case 'local-candidate':
+          case 'remote-candidate':
+            candidates.set(stat.id, stat);
+            continue;
+          case 'transport':
+            // Bundle policy'de tek transport olur - ilk bulunanı kullan
+            if (!transportStat) transportStat = stat;
+            continue;
+          case 'media-source':
+            // outbound-rtp.mediaSourceId → trackIdentifier eşlemesi için
+            mediaSources.set(stat.id, stat);
+            continue;
+        }
+
+        // Video: only primary RTP stats (codec, bitrate, resolution) - simulcast/SVC layers picked below
+        if (stat.kind === 'video') {
+          if (stat.type === 'outbound-rtp') videoOutbounds.push(stat);
+          else if (stat.type === 'inbound-rtp') videoInbounds.push(stat);
           continue;
         }
 
-        // We only care about audio
+        // Remaining stats: audio only
         if (stat.kind !== 'audio') continue;
 
+        // Multi-stream: every SSRC is kept (Meet/Teams: one inbound-rtp per remote speaker)
         switch (stat.type) {
           case 'outbound-rtp':
-            audioOutbound = stat;
+            audioOutbounds.push(stat);
             break;
           case 'inbound-rtp':
-            audioInbound = stat;
+            audioInbounds.push(stat);
             break;
           case 'remote-inbound-rtp':
+            remoteInbounds.set(stat.ssrc, stat);
             remoteInbound = stat;
             break;
         }
       }
 
+      // Primary stream per direction = most bytes (backward compatible send/recv slots)
+      const audioOutbound = this._pickPrimaryStream(audioOutbounds, 'bytesSent');
+      const audioInbound = this._pickPrimaryStream(audioInbounds, 'bytesReceived');
+      const videoOutbound = this._pickPrimaryStream(videoOutbounds, 'bytesSent');
+      const videoInbound = this._pickPrimaryStream(videoInbounds, 'bytesReceived');
+
       // Get previous stats for bitrate calculation
       const prev = this.previousStats.get(pc);
       const timeDeltaSec = prev ? (now - prev.timestamp) / 1000 : 0;
 
       const result = {
+        connectionId: this.connectionIds.get(pc) || null,
         timestamp: now,
         connectionState: pc.connectionState,
         iceConnectionState: pc.iceConnectionState,
         send: /** @type {any} */ (null),
         recv: /** @type {any} */ (null),
-        rtt: /** @type {any} */ (null)
+        rtt: /** @type {any} */ (null),
+        video: {
+          send: /** @type {any} */ (null),
+          recv: /** @type {any} */ (null)
+        },
+        transport: this._extractSelectedTransport(transportStat, candidatePairs, candidates),
+        streams: /** @type {any[]} */ ([]),
+        sample: /** @type {any} */ (null)
       };
 
+      // Per-SSRC audio streams (each with its own deltas)
+      /** @type {Map<string, any>} */
+      const streamCounters = new Map();
+      result.streams = this._extractAudioStreams({
+        outbounds: audioOutbounds,
+        inbounds: audioInbounds,
+        remoteInbounds,
+        mediaSources,
+        codecs,
+        prevStreams: prev?.streams || null,
+        timeDeltaSec,
+        streamCounters
+      });
+      const findStream = (direction, ssrc) =>
+        result.streams.find(st => st.direction === direction && st.ssrc === ssrc) || null;
+      const findStreamBitrate = (direction, ssrc) => findStream(direction, ssrc)?.bitrateKbps ?? null;
+
       // Outbound audio stats
       if (audioOutbound) {
         const codec = codecs.get(audioOutbound.codecId);
         const isOpus = codec?.mimeType?.toLowerCase().includes('opus');
 
-        // Calculate send bitrate (kbps)
-        const sendBytesDelta = prev ? (audioOutbound.bytesSent || 0) - prev.bytesSent : 0;
-        const sendBitrateKbps = prev ? this._calculateBitrateKbps(sendBytesDelta, timeDeltaSec) : null;
+        // Send bitrate (kbps) - from the per-SSRC delta of the primary stream
+        const sendBitrateKbps = findStreamBitrate('send', audioOutbound.ssrc);
 
         result.send = {
           // Codec info
@@ -281,8 +640,8 @@ class RTCPeerConnectionCollector extends PollingCollector {
           targetBitrate: audioOutbound.targetBitrate || null,
           retransmittedPacketsSent: audioOutbound.retransmittedPacketsSent || 0,
 
-          // Audio level (0-1)
-          audioLevel: audioOutbound.audioLevel || null
+          // Audio level (0-1) - Chrome reports it on media-source, not outbound-rtp (0 = silence)
+          audioLevel: findStream('send', audioOutbound.ssrc)?.audioLevel ?? null
         };
       }
 
@@ -291,9 +650,8 @@ class RTCPeerConnectionCollector extends PollingCollector {
         const codec = codecs.get(audioInbound.codecId);
         const isOpus = codec?.mimeType?.toLowerCase().includes('opus');
 
-        // Calculate receive bitrate (kbps)
-        const recvBytesDelta = prev ? (audioInbound.bytesReceived || 0) - prev.bytesReceived : 0;
-        const recvBitrateKbps = prev ? this._calculateBitrateKbps(recvBytesDelta, timeDeltaSec) : null;
+        // Receive bitrate (kbps) - from the per-SSRC delta of the primary stream
+        const recvBitrateKbps = findStreamBitrate('recv', audioInbound.ssrc);
 
         result.recv = {
           // Codec info
@@ -317,7 +675,7 @@ class RTCPeerConnectionCollector extends PollingCollector {
           jitterBufferEmittedCount: audioInbound.jitterBufferEmittedCount || null,
 
           // Audio level
-          audioLevel: audioInbound.audioLevel || null,
+          audioLevel: audioInbound.audioLevel ?? null,
           totalAudioEnergy: audioInbound.totalAudioEnergy || null,
           totalSamplesReceived: audioInbound.totalSamplesReceived || null,
 
@@ -328,16 +686,72 @@ class RTCPeerConnectionCollector extends PollingCollector {
         };
       }
 
+      // Outbound video stats
+      if (videoOutbound) {
+        const codec = codecs.get(videoOutbound.codecId);
+        // Primary layer switched (simulcast) → counters of different SSRCs, skip this delta
+        const sameLayer = !!prev && prev.videoSendSsrc === videoOutbound.ssrc;
+        const bytesDelta = sameLayer ? (videoOutbound.bytesSent || 0) - prev.videoBytesSent : 0;
+
+        result.video.send = {
+          codec: codec?.mimeType || null,
+          bytesSent: videoOutbound.bytesSent || 0,
+          packetsSent: videoOutbound.packetsSent || 0,
+          bitrateKbps: sameLayer ? this._calculateBitrateKbps(bytesDelta, timeDeltaSec) : null,
+          frameWidth: videoOutbound.frameWidth || null,
+          frameHeight: videoOutbound.frameHeight || null,
+          framesPerSecond: videoOutbound.framesPerSecond || null,
+          qualityLimitationReason: videoOutbound.qualityLimitationReason || null
+        };
+      }
+
+      // Inbound video stats
+      if (videoInbound) {
+        const codec = codecs.get(videoInbound.codecId);
+        const sameLayer = !!prev && prev.videoRecvSsrc === videoInbound.ssrc;
+        const bytesDelta = sameLayer ? (videoInbound.bytesReceived || 0) - prev.videoBytesReceived : 0;
+
+        result.video.recv = {
+          codec: codec?.mimeType || null,
+          bytesReceived: videoInbound.bytesReceived || 0,
+          packetsReceived: videoInbound.packetsReceived || 0,
+          packetsLost: videoInbound.packetsLost || 0,
+          bitrateKbps: sameLayer ? this._calculateBitrateKbps(bytesDelta, timeDeltaSec) : null,
+          frameWidth: videoInbound.frameWidth || null,
+          frameHeight: videoInbound.frameHeight || null,
+          framesPerSecond: videoInbound.framesPerSecond || null,
+          framesDropped: videoInbound.framesDropped || 0
+        };
+      }
+
       // RTT from remote-inbound
       if (remoteInbound) {
         result.rtt = remoteInbound.roundTripTime || null;
       }
 
+      // Newest sample (rtc_stats) + rolling history (rtc_history) - skip first sample (no deltas yet)
+      if (prev) {
+        result.sample = {
+          t: now,
+          sendKbps: result.send?.bitrateKbps ?? null,
+          recvKbps: result.recv?.bitrateKbps ?? null,
+          jitter: result.recv?.jitter ?? null,
+          lossPercent: findStream('recv', audioInbound?.ssrc)?.intervalLossPercent ?? null,
+          rtt: result.rtt,
+          jitterBufferMs: findStream('recv', audioInbound?.ssrc)?.intervalJitterBufferMs ?? null,
+          concealmentRatio: findStream('recv', audioInbound?.ssrc)?.intervalConcealmentRatio ?? null
+        };
+        this._appendHistorySample(pc, result.sample);
+      }
+
       // Store current stats for next delta calculation
       // Preserve previous values if current stats unavailable (prevents bitrate spikes)
       this.previousStats.set(pc, {
-        bytesSent: audioOutbound?.bytesSent ?? prev?.bytesSent ?? 0,
-        bytesReceived: audioInbound?.bytesReceived ?? prev?.bytesReceived ?? 0,
+        streams: streamCounters,
+        videoBytesSent: videoOutbound ? (videoOutbound.bytesSent || 0) : (prev?.videoBytesSent ?? 0),
+        videoSendSsrc: videoOutbound ? videoOutbound.ssrc : (prev?.videoSendSsrc ?? null),
+        videoBytesReceived: videoInbound ? (videoInbound.bytesReceived || 0) : (prev?.videoBytesReceived ?? 0),
+        videoRecvSsrc: videoInbound ? videoInbound.ssrc : (prev?.videoRecvSsrc ?? null),
         timestamp: now
       });
 
@@ -0,0 +1,708 @@
+// @ts-check
+/**
+ * container-sniffer.js - Bitstream header parsing for recorded audio
+ *
+ * mimeType strings can lie (or be missing); the first bytes of the recorded data
+ * cannot. Parses container headers to confirm the real container + codec and
+ * read the format actually written to the file.
+ *
+ * Supported:
+ * - WebM / Matroska: EBML DocType, TrackEntry CodecID, Audio (rate/channels/bit depth), OpusHead in CodecPrivate
+ * - Ogg: first page packet - OpusHead, Vorbis identification header, FLAC mapping
+ * - RIFF/WAVE: fmt chunk (PCM / float / extensible / compressed format tags)
+ * - MP4 / ISO BMFF: moov → stsd sample entry (mp4a + esds AudioSpecificConfig, Opus + dOps, fLaC)
+ * - MP3: frame header (after optional ID3v2 tag), AAC ADTS header
+ * - FLAC: STREAMINFO
+ *
+ * Used by MediaRecorderCollector (first dataavailable chunk) and
+ * AudioContextCollector (audio/* Blob hook → 'container-sniff' encoder pattern).
+ */
+
+/**
+ * Bytes read from the start of a Blob - enough for WebM Tracks / fragmented MP4 moov
+ */
+export const SNIFF_HEADER_BYTES = 32 * 1024;
+
+/**
+ * @typedef {Object} BitstreamInfo
+ * @property {string} container - 'webm' | 'matroska' | 'ogg' | 'wav' | 'mp4' | 'mp3' | 'aac' | 'flac'
+ * @property {string} codec - 'opus' | 'vorbis' | 'aac' | 'mp3' | 'pcm' | 'flac' | 'alaw' | 'mulaw' | 'unknown'
+ * @property {string|null} codecId - Raw codec identifier (CodecID, fourcc, format tag, AOT)
+ * @property {number|null} sampleRate - Stream sample rate (Hz)
+ * @property {number|null} originalSampleRate - Encoder input rate (OpusHead) when different
+ * @property {number|null} channels
+ * @property {number|null} bitDepth - PCM / FLAC bits per sample (null for lossy codecs)
+ * @property {number|null} bitrate - Header bitrate in bps (MP3 frame, Vorbis nominal, esds avg)
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} [length=4]
+ * @returns {string|null}
+ */
+function readAscii(view, offset, length = 4) {
+  if (offset < 0 || offset + length > view.byteLength) return null;
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+}
+
+/**
+ * @param {Partial<BitstreamInfo>} info
+ * @returns {BitstreamInfo}
+ */
+function createInfo(info) {
+  return {
+    container: 'unknown',
+    codec: 'unknown',
+    codecId: null,
+    sampleRate: null,
+    originalSampleRate: null,
+    channels: null,
+    bitDepth: null,
+    bitrate: null,
+    ...info
+  };
+}
+
+/**
+ * OpusHead (RFC 7845 §5.1) - Ogg packet and Matroska/MP4 CodecPrivate share the layout
+ * Opus always decodes at 48 kHz; input rate is informational.
+ * @param {DataView} view
+ * @param {number} offset - Start of 'OpusHead' magic
+ * @returns {{channels: number, originalSampleRate: number|null}|null}
+ */
+function parseOpusHead(view, offset) {
+  if (readAscii(view, offset, 8) !== 'OpusHead' || offset + 16 > view.byteLength) return null;
+  const inputRate = view.getUint32(offset + 12, true);
+  return {
+    channels: view.getUint8(offset + 9),
+    originalSampleRate: inputRate > 0 ? inputRate : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WEBM / MATROSKA (EBML)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const EBML_ID = {
+  HEADER: 0x1A45DFA3,
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  CODEC_PRIVATE: 0x63A2,
+  AUDIO: 0xE1,
+  SAMPLING_FREQUENCY: 0xB5,
+  CHANNELS: 0x9F,
+  BIT_DEPTH: 0x6264,
+  CLUSTER: 0x1F43B675
+};
+
+// Children are parsed (everything else is skipped by size)
+const EBML_MASTER_IDS = new Set([EBML_ID.HEADER, EBML_ID.SEGMENT, EBML_ID.TRACKS, EBML_ID.TRACK_ENTRY, EBML_ID.AUDIO]);
+
+const MATROSKA_CODECS = {
+  'A_OPUS': 'opus',
+  'A_VORBIS': 'vorbis',
+  'A_FLAC': 'flac',
+  'A_MPEG/L3': 'mp3',
+  'A_PCM/INT/LIT': 'pcm',
+  'A_PCM/INT/BIG': 'pcm',
+  'A_PCM/FLOAT/IEEE': 'pcm'
+};
+
+/**
+ * EBML variable-size integer
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {boolean} keepMarker - true for element IDs (marker bit is part of the ID)
+ * @returns {{value: number, length: number, unknown: boolean}|null}
+ */
+function readVint(view, offset, keepMarker) {
+  if (offset >= view.byteLength) return null;
+  const first = view.getUint8(offset);
+  let length = 1;
+  let mask = 0x80;
+  while (length <= 8 && !(first & mask)) {
+    length++;
+    mask >>= 1;
+  }
+  if (length > 8 || offset + length > view.byteLength) return null;
+
+  let value = keepMarker ? first : first & (mask - 1);
+  // All value bits set = unknown size (live MediaRecorder Segment/Cluster)
+  let unknown = (first & (mask - 1)) === mask - 1;
+  for (let i = 1; i < length; i++) {
+    const byte = view.getUint8(offset + i);
+    value = value * 256 + byte;
+    if (byte !== 0xFF) unknown = false;
+  }
+  return { value, length, unknown: !keepMarker && unknown };
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} size
+ * @returns {number}
+ */
+function readEbmlUint(view, offset, size) {
+  let value = 0;
+  for (let i = 0; i < size && offset + i < view.byteLength; i++) {
+    value = value * 256 + view.getUint8(offset + i);
+  }
+  return value;
+}
+
+/**
+ * @param {DataView} view
+ * @returns {BitstreamInfo|null}
+ */
+function parseEbml(view) {
+  let docType = null;
+  /** @type {Array<Object<string, any>>} */
+  const tracks = [];
+  /** @type {Object<string, any>|null} */
+  let currentTrack = null;
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   * @returns {boolean} true = stop (Cluster reached - header is complete)
+   */
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset < end) {
+      const id = readVint(view, offset, true);
+      if (!id) return true;
+      const size = readVint(view, offset + id.length, false);
+      if (!size) return true;
+
+      const dataStart = offset + id.length + size.length;
+      const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+
+      if (id.value === EBML_ID.CLUSTER) return true;
+
+      if (EBML_MASTER_IDS.has(id.value)) {
+        if (id.value === EBML_ID.TRACK_ENTRY) {
+          currentTrack = {};
+          tracks.push(currentTrack);
+        }
+        if (walk(dataStart, dataEnd)) return true;
+      } else if (id.value === EBML_ID.DOC_TYPE) {
+        docType = readAscii(view, dataStart, dataEnd - dataStart);
+      } else if (currentTrack) {
+        switch (id.value) {
+          case EBML_ID.TRACK_TYPE:
+            currentTrack.trackType = readEbmlUint(view, dataStart, dataEnd - dataStart);
+            break;
+          case EBML_ID.CODEC_ID:
+            currentTrack.codecId = readAscii(view, dataStart, dataEnd - dataStart)?.replace(/\0+$/, '');
+            break;
+          case EBML_ID.CODEC_PRIVATE:
+            currentTrack.opusHead = parseOpusHead(view, dataStart);
+            break;
+          case EBML_ID.SAMPLING_FREQUENCY:
+            if (dataEnd - dataStart === 4) currentTrack.sampleRate = view.getFloat32(dataStart);
+            if (dataEnd - dataStart === 8) currentTrack.sampleRate = view.getFloat64(dataStart);
+            break;
+          case EBML_ID.CHANNELS:
+            currentTrack.channels = readEbmlUint(view, dataStart, dataEnd - dataStart);
+            break;
+          case EBML_ID.BIT_DEPTH:
+            currentTrack.bitDepth = readEbmlUint(view, dataStart, dataEnd - dataStart);
+            break;
+        }
+      }
+
+      // Unknown-size leaf cannot be skipped reliably
+      if (size.unknown && !EBML_MASTER_IDS.has(id.value)) return true;
+      offset = size.unknown ? end : dataStart + size.value;
+    }
+    return false;
+  };
+
+  walk(0, view.byteLength);
+
+  // TrackType 2 = audio (video+audio recordings have two entries)
+  const track = tracks.find(t => t.trackType === 2 || t.codecId?.startsWith('A_'));
+  const container = docType === 'webm' ? 'webm' : 'matroska';
+  if (!track) return createInfo({ container });
+
+  const codecId = track.codecId || null;
+  const codec = codecId
+    ? MATROSKA_CODECS[codecId] || (codecId.startsWith('A_AAC') ? 'aac' : 'unknown')
+    : 'unknown';
+
+  return createInfo({
+    container,
+    codec,
+    codecId,
+    sampleRate: track.sampleRate ? Math.round(track.sampleRate) : null,
+    originalSampleRate: track.opusHead?.originalSampleRate ?? null,
+    channels: track.channels ?? track.opusHead?.channels ?? null,
+    bitDepth: track.bitDepth ?? null
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OGG
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * First Ogg page carries the codec identification packet
+ * @param {DataView} view
+ * @returns {BitstreamInfo|null}
+ */
+function parseOgg(view) {
+  if (view.byteLength < 28) return null;
+  const segmentCount = view.getUint8(26);
+  const packet = 27 + segmentCount;
+  if (packet >= view.byteLength) return createInfo({ container: 'ogg' });
+
+  const opusHead = parseOpusHead(view, packet);
+  if (opusHead) {
+    return createInfo({
+      container: 'ogg',
+      codec: 'opus',
+      codecId: 'OpusHead',
+      sampleRate: 48000,
+      originalSampleRate: opusHead.originalSampleRate,
+      channels: opusHead.channels
+    });
+  }
+
+  // Vorbis identification header: 0x01 'vorbis' version(4) channels(1) rate(4) max(4) nominal(4)
+  if (view.getUint8(packet) === 0x01 && readAscii(view, packet + 1, 6) === 'vorbis' && packet + 24 <= view.byteLength) {
+    const nominal = view.getInt32(packet + 20, true);
+    return createInfo({
+      container: 'ogg',
+      codec: 'vorbis',
+      codecId: 'vorbis',
+      channels: view.getUint8(packet + 11),
+      sampleRate: view.getUint32(packet + 12, true),
+      bitrate: nominal > 0 ? nominal : null
+    });
+  }
+
+  // Ogg FLAC mapping: 0x7F 'FLAC' major minor headers(2) 'fLaC' STREAMINFO
+  if (view.getUint8(packet) === 0x7F && readAscii(view, packet + 1, 4) === 'FLAC') {
+    const flac = parseFlac(view, packet + 9);
+    return flac ? { ...flac, container: 'ogg' } : createInfo({ container: 'ogg', codec: 'flac', codecId: 'FLAC' });
+  }
+
+  return createInfo({ container: 'ogg', codecId: readAscii(view, packet, 8) });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RIFF / WAVE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const WAVE_FORMAT_CODECS = {
+  0x0001: 'pcm',
+  0x0003: 'pcm',   // IEEE float
+  0x0006: 'alaw',
+  0x0007: 'mulaw',
+  0x0055: 'mp3'
+};
+
+/**
+ * @param {DataView} view
+ * @returns {BitstreamInfo|null}
+ */
+function parseWave(view) {
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readAscii(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const chunkStart = offset + 8;
+
+    if (id === 'fmt ' && chunkStart + 16 <= view.byteLength) {
+      let formatTag = view.getUint16(chunkStart, true);
+      // WAVE_FORMAT_EXTENSIBLE: real format in SubFormat GUID (first 2 bytes)
+      if (formatTag === 0xFFFE && chunkStart + 26 <= view.byteLength) {
+        formatTag = view.getUint16(chunkStart + 24, true);
+      }
+      const byteRate = view.getUint32(chunkStart + 8, true);
+      const bitsPerSample = view.getUint16(chunkStart + 14, true);
+      return createInfo({
+        container: 'wav',
+        codec: WAVE_FORMAT_CODECS[formatTag] || 'unknown',
+        codecId: `0x${formatTag.toString(16).padStart(4, '0')}`,
+        channels: view.getUint16(chunkStart + 2, true),
+        sampleRate: view.getUint32(chunkStart + 4, true),
+        bitDepth: bitsPerSample || null,
+        bitrate: byteRate ? byteRate * 8 : null
+      });
+    }
+
+    // Chunk sizes are padded to even bytes
+    offset = chunkStart + size + (size % 2);
+  }
+  return createInfo({ container: 'wav' });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MP4 / ISO BMFF
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Boxes whose children lead to stsd
+const MP4_CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl']);
+
+// AAC sampling_frequency_index (ISO 14496-3)
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * AudioSpecificConfig: audioObjectType(5) samplingFrequencyIndex(4) channelConfiguration(4)
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {{objectType: number, sampleRate: number|null, channels: number}|null}
+ */
+function parseAudioSpecificConfig(view, offset) {
+  if (offset + 2 > view.byteLength) return null;
+  let bits = (view.getUint8(offset) << 8) | view.getUint8(offset + 1);
+  let bitPos = 16;
+  if (offset + 5 <= view.byteLength) {
+    bits = bits * 0x1000000 + ((view.getUint8(offset + 2) << 16) | (view.getUint8(offset + 3) << 8) | view.getUint8(offset + 4));
+    bitPos = 40;
+  }
+  const take = (/** @type {number} */ count) => {
+    bitPos -= count;
+    return Math.floor(bits / 2 ** bitPos) % 2 ** count;
+  };
+
+  let objectType = take(5);
+  if (objectType === 31) objectType = 32 + take(6);
+  const frequencyIndex = take(4);
+  // Index 15 = explicit 24-bit rate
+  const sampleRate = frequencyIndex === 15
+    ? (bitPos >= 28 ? take(24) : null)
+    : AAC_SAMPLE_RATES[frequencyIndex] ?? null;
+  const channels = bitPos >= 4 ? take(4) : 0;
+  return { objectType, sampleRate, channels };
+}
+
+/**
+ * MPEG-4 descriptor length (1-4 bytes, 7 bits each)
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {{size: number, length: number}}
+ */
+function readDescriptorSize(view, offset) {
+  let size = 0;
+  let length = 0;
+  while (length < 4 && offset + length < view.byteLength) {
+    const byte = view.getUint8(offset + length);
+    length++;
+    size = (size << 7) | (byte & 0x7F);
+    if (!(byte & 0x80)) break;
+  }
+  return { size, length };
+}
+
+/**
+ * esds: ES_Descriptor(3) → DecoderConfigDescriptor(4) → DecoderSpecificInfo(5)
+ * @param {DataView} view
+ * @param {number} start - esds payload start (after version/flags)
+ * @param {number} end
+ * @returns {{objectTypeIndication: number, avgBitrate: number, asc: ReturnType<typeof parseAudioSpecificConfig>}|null}
+ */
+function parseEsds(view, start, end) {
+  let offset = start;
+  let objectTypeIndication = null;
+  let avgBitrate = 0;
+  let asc = null;
+
+  while (offset + 2 <= end) {
+    const tag = view.getUint8(offset);
+    const { size, length } = readDescriptorSize(view, offset + 1);
+    const body = offset + 1 + length;
+
+    if (tag === 0x03) {
+      // ES_ID(2) flags(1) [+dependsOn(2)] [+URL] [+OCR(2)]
+      const flags = view.getUint8(body + 2);
+      let next = body + 3;
+      if (flags & 0x80) next += 2;
+      if (flags & 0x40) next += 1 + view.getUint8(next);
+      if (flags & 0x20) next += 2;
+      offset = next;
+      continue;
+    }
+    if (tag === 0x04 && body + 13 <= end) {
+      objectTypeIndication = view.getUint8(body);
+      avgBitrate = view.getUint32(body + 9);
+      offset = body + 13;
+      continue;
+    }
+    if (tag === 0x05) {
+      asc = parseAudioSpecificConfig(view, body);
+      break;
+    }
+    offset = body + size;
+  }
+
+  return objectTypeIndication === null ? null : { objectTypeIndication, avgBitrate, asc };
+}
+
+/**
+ * Audio sample entry (ISO 14496-12 §12.2.3) + codec config child box
+ * @param {DataView} view
+ * @param {number} offset - Sample entry box start
+ * @param {number} end
+ * @returns {BitstreamInfo}
+ */
+function parseAudioSampleEntry(view, offset, end) {
+  const fourcc = readAscii(view, offset + 4) || '';
+  const info = createInfo({ container: 'mp4', codecId: fourcc });
+  if (offset + 36 > end) return info;
+
+  info.channels = view.getUint16(offset + 24);
+  const sampleSize = view.getUint16(offset + 26);
+  info.sampleRate = view.getUint32(offset + 32) >>> 16;  // 16.16 fixed point
+
+  let child = offset + 36;
+  while (child + 8 <= end) {
+    const size = view.getUint32(child);
+    const type = readAscii(view, child + 4);
+    if (size < 8) break;
+
+    if (type === 'esds') {
+      const esds = parseEsds(view, child + 12, Math.min(child + size, end));
+      if (esds) {
+        // 0x40 = MPEG-4 Audio, 0x66-0x68 = MPEG-2 AAC, 0x69/0x6B = MP3
+        info.codec = [0x69, 0x6B].includes(esds.objectTypeIndication) ? 'mp3' : 'aac';
+        info.bitrate = esds.avgBitrate || null;
+        if (esds.asc) {
+          info.codecId = `${fourcc}.40.${esds.asc.objectType}`;
+          info.sampleRate = esds.asc.sampleRate || info.sampleRate;
+          info.channels = esds.asc.channels || info.channels;
+        }
+      }
+    } else if (type === 'dOps' && child + 16 <= end) {
+      // OpusSpecificBox: Version(1) OutputChannelCount(1) PreSkip(2) InputSampleRate(4) - big endian
+      info.codec = 'opus';
+      info.channels = view.getUint8(child + 9);
+      const inputRate = view.getUint32(child + 12);
+      info.originalSampleRate = inputRate > 0 ? inputRate : null;
+    } else if (type === 'dfLa') {
+      info.codec = 'flac';
+      info.bitDepth = sampleSize || null;
+    }
+    child += size;
+  }
+
+  if (info.codec === 'unknown') {
+    info.codec = fourcc === 'Opus' ? 'opus' : fourcc === 'fLaC' ? 'flac' : fourcc === 'ulaw' ? 'mulaw' : fourcc === 'alaw' ? 'alaw' : 'unknown';
+  }
+  // Opus output is always 48 kHz
+  if (info.codec === 'opus') info.sampleRate = 48000;
+  return info;
+}
+
+/**
+ * @param {DataView} view
+ * @returns {BitstreamInfo}
+ */
+function parseMp4(view) {
+  /** @type {Array<BitstreamInfo>} */
+  const entries = [];
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   */
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = view.getUint32(offset);
+      const type = readAscii(view, offset + 4);
+      let header = 8;
+      if (size === 1 && offset + 16 <= end) {
+        size = view.getUint32(offset + 8) * 2 ** 32 + view.getUint32(offset + 12);
+        header = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < header) return;
+      const boxEnd = Math.min(offset + size, end);
+
+      if (type && MP4_CONTAINER_BOXES.has(type)) {
+        walk(offset + header, boxEnd);
+      } else if (type === 'stsd') {
+        // FullBox version/flags(4) entry_count(4) → sample entries
+        let entry = offset + header + 8;
+        while (entry + 8 <= boxEnd) {
+          const entrySize = view.getUint32(entry);
+          if (entrySize < 8) break;
+          // Only audio entries carry the audio layout; video entries (avc1, vp09) are skipped
+          const entryInfo = parseAudioSampleEntry(view, entry, Math.min(entry + entrySize, boxEnd));
+          if (entryInfo.codec !== 'unknown') entries.push(entryInfo);
+          entry += entrySize;
+        }
+      } else if (type === 'mdat' || type === 'moof') {
+        return;  // Media data reached - moov (if any) was before it
+      }
+      offset += size;
+    }
+  };
+
+  walk(0, view.byteLength);
+  // moov at the end of a non-fragmented file → container only
+  return entries[0] || createInfo({ container: 'mp4' });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MP3 / ADTS / FLAC
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// kbps, index 1-14 (Layer III)
+const MP3_BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000],  // MPEG-1
+  2: [22050, 24000, 16000],  // MPEG-2
+  0: [11025, 12000, 8000]    // MPEG-2.5
+};
+
+/**
+ * MPEG audio frame header or AAC ADTS header at offset
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {BitstreamInfo|null}
+ */
+function parseFrameHeader(view, offset) {
+  if (offset + 4 > view.byteLength) return null;
+  const b1 = view.getUint8(offset + 1);
+  const b2 = view.getUint8(offset + 2);
+  const b3 = view.getUint8(offset + 3);
+  if (view.getUint8(offset) !== 0xFF || (b1 & 0xE0) !== 0xE0) return null;
+
+  const version = (b1 >> 3) & 0x03;
+  const layer = (b1 >> 1) & 0x03;
+
+  // ADTS: 12-bit sync + layer 00
+  if ((b1 & 0xF6) === 0xF0) {
+    const frequencyIndex = (b2 >> 2) & 0x0F;
+    return createInfo({
+      container: 'aac',
+      codec: 'aac',
+      codecId: `ADTS profile ${((b2 >> 6) & 0x03) + 1}`,
+      sampleRate: AAC_SAMPLE_RATES[frequencyIndex] ?? null,
+      channels: ((b2 & 0x01) << 2) | (b3 >> 6)
+    });
+  }
+
+  const bitrateIndex = (b2 >> 4) & 0x0F;
+  const rateIndex = (b2 >> 2) & 0x03;
+  if (version === 1 || layer === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const isLayer3 = layer === 1;
+  const bitrates = version === 3 ? MP3_BITRATES_V1 : MP3_BITRATES_V2;
+  return createInfo({
+    container: 'mp3',
+    codec: isLayer3 ? 'mp3' : 'unknown',
+    codecId: `MPEG-${version === 3 ? '1' : version === 2 ? '2' : '2.5'} Layer ${4 - layer}`,
+    sampleRate: MP3_SAMPLE_RATES[version][rateIndex],
+    channels: (b3 >> 6) === 0x03 ? 1 : 2,
+    bitrate: isLayer3 && bitrateIndex ? bitrates[bitrateIndex] * 1000 : null
+  });
+}
+
+/**
+ * Skip ID3v2 tag, then find the first frame header (short scan for padding after the tag)
+ * @param {DataView} view
+ * @returns {BitstreamInfo|null}
+ */
+function parseMpegAudio(view) {
+  let offset = 0;
+  if (readAscii(view, 0, 3) === 'ID3' && view.byteLength >= 10) {
+    // Syncsafe size (7 bits per byte) + 10 byte header (+10 footer)
+    const size = ((view.getUint8(6) & 0x7F) << 21) | ((view.getUint8(7) & 0x7F) << 14) |
+      ((view.getUint8(8) & 0x7F) << 7) | (view.getUint8(9) & 0x7F);
+    offset = 10 + size + ((view.getUint8(5) & 0x10) ? 10 : 0);
+    // Tag larger than the sniffed range - still an MP3 file
+    if (offset + 4 > view.byteLength) return createInfo({ container: 'mp3', codec: 'mp3', codecId: 'ID3' });
+  }
+
+  // No ID3 tag: frame must start at byte 0 (scanning arbitrary data finds false syncs)
+  if (offset === 0) return parseFrameHeader(view, 0);
+
+  const scanEnd = Math.min(view.byteLength - 4, offset + 4096);
+  for (let i = offset; i <= scanEnd; i++) {
+    const frame = parseFrameHeader(view, i);
+    if (frame) return frame;
+  }
+  return createInfo({ container: 'mp3', codec: 'mp3', codecId: 'ID3' });
+}
+
+/**
+ * 'fLaC' + STREAMINFO: rate(20) channels-1(3) bps-1(5)
+ * @param {DataView} view
+ * @param {number} offset - 'fLaC' magic
+ * @returns {BitstreamInfo|null}
+ */
+function parseFlac(view, offset) {
+  if (readAscii(view, offset) !== 'fLaC' || offset + 22 > view.byteLength) return null;
+  const info = offset + 8 + 10;  // magic(4) + block header(4) + block/frame sizes(10)
+  const b0 = view.getUint8(info);
+  const b1 = view.getUint8(info + 1);
+  const b2 = view.getUint8(info + 2);
+  const b3 = view.getUint8(info + 3);
+  return createInfo({
+    container: 'flac',
+    codec: 'flac',
+    codecId: 'fLaC',
+    sampleRate: (b0 << 12) | (b1 << 4) | (b2 >> 4),
+    channels: ((b2 >> 1) & 0x07) + 1,
+    bitDepth: (((b2 & 0x01) << 4) | (b3 >> 4)) + 1
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Identify container + codec from the first bytes of recorded audio
+ * @param {ArrayBuffer} buffer - Start of the file / first recorder chunk
+ * @returns {BitstreamInfo|null} null when no known signature matches
+ */
+export function sniffContainer(buffer) {
+  if (!buffer || buffer.byteLength < 4) return null;
+  const view = new DataView(buffer);
+
+  try {
+    if (view.getUint32(0) === EBML_ID.HEADER) return parseEbml(view);
+    const magic = readAscii(view, 0);
+    if (magic === 'OggS') return parseOgg(view);
+    if (magic === 'RIFF' && readAscii(view, 8) === 'WAVE') return parseWave(view);
+    if (magic === 'fLaC') return parseFlac(view, 0);
+    if (readAscii(view, 4) === 'ftyp') return parseMp4(view);
+    return parseMpegAudio(view);
+  } catch {
+    // Truncated / malformed header - treat as unknown
+    return null;
+  }
+}
+
+/**
+ * Read and sniff the start of a Blob
+ * Blob.prototype.slice does not go through the Blob constructor hook.
+ * @param {Blob} blob
+ * @returns {Promise<BitstreamInfo|null>}
+ */
+export async function sniffBlob(blob) {
+  if (!blob || typeof blob.slice !== 'function' || blob.size < 4) return null;
+  const buffer = await blob.slice(0, SNIFF_HEADER_BYTES).arrayBuffer();
+  return sniffContainer(buffer);
+}
@@ -18,7 +18,8 @@
  * @type {Object<string, number>}
  */
 export const PATTERN_PRIORITY = {
-  'audioworklet-config': 5,  // Full AudioWorklet config (highest priority)
+  'container-sniff': 6,      // Parsed from recorded bytes (container-sniffer.js) - ground truth for format
+  'audioworklet-config': 5,  // Full AudioWorklet config
   'audioworklet-init': 4,    // AudioWorklet initialization
   'audioworklet-deferred': 4, // Deferred AudioWorklet matching
   'direct': 4,               // Worker hook with explicit encoder fields
@@ -26,6 +27,8 @@ export const PATTERN_PRIORITY = {
   'worker-init': 3,          // Worker init message
   'worker-audio-init': 3,    // Worker audio init pattern
   'audio-blob': 2,           // Blob creation (post-hoc, confirms format)
+  'worker-script': 2,        // Encoder library signature in the worker source (no config)
+  'wasm-module': 2,          // WebAssembly module import/export fingerprint (library + version, no config)
   'unknown': 1               // Unknown pattern (lowest priority)
 };
 
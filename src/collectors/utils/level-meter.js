@@ -0,0 +1,197 @@
+// @ts-check
+/**
+ * level-meter.js - Live level metering of a microphone track
+ *
+ * Reads raw frames from a clone of the captured track via MediaStreamTrackProcessor.
+ * No AudioContext is created: the page's Web Audio graph is untouched and our own
+ * nodes never reach the AudioContext hooks (no fake contexts / PCM recording signals).
+ *
+ * Reports per interval:
+ * - rmsDb / peakDb: RMS and peak level in dBFS over the last interval
+ * - maxPeakDb: highest peak since the meter started
+ * - clipCount: clipping events (runs of full-scale samples) since start
+ * - silenceMs: current continuous silence, longestSilenceMs: longest so far
+ *
+ * Used by GetUserMediaCollector (opt-in, levelMeter setting).
+ */
+
+/**
+ * Report interval - one emit per second keeps storage writes low
+ */
+export const LEVEL_REPORT_INTERVAL_MS = 1000;
+
+/**
+ * |sample| at or above this counts as clipped (float full scale = 1.0)
+ */
+const CLIP_THRESHOLD = 0.999;
+
+/**
+ * Frame RMS below this counts as silence (dBFS)
+ */
+const SILENCE_THRESHOLD_DB = -60;
+
+/**
+ * Floor for log10(0) - digital silence reported as -100 dBFS
+ */
+const MIN_DB = -100;
+
+/**
+ * @typedef {Object} LevelStats
+ * @property {number} rmsDb - RMS over the last interval (dBFS)
+ * @property {number} peakDb - Peak over the last interval (dBFS)
+ * @property {number} maxPeakDb - Highest peak since start (dBFS)
+ * @property {number} clipCount - Clipping events since start
+ * @property {number} silenceMs - Current continuous silence (0 = signal present)
+ * @property {number} longestSilenceMs - Longest continuous silence since start
+ * @property {number} sampleRate - Track sample rate (Hz)
+ * @property {number} startedAt - Meter start timestamp
+ * @property {number} updatedAt - Last report timestamp
+ */
+
+/**
+ * @param {number} amplitude - Linear amplitude (0..1)
+ * @returns {number} dBFS rounded to 0.1
+ */
+function toDb(amplitude) {
+  if (amplitude <= 0) return MIN_DB;
+  return Math.max(MIN_DB, Math.round(20 * Math.log10(amplitude) * 10) / 10);
+}
+
+/**
+ * true if the browser can tap a track without Web Audio (Chrome 94+)
+ * @returns {boolean}
+ */
+export function isLevelMeterSupported() {
+  // @ts-ignore - MediaStreamTrackProcessor is not in the DOM lib yet
+  return typeof window.MediaStreamTrackProcessor === 'function';
+}
+
+/**
+ * Start metering a microphone track
+ * The source track is cloned - stopping the meter never affects the page's track.
+ * A disabled source track (page-side mute) is metered as silence.
+ * Meter stops itself when the source track ends (track.stop() fires no 'ended' event).
+ * @param {MediaStreamTrack} sourceTrack - Captured getUserMedia audio track
+ * @param {(stats: LevelStats) => void} onUpdate - Called every LEVEL_REPORT_INTERVAL_MS
+ * @returns {{stop: () => void}}
+ */
+export function createLevelMeter(sourceTrack, onUpdate) {
+  const tap = sourceTrack.clone();
+  // @ts-ignore - MediaStreamTrackProcessor is not in the DOM lib yet
+  const processor = new window.MediaStreamTrackProcessor({ track: tap });
+  const reader = processor.readable.getReader();
+
+  const startedAt = Date.now();
+  let stopped = false;
+  let buffer = new Float32Array(0);
+
+  // Interval accumulators
+  let sumSquares = 0;
+  let sampleCount = 0;
+  let intervalPeak = 0;
+  let intervalMs = 0;
+
+  // Totals since start
+  let maxPeak = 0;
+  let clipCount = 0;
+  let inClip = false;
+  let silenceMs = 0;
+  let longestSilenceMs = 0;
+  let sampleRate = 0;
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    reader.cancel().catch(() => {});
+    tap.stop();
+  };
+
+  /**
+   * @param {any} frame - AudioData
+   */
+  const processFrame = (frame) => {
+    sampleRate = frame.sampleRate;
+    const frameCount = frame.numberOfFrames;
+    let frameSquares = 0;
+    // Clone, kaynağın sonraki enabled değişikliklerini almaz - sayfa sessiz alıyorsa sessiz say
+    const channels = sourceTrack.enabled ? frame.numberOfChannels : 0;
+
+    for (let channel = 0; channel < channels; channel++) {
+      const options = { planeIndex: channel, format: 'f32-planar' };
+      const size = frame.allocationSize(options) / Float32Array.BYTES_PER_ELEMENT;
+      if (buffer.length < size) buffer = new Float32Array(size);
+      frame.copyTo(buffer, options);
+
+      for (let i = 0; i < frameCount; i++) {
+        const sample = buffer[i];
+        const abs = sample < 0 ? -sample : sample;
+        frameSquares += sample * sample;
+        if (abs > intervalPeak) intervalPeak = abs;
+
+        // Ardışık full-scale sample'lar tek clip event sayılır
+        if (abs >= CLIP_THRESHOLD) {
+          if (!inClip) clipCount++;
+          inClip = true;
+        } else {
+          inClip = false;
+        }
+      }
+    }
+
+    const frameSamples = frameCount * frame.numberOfChannels;
+    const frameMs = (frameCount / sampleRate) * 1000;
+    sumSquares += frameSquares;
+    sampleCount += frameSamples;
+    intervalMs += frameMs;
+
+    const frameRmsDb = toDb(frameSamples > 0 ? Math.sqrt(frameSquares / frameSamples) : 0);
+    if (frameRmsDb < SILENCE_THRESHOLD_DB) {
+      silenceMs += frameMs;
+      if (silenceMs > longestSilenceMs) longestSilenceMs = silenceMs;
+    } else {
+      silenceMs = 0;
+    }
+  };
+
+  const report = () => {
+    if (intervalPeak > maxPeak) maxPeak = intervalPeak;
+    onUpdate({
+      rmsDb: toDb(sampleCount > 0 ? Math.sqrt(sumSquares / sampleCount) : 0),
+      peakDb: toDb(intervalPeak),
+      maxPeakDb: toDb(maxPeak),
+      clipCount,
+      silenceMs: Math.round(silenceMs),
+      longestSilenceMs: Math.round(longestSilenceMs),
+      sampleRate,
+      startedAt,
+      updatedAt: Date.now()
+    });
+    sumSquares = 0;
+    sampleCount = 0;
+    intervalPeak = 0;
+    intervalMs = 0;
+  };
+
+  (async () => {
+    while (!stopped) {
+      const { value: frame, done } = await reader.read();
+      if (done) break;
+      try {
+        processFrame(frame);
+      } finally {
+        frame.close();
+      }
+
+      // Sayfa kendi track'ini stop() ettiyse clone mikrofonu açık tutmasın
+      if (sourceTrack.readyState === 'ended') {
+        stop();
+        break;
+      }
+      if (intervalMs >= LEVEL_REPORT_INTERVAL_MS) {
+        report();
+      }
+    }
+  })().catch(() => stop());
+
+  return { stop };
+}
@@ -0,0 +1,319 @@
+// @ts-check
+/**
+ * loudness-meter.js - ITU-R BS.1770 loudness + true peak (pure DSP, no Web Audio)
+ *
+ * Fed with contiguous per-channel Float32 blocks (LoudnessCollector analyser tap).
+ * - K-weighting: pre-filter (high shelf) + RLB high-pass, coefficients per sample rate
+ * - Momentary (400 ms) / short-term (3 s) loudness, 100 ms hop
+ * - Integrated loudness: 400 ms blocks, absolute gate -70 LUFS, relative gate -10 LU
+ *   (0.1 LU block histogram - constant memory for any session length)
+ * - True peak: 4x oversampling (windowed-sinc polyphase FIR, BS.1770-4 Annex 2 style)
+ * - Clipped samples: |x| >= 1.0 (encoder input clips at full scale)
+ *
+ * Channel weights are 1.0 (L/R) - surround channels are not tapped.
+ */
+
+/**
+ * Sub-block (hop) length - momentary/short-term windows are multiples of it
+ */
+const SUB_BLOCK_SEC = 0.1;
+const MOMENTARY_SUB_BLOCKS = 4;    // 400 ms
+const SHORT_TERM_SUB_BLOCKS = 30;  // 3 s
+
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+// Gating histogram (libebur128 style): per bin block count + mean-square sum
+// Relative gate is applied at bin resolution; louder blocks land in the last bin
+const HISTOGRAM_STEP_LU = 0.1;
+const HISTOGRAM_MAX_LUFS = 10;
+const HISTOGRAM_BINS = Math.round((HISTOGRAM_MAX_LUFS - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU);
+
+/**
+ * Float full scale - anything at or beyond is clipped once converted to integer PCM
+ */
+const CLIP_LEVEL = 1.0;
+
+// True peak interpolator: 4 phases × 12 taps
+const OVERSAMPLE = 4;
+const TAPS_PER_PHASE = 12;
+
+/**
+ * @typedef {Object} LoudnessStats
+ * @property {number|null} momentaryLufs - Last 400 ms (null until enough audio)
+ * @property {number|null} shortTermLufs - Last 3 s (null until enough audio)
+ * @property {number|null} integratedLufs - Gated, since start/reset (null if everything is gated)
+ * @property {number|null} maxMomentaryLufs
+ * @property {number|null} maxShortTermLufs
+ * @property {number|null} truePeakDbtp - Max true peak since start (dBTP, null = digital silence)
+ * @property {number|null} samplePeakDbfs - Max sample peak since start (dBFS, null = digital silence)
+ * @property {number} clippedSamples - Samples at/over full scale since start
+ * @property {number} durationMs - Audio analysed since start
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * K-weighting biquad coefficients for a sample rate (libebur128 derivation)
+ * @param {number} sampleRate
+ * @returns {Array<{b: number[], a: number[]}>} [pre-filter, RLB high-pass]
+ */
+function getKWeightingFilters(sampleRate) {
+  // Stage 1: high shelf (+4 dB above ~1.5 kHz)
+  let f0 = 1681.974450955533;
+  const gainDb = 3.999843853973347;
+  let q = 0.7071752369554196;
+  let k = Math.tan(Math.PI * f0 / sampleRate);
+  const vh = Math.pow(10, gainDb / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  let a0 = 1 + k / q + k * k;
+  const shelf = {
+    b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+    a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+  };
+
+  // Stage 2: RLB high-pass (~38 Hz)
+  f0 = 38.13547087602444;
+  q = 0.5003270373238773;
+  k = Math.tan(Math.PI * f0 / sampleRate);
+  a0 = 1 + k / q + k * k;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+  };
+
+  return [shelf, highPass];
+}
+
+/**
+ * Polyphase interpolation FIR (Kaiser-windowed sinc), phase p = taps[p]
+ * @returns {Float32Array[]}
+ */
+function createInterpolator() {
+  const length = OVERSAMPLE * TAPS_PER_PHASE;
+  const center = (length - 1) / 2;
+  const beta = 5;
+  // Modified Bessel I0 (series) - Kaiser window
+  const besselI0 = (x) => {
+    let sum = 1;
+    let term = 1;
+    for (let i = 1; i < 20; i++) {
+      term *= (x / (2 * i)) * (x / (2 * i));
+      sum += term;
+    }
+    return sum;
+  };
+
+  const phases = Array.from({ length: OVERSAMPLE }, () => new Float32Array(TAPS_PER_PHASE));
+  for (let n = 0; n < length; n++) {
+    const t = (n - center) / OVERSAMPLE;
+    const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+    const ratio = (n - center) / center;
+    const window = besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / besselI0(beta);
+    phases[n % OVERSAMPLE][Math.floor(n / OVERSAMPLE)] = sinc * window;
+  }
+  return phases;
+}
+
+/**
+ * @param {number} meanSquare - Channel-summed mean square
+ * @returns {number} LUFS (-Infinity for silence)
+ */
+function toLufs(meanSquare) {
+  return meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+}
+
+/**
+ * @param {number} value
+ * @returns {number|null} Rounded to 0.1, null for -Infinity
+ */
+function round1(value) {
+  return Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a BS.1770 loudness meter
+ * @param {number} sampleRate
+ * @param {number} channelCount
+ * @returns {{process: (channels: Float32Array[]) => void, getStats: () => LoudnessStats, reset: () => void}}
+ */
+export function createLoudnessMeter(sampleRate, channelCount) {
+  const filters = getKWeightingFilters(sampleRate);
+  const interpolator = createInterpolator();
+  const subBlockFrames = Math.round(sampleRate * SUB_BLOCK_SEC);
+
+  /** @type {Array<{z: Float64Array[], history: Float32Array, historyPos: number}>} */
+  let channelState;
+  let subBlockSum = 0;
+  let subBlockPos = 0;
+  /** @type {number[]} Last SHORT_TERM_SUB_BLOCKS sub-block mean squares */
+  let recentSubBlocks;
+  // 400 ms blocks above the absolute gate: histogram + running totals
+  const gatedCounts = new Uint32Array(HISTOGRAM_BINS);
+  const gatedSums = new Float64Array(HISTOGRAM_BINS);
+  let gatedCount = 0;
+  let gatedSum = 0;
+  let maxMomentary;
+  let maxShortTerm;
+  let truePeak;
+  let samplePeak;
+  let clippedSamples;
+  let totalFrames;
+
+  const reset = () => {
+    channelState = Array.from({ length: channelCount }, () => ({
+      // Biquad state (direct form II transposed) per stage
+      z: filters.map(() => new Float64Array(2)),
+      history: new Float32Array(TAPS_PER_PHASE),
+      historyPos: 0
+    }));
+    subBlockSum = 0;
+    subBlockPos = 0;
+    recentSubBlocks = [];
+    gatedCounts.fill(0);
+    gatedSums.fill(0);
+    gatedCount = 0;
+    gatedSum = 0;
+    maxMomentary = -Infinity;
+    maxShortTerm = -Infinity;
+    truePeak = 0;
+    samplePeak = 0;
+    clippedSamples = 0;
+    totalFrames = 0;
+  };
+  reset();
+
+  const windowMeanSquare = (count) => {
+    if (recentSubBlocks.length < count) return null;
+    let sum = 0;
+    for (let i = recentSubBlocks.length - count; i < recentSubBlocks.length; i++) {
+      sum += recentSubBlocks[i];
+    }
+    return sum / count;
+  };
+
+  /**
+   * @param {number} meanSquare - 400 ms block mean square
+   * @param {number} lufs - Same block in LUFS (above the absolute gate)
+   */
+  const addGatedBlock = (meanSquare, lufs) => {
+    const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((lufs - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU));
+    gatedCounts[bin]++;
+    gatedSums[bin] += meanSquare;
+    gatedCount++;
+    gatedSum += meanSquare;
+  };
+
+  const finishSubBlock = () => {
+    recentSubBlocks.push(subBlockSum / subBlockFrames);
+    if (recentSubBlocks.length > SHORT_TERM_SUB_BLOCKS) recentSubBlocks.shift();
+    subBlockSum = 0;
+    subBlockPos = 0;
+
+    // Her 100 ms'de bir 400 ms gating block (75% overlap)
+    const momentary = windowMeanSquare(MOMENTARY_SUB_BLOCKS);
+    if (momentary !== null) {
+      const lufs = toLufs(momentary);
+      if (lufs > maxMomentary) maxMomentary = lufs;
+      if (lufs > ABSOLUTE_GATE_LUFS) addGatedBlock(momentary, lufs);
+    }
+    const shortTerm = windowMeanSquare(SHORT_TERM_SUB_BLOCKS);
+    if (shortTerm !== null) {
+      const lufs = toLufs(shortTerm);
+      if (lufs > maxShortTerm) maxShortTerm = lufs;
+    }
+  };
+
+  /**
+   * Feed one contiguous block (same length for every channel)
+   * @param {Float32Array[]} channels
+   */
+  const process = (channels) => {
+    const frames = channels[0]?.length || 0;
+    for (let i = 0; i < frames; i++) {
+      let frameSquares = 0;
+
+      for (let ch = 0; ch < channelCount; ch++) {
+        const x = channels[ch] ? channels[ch][i] : 0;
+        const state = channelState[ch];
+
+        // Sample peak + clipping
+        const abs = x < 0 ? -x : x;
+        if (abs > samplePeak) samplePeak = abs;
+        if (abs >= CLIP_LEVEL) clippedSamples++;
+
+        // True peak - interpolated values between this and previous samples
+        state.history[state.historyPos] = x;
+        for (let p = 0; p < OVERSAMPLE; p++) {
+          const taps = interpolator[p];
+          let acc = 0;
+          for (let t = 0; t < TAPS_PER_PHASE; t++) {
+            acc += taps[t] * state.history[(state.historyPos - t + TAPS_PER_PHASE) % TAPS_PER_PHASE];
+          }
+          const peak = acc < 0 ? -acc : acc;
+          if (peak > truePeak) truePeak = peak;
+        }
+        state.historyPos = (state.historyPos + 1) % TAPS_PER_PHASE;
+
+        // K-weighting cascade
+        let y = x;
+        for (let s = 0; s < filters.length; s++) {
+          const { b, a } = filters[s];
+          const z = state.z[s];
+          const out = b[0] * y + z[0];
+          z[0] = b[1] * y - a[0] * out + z[1];
+          z[1] = b[2] * y - a[1] * out;
+          y = out;
+        }
+        frameSquares += y * y;
+      }
+
+      subBlockSum += frameSquares;
+      subBlockPos++;
+      if (subBlockPos >= subBlockFrames) finishSubBlock();
+    }
+    totalFrames += frames;
+  };
+
+  /**
+   * @returns {number} Gated integrated loudness (-Infinity if nothing passes the gates)
+   */
+  const integrated = () => {
+    if (gatedCount === 0) return -Infinity;
+    const relativeGate = toLufs(gatedSum / gatedCount) + RELATIVE_GATE_LU;
+
+    // İlk bin: alt sınırı relative gate'in üstünde olan
+    const firstBin = Math.max(0, Math.ceil((relativeGate - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU));
+    let sum = 0;
+    let count = 0;
+    for (let bin = firstBin; bin < HISTOGRAM_BINS; bin++) {
+      sum += gatedSums[bin];
+      count += gatedCounts[bin];
+    }
+    return count > 0 ? toLufs(sum / count) : -Infinity;
+  };
+
+  const getStats = () => {
+    const momentary = windowMeanSquare(MOMENTARY_SUB_BLOCKS);
+    const shortTerm = windowMeanSquare(SHORT_TERM_SUB_BLOCKS);
+    return {
+      momentaryLufs: momentary === null ? null : round1(toLufs(momentary)),
+      shortTermLufs: shortTerm === null ? null : round1(toLufs(shortTerm)),
+      integratedLufs: round1(integrated()),
+      maxMomentaryLufs: round1(maxMomentary),
+      maxShortTermLufs: round1(maxShortTerm),
+      truePeakDbtp: round1(20 * Math.log10(Math.max(truePeak, samplePeak))),
+      samplePeakDbfs: round1(20 * Math.log10(samplePeak)),
+      clippedSamples,
+      durationMs: Math.round((totalFrames / sampleRate) * 1000)
+    };
+  };
+
+  return { process, getStats, reset };
+}
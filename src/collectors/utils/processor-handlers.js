@@ -9,11 +9,12 @@
  * OCP: Add new handlers without modifying the sync loop.
  */
 
-import { DESTINATION_TYPES } from '../../core/constants.js';
+import { DESTINATION_TYPES, MAX_NODE_RECORDS_PER_TYPE } from '../../core/constants.js';
 
 /**
  * Factory: Creates a processor handler with duplicate check
  * DRY: All DSP nodes use this pattern - add new nodes with single line
+ * Keeps the newest MAX_NODE_RECORDS_PER_TYPE entries per type (one-shot sources)
  * @param {string} type - Processor type name
  * @param {Object<string, any>} [fieldMap] - Maps data fields to entry fields with defaults: { fieldName: 'defaultValue' }
  * @returns {function(Object, Object): void} Handler function
@@ -43,6 +44,9 @@ export const createProcessorHandler = (type, fieldMap = {}) => (data, pipeline)
   for (const [field, defaultVal] of Object.entries(fieldMap)) {
     entry[field] = data[field] ?? defaultVal;
   }
+  if (pipeline.processors.filter(p => p?.type === type).length >= MAX_NODE_RECORDS_PER_TYPE) {
+    pipeline.processors.splice(pipeline.processors.findIndex(p => p?.type === type), 1);
+  }
   pipeline.processors.push(entry);
 };
 
@@ -51,7 +55,7 @@ export const createProcessorHandler = (type, fieldMap = {}) => (data, pipeline)
  * Maps registry keys to pipeline sync functions
  *
  * ⚠️ SYNC REQUIRED: When adding a new processor type here, also add a corresponding
- * hook in EarlyHook.js → METHOD_HOOK_CONFIGS
+ * hook in EarlyHook.js → METHOD_HOOK_CONFIGS and early-inject.js → NODE_TYPE_CONFIGS
  */
 export const METHOD_CALL_SYNC_HANDLERS = {
   // Special handlers - also add to processors array for cleanup tracking
@@ -66,15 +70,26 @@ export const METHOD_CALL_SYNC_HANDLERS = {
     createProcessorHandler('mediaStreamDestination')(data, pipeline);
   },
 
+  // Source nodes (inputSource değişmez - microphone değil)
+  mediaElementSource: createProcessorHandler('mediaElementSource', { mediaType: null }),
+  bufferSource: createProcessorHandler('bufferSource', { loop: false }),
+  constantSource: createProcessorHandler('constantSource', { offset: 1 }),
+
   // Processor handlers - OCP: Add new DSP node with single line
   scriptProcessor: createProcessorHandler('scriptProcessor', { bufferSize: 4096, inputChannels: 2, outputChannels: 2 }),
   analyser: createProcessorHandler('analyser', { fftSize: 2048, usageType: null }),
   gain: createProcessorHandler('gain', { gainValue: 1 }),
   biquadFilter: createProcessorHandler('biquadFilter', { filterType: 'lowpass', frequency: null }),
-  dynamicsCompressor: createProcessorHandler('dynamicsCompressor'),
-  oscillator: createProcessorHandler('oscillator', { oscillatorType: 'sine' }),
-  delay: createProcessorHandler('delay', { maxDelayTime: 1 }),
-  convolver: createProcessorHandler('convolver'),
+  iirFilter: createProcessorHandler('iirFilter', { order: null }),
+  dynamicsCompressor: createProcessorHandler('dynamicsCompressor', { threshold: null, ratio: null }),
+  oscillator: createProcessorHandler('oscillator', { oscillatorType: 'sine', frequency: null }),
+  delay: createProcessorHandler('delay', { maxDelayTime: 1, delayTime: null }),
+  convolver: createProcessorHandler('convolver', { normalize: true }),
   waveShaper: createProcessorHandler('waveShaper', { oversample: 'none' }),
-  panner: createProcessorHandler('panner', { panningModel: 'equalpower' })
+  panner: createProcessorHandler('panner', { panningModel: 'equalpower' }),
+  stereoPanner: createProcessorHandler('stereoPanner', { pan: 0 }),
+
+  // Channel nodes
+  channelSplitter: createProcessorHandler('channelSplitter', { numberOfOutputs: 6 }),
+  channelMerger: createProcessorHandler('channelMerger', { numberOfInputs: 6 })
 };
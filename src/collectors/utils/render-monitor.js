@@ -0,0 +1,248 @@
+// @ts-check
+/**
+ * render-monitor.js - Render performance of a realtime AudioContext (main-thread sampling)
+ *
+ * Nothing is inserted into the audio graph - only context clocks are read:
+ * - outputLatency: sampled every interval (Bluetooth / device switches change it live)
+ * - getOutputTimestamp(): audio clock vs performance.now() drift + timestamp staleness
+ * - currentTime: must advance like wall clock while running - a shortfall means the
+ *   render thread missed deadlines (underrun, heard as crackle/dropout)
+ * - renderCapacity (Chrome, where exposed): load / peak load / underrun ratio
+ *   start() is only called when the page has not started it (early-inject.js hook)
+ *
+ * Reports per interval:
+ * - outputLatencyMs (+ min/max/history), outputTimestampLagMs
+ * - clockDriftMs / clockDriftPpm: audio clock vs performance clock since start (glitches excluded)
+ * - glitchCount / glitchMs / lastGlitchAt: currentTime stalls since start
+ * - renderCapacity: last update + maxPeakLoad / underrunUpdates (null if unsupported)
+ *
+ * Used by AudioContextCollector (metadata.render).
+ */
+
+/**
+ * Report interval - one emit per second keeps storage writes low
+ */
+export const RENDER_REPORT_INTERVAL_MS = 1000;
+
+/**
+ * outputLatency samples kept for the sparkline (1 min @ 1s)
+ */
+const LATENCY_HISTORY_SIZE = 60;
+
+/**
+ * Smallest currentTime shortfall per interval counted as a glitch
+ * Device callbacks advance currentTime in buffer-sized steps - shortfalls below
+ * max(this, 2 × baseLatency) are normal jitter.
+ */
+const MIN_GLITCH_MS = 20;
+
+/**
+ * @typedef {Object} RenderCapacityStats
+ * @property {number} averageLoad - Last update (0..1, render time / quantum duration)
+ * @property {number} peakLoad - Last update (0..1)
+ * @property {number} underrunRatio - Last update (0..1, underrun quanta / quanta)
+ * @property {number} maxPeakLoad - Highest peak load since start
+ * @property {number} underrunUpdates - Updates with underrunRatio > 0 since start
+ */
+
+/**
+ * @typedef {Object} RenderStats
+ * @property {number|null} outputLatencyMs - Last sample (null if the browser reports none)
+ * @property {number|null} minOutputLatencyMs
+ * @property {number|null} maxOutputLatencyMs
+ * @property {number[]} outputLatencyHistory - Last LATENCY_HISTORY_SIZE samples (oldest first)
+ * @property {number|null} outputTimestampLagMs - performance.now() - getOutputTimestamp().performanceTime
+ * @property {number|null} clockDriftMs - Audio clock minus performance clock since start (+ = audio clock fast)
+ * @property {number|null} clockDriftPpm
+ * @property {number} glitchCount - currentTime stalls since start
+ * @property {number} glitchMs - Audio time missing over those stalls
+ * @property {number|null} lastGlitchAt - Date.now() of the last stall
+ * @property {RenderCapacityStats|null} renderCapacity - null if AudioContext.renderCapacity is not exposed
+ * @property {number} startedAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * @param {number} value
+ * @returns {number} Rounded to 0.1
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Start monitoring an AudioContext
+ * Stops itself when the context closes.
+ * @param {AudioContext} ctx - Realtime context (OfflineAudioContext has no output clock)
+ * @param {(stats: RenderStats) => void} onUpdate - Called every RENDER_REPORT_INTERVAL_MS while running
+ * @returns {{stop: () => void}}
+ */
+export function createRenderMonitor(ctx, onUpdate) {
+  const startedAt = Date.now();
+  let stopped = false;
+
+  /** @type {number[]} */
+  const latencyHistory = [];
+  let minLatency = Infinity;
+  let maxLatency = -Infinity;
+
+  // currentTime vs wall clock (previous running sample)
+  /** @type {{wall: number, ctxTime: number}|null} */
+  let lastSample = null;
+  let glitchCount = 0;
+  let glitchMs = 0;
+  /** @type {number|null} */
+  let lastGlitchAt = null;
+
+  // getOutputTimestamp() drift - baseline re-taken after suspend (audio clock stops)
+  /** @type {{contextTime: number, performanceTime: number, glitchMs: number}|null} */
+  let driftBase = null;
+  let driftOffsetMs = 0;      // Drift of finished segments (before suspends)
+  let driftSpanMs = 0;        // Performance time of finished segments
+  let segmentDriftMs = 0;     // Current segment (since driftBase)
+  let segmentSpanMs = 0;
+  /** @type {number|null} */
+  let clockDriftMs = null;
+  /** @type {number|null} */
+  let clockDriftPpm = null;
+
+  /** @type {RenderCapacityStats|null} */
+  let capacity = null;
+  // @ts-ignore - AudioRenderCapacity is not in the DOM lib yet
+  const renderCapacity = ctx.renderCapacity;
+  /** @param {any} event - AudioRenderCapacityEvent */
+  const onCapacityUpdate = (event) => {
+    capacity = {
+      averageLoad: event.averageLoad,
+      peakLoad: event.peakLoad,
+      underrunRatio: event.underrunRatio,
+      maxPeakLoad: Math.max(capacity?.maxPeakLoad ?? 0, event.peakLoad),
+      underrunUpdates: (capacity?.underrunUpdates ?? 0) + (event.underrunRatio > 0 ? 1 : 0)
+    };
+  };
+  // start() on a running instance reconfigures it - page's updateInterval must win.
+  // Without the early-inject.js hook we cannot tell → listen only, never start.
+  // @ts-ignore - early-inject.js AudioRenderCapacity hook
+  const isStartedByPage = window.__isRenderCapacityStartedByPage;
+  let startedCapacity = false;
+  if (renderCapacity && typeof renderCapacity.start === 'function') {
+    renderCapacity.addEventListener('update', onCapacityUpdate);
+    if (typeof isStartedByPage === 'function' && !isStartedByPage(renderCapacity)) {
+      // @ts-ignore - Marks our own start() for the early-inject.js hook
+      window.__audioInspectorStartingRenderCapacity = true;
+      try {
+        renderCapacity.start({ updateInterval: RENDER_REPORT_INTERVAL_MS / 1000 });
+        startedCapacity = true;
+      } catch {
+        // Not allowed in this state - page updates (if any) still reach our listener
+      } finally {
+        // @ts-ignore
+        window.__audioInspectorStartingRenderCapacity = false;
+      }
+    }
+  }
+
+  const sampleClock = () => {
+    const wall = performance.now();
+    const ctxTime = ctx.currentTime;
+
+    if (lastSample) {
+      const wallDelta = wall - lastSample.wall;
+      const ctxDelta = (ctxTime - lastSample.ctxTime) * 1000;
+      const threshold = Math.max(MIN_GLITCH_MS, 2 * (ctx.baseLatency || 0) * 1000);
+      const shortfall = wallDelta - ctxDelta;
+      if (shortfall > threshold) {
+        glitchCount++;
+        glitchMs += shortfall;
+        lastGlitchAt = Date.now();
+      }
+    }
+    lastSample = { wall, ctxTime };
+  };
+
+  const sampleOutputTimestamp = () => {
+    if (typeof ctx.getOutputTimestamp !== 'function') return null;
+    const { contextTime, performanceTime } = ctx.getOutputTimestamp();
+    // Output henüz başlamadı (ilk callback öncesi 0/0 döner)
+    if (!performanceTime) return null;
+
+    if (!driftBase) {
+      driftBase = { contextTime, performanceTime, glitchMs };
+    } else {
+      segmentSpanMs = performanceTime - driftBase.performanceTime;
+      // Stall'larda audio clock geride kalır - drift değil, glitch olarak sayıldı
+      const audioSpan = (contextTime - driftBase.contextTime) * 1000 + (glitchMs - driftBase.glitchMs);
+      segmentDriftMs = audioSpan - segmentSpanMs;
+      const totalDrift = driftOffsetMs + segmentDriftMs;
+      const totalSpan = driftSpanMs + segmentSpanMs;
+      clockDriftMs = round1(totalDrift);
+      clockDriftPpm = totalSpan > 0 ? Math.round((totalDrift / totalSpan) * 1e6) : null;
+    }
+    return round1(performance.now() - performanceTime);
+  };
+
+  const report = () => {
+    if (stopped) return;
+    if (ctx.state === 'closed') {
+      stop();
+      return;
+    }
+
+    // Suspend: audio clock durur - sonraki running örneği yeni baseline
+    if (ctx.state !== 'running') {
+      lastSample = null;
+      driftOffsetMs += segmentDriftMs;
+      driftSpanMs += segmentSpanMs;
+      segmentDriftMs = 0;
+      segmentSpanMs = 0;
+      driftBase = null;
+      return;
+    }
+
+    sampleClock();
+    const outputTimestampLagMs = sampleOutputTimestamp();
+
+    const latency = typeof ctx.outputLatency === 'number' ? round1(ctx.outputLatency * 1000) : null;
+    if (latency !== null) {
+      latencyHistory.push(latency);
+      if (latencyHistory.length > LATENCY_HISTORY_SIZE) latencyHistory.shift();
+      if (latency < minLatency) minLatency = latency;
+      if (latency > maxLatency) maxLatency = latency;
+    }
+
+    onUpdate({
+      outputLatencyMs: latency,
+      minOutputLatencyMs: Number.isFinite(minLatency) ? minLatency : null,
+      maxOutputLatencyMs: Number.isFinite(maxLatency) ? maxLatency : null,
+      outputLatencyHistory: [...latencyHistory],
+      outputTimestampLagMs,
+      clockDriftMs,
+      clockDriftPpm,
+      glitchCount,
+      glitchMs: Math.round(glitchMs),
+      lastGlitchAt,
+      renderCapacity: capacity,
+      startedAt,
+      updatedAt: Date.now()
+    });
+  };
+
+  const timer = setInterval(report, RENDER_REPORT_INTERVAL_MS);
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(timer);
+    renderCapacity?.removeEventListener?.('update', onCapacityUpdate);
+    // Sadece biz başlattıysak ve sayfa sonradan start() çağırmadıysa durdurulur
+    if (startedCapacity && !isStartedByPage(renderCapacity)) {
+      try {
+        renderCapacity.stop();
+      } catch {
+        // Context closed - already stopped
+      }
+    }
+  };
+
+  return { stop };
+}
@@ -14,13 +14,16 @@ export const EVENTS = {
  */
 export const DATA_TYPES = {
   RTC_STATS: 'rtc_stats',
+  RTC_HISTORY: 'rtc_history',
   USER_MEDIA: 'user_media',
   AUDIO_CONTEXT: 'audio_contexts',
   AUDIO_WORKLET: 'audio_worklet',
   MEDIA_RECORDER: 'media_recorder',
   DETECTED_ENCODER: 'detected_encoder',  // Renamed from WASM_ENCODER - handles all encoder types (WASM, PCM, native)
   AUDIO_CONNECTION: 'audio_connections',
-  PLATFORM_DETECTED: 'platform_detected'
+  PLATFORM_DETECTED: 'platform_detected',
+  MEDIA_DEVICES: 'media_devices',
+  LOUDNESS: 'loudness_stats'
 };
 
 /**
@@ -46,12 +49,27 @@ export const INSTALL_FLAG = '__audioPipelineInspectorInstalled';
  */
 export const RTC_STATS_POLL_INTERVAL_MS = 1000;
 
+/**
+ * Rolling RTC metric history window per connection (sparklines)
+ * Sample count = window / poll interval (5 min @ 1s = 300 samples)
+ */
+export const RTC_HISTORY_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * rtc_history emit interval + max points per connection
+ * rtc_stats carries only the newest sample; the window is stored downsampled
+ * under its own key (5 min / 60 points = 5s buckets)
+ */
+export const RTC_HISTORY_EMIT_INTERVAL_MS = 5000;
+export const RTC_HISTORY_MAX_POINTS = 60;
+
 /**
  * AudioContext destination types
  */
 export const DESTINATION_TYPES = {
   SPEAKERS: 'speakers',
-  MEDIA_STREAM: 'MediaStreamDestination'
+  MEDIA_STREAM: 'MediaStreamDestination',
+  OFFLINE_BUFFER: 'offline-buffer'  // OfflineAudioContext → rendered AudioBuffer
 };
 
 /**
@@ -74,12 +92,16 @@ export const DESTINATION_TYPES = {
  */
 export const DATA_STORAGE_KEYS = [
   'rtc_stats',
+  'rtc_history',       // Downsampled metric window per connection (sparklines)
   'user_media',
   'audio_contexts',
   'audio_worklet',
   'media_recorder',
   'detected_encoder',  // Renamed from wasm_encoder - handles all encoder types
-  'audio_connections'
+  'audio_connections',
+  'quality_alerts',    // Sustained quality breaches (background.js alert tracker)
+  'media_devices',     // enumerateDevices() labels + setSinkId calls (MediaDevicesCollector)
+  'loudness_stats'     // BS.1770 loudness of the encoder input (LoudnessCollector, opt-in)
   // NOTE: recording_active is read by updateUI() but intentionally excluded
   // from DATA_STORAGE_KEYS to prevent storage.onChanged UI flickering
 ];
@@ -128,3 +150,39 @@ export const OPUS_FRAME_SIZES_MS = [2.5, 5, 10, 20, 40, 60];
  * Contexts created within this window are considered active
  */
 export const RECENT_CONTEXT_THRESHOLD_MS = 5000;
+
+/**
+ * OfflineAudioContexts kept per page (newest wins)
+ * Render/resample pipelines may create one per chunk - older ones are dropped
+ */
+export const MAX_OFFLINE_CONTEXTS = 10;
+
+/**
+ * startRendering() runs kept per OfflineAudioContext (newest wins)
+ */
+export const MAX_OFFLINE_RENDERINGS = 5;
+
+/**
+ * AudioNode creation records kept per context and node type (newest wins)
+ * One-shot sources (createBufferSource/createOscillator per sound) and per-voice
+ * gains would otherwise grow methodCalls / pipeline.processors without bound
+ *
+ * ⚠️ SYNC: Inline copy in scripts/early-inject.js - keep both in sync
+ */
+export const MAX_NODE_RECORDS_PER_TYPE = 20;
+
+/**
+ * applyConstraints calls kept (newest wins)
+ * Applies to the early capture list and to each stream's history (GetUserMediaCollector)
+ *
+ * ⚠️ SYNC: Inline copy in scripts/early-inject.js - keep both in sync
+ */
+export const MAX_CONSTRAINT_CALLS = 20;
+
+/**
+ * setSinkId calls kept (newest wins)
+ * Applies to the early capture list and to the output device history (MediaDevicesCollector)
+ *
+ * ⚠️ SYNC: Inline copy in scripts/early-inject.js - keep both in sync
+ */
+export const MAX_SINK_CALLS = 20;
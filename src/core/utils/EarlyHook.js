@@ -11,17 +11,21 @@
  */
 
 import { logger } from '../Logger.js';
-import { LOG_PREFIX, ENCODER_KEYWORDS } from '../constants.js';
+import { LOG_PREFIX, ENCODER_KEYWORDS, MAX_OFFLINE_CONTEXTS, MAX_OFFLINE_RENDERINGS, MAX_NODE_RECORDS_PER_TYPE, MAX_CONSTRAINT_CALLS, MAX_SINK_CALLS } from '../constants.js';
 
 /** @type {boolean} */
 let hooksInstalled = false;
 
-/** @type {{audioContexts: Array<{instance: AudioContext, timestamp: number, sampleRate: number, state: string, methodCalls?: Array<{type: string, timestamp: number, [key: string]: any}>}>, rtcPeerConnections: Array<{instance: RTCPeerConnection, timestamp: number}>, mediaRecorders: Array<{instance: MediaRecorder, timestamp: number}>, audioWorkletNodes: Array<{instance: AudioWorkletNode, context: AudioContext, processorName: string, timestamp: number}>}} */
+/** @type {{audioContexts: Array<{instance: AudioContext, timestamp: number, sampleRate: number, state: string, methodCalls?: Array<{type: string, timestamp: number, [key: string]: any}>}>, offlineAudioContexts: Array<{instance: OfflineAudioContext, timestamp: number, sampleRate: number, state: string, length: number, numberOfChannels: number, methodCalls?: Array<{type: string, timestamp: number, [key: string]: any}>}>, rtcPeerConnections: Array<{instance: RTCPeerConnection, timestamp: number}>, mediaRecorders: Array<{instance: MediaRecorder, timestamp: number}>, audioWorkletNodes: Array<{instance: AudioWorkletNode, context: AudioContext, processorName: string, timestamp: number}>, constraintCalls: Array<ConstraintCallRecord>, sinkCalls: Array<SinkCallRecord>, portTraffic: Array<PortTrafficRecord>}} */
 const instanceRegistry = {
   audioContexts: [],
+  offlineAudioContexts: [],  // Newest MAX_OFFLINE_CONTEXTS (cleanupClosedAudioContexts trims)
   rtcPeerConnections: [],
   mediaRecorders: [],
-  audioWorkletNodes: []
+  audioWorkletNodes: [],
+  constraintCalls: [],  // Fallback only - early-inject.js path uses window.__earlyCaptures.constraintCalls
+  sinkCalls: [],        // Fallback only - early-inject.js path uses window.__earlyCaptures.sinkCalls
+  portTraffic: []       // Fallback only - early-inject.js path uses window.__earlyCaptures.portTraffic
 };
 
 // ═══════════════════════════════════════════════════════════════════
@@ -62,7 +66,7 @@ export function getAnalyserUsageType(node) {
  */
 // ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
 function markAnalyserUsage(node, usageType) {
-  if (!node) return;
+  if (!node || isInternalNode(node)) return;
   const map = getAnalyserUsageMap();
   // First call wins - don't overwrite existing usage type
   if (!map.has(node)) {
@@ -78,6 +82,232 @@ function markAnalyserUsage(node, usageType) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// OfflineAudioContext startRendering() runs
+// ctx → last MAX_OFFLINE_RENDERINGS runs (wall-clock duration, status)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} OfflineRenderingRecord
+ * @property {number} startedAt - Date.now() at startRendering()
+ * @property {number|null} durationMs - Wall-clock render time (null while rendering)
+ * @property {number} renderedSec - Rendered audio duration (length / sampleRate)
+ * @property {'rendering'|'complete'|'error'} status
+ * @property {string|null} error - 'Name: message' when rendering failed
+ */
+
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function getOfflineRenderingMap() {
+  // @ts-ignore
+  const existing = window.__audioInspectorOfflineRenderings;
+  if (existing && typeof existing.get === 'function' && typeof existing.set === 'function') {
+    return existing;
+  }
+  const map = new WeakMap();
+  // @ts-ignore
+  window.__audioInspectorOfflineRenderings = map;
+  return map;
+}
+
+/**
+ * Get the startRendering() runs of an OfflineAudioContext (oldest first)
+ * @param {BaseAudioContext} ctx
+ * @returns {OfflineRenderingRecord[]}
+ */
+export function getOfflineRenderings(ctx) {
+  if (!ctx) return [];
+  return getOfflineRenderingMap().get(ctx) || [];
+}
+
+/**
+ * @param {BaseAudioContext} ctx
+ * @param {OfflineRenderingRecord} rendering
+ */
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function recordOfflineRendering(ctx, rendering) {
+  const map = getOfflineRenderingMap();
+  const renderings = map.get(ctx) || [];
+  renderings.push(rendering);
+  if (renderings.length > MAX_OFFLINE_RENDERINGS) {
+    renderings.shift();
+  }
+  map.set(ctx, renderings);
+
+  // @ts-ignore
+  if (window.__offlineRenderingHandler) {
+    // @ts-ignore
+    window.__offlineRenderingHandler(ctx);
+  }
+}
+
+/**
+ * @param {BaseAudioContext} ctx
+ * @param {OfflineRenderingRecord} rendering
+ * @param {number} startTime - performance.now() at startRendering()
+ * @param {any} error
+ */
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function finishOfflineRendering(ctx, rendering, startTime, error) {
+  rendering.durationMs = Math.round((performance.now() - startTime) * 10) / 10;
+  rendering.status = error ? 'error' : 'complete';
+  rendering.error = error ? `${error.name}: ${error.message}` : null;
+
+  // @ts-ignore
+  if (window.__offlineRenderingHandler) {
+    // @ts-ignore
+    window.__offlineRenderingHandler(ctx);
+  }
+  logger.info(LOG_PREFIX.INSPECTOR, `🎛️ startRendering() ${rendering.status} in ${rendering.durationMs}ms (${rendering.renderedSec.toFixed(2)}s of audio)`);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ScriptProcessorNode onaudioprocess profiling
+// node → callback profile (handler time vs bufferSize / sampleRate budget)
+// Handlers run on the main thread - a slow handler or a busy page delays
+// the next callback and the node outputs silence for the missed buffers.
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ScriptProcessorProfile
+ * @property {number} budgetMs - bufferSize / sampleRate (time between callbacks)
+ * @property {number} callbacks - audioprocess events handled
+ * @property {number} avgExecMs - Handler time per callback (all handlers of the event)
+ * @property {number} maxExecMs
+ * @property {number} overBudgetCount - Callbacks whose handlers ran longer than budgetMs
+ * @property {number|null} lastOverBudgetAt - Date.now() of the last over-budget callback
+ * @property {number} missedCallbacks - Callbacks skipped between late invocations
+ * @property {number} avgJitterMs - |interval - budgetMs| average (intervals without missed callbacks)
+ * @property {number} maxJitterMs
+ */
+
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function getAudioProcessProfileMap() {
+  // @ts-ignore
+  const existing = window.__audioInspectorAudioProcessProfiles;
+  if (existing && typeof existing.get === 'function' && typeof existing.set === 'function') {
+    return existing;
+  }
+  const map = new WeakMap();
+  // @ts-ignore
+  window.__audioInspectorAudioProcessProfiles = map;
+  return map;
+}
+
+/**
+ * Get the onaudioprocess profile of a ScriptProcessorNode
+ * @param {ScriptProcessorNode} node
+ * @returns {ScriptProcessorProfile|null} null until the first callback
+ */
+export function getScriptProcessorProfile(node) {
+  const profile = node ? getAudioProcessProfileMap().get(node) : null;
+  if (!profile || profile.callbacks === 0) return null;
+
+  /** @param {number} value */
+  const round2 = (value) => Math.round(value * 100) / 100;
+  return {
+    budgetMs: round2(profile.budgetMs),
+    callbacks: profile.callbacks,
+    avgExecMs: round2(profile.totalExecMs / profile.callbacks),
+    maxExecMs: round2(profile.maxExecMs),
+    overBudgetCount: profile.overBudgetCount,
+    lastOverBudgetAt: profile.lastOverBudgetAt,
+    missedCallbacks: profile.missedCallbacks,
+    avgJitterMs: profile.jitterSamples > 0 ? round2(profile.totalJitterMs / profile.jitterSamples) : 0,
+    maxJitterMs: round2(profile.maxJitterMs)
+  };
+}
+
+/**
+ * Record one handler invocation (several handlers of one event = one callback)
+ * @param {ScriptProcessorNode} node
+ * @param {any} event - AudioProcessingEvent
+ * @param {number} startTime - performance.now() before the handler
+ * @param {number} execMs - Handler run time
+ */
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function recordAudioProcess(node, event, startTime, execMs) {
+  const map = getAudioProcessProfileMap();
+  let profile = map.get(node);
+  if (!profile) {
+    profile = {
+      budgetMs: (node.bufferSize / node.context.sampleRate) * 1000,
+      callbacks: 0,
+      totalExecMs: 0,
+      maxExecMs: 0,
+      overBudgetCount: 0,
+      lastOverBudgetAt: null,
+      missedCallbacks: 0,
+      totalJitterMs: 0,
+      maxJitterMs: 0,
+      jitterSamples: 0,
+      lastStart: null,
+      currentKey: null,
+      currentExecMs: 0,
+      currentOverBudget: false
+    };
+    map.set(node, profile);
+  }
+
+  // playbackTime her callback'te farklı - aynı event'in diğer handler'ları aynı callback'e yazılır
+  const callbackKey = event?.playbackTime ?? event;
+  if (callbackKey !== profile.currentKey) {
+    if (profile.lastStart !== null) {
+      const interval = startTime - profile.lastStart;
+      const missed = Math.max(0, Math.round(interval / profile.budgetMs) - 1);
+      if (missed > 0) {
+        profile.missedCallbacks += missed;
+      } else {
+        const jitter = Math.abs(interval - profile.budgetMs);
+        profile.totalJitterMs += jitter;
+        profile.jitterSamples++;
+        if (jitter > profile.maxJitterMs) profile.maxJitterMs = jitter;
+      }
+    }
+    profile.callbacks++;
+    profile.lastStart = startTime;
+    profile.currentKey = callbackKey;
+    profile.currentExecMs = 0;
+    profile.currentOverBudget = false;
+  }
+
+  profile.currentExecMs += execMs;
+  profile.totalExecMs += execMs;
+  if (profile.currentExecMs > profile.maxExecMs) profile.maxExecMs = profile.currentExecMs;
+  if (!profile.currentOverBudget && profile.currentExecMs > profile.budgetMs) {
+    profile.currentOverBudget = true;
+    profile.overBudgetCount++;
+    profile.lastOverBudgetAt = Date.now();
+  }
+}
+
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function isAudioProcessProfilingActive() {
+  // @ts-ignore
+  return window.__audioInspectorEnabled === true && !window.__otherTabLocked;
+}
+
+/**
+ * Wrap an audioprocess handler (function or {handleEvent} listener object)
+ * Inspector off → original handler is called directly (no timing)
+ * @param {ScriptProcessorNode} node
+ * @param {any} handler
+ * @returns {(event: any) => any}
+ */
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function wrapAudioProcessHandler(node, handler) {
+  return function(event) {
+    if (!isAudioProcessProfilingActive()) {
+      return typeof handler === 'function' ? handler.call(this, event) : handler.handleEvent(event);
+    }
+    const startTime = performance.now();
+    try {
+      return typeof handler === 'function' ? handler.call(this, event) : handler.handleEvent(event);
+    } finally {
+      recordAudioProcess(node, event, startTime, performance.now() - startTime);
+    }
+  };
+}
+
 // Shared AudioNode ID map - single source of truth across early-inject.js + collectors
 // ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
 function getNodeIdMap() {
@@ -116,10 +346,99 @@ function getOrAssignNodeId(node) {
   if (!id) {
     id = getNextNodeId();
     map.set(node, id);
+    registerNodeRef(id, node);
   }
   return id;
 }
 
+// Dead WeakRef'ler bu boyutun katlarında süpürülür (node-per-buffer sayfalarda map şişmesin)
+const NODE_REF_SWEEP_SIZE = 1000;
+
+// Shared nodeId → WeakRef(node) map - reverse lookup for analysis taps (popup sends node ids)
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function getNodeRefMap() {
+  // @ts-ignore
+  const existing = window.__audioInspectorNodeRefs;
+  if (existing instanceof Map) return existing;
+  const map = new Map();
+  // @ts-ignore
+  window.__audioInspectorNodeRefs = map;
+  return map;
+}
+
+/**
+ * Remember a node under its id (called wherever a node id is assigned)
+ * ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+ * @param {string} id
+ * @param {any} node
+ */
+export function registerNodeRef(id, node) {
+  if (typeof WeakRef === 'undefined') return;
+  const refs = getNodeRefMap();
+  refs.set(id, new WeakRef(node));
+  if (refs.size % NODE_REF_SWEEP_SIZE === 0) {
+    refs.forEach((ref, key) => {
+      if (!ref.deref()) refs.delete(key);
+    });
+  }
+}
+
+/**
+ * Resolve a node id (node_N) back to the live AudioNode
+ * @param {string} id
+ * @returns {AudioNode|null} null if unknown or garbage collected
+ */
+export function getNodeById(id) {
+  return getNodeRefMap().get(id)?.deref() || null;
+}
+
+/**
+ * Nodes created by the inspector itself (analysis taps) - hooks skip them so they
+ * never show up in the audio graph, analyser usage or connection list.
+ * ⚠️ SYNC: Same WeakSet read by early-inject.js connect/disconnect/analyser hooks
+ * @returns {WeakSet<Object>}
+ */
+export function getInternalNodes() {
+  // @ts-ignore
+  const existing = window.__audioInspectorInternalNodes;
+  if (existing instanceof WeakSet) return existing;
+  const set = new WeakSet();
+  // @ts-ignore
+  window.__audioInspectorInternalNodes = set;
+  return set;
+}
+
+/**
+ * @param {any} node
+ * @returns {boolean}
+ */
+function isInternalNode(node) {
+  // @ts-ignore
+  return !!window.__audioInspectorInternalNodes?.has(node);
+}
+
+/**
+ * Create an inspector-owned node and mark it internal.
+ * Creation hooks (factory methods + early-inject.js constructors) run before the node
+ * can be added to the WeakSet, so they skip it via the creating flag instead.
+ * ⚠️ SYNC: early-inject.js isCreatingInternalNode() reads the same flag
+ * @template T
+ * @param {() => T} create - e.g. () => new AnalyserNode(ctx, options)
+ * @returns {T}
+ */
+export function createInternalNode(create) {
+  // @ts-ignore
+  window.__audioInspectorCreatingInternalNode = true;
+  try {
+    const node = create();
+    getInternalNodes().add(/** @type {Object} */ (node));
+    return node;
+  } finally {
+    // @ts-ignore
+    window.__audioInspectorCreatingInternalNode = false;
+  }
+}
+
 /**
  * Factory function to create constructor hooks with common pattern
  * @param {Object} config - Hook configuration
@@ -252,10 +571,527 @@ function hookGetUserMedia() {
   logger.info(LOG_PREFIX.INSPECTOR, '⏳ Waiting for navigator.mediaDevices (lazy hook installed)');
 }
 
+/**
+ * @typedef {Object} ConstraintCallRecord
+ * @property {WeakRef<MediaStreamTrack>} trackRef - Weak: record must not keep an ended track alive
+ * @property {string} trackId
+ * @property {MediaTrackConstraints|null} requested - Constraints passed to applyConstraints
+ * @property {MediaTrackSettings} settings - getSettings() after the call settled
+ * @property {boolean} rejected - Promise rejected (e.g., OverconstrainedError)
+ * @property {string|null} error - 'Name: message' when rejected
+ * @property {number} timestamp
+ */
+
+/**
+ * Hook MediaStreamTrack.prototype.applyConstraints (audio tracks only)
+ * Records requested constraints vs resulting getSettings(), including rejects.
+ * ⚠️ SYNC with early-inject.js applyConstraints hook - same record shape
+ */
+function hookApplyConstraints() {
+  const originalApplyConstraints = window.MediaStreamTrack?.prototype?.applyConstraints;
+  if (!originalApplyConstraints) return;
+
+  /**
+   * @param {MediaStreamTrack} track
+   * @param {MediaTrackConstraints|undefined} constraints
+   * @param {any} error
+   */
+  const recordConstraintCall = (track, constraints, error) => {
+    /** @type {ConstraintCallRecord} */
+    const record = {
+      trackRef: new WeakRef(track),
+      trackId: track.id,
+      requested: constraints ?? null,
+      settings: track.getSettings(),
+      rejected: !!error,
+      error: error ? `${error.name}: ${error.message}` : null,
+      timestamp: Date.now()
+    };
+    instanceRegistry.constraintCalls.push(record);
+    if (instanceRegistry.constraintCalls.length > MAX_CONSTRAINT_CALLS) {
+      instanceRegistry.constraintCalls.shift();
+    }
+
+    // @ts-ignore
+    if (window.__applyConstraintsHandler) {
+      // @ts-ignore
+      window.__applyConstraintsHandler(record);
+    }
+  };
+
+  MediaStreamTrack.prototype.applyConstraints = async function(/** @type {MediaTrackConstraints} */ constraints) {
+    if (this.kind !== 'audio') {
+      return originalApplyConstraints.apply(this, [constraints]);
+    }
+
+    try {
+      const result = await originalApplyConstraints.apply(this, [constraints]);
+      recordConstraintCall(this, constraints, null);
+      return result;
+    } catch (err) {
+      recordConstraintCall(this, constraints, err);
+      throw err;
+    }
+  };
+
+  logger.info(LOG_PREFIX.INSPECTOR, '✅ Hooked MediaStreamTrack.prototype.applyConstraints');
+}
+
+/**
+ * Hook MediaRecorder.prototype.start to capture the timeslice argument
+ * ⚠️ SYNC with early-inject.js MediaRecorder.start hook - same shared WeakMap
+ */
+function hookMediaRecorderStart() {
+  const originalStart = window.MediaRecorder?.prototype?.start;
+  if (!originalStart) return;
+
+  // @ts-ignore
+  if (!window.__audioInspectorRecorderStarts) {
+    // @ts-ignore
+    window.__audioInspectorRecorderStarts = new WeakMap();
+  }
+
+  window.MediaRecorder.prototype.start = function(/** @type {number|undefined} */ timeslice) {
+    const startInfo = {
+      timeslice: typeof timeslice === 'number' ? timeslice : null,
+      startedAt: Date.now()
+    };
+    // @ts-ignore
+    window.__audioInspectorRecorderStarts.set(this, startInfo);
+    return originalStart.apply(this, /** @type {any} */ (arguments));
+  };
+
+  logger.info(LOG_PREFIX.INSPECTOR, '✅ Hooked MediaRecorder.prototype.start');
+}
+
+/**
+ * @typedef {Object} SinkCallRecord
+ * @property {WeakRef<HTMLMediaElement|AudioContext>} targetRef - Element / context setSinkId was called on (weak)
+ * @property {'media-element'|'audio-context'} kind
+ * @property {string|{type: string}} sinkId - Device id ('' = default) or AudioSinkOptions
+ * @property {boolean} rejected
+ * @property {string|null} error - 'Name: message' when rejected
+ * @property {number} timestamp
+ */
+
+/**
+ * Hook setSinkId on HTMLMediaElement and AudioContext prototypes (output device)
+ * ⚠️ SYNC with early-inject.js setSinkId hook - same record shape
+ */
+function hookSetSinkId() {
+  /**
+   * @param {any} proto
+   * @param {'media-element'|'audio-context'} kind
+   */
+  const hookProto = (proto, kind) => {
+    const originalSetSinkId = proto?.setSinkId;
+    if (!originalSetSinkId) return;
+
+    proto.setSinkId = async function(/** @type {any} */ sinkId) {
+      /** @param {any} error */
+      const recordSinkCall = (error) => {
+        /** @type {SinkCallRecord} */
+        const record = {
+          targetRef: new WeakRef(this),
+          kind,
+          sinkId,
+          rejected: !!error,
+          error: error ? `${error.name}: ${error.message}` : null,
+          timestamp: Date.now()
+        };
+        instanceRegistry.sinkCalls.push(record);
+        if (instanceRegistry.sinkCalls.length > MAX_SINK_CALLS) {
+          instanceRegistry.sinkCalls.shift();
+        }
+
+        // @ts-ignore
+        if (window.__setSinkIdHandler) {
+          // @ts-ignore
+          window.__setSinkIdHandler(record);
+        }
+      };
+
+      try {
+        const result = await originalSetSinkId.apply(this, [sinkId]);
+        recordSinkCall(null);
+        return result;
+      } catch (err) {
+        recordSinkCall(err);
+        throw err;
+      }
+    };
+
+    logger.info(LOG_PREFIX.INSPECTOR, `✅ Hooked ${kind} setSinkId`);
+  };
+
+  hookProto(window.HTMLMediaElement?.prototype, 'media-element');
+  hookProto(window.AudioContext?.prototype, 'audio-context');
+}
+
+/**
+ * Hook OfflineAudioContext.prototype.startRendering (render duration per run)
+ * ⚠️ SYNC with early-inject.js startRendering hook - same record shape
+ */
+function hookStartRendering() {
+  // @ts-ignore - webkit fallback
+  const proto = (window.OfflineAudioContext || window.webkitOfflineAudioContext)?.prototype;
+  const originalStartRendering = proto?.startRendering;
+  if (!originalStartRendering) return;
+
+  proto.startRendering = function(/** @type {any[]} */ ...args) {
+    const startTime = performance.now();
+    const result = originalStartRendering.apply(this, args);
+
+    /** @type {OfflineRenderingRecord} */
+    const rendering = {
+      startedAt: Date.now(),
+      durationMs: null,
+      renderedSec: this.length / this.sampleRate,
+      status: 'rendering',
+      error: null
+    };
+    recordOfflineRendering(this, rendering);
+
+    // Legacy webkit: startRendering() returns undefined, result arrives via 'complete' event
+    if (result && typeof result.then === 'function') {
+      result.then(
+        () => finishOfflineRendering(this, rendering, startTime, null),
+        (/** @type {any} */ err) => finishOfflineRendering(this, rendering, startTime, err)
+      );
+    } else {
+      this.addEventListener('complete', () => finishOfflineRendering(this, rendering, startTime, null), { once: true });
+    }
+    return result;
+  };
+
+  logger.info(LOG_PREFIX.INSPECTOR, '✅ Hooked OfflineAudioContext.prototype.startRendering');
+}
+
+/**
+ * Hook ScriptProcessorNode onaudioprocess (property + addEventListener forms)
+ * Page code still sees its own handler (getter / removeEventListener map back).
+ * ⚠️ SYNC with early-inject.js onaudioprocess hook - same profile shape
+ */
+function hookAudioProcessHandlers() {
+  const proto = window.ScriptProcessorNode?.prototype;
+  if (!proto) return;
+
+  const handlerDescriptor = Object.getOwnPropertyDescriptor(proto, 'onaudioprocess');
+  if (handlerDescriptor?.get && handlerDescriptor?.set) {
+    const { get: originalGet, set: originalSet } = handlerDescriptor;
+    /** @type {WeakMap<ScriptProcessorNode, Function>} */
+    const originalHandlers = new WeakMap();
+
+    Object.defineProperty(proto, 'onaudioprocess', {
+      configurable: true,
+      enumerable: handlerDescriptor.enumerable,
+      get() {
+        return originalHandlers.get(this) ?? originalGet.call(this);
+      },
+      set(handler) {
+        if (typeof handler !== 'function') {
+          originalHandlers.delete(this);
+          originalSet.call(this, handler);
+          return;
+        }
+        originalHandlers.set(this, handler);
+        originalSet.call(this, wrapAudioProcessHandler(this, handler));
+      }
+    });
+  }
+
+  const originalAddEventListener = proto.addEventListener;
+  const originalRemoveEventListener = proto.removeEventListener;
+  /** @type {WeakMap<ScriptProcessorNode, Map<any, Function>>} */
+  const wrappedListeners = new WeakMap();
+
+  // Aynı listener → aynı wrapper (EventTarget duplicate kontrolü korunur)
+  proto.addEventListener = function(/** @type {string} */ type, /** @type {any} */ listener, /** @type {any} */ options) {
+    if (type !== 'audioprocess' || !listener) {
+      return originalAddEventListener.call(this, type, listener, options);
+    }
+    let wrappers = wrappedListeners.get(this);
+    if (!wrappers) {
+      wrappers = new Map();
+      wrappedListeners.set(this, wrappers);
+    }
+    let wrapped = wrappers.get(listener);
+    if (!wrapped) {
+      wrapped = wrapAudioProcessHandler(this, listener);
+      wrappers.set(listener, wrapped);
+    }
+    return originalAddEventListener.call(this, type, wrapped, options);
+  };
+
+  proto.removeEventListener = function(/** @type {string} */ type, /** @type {any} */ listener, /** @type {any} */ options) {
+    const wrapped = type === 'audioprocess' ? wrappedListeners.get(this)?.get(listener) : undefined;
+    return originalRemoveEventListener.call(this, type, wrapped || listener, options);
+  };
+
+  logger.info(LOG_PREFIX.INSPECTOR, '✅ Hooked ScriptProcessorNode onaudioprocess');
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// AudioWorkletNode port traffic (node ⇄ processor messages)
+// Fallback for nodes early-inject.js did not instrument (__audioInspectorPortTrafficHooked)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} PortDirectionStats
+ * @property {number} count
+ * @property {number} bytes - Estimated payload bytes (typed arrays exact, strings × 2)
+ * @property {number} transferables - Transferred objects (incoming: MessagePorts only)
+ * @property {number} rate - msg/s over the last completed PORT_RATE_WINDOW_MS window
+ * @property {number} bytesPerSec
+ * @property {number|null} lastAt
+ */
+
+/**
+ * @typedef {Object} PortLogEntry
+ * @property {'toProcessor'|'fromProcessor'} direction
+ * @property {number} timestamp
+ * @property {string} shape - e.g. '{type: "chunk", samples: Float32Array(128)}'
+ * @property {number} bytes
+ * @property {number} transferables
+ */
+
+/**
+ * @typedef {Object} PortTrafficRecord
+ * @property {string} nodeId
+ * @property {string|null} processorName
+ * @property {string|null} contextId - null on the fallback path (collector resolves it)
+ * @property {PortDirectionStats} toProcessor - node.port.postMessage()
+ * @property {PortDirectionStats} fromProcessor - port.onmessage / 'message' listeners
+ * @property {PortLogEntry[]} log - Sampled, oldest first
+ * @property {number} updatedAt
+ */
+
+// ⚠️ SYNC: Same limits in early-inject.js
+const PORT_LOG_LIMIT = 20;              // Sampled log entries per node
+const PORT_LOG_SAMPLE_MS = 500;         // Same shape → at most one entry per direction per interval
+const PORT_RATE_WINDOW_MS = 1000;
+const PORT_SHAPE_KEY_LIMIT = 12;        // Object keys / array items inspected per level
+const PORT_TRAFFIC_NODE_LIMIT = 50;
+
+/**
+ * Payload shape + estimated size
+ * @param {any} value
+ * @param {number} depth
+ * @returns {{shape: string, bytes: number}}
+ */
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function describePortValue(value, depth) {
+  if (value === null || value === undefined) return { shape: String(value), bytes: 0 };
+  if (ArrayBuffer.isView(value)) {
+    // @ts-ignore - DataView has no length
+    return { shape: `${value.constructor.name}(${value.length ?? value.byteLength})`, bytes: value.byteLength };
+  }
+  if (value instanceof ArrayBuffer) return { shape: `ArrayBuffer(${value.byteLength})`, bytes: value.byteLength };
+  if (typeof value === 'string') {
+    return { shape: value.length <= 24 ? JSON.stringify(value) : `string(${value.length})`, bytes: value.length * 2 };
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') return { shape: String(value), bytes: 8 };
+  if (typeof value !== 'object') return { shape: typeof value, bytes: 0 };
+  if (typeof MessagePort !== 'undefined' && value instanceof MessagePort) return { shape: 'MessagePort', bytes: 0 };
+
+  // Derin nesnelerde shape kısalır, bytes ilk PORT_SHAPE_KEY_LIMIT öğeden tahmin edilir
+  if (Array.isArray(value)) {
+    const items = value.slice(0, PORT_SHAPE_KEY_LIMIT).map(item => describePortValue(item, depth + 1));
+    const sampleBytes = items.reduce((sum, item) => sum + item.bytes, 0);
+    const bytes = items.length > 0 ? Math.round(sampleBytes * (value.length / items.length)) : 0;
+    const itemShape = items.length > 0 && depth === 0 ? `<${items[0].shape}>` : '';
+    return { shape: `Array${itemShape}(${value.length})`, bytes };
+  }
+  const keys = Object.keys(value);
+  let bytes = 0;
+  const fields = keys.slice(0, PORT_SHAPE_KEY_LIMIT).map(key => {
+    const field = depth < 3 ? describePortValue(value[key], depth + 1) : { shape: '…', bytes: 0 };
+    bytes += field.bytes + key.length * 2;
+    return `${key}: ${field.shape}`;
+  });
+  if (depth > 0) return { shape: `{${keys.length} key${keys.length === 1 ? '' : 's'}}`, bytes };
+  if (keys.length > fields.length) fields.push(`+${keys.length - fields.length}`);
+  return { shape: `{${fields.join(', ')}}`, bytes };
+}
+
+/**
+ * @returns {PortDirectionStats & {windowStart: number, windowCount: number, windowBytes: number, lastShape: string|null, lastLoggedAt: number}}
+ */
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function createPortDirectionStats() {
+  return {
+    count: 0,
+    bytes: 0,
+    transferables: 0,
+    rate: 0,
+    bytesPerSec: 0,
+    lastAt: null,
+    windowStart: 0,
+    windowCount: 0,
+    windowBytes: 0,
+    lastShape: null,
+    lastLoggedAt: 0
+  };
+}
+
+/** @type {WeakMap<AudioWorkletNode, any>} */
+const portTrafficRecords = new WeakMap();
+
+/**
+ * @param {AudioWorkletNode} node
+ * @param {string} processorName
+ * @returns {any} PortTrafficRecord (+ window counters)
+ */
+function getPortTrafficRecord(node, processorName) {
+  let record = portTrafficRecords.get(node);
+  if (record) return record;
+
+  record = {
+    nodeId: getOrAssignNodeId(node),
+    processorName: processorName || null,
+    // @ts-ignore
+    contextId: window.__audioInspectorContextIdMap?.get(node.context) ?? null,
+    toProcessor: createPortDirectionStats(),
+    fromProcessor: createPortDirectionStats(),
+    log: [],
+    updatedAt: Date.now()
+  };
+  portTrafficRecords.set(node, record);
+
+  instanceRegistry.portTraffic.push(record);
+  if (instanceRegistry.portTraffic.length > PORT_TRAFFIC_NODE_LIMIT) instanceRegistry.portTraffic.shift();
+  return record;
+}
+
+/**
+ * Port'lar render hızında buffer taşıyabilir → describePortValue walk sadece inspect edilirken
+ * ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+ * @returns {boolean}
+ */
+function isPortTrafficActive() {
+  // @ts-ignore
+  return window.__audioInspectorEnabled === true && !window.__otherTabLocked;
+}
+
+/**
+ * @param {any} record - getPortTrafficRecord()
+ * @param {'toProcessor'|'fromProcessor'} direction
+ * @param {any} message
+ * @param {number} transferables
+ */
+// ⚠️ SYNC: Duplicate in early-inject.js - keep both in sync
+function recordPortMessage(record, direction, message, transferables) {
+  const now = Date.now();
+  const { shape, bytes } = describePortValue(message, 0);
+  const stats = record[direction];
+
+  stats.count++;
+  stats.bytes += bytes;
+  stats.transferables += transferables;
+  stats.lastAt = now;
+  if (now - stats.windowStart >= PORT_RATE_WINDOW_MS) {
+    if (stats.windowStart > 0) {
+      const elapsed = now - stats.windowStart;
+      stats.rate = Math.round((stats.windowCount * 1000 / elapsed) * 10) / 10;
+      stats.bytesPerSec = Math.round(stats.windowBytes * 1000 / elapsed);
+    }
+    stats.windowStart = now;
+    stats.windowCount = 0;
+    stats.windowBytes = 0;
+  }
+  stats.windowCount++;
+  stats.windowBytes += bytes;
+
+  // Yeni shape her zaman loglanır, tekrarlar PORT_LOG_SAMPLE_MS'de bir
+  if (shape !== stats.lastShape || now - stats.lastLoggedAt >= PORT_LOG_SAMPLE_MS) {
+    record.log.push({ direction, timestamp: now, shape, bytes, transferables });
+    if (record.log.length > PORT_LOG_LIMIT) record.log.shift();
+    stats.lastShape = shape;
+    stats.lastLoggedAt = now;
+  }
+  record.updatedAt = now;
+
+  // @ts-ignore
+  if (window.__audioWorkletPortTrafficHandler) {
+    // @ts-ignore
+    window.__audioWorkletPortTrafficHandler(record);
+  }
+}
+
+/**
+ * Instrument node.port in both directions (instance-level, page sees its own handlers)
+ * ⚠️ SYNC with early-inject.js hookWorkletPortTraffic - same record shape
+ * @param {AudioWorkletNode} node
+ * @param {string} processorName
+ */
+function hookWorkletPortTraffic(node, processorName) {
+  const port = node.port;
+  if (!port || typeof port.postMessage !== 'function') return;
+
+  const originalPostMessage = port.postMessage;
+  port.postMessage = function(/** @type {any} */ message, /** @type {any} */ transfer) {
+    if (isPortTrafficActive()) {
+      const transferList = Array.isArray(transfer) ? transfer : transfer?.transfer;
+      recordPortMessage(getPortTrafficRecord(node, processorName), 'toProcessor', message,
+        Array.isArray(transferList) ? transferList.length : 0);
+    }
+    // @ts-ignore - forward the original arguments untouched
+    return originalPostMessage.apply(this, arguments);
+  };
+
+  // onmessage + listener'lar aynı event'i alır → event başına bir kayıt
+  /** @type {any} */
+  let lastEvent = null;
+  /** @param {any} listener */
+  const wrapListener = (listener) => function(/** @type {MessageEvent} */ event) {
+    if (event !== lastEvent && isPortTrafficActive()) {
+      lastEvent = event;
+      recordPortMessage(getPortTrafficRecord(node, processorName), 'fromProcessor', event?.data, event?.ports?.length || 0);
+    }
+    // @ts-ignore
+    return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+  };
+
+  const handlerDescriptor = Object.getOwnPropertyDescriptor(MessagePort.prototype, 'onmessage');
+  if (handlerDescriptor?.get && handlerDescriptor?.set) {
+    const { get: originalGet, set: originalSet } = handlerDescriptor;
+    /** @type {Function|null} */
+    let pageHandler = null;
+    Object.defineProperty(port, 'onmessage', {
+      configurable: true,
+      enumerable: true,
+      get() {
+        return pageHandler ?? originalGet.call(this);
+      },
+      set(handler) {
+        pageHandler = typeof handler === 'function' ? handler : null;
+        originalSet.call(this, pageHandler ? wrapListener(pageHandler) : handler);
+      }
+    });
+  }
+
+  const originalAddEventListener = port.addEventListener;
+  const originalRemoveEventListener = port.removeEventListener;
+  /** @type {Map<any, any>} */
+  const wrappedListeners = new Map();
+  port.addEventListener = function(/** @type {string} */ type, /** @type {any} */ listener, /** @type {any} */ options) {
+    if (type !== 'message' || !listener) {
+      return originalAddEventListener.call(this, type, listener, options);
+    }
+    if (!wrappedListeners.has(listener)) wrappedListeners.set(listener, wrapListener(listener));
+    return originalAddEventListener.call(this, type, wrappedListeners.get(listener), options);
+  };
+  port.removeEventListener = function(/** @type {string} */ type, /** @type {any} */ listener, /** @type {any} */ options) {
+    const wrapped = type === 'message' ? wrappedListeners.get(listener) : undefined;
+    return originalRemoveEventListener.call(this, type, wrapped || listener, options);
+  };
+}
+
 /**
  * Hook AudioWorkletNode.port.postMessage for encoder detection
  * AudioWorklet processors (like web-based opus encoders) communicate via MessagePort
  * This is different from Worker.postMessage - AudioWorklet uses node.port
+ * Traffic stats (both directions) come from hookWorkletPortTraffic().
  *
  * @param {AudioWorkletNode} node - The AudioWorkletNode instance
  * @param {string} processorName - The processor name (e.g., 'encoder-worklet', 'opus-encoder')
@@ -266,6 +1102,12 @@ function hookAudioWorkletNodePort(node, processorName) {
   // Get stable nodeId for this AudioWorkletNode (for encoding node tracking)
   const nodeId = getOrAssignNodeId(node);
 
+  // Message inspector: early-inject.js already instruments ports in its constructor hook
+  // @ts-ignore
+  if (!window.__audioInspectorPortTrafficHooked) {
+    hookWorkletPortTraffic(node, processorName);
+  }
+
   const originalPortPostMessage = node.port.postMessage.bind(node.port);
 
   node.port.postMessage = function(message, ...args) {
@@ -464,6 +1306,22 @@ function syncEarlyCaptures() {
     logger.info(LOG_PREFIX.INSPECTOR, `📥 Synced ${earlyCaptures.audioContexts.length} AudioContext(s) from early-inject`);
   }
 
+  // Sync OfflineAudioContexts (render/resample graphs, separate list)
+  if (earlyCaptures.offlineAudioContexts?.length) {
+    for (const capture of earlyCaptures.offlineAudioContexts) {
+      instanceRegistry.offlineAudioContexts.push({
+        instance: capture.instance,
+        timestamp: capture.timestamp,
+        sampleRate: capture.sampleRate,
+        state: capture.state,
+        length: capture.length,
+        numberOfChannels: capture.numberOfChannels,
+        methodCalls: capture.methodCalls || []
+      });
+    }
+    logger.info(LOG_PREFIX.INSPECTOR, `📥 Synced ${earlyCaptures.offlineAudioContexts.length} OfflineAudioContext(s) from early-inject`);
+  }
+
   // Sync RTCPeerConnections
   if (earlyCaptures.rtcPeerConnections?.length) {
     for (const capture of earlyCaptures.rtcPeerConnections) {
@@ -530,6 +1388,25 @@ export function installEarlyHooks() {
         `📡 Registry now has ${count} AudioContext(s)`
     });
 
+    // Hook OfflineAudioContext (render/resample graphs - separate registry list)
+    createConstructorHook({
+      globalName: 'OfflineAudioContext',
+      registryKey: 'offlineAudioContexts',
+      handlerName: '__audioContextCollectorHandler',
+      // @ts-ignore - webkit fallback
+      getOriginal: () => window.OfflineAudioContext || window.webkitOfflineAudioContext,
+      extractMetadata: (ctx) => ({
+        instance: ctx,
+        timestamp: Date.now(),
+        sampleRate: ctx.sampleRate,
+        state: ctx.state,
+        length: ctx.length,
+        numberOfChannels: ctx.destination.channelCount
+      }),
+      getLogMessage: (ctx) =>
+        `📡 Early hook: OfflineAudioContext created (${ctx.length} frames, ${ctx.sampleRate}Hz, ${ctx.destination.channelCount}ch)`
+    });
+
     // Hook RTCPeerConnection
     createConstructorHook({
       globalName: 'RTCPeerConnection',
@@ -548,6 +1425,46 @@ export function installEarlyHooks() {
     hookGetUserMedia();
   }
 
+  // applyConstraints: early-inject.js installs its own hook (older builds may not)
+  // @ts-ignore
+  if (!window.__audioInspectorApplyConstraintsHooked) {
+    hookApplyConstraints();
+    // @ts-ignore
+    window.__audioInspectorApplyConstraintsHooked = true;
+  }
+
+  // MediaRecorder.start(timeslice): same pattern
+  // @ts-ignore
+  if (!window.__audioInspectorMediaRecorderStartHooked) {
+    hookMediaRecorderStart();
+    // @ts-ignore
+    window.__audioInspectorMediaRecorderStartHooked = true;
+  }
+
+  // setSinkId: same pattern (early-inject.js installs its own hook)
+  // @ts-ignore
+  if (!window.__audioInspectorSetSinkIdHooked) {
+    hookSetSinkId();
+    // @ts-ignore
+    window.__audioInspectorSetSinkIdHooked = true;
+  }
+
+  // OfflineAudioContext.startRendering(): same pattern
+  // @ts-ignore
+  if (!window.__audioInspectorStartRenderingHooked) {
+    hookStartRendering();
+    // @ts-ignore
+    window.__audioInspectorStartRenderingHooked = true;
+  }
+
+  // ScriptProcessorNode onaudioprocess profiling: same pattern
+  // @ts-ignore
+  if (!window.__audioInspectorAudioProcessHooked) {
+    hookAudioProcessHandlers();
+    // @ts-ignore
+    window.__audioInspectorAudioProcessHooked = true;
+  }
+
   // Hook AudioWorkletNode - captures custom DSP processor instances
   // Also hooks node.port.postMessage for AudioWorklet-based encoder detection
   createConstructorHook({
@@ -925,7 +1842,8 @@ export function installEarlyHooks() {
  * Method hook configurations - OCP: Add new hooks here without modifying factory
  *
  * ⚠️ SYNC REQUIRED: When adding a new processor type here, also add a corresponding
- * handler in AudioContextCollector.js → METHOD_CALL_SYNC_HANDLERS
+ * handler in processor-handlers.js → METHOD_CALL_SYNC_HANDLERS and an entry in
+ * early-inject.js → NODE_TYPE_CONFIGS (factory + constructor hooks)
  *
  * @type {Array<{methodName: string, registryKey: string, extractMetadata: Function, getLogMessage: Function}>}
  */
@@ -967,6 +1885,33 @@ const METHOD_HOOK_CONFIGS = [
     extractMetadata: () => ({ timestamp: Date.now() }),
     getLogMessage: () => '📡 Early hook: createMediaStreamDestination() captured'
   },
+  {
+    methodName: 'createMediaElementSource',
+    registryKey: 'mediaElementSource',
+    extractMetadata: (args, result) => ({
+      mediaType: result?.mediaElement?.tagName?.toLowerCase() || null, // audio, video
+      timestamp: Date.now()
+    }),
+    getLogMessage: () => '📡 Early hook: createMediaElementSource() captured'
+  },
+  {
+    methodName: 'createBufferSource',
+    registryKey: 'bufferSource',
+    extractMetadata: (args, result) => ({
+      loop: !!result?.loop,
+      timestamp: Date.now()
+    }),
+    getLogMessage: () => '📡 Early hook: createBufferSource() captured'
+  },
+  {
+    methodName: 'createConstantSource',
+    registryKey: 'constantSource',
+    extractMetadata: (args, result) => ({
+      offset: result?.offset?.value ?? 1,
+      timestamp: Date.now()
+    }),
+    getLogMessage: () => '📡 Early hook: createConstantSource() captured'
+  },
   // ═══════════════════════════════════════════════════════════════════
   // DSP Node Hooks - Web Audio API processing nodes
   // ═══════════════════════════════════════════════════════════════════
@@ -989,10 +1934,23 @@ const METHOD_HOOK_CONFIGS = [
     }),
     getLogMessage: () => '📡 Early hook: createBiquadFilter() captured'
   },
+  {
+    methodName: 'createIIRFilter',
+    registryKey: 'iirFilter',
+    extractMetadata: (args) => ({
+      order: args[1]?.length ? args[1].length - 1 : null, // feedback katsayı sayısı - 1
+      timestamp: Date.now()
+    }),
+    getLogMessage: () => '📡 Early hook: createIIRFilter() captured'
+  },
   {
     methodName: 'createDynamicsCompressor',
     registryKey: 'dynamicsCompressor',
-    extractMetadata: () => ({ timestamp: Date.now() }),
+    extractMetadata: (args, result) => ({
+      threshold: result?.threshold?.value ?? -24, // dB
+      ratio: result?.ratio?.value ?? 12,
+      timestamp: Date.now()
+    }),
     getLogMessage: () => '📡 Early hook: createDynamicsCompressor() captured'
   },
   {
@@ -1000,6 +1958,7 @@ const METHOD_HOOK_CONFIGS = [
     registryKey: 'oscillator',
     extractMetadata: (args, result) => ({
       oscillatorType: result?.type || 'sine', // sine, square, sawtooth, triangle
+      frequency: result?.frequency?.value ?? 440,
       timestamp: Date.now()
     }),
     getLogMessage: () => '📡 Early hook: createOscillator() captured'
@@ -1007,8 +1966,9 @@ const METHOD_HOOK_CONFIGS = [
   {
     methodName: 'createDelay',
     registryKey: 'delay',
-    extractMetadata: (args) => ({
+    extractMetadata: (args, result) => ({
       maxDelayTime: args[0] || 1, // saniye cinsinden
+      delayTime: result?.delayTime?.value || null,
       timestamp: Date.now()
     }),
     getLogMessage: (args) => `📡 Early hook: createDelay(${args[0] || 1}s) captured`
@@ -1016,7 +1976,10 @@ const METHOD_HOOK_CONFIGS = [
   {
     methodName: 'createConvolver',
     registryKey: 'convolver',
-    extractMetadata: () => ({ timestamp: Date.now() }),
+    extractMetadata: (args, result) => ({
+      normalize: result?.normalize !== false,
+      timestamp: Date.now()
+    }),
     getLogMessage: () => '📡 Early hook: createConvolver() captured (reverb)'
   },
   {
@@ -1036,9 +1999,52 @@ const METHOD_HOOK_CONFIGS = [
       timestamp: Date.now()
     }),
     getLogMessage: () => '📡 Early hook: createPanner() captured (3D audio)'
+  },
+  {
+    methodName: 'createStereoPanner',
+    registryKey: 'stereoPanner',
+    extractMetadata: (args, result) => ({
+      pan: result?.pan?.value ?? 0, // -1 (L) .. 1 (R)
+      timestamp: Date.now()
+    }),
+    getLogMessage: () => '📡 Early hook: createStereoPanner() captured'
+  },
+  // ═══════════════════════════════════════════════════════════════════
+  // Channel Node Hooks
+  // ═══════════════════════════════════════════════════════════════════
+  {
+    methodName: 'createChannelSplitter',
+    registryKey: 'channelSplitter',
+    extractMetadata: (args, result) => ({
+      numberOfOutputs: result?.numberOfOutputs ?? 6,
+      timestamp: Date.now()
+    }),
+    getLogMessage: (args) => `📡 Early hook: createChannelSplitter(${args[0] || 6}) captured`
+  },
+  {
+    methodName: 'createChannelMerger',
+    registryKey: 'channelMerger',
+    extractMetadata: (args, result) => ({
+      numberOfInputs: result?.numberOfInputs ?? 6,
+      timestamp: Date.now()
+    }),
+    getLogMessage: (args) => `📡 Early hook: createChannelMerger(${args[0] || 6}) captured`
   }
 ];
 
+/**
+ * Append a node record to methodCalls, keeping the newest MAX_NODE_RECORDS_PER_TYPE of its type
+ * ⚠️ SYNC: Duplicate in scripts/early-inject.js (pushNodeRecord) - keep both in sync
+ * @param {Array<{type: string, [key: string]: any}>} methodCalls
+ * @param {{type: string, [key: string]: any}} record
+ */
+function pushNodeRecord(methodCalls, record) {
+  if (methodCalls.filter(call => call.type === record.type).length >= MAX_NODE_RECORDS_PER_TYPE) {
+    methodCalls.splice(methodCalls.findIndex(call => call.type === record.type), 1);
+  }
+  methodCalls.push(record);
+}
+
 /**
  * Factory function to create method hooks - DRY pattern
  * @param {Object} proto - Prototype to hook (AudioContext.prototype or webkitAudioContext.prototype)
@@ -1053,17 +2059,21 @@ function createMethodHook(proto, config, protoName) {
   const original = proto[methodName];
   proto[methodName] = function(...args) {
     const node = original.apply(this, args);
+    // @ts-ignore - Inspector-owned node (createInternalNode)
+    if (window.__audioInspectorCreatingInternalNode) return node;
 
     // Look for context in BOTH registries (instanceRegistry AND earlyCaptures)
     // This handles the case where early-inject.js captured the context but
     // syncEarlyCaptures hasn't run yet (or page.js hasn't loaded yet)
-    let entry = instanceRegistry.audioContexts.find(e => e.instance === this);
+    // Offline contexts live in their own list in both registries
+    const registryKey = isOfflineContext(this) ? 'offlineAudioContexts' : 'audioContexts';
+    let entry = instanceRegistry[registryKey].find(e => e.instance === this);
 
     // Fallback to earlyCaptures if not in instanceRegistry
     // @ts-ignore
-    if (!entry && window.__earlyCaptures?.audioContexts) {
+    if (!entry && window.__earlyCaptures?.[registryKey]) {
       // @ts-ignore
-      entry = window.__earlyCaptures.audioContexts.find(e => e.instance === this);
+      entry = window.__earlyCaptures[registryKey].find(e => e.instance === this);
     }
 
     if (entry) {
@@ -1074,7 +2084,7 @@ function createMethodHook(proto, config, protoName) {
         nodeId: getOrAssignNodeId(node),
         ...extractMetadata(args, node)
       };
-      entry.methodCalls.push(methodCallData);
+      pushNodeRecord(entry.methodCalls, methodCallData);
       logger.info(LOG_PREFIX.INSPECTOR, getLogMessage(args, node));
 
       // ═══════════════════════════════════════════════════════════════════
@@ -1107,7 +2117,9 @@ function installMethodHooks() {
   // @ts-ignore - webkit fallback
   const prototypes = [
     { proto: AudioContext.prototype, name: 'AudioContext' },
-    { proto: window.webkitAudioContext?.prototype, name: 'webkitAudioContext' }
+    { proto: window.webkitAudioContext?.prototype, name: 'webkitAudioContext' },
+    // @ts-ignore - webkit fallback
+    { proto: (window.OfflineAudioContext || window.webkitOfflineAudioContext)?.prototype, name: 'OfflineAudioContext' }
   ].filter(p => p.proto);
 
   // Apply all hooks to all prototypes (DRY + webkit support)
@@ -1161,7 +2173,7 @@ function installAnalyserUsageHooks() {
 
 /**
  * Get the instance registry containing all captured instances
- * @returns {{audioContexts: Array<{instance: AudioContext, timestamp: number, sampleRate: number, state: string, methodCalls?: Array<{type: string, timestamp: number}>}>, rtcPeerConnections: Array<{instance: RTCPeerConnection, timestamp: number}>, mediaRecorders: Array<{instance: MediaRecorder, timestamp: number}>, audioWorkletNodes: Array<{instance: AudioWorkletNode, context: AudioContext, processorName: string, timestamp: number}>}}
+ * @returns {{audioContexts: Array<{instance: AudioContext, timestamp: number, sampleRate: number, state: string, methodCalls?: Array<{type: string, timestamp: number}>}>, offlineAudioContexts: Array<{instance: OfflineAudioContext, timestamp: number, sampleRate: number, state: string, length: number, numberOfChannels: number, methodCalls?: Array<{type: string, timestamp: number}>}>, rtcPeerConnections: Array<{instance: RTCPeerConnection, timestamp: number}>, mediaRecorders: Array<{instance: MediaRecorder, timestamp: number}>, audioWorkletNodes: Array<{instance: AudioWorkletNode, context: AudioContext, processorName: string, timestamp: number}>, constraintCalls: Array<ConstraintCallRecord>, sinkCalls: Array<SinkCallRecord>, portTraffic: Array<PortTrafficRecord>}}
  */
 export function getInstanceRegistry() {
   return instanceRegistry;
@@ -1181,6 +2193,7 @@ export function clearRegistryKey(key) {
 /**
  * Remove closed AudioContexts from the registry
  * Prevents memory leaks and stale data accumulation
+ * OfflineAudioContexts are 'closed' once rendered but stay listed - trimmed to the newest MAX_OFFLINE_CONTEXTS instead
  * @returns {number} Number of closed contexts removed
  */
 export function cleanupClosedAudioContexts() {
@@ -1192,5 +2205,16 @@ export function cleanupClosedAudioContexts() {
   if (removed > 0) {
     logger.info(LOG_PREFIX.INSPECTOR, `Cleaned up ${removed} closed AudioContext(s) from registry`);
   }
+  instanceRegistry.offlineAudioContexts = instanceRegistry.offlineAudioContexts.slice(-MAX_OFFLINE_CONTEXTS);
   return removed;
 }
+
+/**
+ * @param {any} ctx
+ * @returns {boolean} true for OfflineAudioContext instances (render/resample graphs)
+ */
+export function isOfflineContext(ctx) {
+  // @ts-ignore - webkit fallback
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  return !!OfflineContext && ctx instanceof OfflineContext;
+}
@@ -4,8 +4,10 @@ import RTCPeerConnectionCollector from '../collectors/RTCPeerConnectionCollector
 import GetUserMediaCollector from '../collectors/GetUserMediaCollector.js';
 import AudioContextCollector from '../collectors/AudioContextCollector.js';
 import MediaRecorderCollector from '../collectors/MediaRecorderCollector.js';
+import MediaDevicesCollector from '../collectors/MediaDevicesCollector.js';
+import LoudnessCollector from '../collectors/LoudnessCollector.js';
 import { logger } from '../core/Logger.js';
-import { EVENTS, INSTALL_FLAG, LOG_PREFIX, RTC_STATS_POLL_INTERVAL_MS, MESSAGE_MARKER } from '../core/constants.js';
+import { EVENTS, INSTALL_FLAG, LOG_PREFIX, RTC_STATS_POLL_INTERVAL_MS, RTC_HISTORY_WINDOW_MS, MESSAGE_MARKER } from '../core/constants.js';
 
 /**
  * Main coordinator for page-level audio inspection.
@@ -43,10 +45,15 @@ class PageInspector {
     try {
       // 1. Instantiate Collectors
       this.collectors = [
-        new RTCPeerConnectionCollector({ pollIntervalMs: RTC_STATS_POLL_INTERVAL_MS }),
+        new RTCPeerConnectionCollector({
+          pollIntervalMs: RTC_STATS_POLL_INTERVAL_MS,
+          historyWindowMs: RTC_HISTORY_WINDOW_MS
+        }),
         new GetUserMediaCollector(),
         new AudioContextCollector(),
-        new MediaRecorderCollector()
+        new MediaRecorderCollector(),
+        new MediaDevicesCollector(),
+        new LoudnessCollector()
       ];
 
       // 2. Initialize and Wire Collectors
@@ -198,6 +205,16 @@ class PageInspector {
         logger.info(LOG_PREFIX.INSPECTOR, `🔄 COLLECTOR_RESET received: ${resetType} (session #${sessionId})`);
         this._resetAllCollectors(resetType, sessionId);
       }
+
+      // Handle APPLY_SETTINGS (options page settings, e.g. opt-in level meter)
+      // Sent on INSPECTOR_READY and whenever the stored settings change
+      if (event.data.type === 'APPLY_SETTINGS') {
+        const settings = event.data.payload || {};
+        logger.info(LOG_PREFIX.INSPECTOR, `⚙️ APPLY_SETTINGS received: ${JSON.stringify(settings)}`);
+        for (const collector of this.collectors) {
+          collector.applySettings(settings);  // BaseCollector default: no-op
+        }
+      }
     });
   }
 